@@ -0,0 +1,546 @@
+#!/usr/bin/env node
+/**
+ * واجهة سطر الأوامر
+ * csp-sec Command-Line Interface
+ * Runs the analyzers and generators of js/ from Node, for CI jobs and pre-commit hooks
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+    AdvancedVulnerabilityDetector,
+    WasmSecurityAnalyzer,
+    AIThreatAnalyzer,
+    LanguageAnalyzer,
+    CSPParser,
+    CSPPolicyChecker,
+    SecurityHeaderGenerator,
+    SmartPolicyGenerator,
+    SarifExporter
+} = require('../js/index.js');
+
+// 0: نظيف، 1: نتائج بمستوى --fail-on أو أعلى، 2: خطأ في الاستخدام أو التشغيل
+const EXIT = { ok: 0, findings: 1, error: 2 };
+
+const FORMATS = ['human', 'json', 'sarif'];
+const LEVELS = { note: 1, warning: 2, error: 3 };
+const ENGINES = ['detector', 'wasm', 'threats'];
+const IGNORED_DIRECTORIES = ['node_modules', 'bower_components', 'vendor'];
+const MAX_FILE_SIZE = 1024 * 1024;
+
+// Checker and header issue severities as SARIF-friendly labels
+const ISSUE_SEVERITY = { error: 'high', warning: 'medium', info: 'low' };
+
+const SERVERS = {
+    nginx: 'generateNginxConfig',
+    apache: 'generateApacheConfig',
+    nodejs: 'generateNodeJSConfig',
+    express: 'generateNodeJSConfig',
+    php: 'generatePHPConfig'
+};
+
+const BOOLEAN_FLAGS = ['help', 'version', 'verbose', 'no-inline'];
+
+const USAGE = `csp-sec <command> [options]
+
+الأوامر | Commands:
+  analyze <paths...>                 فحص الملفات والمجلدات بكاشفات الثغرات
+      --engine <list>                detector,wasm,threats (الافتراضي: detector)
+      --baseline <file>              تجاهل النتائج المقبولة في ملف خط الأساس
+      --write-baseline <file>        كتابة خط أساس يقبل كل النتائج الحالية
+      --ignore <names>               مجلدات إضافية لا تُفحص (مفصولة بفواصل)
+      --max-size <bytes>             تخطي الملفات الأكبر (الافتراضي: ${MAX_FILE_SIZE})
+      --no-inline                    عدم احترام تعليقات csp-security-ignore
+  validate "<policy>"                فحص سياسة CSP (أو --from-file)
+  generate                           توليد الرؤوس وتكوين الخادم من قالب
+      --template <name>              basic, strict, modern, ecommerce, saas, ai_integrated (الافتراضي: strict)
+      --server <name>                nginx, apache, nodejs, php (الافتراضي: nginx)
+  headers --from-file <file>         فحص رؤوس استجابة HTTP خام ("-" للإدخال القياسي)
+
+خيارات عامة | Common options:
+  --format <human|json|sarif>        صيغة الإخراج (الافتراضي: human)
+  --output <file>                    الكتابة إلى ملف بدل الإخراج القياسي
+  --fail-on <error|warning|note|none> أدنى مستوى يُرجع رمز الخروج 1 (الافتراضي: error)
+  --verbose                          إظهار رسائل المحللات
+  --help, --version
+
+رموز الخروج | Exit codes: 0 نظيف، 1 توجد نتائج بمستوى --fail-on أو أعلى، 2 خطأ في الاستخدام أو التشغيل`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const args = { command: null, positionals: [], options: {} };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            args.positionals.push(...argv.slice(i + 1));
+            break;
+        }
+        if (arg.startsWith('--')) {
+            const [key, inline] = arg.slice(2).split(/=(.*)/s);
+            if (BOOLEAN_FLAGS.includes(key)) {
+                args.options[key] = true;
+            } else if (inline !== undefined) {
+                args.options[key] = inline;
+            } else if (i + 1 < argv.length) {
+                args.options[key] = argv[++i];
+            } else {
+                throw new UsageError(`الخيار --${key} يحتاج قيمة`);
+            }
+        } else if (arg === '-h') {
+            args.options.help = true;
+        } else if (!args.command) {
+            args.command = arg;
+        } else {
+            args.positionals.push(arg);
+        }
+    }
+    return args;
+}
+
+function readInput(file) {
+    try {
+        return file === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new UsageError(`تعذرت قراءة ${file}: ${error.message}`);
+    }
+}
+
+function toUri(file) {
+    return path.relative(process.cwd(), file).split(path.sep).join('/') || path.basename(file);
+}
+
+/**
+ * جمع الملفات
+ * Walk the given paths; files named explicitly are always scanned, files found
+ * in directories only when their extension belongs to a language pack
+ */
+function collectFiles(paths, options) {
+    const extensions = new Set(Object.values(LanguageAnalyzer.PACKS).flatMap(pack => pack.extensions));
+    const ignored = IGNORED_DIRECTORIES.concat(options.ignore ? options.ignore.split(',').map(name => name.trim()) : []);
+    const files = [];
+
+    const visit = (target, explicit) => {
+        let stat;
+        try {
+            stat = fs.lstatSync(target);
+        } catch (error) {
+            throw new UsageError(`المسار غير موجود: ${target}`);
+        }
+        if (stat.isDirectory()) {
+            fs.readdirSync(target).sort().forEach(name => {
+                if (name.startsWith('.') || ignored.includes(name)) return;
+                visit(path.join(target, name), false);
+            });
+        } else if (stat.isFile() && (explicit || extensions.has(path.extname(target).slice(1).toLowerCase()))) {
+            files.push(target);
+        }
+    };
+
+    paths.forEach(target => visit(target, true));
+    return files;
+}
+
+function parseEngines(value) {
+    const engines = String(value || 'detector').split(',').map(engine => engine.trim()).filter(Boolean);
+    const unknown = engines.filter(engine => !ENGINES.includes(engine));
+    if (unknown.length) {
+        throw new UsageError(`محرك غير معروف: ${unknown.join(', ')} (المتاح: ${ENGINES.join(', ')})`);
+    }
+    return engines;
+}
+
+function issueFinding(ruleId, issue, extra = {}) {
+    return {
+        ruleId,
+        type: ruleId.split('.')[0],
+        severity: ISSUE_SEVERITY[issue.severity] || 'medium',
+        message: issue.directive ? `${issue.directive}: ${issue.message}` : issue.message,
+        ...extra
+    };
+}
+
+/**
+ * فحص الشيفرة
+ * csp-sec analyze <paths...>
+ */
+async function analyze(args, exporter) {
+    if (args.positionals.length === 0) throw new UsageError('حدد ملفاً أو مجلداً واحداً على الأقل: csp-sec analyze <paths...>');
+
+    const engines = parseEngines(args.options.engine);
+    const maxSize = args.options['max-size'] ? Number(args.options['max-size']) : MAX_FILE_SIZE;
+    const files = collectFiles(args.positionals, args.options);
+    let baseline = null;
+    if (args.options.baseline) {
+        try {
+            baseline = JSON.parse(readInput(args.options.baseline));
+        } catch (error) {
+            throw new UsageError(`ملف خط الأساس ليس JSON صالحاً: ${error.message}`);
+        }
+    }
+
+    const detector = new AdvancedVulnerabilityDetector();
+    const wasm = engines.includes('wasm') ? new WasmSecurityAnalyzer() : null;
+    const threats = engines.includes('threats') ? new AIThreatAnalyzer() : null;
+    if (engines.includes('detector')) await detector.initialize();
+
+    const analyses = { detector: [], wasm: [], threats: [] };
+    const findings = { detector: [], wasm: [], threats: [] };
+    const skipped = [];
+
+    for (const file of files) {
+        const uri = toUri(file);
+        if (fs.statSync(file).size > maxSize) {
+            skipped.push({ file: uri, reason: 'size' });
+            continue;
+        }
+        const code = fs.readFileSync(file, 'utf8');
+
+        if (engines.includes('detector')) {
+            // ML/NLP scores are file-level guesses without a line: they cannot be suppressed or baselined
+            const result = await detector.analyzeCode(code, { filename: uri, baseline, suppressions: !args.options['no-inline'], heuristics: false });
+            analyses.detector.push(result);
+            findings.detector.push(...exporter.detectorFindings(result));
+        }
+        if (wasm) {
+            const result = await wasm.analyzeCode(code);
+            analyses.wasm.push({ filename: uri, ...result });
+            findings.wasm.push(...exporter.wasmFindings(result, { code, filename: uri }));
+        }
+        if (threats) {
+            const result = await threats.analyzeContent(code, uri);
+            analyses.threats.push(result);
+            findings.threats.push(...exporter.threatFindings(result, { content: code, filename: uri }));
+        }
+    }
+
+    if (args.options['write-baseline']) {
+        const accepted = await detector.createBaseline(analyses.detector, { reason: args.options.reason });
+        fs.writeFileSync(args.options['write-baseline'], JSON.stringify(accepted, null, 2) + '\n');
+        process.stderr.write(`كُتب خط الأساس (${accepted.findings.length} نتيجة) إلى ${args.options['write-baseline']}\n`);
+    }
+
+    const runs = [];
+    for (const engine of engines) {
+        runs.push(await exporter.createRun(findings[engine], {
+            automationId: `csp-sec/analyze/${engine}`,
+            registry: engine === 'detector' ? detector.rulePacks : (engine === 'threats' ? threats.rulePacks : null)
+        }));
+    }
+
+    return {
+        runs,
+        // Writing a baseline accepts every current finding
+        accepted: Boolean(args.options['write-baseline']),
+        json: {
+            files: files.length,
+            skipped,
+            engines,
+            detector: analyses.detector.map(result => ({
+                id: result.id,
+                filename: result.filename,
+                language: result.language,
+                riskScore: result.riskScore,
+                confidence: result.confidence,
+                vulnerabilities: result.vulnerabilities,
+                suppressed: result.suppressed,
+                suppressions: result.suppressions
+            })),
+            ...(wasm ? { wasm: analyses.wasm } : {}),
+            ...(threats ? { threats: analyses.threats } : {})
+        },
+        human: () => humanFindings(runs, `${files.length} ملف${skipped.length ? `، تُخطي ${skipped.length} لكبر الحجم` : ''}`)
+    };
+}
+
+/**
+ * فحص سياسة
+ * csp-sec validate "<policy>"
+ */
+async function validate(args, exporter) {
+    const text = args.options['from-file'] ? readInput(args.options['from-file']) : args.positionals.join(' ');
+    if (!text.trim()) throw new UsageError('حدد السياسة: csp-sec validate "<policy>" أو --from-file <file>');
+
+    const parser = new CSPParser();
+    const checker = new CSPPolicyChecker({ parser });
+    const policies = parser.parseHeaders(text);
+    const checks = (policies.length ? policies : [parser.parse(text)]).map(policy => checker.check(policy));
+    const uri = args.options['from-file'] && args.options['from-file'] !== '-' ? toUri(args.options['from-file']) : 'policy.csp';
+
+    const findings = [];
+    checks.forEach(check => check.issues.forEach(issue => {
+        const match = issue.start !== null && issue.start !== undefined ? check.policy.source.slice(issue.start, issue.end) : undefined;
+        findings.push(issueFinding(`csp.${issue.code}`, issue, {
+            uri,
+            line: 1,
+            ...(policies.length <= 1 && match ? { column: issue.start + 1, match } : {})
+        }));
+    }));
+
+    const runs = [await exporter.createRun(findings, { automationId: 'csp-sec/validate' })];
+    return {
+        runs,
+        json: { policies: checks.map(describeCheck) },
+        human: () => checks.map((check, index) => humanCheck(check, `Content-Security-Policy #${index + 1}`)).join('\n')
+            + '\n' + humanSummary(runs, checks.every(check => check.valid) ? '✔ السياسة صالحة' : '✖ السياسة غير صالحة')
+    };
+}
+
+/**
+ * توليد الرؤوس من قالب
+ * csp-sec generate --template strict --server nginx
+ */
+async function generate(args, exporter) {
+    const generator = new SmartPolicyGenerator();
+    const name = args.options.template || 'strict';
+    const server = (args.options.server || 'nginx').toLowerCase();
+    const template = generator.policyTemplates[name];
+    if (!template) {
+        throw new UsageError(`قالب غير معروف: ${name} (المتاح: ${Object.keys(generator.policyTemplates).join(', ')})`);
+    }
+    if (!SERVERS[server]) {
+        throw new UsageError(`خادم غير معروف: ${server} (المتاح: ${Object.keys(SERVERS).join(', ')})`);
+    }
+
+    const csp = template.csp.trim().replace(/;$/, '');
+    const headers = { 'Content-Security-Policy': csp };
+    Object.entries(template.headers).forEach(([header, value]) => {
+        if (value) headers[header] = value;
+    });
+    const config = generator[SERVERS[server]](headers);
+
+    const check = new CSPPolicyChecker().check(csp);
+    const findings = check.issues.map(issue => issueFinding(`csp.${issue.code}`, issue, { uri: `templates/${name}.csp`, line: 1 }));
+    const runs = [await exporter.createRun(findings, { automationId: 'csp-sec/generate' })];
+
+    return {
+        runs,
+        json: { template: name, server, headers, config, validation: describeCheck(check) },
+        // The config alone goes to stdout so that it can be redirected into a file
+        human: () => {
+            process.stderr.write(humanCheck(check, `${name} (${template.name})`) + '\n');
+            return config;
+        }
+    };
+}
+
+/**
+ * فحص رؤوس استجابة
+ * csp-sec headers --from-file response.txt
+ */
+async function headers(args, exporter) {
+    const file = args.options['from-file'] || args.positionals[0];
+    if (!file) throw new UsageError('حدد ملف الاستجابة: csp-sec headers --from-file <file>');
+
+    const response = parseResponse(readInput(file));
+    const uri = file === '-' ? 'response.txt' : toUri(file);
+    const parser = new CSPParser();
+    const checker = new CSPPolicyChecker({ parser });
+    const generator = new SecurityHeaderGenerator();
+
+    const map = {};
+    const lines = {};
+    response.headers.forEach(header => {
+        const key = header.name.toLowerCase();
+        if (key === 'content-security-policy' || key === 'content-security-policy-report-only' || key === 'set-cookie') return;
+        map[header.name] = map[header.name] ? `${map[header.name]}, ${header.value}` : header.value;
+        if (!lines[key]) lines[key] = header.line;
+    });
+    const validation = generator.validate(map);
+
+    const findings = [];
+    validation.results.forEach(result => result.issues.forEach(issue => {
+        findings.push(issueFinding(`headers.${result.name.toLowerCase()}`, issue, {
+            uri, line: lines[result.name.toLowerCase()], message: `${result.name}: ${issue.message}`
+        }));
+    }));
+    validation.legacy.forEach(entry => {
+        findings.push(issueFinding(`headers.legacy.${entry.name.toLowerCase()}`, { severity: 'warning', message: entry.reason }, {
+            uri, line: lines[entry.name.toLowerCase()],
+            message: `${entry.name}: ${entry.reason}${entry.replacement ? ` (البديل: ${entry.replacement})` : ''}`
+        }));
+    });
+    validation.missing.forEach(name => {
+        findings.push(issueFinding(`headers.missing.${name}`, { severity: 'warning', message: `الرأس ${name} غير موجود` }, { uri, line: 1 }));
+    });
+
+    const cspHeaders = response.headers.filter(header => header.name.toLowerCase() === 'content-security-policy');
+    const checks = [];
+    cspHeaders.forEach(header => {
+        parser.parseHeaders([header.value]).forEach(policy => {
+            const check = checker.check(policy);
+            checks.push(check);
+            check.issues.forEach(issue => findings.push(issueFinding(`csp.${issue.code}`, issue, { uri, line: header.line })));
+        });
+    });
+    if (cspHeaders.length === 0) {
+        const reportOnly = response.headers.some(header => header.name.toLowerCase() === 'content-security-policy-report-only');
+        findings.push(issueFinding('headers.missing.content-security-policy', {
+            severity: 'error',
+            message: reportOnly
+                ? 'الرأس Content-Security-Policy غير موجود؛ Report-Only يراقب فقط ولا يمنع شيئاً'
+                : 'الرأس Content-Security-Policy غير موجود'
+        }, { uri, line: 1 }));
+    }
+
+    const runs = [await exporter.createRun(findings, { automationId: 'csp-sec/headers' })];
+    return {
+        runs,
+        json: {
+            status: response.status,
+            headers: response.headers,
+            results: validation.results.map(({ explanation, ...result }) => result),
+            legacy: validation.legacy,
+            missing: validation.missing,
+            csp: checks.map(describeCheck)
+        },
+        human: () => humanFindings(runs, `${response.headers.length} رأس`)
+    };
+}
+
+/**
+ * قراءة استجابة HTTP خام
+ * Status line, then header fields (with obsolete line folding) up to the first blank line
+ */
+function parseResponse(text) {
+    const response = { status: null, headers: [], invalid: [] };
+    const lines = text.split(/\r?\n/);
+
+    for (let index = 0; index < lines.length; index++) {
+        const line = lines[index];
+        if (index === 0 && /^HTTP\/\S+\s+\d{3}/.test(line)) {
+            response.status = line.trim();
+            continue;
+        }
+        if (!line.trim()) {
+            if (response.headers.length) break;
+            continue;
+        }
+        const last = response.headers[response.headers.length - 1];
+        if (/^[\t ]/.test(line) && last) {
+            last.value += ' ' + line.trim();
+            continue;
+        }
+        const match = line.match(/^([!#$%&'*+.^_`|~0-9A-Za-z-]+)[\t ]*:[\t ]*(.*)$/);
+        if (match) {
+            response.headers.push({ name: match[1], value: match[2].trim(), line: index + 1 });
+        } else {
+            response.invalid.push({ line: index + 1, text: line });
+        }
+    }
+    return response;
+}
+
+function describeCheck(check) {
+    return {
+        policy: check.policy.source.trim(),
+        valid: check.valid,
+        score: check.score,
+        issues: check.issues
+    };
+}
+
+function humanCheck(check, title) {
+    const rows = check.issues.map(issue =>
+        `  ${issue.severity.padEnd(8)} ${issue.code.padEnd(30)} ${issue.directive ? issue.directive + ': ' : ''}${issue.message}`);
+    return [`${title} - الدرجة ${check.score}/100`, ...rows].join('\n');
+}
+
+function unsuppressed(runs) {
+    return runs.flatMap(run => run.results).filter(result => !result.suppressions);
+}
+
+function humanSummary(runs, headline) {
+    const results = unsuppressed(runs);
+    const suppressed = runs.flatMap(run => run.results).length - results.length;
+    const counts = Object.keys(LEVELS).reverse()
+        .map(level => [level, results.filter(result => result.level === level).length])
+        .filter(([, count]) => count > 0)
+        .map(([level, count]) => `${count} ${level}`);
+    return `${headline}: ${results.length} نتيجة${counts.length ? ` (${counts.join('، ')})` : ''}${suppressed ? `، ${suppressed} مُخفاة` : ''}`;
+}
+
+function humanFindings(runs, scope) {
+    const byFile = new Map();
+    unsuppressed(runs).forEach(result => {
+        const location = result.locations[0].physicalLocation;
+        const uri = location.artifactLocation.uri;
+        if (!byFile.has(uri)) byFile.set(uri, []);
+        byFile.get(uri).push({ result, region: location.region || {} });
+    });
+
+    const blocks = [...byFile.entries()].map(([uri, entries]) => {
+        entries.sort((a, b) => (a.region.startLine || 0) - (b.region.startLine || 0));
+        return [uri, ...entries.map(({ result, region }) => {
+            const position = region.startColumn ? `${region.startLine}:${region.startColumn}` : String(region.startLine || '-');
+            return `  ${position.padEnd(8)} ${result.level.padEnd(8)} ${result.message.text}  ${result.ruleId}`;
+        })].join('\n');
+    });
+
+    const headline = unsuppressed(runs).length ? '✖' : '✔';
+    return [...blocks, humanSummary(runs, `${headline} ${scope}`)].join('\n\n');
+}
+
+function exitCode(runs, failOn) {
+    if (failOn === 'none') return EXIT.ok;
+    const threshold = LEVELS[failOn];
+    return unsuppressed(runs).some(result => LEVELS[result.level] >= threshold) ? EXIT.findings : EXIT.ok;
+}
+
+async function main(argv) {
+    const args = parseArgs(argv);
+    const options = args.options;
+
+    // Analyzer progress messages would corrupt JSON and SARIF on stdout
+    const debug = options.verbose ? (...messages) => process.stderr.write(messages.join(' ') + '\n') : () => {};
+    console.log = console.info = console.warn = console.error = debug;
+
+    const exporter = new SarifExporter();
+    if (options.version) {
+        process.stdout.write(`csp-sec ${exporter.tool.version}\n`);
+        return EXIT.ok;
+    }
+    if (options.help || !args.command) {
+        process.stdout.write(USAGE + '\n');
+        return options.help ? EXIT.ok : EXIT.error;
+    }
+
+    const format = options.format || 'human';
+    if (!FORMATS.includes(format)) throw new UsageError(`صيغة غير معروفة: ${format} (المتاح: ${FORMATS.join(', ')})`);
+    const failOn = options['fail-on'] || 'error';
+    if (failOn !== 'none' && !LEVELS[failOn]) throw new UsageError(`قيمة --fail-on غير صالحة: ${failOn}`);
+
+    const commands = { analyze, validate, generate, headers };
+    if (!commands[args.command]) throw new UsageError(`أمر غير معروف: ${args.command}`);
+
+    const report = await commands[args.command](args, exporter);
+    let output;
+    if (format === 'json') {
+        output = JSON.stringify(report.json, null, 2);
+    } else if (format === 'sarif') {
+        output = exporter.stringify(exporter.createLog(report.runs));
+    } else {
+        output = report.human();
+    }
+
+    if (options.output) {
+        fs.writeFileSync(options.output, output + '\n');
+    } else {
+        process.stdout.write(output + '\n');
+    }
+    return report.accepted ? EXIT.ok : exitCode(report.runs, failOn);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }, error => {
+        process.stderr.write(`csp-sec: ${error.message}\n`);
+        if (error instanceof UsageError) process.stderr.write('csp-sec --help لعرض الاستخدام\n');
+        process.exitCode = EXIT.error;
+    });
+}
+
+module.exports = { main, parseArgs, parseResponse, collectFiles, EXIT };
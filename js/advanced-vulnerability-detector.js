@@ -12,6 +12,16 @@ class AdvancedVulnerabilityDetector {
         this.mlClassifier = new MLVulnerabilityClassifier();
         this.semanticAnalyzer = new SemanticCodeAnalyzer();
         this.contextAnalyzer = new ContextualAnalyzer();
+        const { LanguageAnalyzer } = typeof module !== 'undefined' && module.exports ? require('./language-rule-packs.js') : window;
+        const { RulePackRegistry } = typeof module !== 'undefined' && module.exports ? require('./rule-pack-registry.js') : window;
+        const { FindingSuppressor } = typeof module !== 'undefined' && module.exports ? require('./finding-suppressions.js') : window;
+        const { SarifExporter } = typeof module !== 'undefined' && module.exports ? require('./sarif-exporter.js') : window;
+        const { RegexSafetyAnalyzer } = typeof module !== 'undefined' && module.exports ? require('./regex-safety-analyzer.js') : window;
+        this.languageAnalyzer = new LanguageAnalyzer();
+        this.regexAnalyzer = new RegexSafetyAnalyzer();
+        this.rulePacks = new RulePackRegistry();
+        this.suppressor = new FindingSuppressor();
+        this.sarifExporter = new SarifExporter({ suppressor: this.suppressor });
         this.initialized = false;
         this.detectionCache = new Map();
         this.learningData = [];
@@ -52,171 +62,44 @@ class AdvancedVulnerabilityDetector {
     }
 
     async loadVulnerabilityKnowledgeBase() {
-        this.vulnerabilityPatterns = {
-            sql_injection: {
-                patterns: [
-                    /union\s+select/gi,
-                    /['"]\s*or\s*['"]1['"]\s*=\s*['"]1['"]/gi,
-                    /\b(drop|delete|update|insert)\s+table/gi,
-                    /\b(exec|execute)\s*\(/gi,
-                    /--\s*$/gm,
-                    /\bshutdown\b/gi,
-                    /\b xp_cmdshell \b/gi
-                ],
-                semantic: {
-                    keywords: ['sql', 'database', 'query', 'select', 'insert', 'update', 'delete'],
-                    context: ['user_input', 'parameter', 'request', 'form'],
-                    severity: 9
-                },
-                variants: [
-                    'union-based injection',
-                    'boolean-based injection', 
-                    'time-based injection',
-                    'error-based injection',
-                    'stacked queries injection'
-                ]
-            },
-            
-            xss: {
-                patterns: [
-                    /<script\b[^>]*>.*?<\/script>/gi,
-                    /<iframe\b[^>]*>/gi,
-                    /\bon\w+\s*=\s*["'][^"']*["']/gi,
-                    /javascript:/gi,
-                    /\beval\s*\(/gi,
-                    /\bdocument\.(cookie|location)\b/gi,
-                    /\bwindow\.(location|open)\b/gi
-                ],
-                semantic: {
-                    keywords: ['html', 'script', 'javascript', 'event', 'onclick', 'onload'],
-                    context: ['output', 'display', 'render', 'innerHTML', 'document.write'],
-                    severity: 8
-                },
-                variants: [
-                    'reflected XSS',
-                    'stored XSS',
-                    'DOM-based XSS',
-                    'mXSS (mutated XSS)',
-                    'Universal XSS (UXSS)'
-                ]
-            },
-            
-            command_injection: {
-                patterns: [
-                    /[;&|`$]\s*(?:ls|cat|rm|mkdir|chmod|chown|wget|curl|nc|netcat|telnet|ssh)/gi,
-                    /\bexec\s*\(\s*\$_(?:GET|POST|REQUEST)\[/gi,
-                    /\bshell_exec\s*\(/gi,
-                    /\bsystem\s*\(/gi,
-                    /\bpopen\s*\(/gi,
-                    /`[^`]*`/gi
-                ],
-                semantic: {
-                    keywords: ['exec', 'system', 'shell', 'command', 'bash', 'cmd'],
-                    context: ['system', 'shell', 'os', 'command', 'execute'],
-                    severity: 10
-                },
-                variants: [
-                    'OS Command Injection',
-                    'Shell Injection',
-                    'Code Injection',
-                    'LDAP Injection',
-                    'XPath Injection'
-                ]
-            },
-            
-            path_traversal: {
-                patterns: [
-                    /\.\.[\/\\]/gi,
-                    /%2e%2e%2f/gi,
-                    /%252e%252e%252f/gi,
-                    /\.\.%2f/gi,
-                    /etc\/passwd/gi,
-                    /boot\.ini/gi,
-                    /windows\/system32/gi
-                ],
-                semantic: {
-                    keywords: ['path', 'file', 'directory', 'folder', 'read', 'open'],
-                    context: ['file_path', 'directory', 'include', 'require', 'import'],
-                    severity: 8
-                },
-                variants: [
-                    'Directory Traversal',
-                    'Path Traversal',
-                    'File Inclusion',
-                    'Null Byte Injection',
-                    'Unicode Traversal'
-                ]
-            },
-            
-            csrf: {
-                patterns: [
-                    /<form[^>]*method\s*=\s*["']?(?:post|put|delete)["']?[^>]*>/gi,
-                    /\b(csrf_token|xsrf_token)\b/gi,
-                    /\breferer\s*=/gi,
-                    /\borigin\s*=/gi,
-                    /\bwithCredentials\s*=/gi
-                ],
-                semantic: {
-                    keywords: ['form', 'post', 'token', 'validate', 'verify'],
-                    context: ['form', 'request', 'action', 'submit', 'method'],
-                    severity: 7
-                },
-                variants: [
-                    'Login CSRF',
-                    'Session Fixation',
-                    'Cross-Site Request Forgery',
-                    'One-Click Attack',
-                    'Smart CSRF'
-                ]
-            },
-            
-            deserialization: {
-                patterns: [
-                    /\b(unserialize|json_decode|yaml_parse|pickle_loads)\s*\(/gi,
-                    /\bphar:\/\//gi,
-                    /O:\d+:/gi,
-                    /a:\d+:/gi,
-                    /\b@eval\s*\(/gi,
-                    /\b__wakeup\b/gi,
-                    /\b__destruct\b/gi
-                ],
-                semantic: {
-                    keywords: ['serialize', 'deserialize', 'pickle', 'unserialize', 'object'],
-                    context: ['object', 'class', 'method', 'function', 'callback'],
-                    severity: 9
-                },
-                variants: [
-                    'PHP Deserialization',
-                    'Python Pickle Injection',
-                    'Java Deserialization',
-                    '.NET Deserialization',
-                    'Ruby YAML Deserialization'
-                ]
-            },
-            
-            server_side_request_forgery: {
-                patterns: [
-                    /\b(file_get_contents|curl_exec|wget|fsockopen)\s*\(\s*\$_(?:GET|POST|REQUEST)/gi,
-                    /\b(urlopen|urlretrieve)\s*\(/gi,
-                    /\b(HttpRequest|WebClient)\s*\(/gi,
-                    /https?:\/\/localhost/gi,
-                    /file:\/\//gi,
-                    /dict:\/\//gi
-                ],
-                semantic: {
-                    keywords: ['request', 'url', 'fetch', 'get', 'download', 'include'],
-                    context: ['http', 'request', 'url', 'fetch', 'download'],
-                    severity: 9
-                },
-                variants: [
-                    'Basic SSRF',
-                    'Blind SSRF',
-                    'Semi-Blind SSRF',
-                    'XXE (XML External Entity)',
-                    'Open Redirect'
-                ]
+        const { BUILTIN_RULE_PACKS } = typeof module !== 'undefined' && module.exports ? require('./builtin-rule-packs.js') : window;
+
+        // Custom packs loaded before initialization are kept as they are
+        BUILTIN_RULE_PACKS.vulnerabilities.forEach(pack => {
+            if (!this.rulePacks.has(pack.name)) {
+                this.rulePacks.load(pack, { source: 'builtin' });
             }
-        };
+        });
+
+        this.vulnerabilityPatterns = this.buildVulnerabilityPatterns();
+    }
+
+    buildVulnerabilityPatterns() {
+        // Pattern pool for input of unknown language, grouped by vulnerability type
+        const categories = this.rulePacks.getCategories();
+        const patterns = {};
+
+        this.rulePacks.getRules({ language: 'generic' }).filter(rule => rule.regex).forEach(rule => {
+            const category = categories[rule.type] || {};
+            if (!patterns[rule.type]) {
+                patterns[rule.type] = {
+                    patterns: [],
+                    rules: [],
+                    semantic: {
+                        keywords: category.keywords || [],
+                        context: category.context || [],
+                        severity: rule.severity
+                    },
+                    variants: category.variants || []
+                };
+            }
+            const entry = patterns[rule.type];
+            entry.patterns.push(rule.regex);
+            entry.rules.push(rule);
+            entry.semantic.severity = Math.max(entry.semantic.severity, rule.severity);
+        });
+
+        return patterns;
     }
 
     async analyzeCode(code, options = {}) {
@@ -224,10 +107,15 @@ class AdvancedVulnerabilityDetector {
             await this.initialize();
         }
 
-        const analysisId = this.generateAnalysisId(code);
+        const language = this.resolveLanguage(code, options);
+        const analysisId = this.generateAnalysisId(`${language.id}:${options.filename || ''}:${code}`);
+        // A baseline changes which findings are reported, so those runs bypass the cache
+        const cacheable = !options.baseline && options.heuristics !== false;
+        // File-level ML/NLP scores have no location and shift with any edit; { heuristics: false } skips them
+        const heuristics = options.heuristics !== false;
         
         // Check cache first
-        if (this.detectionCache.has(analysisId) && !options.force) {
+        if (cacheable && this.detectionCache.has(analysisId) && !options.force) {
             console.log('📋 Returning cached analysis result');
             return this.detectionCache.get(analysisId);
         }
@@ -238,6 +126,8 @@ class AdvancedVulnerabilityDetector {
             id: analysisId,
             timestamp: Date.now(),
             code: code,
+            filename: options.filename || null,
+            language: language,
             vulnerabilities: [],
             riskScore: 0,
             confidence: 0,
@@ -248,6 +138,10 @@ class AdvancedVulnerabilityDetector {
 
         const startTime = performance.now();
 
+        // Comments never reach the matchers, so prose like "select" in a comment is ignored
+        const pack = this.languageAnalyzer.getPack(language.id);
+        const scanned = pack ? this.languageAnalyzer.mask(code, pack) : code;
+
         try {
             // Multi-method analysis
             const [
@@ -255,19 +149,23 @@ class AdvancedVulnerabilityDetector {
                 semanticResults,
                 contextualResults,
                 mlResults,
-                nlpResults
+                nlpResults,
+                regexResults
             ] = await Promise.allSettled([
-                this.patternRecognizer.analyze(code, this.vulnerabilityPatterns),
-                this.semanticAnalyzer.analyze(code),
-                this.contextAnalyzer.analyze(code),
-                this.mlClassifier.classify(code),
-                this.nlpEngine.analyze(code)
+                this.analyzePatterns(code, language),
+                this.semanticAnalyzer.analyze(scanned),
+                this.contextAnalyzer.analyze(scanned, {
+                    script: this.languageAnalyzer.scriptSource(code, language.id)
+                }),
+                heuristics ? this.mlClassifier.classify(scanned) : null,
+                heuristics ? this.nlpEngine.analyze(scanned) : null,
+                this.analyzeRegexes(code, language)
             ]);
 
             // Process results
             if (patternResults.status === 'fulfilled') {
                 analysisResults.vulnerabilities.push(...patternResults.value);
-                analysisResults.methods.push('pattern_recognition');
+                analysisResults.methods.push(pack ? 'language_rules' : 'pattern_recognition');
             }
 
             if (semanticResults.status === 'fulfilled') {
@@ -280,21 +178,36 @@ class AdvancedVulnerabilityDetector {
                 analysisResults.methods.push('contextual_analysis');
             }
 
-            if (mlResults.status === 'fulfilled') {
+            if (mlResults.status === 'fulfilled' && mlResults.value) {
                 analysisResults.vulnerabilities.push(...mlResults.value);
                 analysisResults.methods.push('machine_learning');
             }
 
-            if (nlpResults.status === 'fulfilled') {
+            if (nlpResults.status === 'fulfilled' && nlpResults.value) {
                 analysisResults.vulnerabilities.push(...nlpResults.value);
                 analysisResults.methods.push('nlp_analysis');
             }
 
+            if (regexResults.status === 'fulfilled') {
+                analysisResults.vulnerabilities.push(...regexResults.value);
+                analysisResults.methods.push('regex_analysis');
+            }
+
             // Deduplicate vulnerabilities
             analysisResults.vulnerabilities = this.deduplicateVulnerabilities(
                 analysisResults.vulnerabilities
             );
 
+            // Accepted findings: inline csp-security-ignore comments, then the baseline
+            const suppression = await this.suppressor.apply(analysisResults.vulnerabilities, code, {
+                filename: options.filename,
+                baseline: options.baseline,
+                inline: options.suppressions !== false
+            });
+            analysisResults.vulnerabilities = suppression.findings;
+            analysisResults.suppressed = suppression.suppressed;
+            analysisResults.suppressions = suppression.report;
+
             // Calculate overall risk score
             analysisResults.riskScore = this.calculateRiskScore(analysisResults.vulnerabilities);
 
@@ -310,7 +223,9 @@ class AdvancedVulnerabilityDetector {
             analysisResults.analysisTime = endTime - startTime;
 
             // Cache results
-            this.detectionCache.set(analysisId, analysisResults);
+            if (cacheable) {
+                this.detectionCache.set(analysisId, analysisResults);
+            }
 
             // Store for learning
             this.learningData.push({
@@ -411,6 +326,24 @@ Content-Security-Policy: default-src 'self'; script-src 'self';`
                     });
                     break;
 
+                case 'open_redirect':
+                    recommendations.push({
+                        type: 'Open Redirect Prevention',
+                        priority: 'High',
+                        actions: [
+                            'Never navigate to URLs taken from the query string or fragment',
+                            'Allow only relative paths or an allowlist of destinations',
+                            'Reject javascript: and data: URLs before navigation'
+                        ],
+                        code: `// Safe example
+const next = new URLSearchParams(location.search).get('next');
+const target = new URL(next, location.origin);
+if (target.origin === location.origin) {
+    location.assign(target.pathname);
+}`
+                    });
+                    break;
+
                 case 'command_injection':
                     recommendations.push({
                         type: 'Command Injection Prevention',
@@ -460,6 +393,24 @@ if (!validateCSRFToken(request.csrf_token, session.csrf_token)) {
                     });
                     break;
 
+                case 'redos':
+                    recommendations.push({
+                        type: 'ReDoS Prevention',
+                        priority: maxSeverity >= 7 ? 'High' : 'Medium',
+                        actions: [
+                            'Avoid nested quantifiers such as (a+)+ and overlapping alternatives such as (a|a)*',
+                            'Make adjacent repetitions match disjoint characters',
+                            'Limit the input length before matching',
+                            'Never build regular expressions from user input'
+                        ],
+                        code: `// Unsafe: exponential backtracking on "aaaaaaaaaaaaaaaaaaaaaaaa!"
+const unsafe = /^(\\w+\\s?)*$/;
+
+// Safe: every character is consumed in exactly one way
+const safe = /^\\w+(?:\\s\\w+)*\\s?$/;`
+                    });
+                    break;
+
                 case 'deserialization':
                     recommendations.push({
                         type: 'Deserialization Prevention',
@@ -488,6 +439,59 @@ $object = Symfony\Component\Yaml\Yaml::parse($userInput);`
         return recommendations;
     }
 
+    resolveLanguage(code, options = {}) {
+        if (options.language && options.language !== 'auto') {
+            return {
+                id: this.languageAnalyzer.normalizeLanguage(options.language),
+                detected: false,
+                confidence: 1
+            };
+        }
+
+        const detection = this.languageAnalyzer.detect(code, { filename: options.filename });
+        return { id: detection.id, detected: true, confidence: detection.confidence };
+    }
+
+    async analyzePatterns(code, language) {
+        // A known language runs its own pack; the mixed pool is the fallback for unknown input
+        if (this.languageAnalyzer.getPack(language.id)) {
+            return this.languageAnalyzer.analyze(code, language.id, this.rulePacks.getRules({ language: language.id }));
+        }
+        return this.patternRecognizer.analyze(code, this.vulnerabilityPatterns);
+    }
+
+    async analyzeRegexes(code, language) {
+        // Regex literals and RegExp() calls in the script part of the input, judged by worst-case backtracking
+        const script = this.languageAnalyzer.scriptSource(code, language.id);
+        if (!script) return [];
+
+        return this.regexAnalyzer.scanCode(script)
+            .filter(found => found.analysis.complexity === 'exponential' || found.analysis.complexity === 'polynomial')
+            .map(found => {
+                const { analysis } = found;
+                const exponential = analysis.complexity === 'exponential';
+                const reasons = [...new Set(analysis.issues.map(issue => issue.code.replace(/-/g, ' ')))].join(', ');
+                return {
+                    type: 'redos',
+                    ruleId: exponential ? 'redos.exponential' : 'redos.polynomial',
+                    title: exponential ? 'Regular expression with exponential backtracking' : 'Regular expression with polynomial backtracking',
+                    severity: exponential ? 7 : 4,
+                    confidence: exponential ? 0.85 : 0.6,
+                    method: 'regex_analysis',
+                    message: `${found.text} can take ${analysis.estimate} steps on a failing input (${reasons})`,
+                    line: found.line,
+                    column: found.column,
+                    match: found.text,
+                    startIndex: found.start,
+                    endIndex: found.end,
+                    complexity: analysis.complexity,
+                    estimate: analysis.estimate,
+                    cwe: 'CWE-1333',
+                    fix: 'Make the repeated parts mutually exclusive, bound the repetition, or check the input length first'
+                };
+            });
+    }
+
     generateAnalysisId(code) {
         return 'analysis_' + this.simpleHash(code);
     }
@@ -559,15 +563,66 @@ $object = Symfony\Component\Yaml\Yaml::parse($userInput);`
 
     // Public API methods
     async getVulnerabilityPatterns() {
-        return this.vulnerabilityPatterns;
+        return this.rulePacks.list();
+    }
+
+    async loadRulePack(input, options = {}) {
+        const summary = this.rulePacks.load(input, options);
+        this.refreshRules();
+        return summary;
+    }
+
+    async unloadRulePack(name) {
+        const removed = this.rulePacks.unload(name);
+        if (removed) this.refreshRules();
+        return removed;
+    }
+
+    validateRulePack(input) {
+        const { valid, issues } = this.rulePacks.validate(input);
+        return { valid, issues };
+    }
+
+    async testRulePack(name) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+        return this.rulePacks.testFixtures(name, (rule, code) => this.runRule(rule, code));
+    }
+
+    refreshRules() {
+        this.vulnerabilityPatterns = this.buildVulnerabilityPatterns();
+        this.detectionCache.clear();
+    }
+
+    async runRule(rule, code) {
+        // One rule in isolation, with the sources and sanitizers of its language
+        const language = rule.languages.find(id => this.languageAnalyzer.getPack(id));
+        if (language) {
+            return this.languageAnalyzer.analyze(code, language, [rule]);
+        }
+
+        return this.patternRecognizer.analyze(code, {
+            [rule.type]: {
+                patterns: [rule.regex],
+                rules: [rule],
+                semantic: { keywords: [], context: [], severity: rule.severity },
+                variants: []
+            }
+        });
+    }
+
+    async createBaseline(results = null, options = {}) {
+        // Accept every current finding; defaults to all cached analyses
+        return this.suppressor.createBaseline(results || Array.from(this.detectionCache.values()), options);
     }
 
     async getAnalysisHistory() {
         return Array.from(this.detectionCache.values());
     }
 
-    async exportResults(format = 'json') {
-        const results = Array.from(this.detectionCache.values());
+    async exportResults(format = 'json', options = {}) {
+        const results = options.results || Array.from(this.detectionCache.values());
         
         switch (format) {
             case 'json':
@@ -576,23 +631,51 @@ $object = Symfony\Component\Yaml\Yaml::parse($userInput);`
                 return this.convertToCSV(results);
             case 'html':
                 return this.convertToHTML(results);
+            case 'sarif':
+                return this.sarifExporter.stringify(await this.convertToSARIF(results, options));
             default:
                 return JSON.stringify(results, null, 2);
         }
     }
 
+    async convertToSARIF(results, options = {}) {
+        // options.previous: an earlier SARIF log, to mark results new, unchanged or absent
+        const run = await this.sarifExporter.fromDetectorResults(results, { registry: this.rulePacks, uri: options.uri });
+        const log = this.sarifExporter.createLog(run);
+        return options.previous ? this.sarifExporter.compare(log, options.previous) : log;
+    }
+
     convertToCSV(results) {
-        const headers = ['ID', 'Timestamp', 'Risk Score', 'Confidence', 'Vulnerabilities', 'Methods'];
-        const rows = results.map(result => [
-            result.id,
-            new Date(result.timestamp).toISOString(),
-            result.riskScore,
-            result.confidence,
-            result.vulnerabilities.length,
-            result.methods.join(';')
-        ]);
+        // One row per finding, suppressed findings included and marked
+        const headers = ['Analysis ID', 'File', 'Language', 'Rule', 'Type', 'Severity', 'Confidence', 'Line', 'Column',
+            'Method', 'CWE', 'Message', 'Match', 'Fingerprint', 'Suppressed'];
+        const escape = value => {
+            const text = Array.isArray(value) ? value.join(';') : (value === undefined || value === null ? '' : String(value));
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = [];
+        results.forEach(result => {
+            const findings = [...result.vulnerabilities, ...(result.suppressed || [])];
+            findings.forEach(vuln => rows.push([
+                result.id,
+                result.filename,
+                result.language ? result.language.id : '',
+                vuln.ruleId,
+                vuln.type,
+                vuln.severity,
+                vuln.confidence,
+                vuln.line,
+                vuln.column,
+                vuln.method,
+                vuln.cwe,
+                vuln.message || vuln.title,
+                vuln.match,
+                vuln.fingerprint,
+                vuln.suppression ? vuln.suppression.kind : ''
+            ]));
+        });
 
-        return [headers, ...rows].map(row => row.join(',')).join('\n');
+        return [headers, ...rows].map(row => row.map(escape).join(',')).join('\n');
     }
 
     convertToHTML(results) {
@@ -789,11 +872,12 @@ class AdvancedPatternRecognizer {
         const results = [];
         
         for (const [vulnType, vulnData] of Object.entries(patterns)) {
-            for (const pattern of vulnData.patterns) {
+            vulnData.patterns.forEach((pattern, index) => {
+                const rule = vulnData.rules ? vulnData.rules[index] : null;
                 const matches = [...code.matchAll(new RegExp(pattern.source, pattern.flags))];
                 
                 matches.forEach(match => {
-                    const confidence = this.calculatePatternConfidence(match, vulnData);
+                    const confidence = this.calculatePatternConfidence(match, vulnData, rule);
                     
                     results.push({
                         type: vulnType,
@@ -803,18 +887,19 @@ class AdvancedPatternRecognizer {
                         match: match[0],
                         startIndex: match.index,
                         endIndex: match.index + match[0].length,
-                        severity: vulnData.semantic.severity,
-                        method: 'pattern_recognition'
+                        severity: rule ? rule.severity : vulnData.semantic.severity,
+                        method: 'pattern_recognition',
+                        ...(rule ? { ruleId: rule.id, pack: rule.pack, title: rule.title, cwe: rule.cwe, owasp: rule.owasp, fix: rule.fix } : {})
                     });
                 });
-            }
+            });
         }
         
         return results;
     }
 
-    calculatePatternConfidence(match, vulnData) {
-        let confidence = 0.7; // Base pattern confidence
+    calculatePatternConfidence(match, vulnData, rule = null) {
+        let confidence = rule ? rule.confidence : 0.7; // Base pattern confidence
         
         // Boost confidence based on match context
         const matchStr = match[0];
@@ -1113,16 +1198,21 @@ class SemanticCodeAnalyzer {
  * Contextual Analyzer
  */
 class ContextualAnalyzer {
+    constructor() {
+        const { TaintAnalyzer } = typeof module !== 'undefined' && module.exports ? require('./taint-analyzer.js') : window;
+        this.taintAnalyzer = new TaintAnalyzer();
+    }
+
     async initialize() {
         console.log('🔍 Initializing Contextual Analyzer...');
     }
 
-    async analyze(code) {
+    async analyze(code, options = {}) {
         const results = [];
         
         // Analyze code structure and context
         const context = this.analyzeCodeContext(code);
-        const dataFlow = this.analyzeDataFlow(code);
+        const dataFlow = this.analyzeDataFlow(code, options);
         const controlFlow = this.analyzeControlFlow(code);
         
         // Check for contextual vulnerabilities
@@ -1141,6 +1231,9 @@ class ContextualAnalyzer {
         if (context.hasNetworkOperations) {
             results.push(...this.checkNetworkSecurity(code));
         }
+
+        // Source-to-sink flows proven on the JavaScript AST
+        results.push(...dataFlow.flows);
         
         return results;
     }
@@ -1171,12 +1264,23 @@ class ContextualAnalyzer {
         return complexity;
     }
 
-    analyzeDataFlow(code) {
-        // Simplified data flow analysis
+    analyzeDataFlow(code, options = {}) {
+        // Pattern inventory for any language; taint tracking only over JavaScript
+        // (options.script is null for server languages, inline scripts for templates)
+        const script = options.script === undefined ? code : options.script;
+        const taint = script === null
+            ? { findings: [], sanitized: [], sources: [], sinks: [], error: null }
+            : this.taintAnalyzer.analyze(script);
+
         return {
             sources: this.identifyDataSources(code),
             sinks: this.identifyDataSinks(code),
-            transformations: this.identifyTransformations(code)
+            transformations: this.identifyTransformations(code),
+            flows: taint.findings,
+            sanitized: taint.sanitized,
+            taintSources: taint.sources,
+            taintSinks: taint.sinks,
+            parseError: taint.error
         };
     }
 
@@ -1201,8 +1305,13 @@ class ContextualAnalyzer {
         const sinks = [];
         const sinkPatterns = [
             /innerHTML\s*=/g,
+            /outerHTML\s*=/g,
+            /insertAdjacentHTML\s*\(/g,
+            /srcdoc\s*=/g,
             /document\.write\s*\(/g,
             /eval\s*\(/g,
+            /new\s+Function\s*\(/g,
+            /importScripts\s*\(/g,
             /exec\s*\(/g,
             /system\s*\(/g,
             /file_put_contents\s*\(/g
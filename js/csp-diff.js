@@ -0,0 +1,197 @@
+/**
+ * مقارنة سياسات أمان المحتوى
+ * CSP Policy Diff
+ * Semantic, directive-by-directive comparison of two policies
+ */
+
+(function (root) {
+    'use strict';
+
+    const { CSPParser } = typeof module !== 'undefined' && module.exports ? require('./csp-parser.js') : root;
+    const { CSPPolicySet } = typeof module !== 'undefined' && module.exports ? require('./csp-policy-set.js') : root;
+
+    // Keywords whose removal blocks a whole class of resources rather than an origin
+    const KEYWORD_CLASSES = {
+        'unsafe-inline': 'الموارد المضمنة (inline)',
+        'unsafe-eval': 'eval() وما يشابهها',
+        'wasm-unsafe-eval': 'ترجمة WebAssembly',
+        'unsafe-hashes': 'معالجات الأحداث المطابقة للتجزئة',
+        'strict-dynamic': 'السكريبتات المحمّلة ديناميكياً',
+        self: 'موارد الأصل نفسه'
+    };
+
+    class CSPPolicyDiff {
+        constructor(options = {}) {
+            this.parser = options.parser || new CSPParser();
+        }
+
+        /**
+         * مقارنة سياستين
+         * Compare two policies (header strings, parsed policies or arrays of either)
+         */
+        compare(beforeInput, afterInput) {
+            const before = this.effectivePolicy(beforeInput);
+            const after = this.effectivePolicy(afterInput);
+            const directives = this.compareDirectives(before, after);
+            const fallbacks = this.compareFallbacks(before, after);
+            const blocked = this.findBlockedResources(before, after);
+
+            return {
+                before,
+                after,
+                directives,
+                fallbacks,
+                blocked,
+                changed: directives.some(directive => directive.status !== 'unchanged') || fallbacks.length > 0
+            };
+        }
+
+        effectivePolicy(input) {
+            let policies;
+            if (typeof input === 'string') {
+                policies = this.parser.parseHeaders(input);
+            } else if (Array.isArray(input)) {
+                policies = input.map(policy => (typeof policy === 'string' ? this.parser.parse(policy) : policy));
+            } else {
+                policies = [input];
+            }
+
+            if (policies.length === 0) return this.parser.parse('');
+            return new CSPPolicySet(policies, { parser: this.parser }).getEffectivePolicy();
+        }
+
+        /**
+         * الفروق النصية لكل توجيه
+         * Sources added and removed for each directive present in either policy
+         */
+        compareDirectives(before, after) {
+            const names = [];
+            [before, after].forEach(policy => {
+                policy.directives.forEach(directive => {
+                    if (!names.includes(directive.name)) names.push(directive.name);
+                });
+            });
+
+            return names.map(name => {
+                const oldDirective = this.parser.getDirective(before, name);
+                const newDirective = this.parser.getDirective(after, name);
+                const oldValues = oldDirective ? oldDirective.value : [];
+                const newValues = newDirective ? newDirective.value : [];
+                const has = (values, value) => values.some(other => other.toLowerCase() === value.toLowerCase());
+
+                const added = newValues.filter(value => !has(oldValues, value));
+                const removed = oldValues.filter(value => !has(newValues, value));
+
+                let status = 'unchanged';
+                if (!oldDirective) status = 'added';
+                else if (!newDirective) status = 'removed';
+                else if (added.length > 0 || removed.length > 0) status = 'changed';
+
+                return {
+                    name,
+                    status,
+                    before: oldDirective ? oldValues : null,
+                    after: newDirective ? newValues : null,
+                    added,
+                    removed
+                };
+            });
+        }
+
+        /**
+         * التغييرات في التوجيه الذي يحكم كل نوع مورد
+         * Resource types whose governing directive changed, e.g. a new script-src overriding default-src
+         */
+        compareFallbacks(before, after) {
+            const changes = [];
+
+            Object.entries(CSPParser.RESOURCE_TYPES).forEach(([resourceType, directiveName]) => {
+                const oldDirective = this.parser.getEffectiveDirective(before, directiveName);
+                const newDirective = this.parser.getEffectiveDirective(after, directiveName);
+                const oldName = oldDirective ? oldDirective.name : null;
+                const newName = newDirective ? newDirective.name : null;
+
+                if (oldName === newName) return;
+
+                let description;
+                if (!oldName) {
+                    description = `${newName} أصبح يقيّد الموارد من نوع ${resourceType} بعد أن كانت غير مقيدة`;
+                } else if (!newName) {
+                    description = `الموارد من نوع ${resourceType} لم تعد مقيدة بعد إزالة ${oldName}`;
+                } else {
+                    description = `${newName} يتجاوز الآن ${oldName} للموارد من نوع ${resourceType}`;
+                }
+
+                changes.push({ resourceType, directive: directiveName, before: oldName, after: newName, description });
+            });
+
+            return changes;
+        }
+
+        /**
+         * الموارد التي كانت مسموحة وأصبحت محظورة
+         * Previously allowed resource classes that the new policy blocks
+         */
+        findBlockedResources(before, after) {
+            const policySet = new CSPPolicySet([], { parser: this.parser });
+            const blocked = [];
+
+            Object.entries(CSPParser.RESOURCE_TYPES).forEach(([resourceType, directiveName]) => {
+                // Keywords other than 'self' only mean something for scripts and styles
+                const keywordsApply = /^(script|style)/.test(resourceType);
+                const oldEntry = policySet.getEffectiveSources(before, directiveName);
+                const newEntry = policySet.getEffectiveSources(after, directiveName);
+
+                // Nothing new can be blocked when the new policy does not restrict this type
+                if (!newEntry) return;
+
+                const newSources = newEntry.sources;
+                const fullyBlocked = newSources.length === 0 && (!oldEntry || oldEntry.sources.length > 0);
+                let lost;
+
+                if (!oldEntry) {
+                    lost = ['*'];
+                } else {
+                    lost = oldEntry.sources
+                        .filter(source => keywordsApply || source.kind !== 'keyword' || source.keyword === 'self')
+                        .filter(source => !newSources.some(kept => policySet.subsumes(kept, source)))
+                        .map(source => source.value);
+                }
+
+                if (lost.length === 0 && !fullyBlocked) return;
+
+                blocked.push({
+                    resourceType,
+                    directive: newEntry.directive,
+                    fullyBlocked,
+                    lost,
+                    classes: lost.map(value => this.describeSource(value)),
+                    description: fullyBlocked
+                        ? `جميع الموارد من نوع ${resourceType} أصبحت محظورة`
+                        : `الموارد من نوع ${resourceType} فقدت: ${lost.join(' ')}`
+                });
+            });
+
+            return blocked;
+        }
+
+        describeSource(value) {
+            if (value === '*') return 'جميع المصادر';
+
+            const keyword = value.replace(/'/g, '').toLowerCase();
+            if (KEYWORD_CLASSES[keyword]) return KEYWORD_CLASSES[keyword];
+            if (/^'nonce-/i.test(value)) return 'العناصر التي تحمل هذا الـ nonce';
+            if (/^'sha(256|384|512)-/i.test(value)) return 'المحتوى المطابق لهذه التجزئة';
+            if (/^[a-z][a-z0-9+.-]*:$/i.test(value)) return `كل عناوين ${value}`;
+
+            return `الموارد من ${value}`;
+        }
+    }
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { CSPPolicyDiff };
+    } else {
+        root.CSPPolicyDiff = CSPPolicyDiff;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
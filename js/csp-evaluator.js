@@ -0,0 +1,345 @@
+/**
+ * محرك تقييم سياسة أمان المحتوى
+ * CSP Policy Evaluation Engine
+ * Answers "would this request be allowed?" using the CSP Level 3 matching rules
+ */
+
+(function (root) {
+    'use strict';
+
+    const { CSPParser } = typeof module !== 'undefined' && module.exports ? require('./csp-parser.js') : root;
+
+    const DEFAULT_PORTS = { 'http:': 80, 'https:': 443, 'ws:': 80, 'wss:': 443, 'ftp:': 21 };
+
+    // Checks that are not fetches but are still governed by script-src
+    const EXTRA_RESOURCE_TYPES = {
+        eval: 'script-src',
+        wasm: 'script-src'
+    };
+
+    const DIGEST_ALGORITHMS = { sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' };
+
+    class CSPEvaluator {
+        constructor(options = {}) {
+            this.parser = options.parser || new CSPParser();
+        }
+
+        /**
+         * تقييم طلب مقابل سياسة أو أكثر
+         * Evaluate a request against one policy, a list of policies or a raw header value.
+         *
+         * request: { origin, resourceType, url?, inline?, nonce?, integrity?, parserInserted? }
+         * inline is the body of an inline <script>/<style> or event handler attribute.
+         */
+        async evaluate(policyInput, request) {
+            const policies = this.normalizePolicies(policyInput);
+            const results = [];
+
+            for (const policy of policies) {
+                results.push(await this.evaluatePolicy(policy, request));
+            }
+
+            // Every enforced policy must allow the request
+            const blocking = results.find(result => !result.allowed);
+            const primary = blocking || results.find(result => result.directive) || results[0] || this.unrestricted(request);
+
+            return {
+                ...primary,
+                policies: results
+            };
+        }
+
+        normalizePolicies(policyInput) {
+            if (typeof policyInput === 'string') return this.parser.parseHeaders(policyInput);
+            if (Array.isArray(policyInput)) {
+                return policyInput.map(policy => (typeof policy === 'string' ? this.parser.parse(policy) : policy));
+            }
+            return [policyInput];
+        }
+
+        /**
+         * تقييم طلب مقابل سياسة واحدة
+         * Evaluate a request against a single parsed policy
+         */
+        async evaluatePolicy(policy, request) {
+            const resourceType = request.resourceType;
+            const effectiveDirective = CSPParser.RESOURCE_TYPES[resourceType] || EXTRA_RESOURCE_TYPES[resourceType];
+
+            if (!effectiveDirective) {
+                throw new Error(`نوع مورد غير مدعوم: ${resourceType}`);
+            }
+
+            const directive = this.parser.getEffectiveDirective(policy, effectiveDirective);
+            const base = {
+                resourceType,
+                effectiveDirective,
+                directive: directive ? directive.name : null,
+                matchedSource: null
+            };
+
+            if (!directive || !directive.sources) {
+                return this.decide(base, true, `لا يوجد توجيه يقيّد ${effectiveDirective} - مسموح`);
+            }
+
+            const sources = directive.sources.filter(source => source.kind !== 'invalid');
+
+            if (resourceType === 'eval' || resourceType === 'wasm') {
+                return this.evaluateEval(base, sources, resourceType);
+            }
+
+            if (request.inline !== undefined && request.inline !== null) {
+                return this.evaluateInline(base, sources, request);
+            }
+
+            return this.evaluateURL(base, sources, request);
+        }
+
+        /**
+         * تقييم مورد خارجي بعنوان URL
+         * Evaluate a fetch of an external URL
+         */
+        evaluateURL(base, sources, request) {
+            const origin = new URL(request.origin);
+            const url = new URL(request.url, origin);
+            const isScript = base.effectiveDirective.startsWith('script-src') || base.effectiveDirective === 'worker-src';
+            const isScriptOrStyle = isScript || base.effectiveDirective.startsWith('style-src');
+
+            if (isScriptOrStyle && request.nonce) {
+                const nonce = sources.find(source => source.kind === 'nonce' && source.nonce === request.nonce);
+                if (nonce) {
+                    return this.decide({ ...base, matchedSource: nonce.value }, true, 'الـ nonce يطابق السياسة');
+                }
+            }
+
+            if (isScriptOrStyle && request.integrity) {
+                const hashes = sources.filter(source => source.kind === 'hash');
+                const metadata = String(request.integrity).split(/\s+/).filter(Boolean);
+                const matched = metadata.length > 0 && hashes.length > 0 && metadata.every(item =>
+                    hashes.some(hash => `${hash.algorithm}-${this.normalizeBase64(hash.digest)}` ===
+                        this.normalizeBase64(item.split('?')[0])));
+                if (matched) {
+                    return this.decide({ ...base, matchedSource: metadata.join(' ') }, true, 'قيم integrity تطابق hashes في السياسة');
+                }
+            }
+
+            const strictDynamic = isScript && sources.find(source => source.keyword === 'strict-dynamic');
+            if (strictDynamic) {
+                if (request.parserInserted === false) {
+                    return this.decide({ ...base, matchedSource: strictDynamic.value }, true,
+                        "'strict-dynamic' يثق بالسكريبت المضاف برمجيًا من سكريبت موثوق");
+                }
+                return this.decide(base, false,
+                    "'strict-dynamic' يتجاهل قائمة المضيفين - السكريبت يحتاج nonce أو hash");
+            }
+
+            for (const source of sources) {
+                if (this.matchesURL(source, url, origin, request.redirected)) {
+                    return this.decide({ ...base, matchedSource: source.value }, true, `مسموح عبر ${source.value}`);
+                }
+            }
+
+            return this.decide(base, false, `${url.href} لا يطابق أي مصدر في ${base.directive}`);
+        }
+
+        /**
+         * تقييم سكريبت أو نمط مضمن
+         * Evaluate an inline <script>/<style> element or an inline attribute
+         */
+        async evaluateInline(base, sources, request) {
+            const isAttribute = base.effectiveDirective.endsWith('-attr');
+            const isScript = base.effectiveDirective.startsWith('script-src');
+            const hasNonceOrHash = sources.some(source => source.kind === 'nonce' || source.kind === 'hash');
+            const strictDynamic = isScript && sources.some(source => source.keyword === 'strict-dynamic');
+            const unsafeHashes = sources.some(source => source.keyword === 'unsafe-hashes');
+
+            if (!isAttribute && request.nonce) {
+                const nonce = sources.find(source => source.kind === 'nonce' && source.nonce === request.nonce);
+                if (nonce) {
+                    return this.decide({ ...base, matchedSource: nonce.value }, true, 'الـ nonce يطابق السياسة');
+                }
+            }
+
+            if (!isAttribute || unsafeHashes) {
+                for (const source of sources.filter(item => item.kind === 'hash')) {
+                    const digest = await this.computeDigest(source.algorithm, request.inline);
+                    if (digest === this.normalizeBase64(source.digest)) {
+                        return this.decide({ ...base, matchedSource: source.value }, true, 'hash المحتوى يطابق السياسة');
+                    }
+                }
+            }
+
+            const unsafeInline = sources.find(source => source.keyword === 'unsafe-inline');
+            if (unsafeInline && !hasNonceOrHash && !strictDynamic) {
+                return this.decide({ ...base, matchedSource: unsafeInline.value }, true, "مسموح عبر 'unsafe-inline'");
+            }
+
+            const reason = unsafeInline
+                ? "'unsafe-inline' يُتجاهل بوجود nonce أو hash أو 'strict-dynamic'"
+                : `المحتوى المضمن غير مسموح في ${base.directive}`;
+            return this.decide(base, false, reason);
+        }
+
+        /**
+         * تقييم eval() و WebAssembly
+         * Evaluate eval() and WebAssembly compilation
+         */
+        evaluateEval(base, sources, resourceType) {
+            const accepted = resourceType === 'wasm' ? ['unsafe-eval', 'wasm-unsafe-eval'] : ['unsafe-eval'];
+            const source = sources.find(item => accepted.includes(item.keyword));
+
+            if (source) {
+                return this.decide({ ...base, matchedSource: source.value }, true, `مسموح عبر ${source.value}`);
+            }
+            return this.decide(base, false, `${resourceType} يتطلب ${accepted.map(k => `'${k}'`).join(' أو ')}`);
+        }
+
+        /**
+         * مطابقة عنوان URL مع تعبير مصدر
+         * Does url match expression in origin (CSP3 §6.7.2.8)
+         */
+        matchesURL(source, url, origin, redirected = false) {
+            switch (source.kind) {
+                case 'scheme':
+                    return this.schemeMatches(source.scheme, url.protocol.slice(0, -1));
+
+                case 'keyword':
+                    return source.keyword === 'self' && this.matchesSelf(url, origin);
+
+                case 'host':
+                    if (source.host === '*' && !source.scheme && !source.port && !source.path) {
+                        return ['http:', 'https:'].includes(url.protocol) || url.protocol === origin.protocol;
+                    }
+                    return this.hostSourceMatches(source, url, origin, redirected);
+
+                default:
+                    return false;
+            }
+        }
+
+        hostSourceMatches(source, url, origin, redirected) {
+            if (!url.hostname) return false;
+
+            const urlScheme = url.protocol.slice(0, -1);
+            const expectedScheme = source.scheme || origin.protocol.slice(0, -1);
+            if (!this.schemeMatches(expectedScheme, urlScheme)) return false;
+
+            const host = url.hostname.toLowerCase();
+            if (source.host === '*') {
+                // "scheme://*" style expressions match any host
+            } else if (source.wildcard) {
+                if (!host.endsWith('.' + source.host)) return false;
+            } else if (host !== source.host) {
+                return false;
+            }
+
+            if (!this.portMatches(source.port, url)) return false;
+
+            // Paths are not checked after a redirect, to avoid leaking the redirect target
+            if (source.path && !redirected && !this.pathMatches(source.path, url.pathname)) return false;
+
+            return true;
+        }
+
+        /**
+         * مطابقة المخطط مع السماح بالترقية الآمنة
+         * scheme-part matching, allowing secure upgrades
+         */
+        schemeMatches(expression, scheme) {
+            expression = expression.toLowerCase();
+            if (expression === scheme) return true;
+            if (expression === 'http') return scheme === 'https';
+            if (expression === 'ws') return ['wss', 'http', 'https'].includes(scheme);
+            if (expression === 'wss') return scheme === 'https';
+            return false;
+        }
+
+        portMatches(port, url) {
+            if (port === '*') return true;
+
+            const defaultPort = DEFAULT_PORTS[url.protocol];
+            const urlPort = url.port === '' ? defaultPort : Number(url.port);
+
+            if (port === null) return urlPort === defaultPort;
+            if (port === urlPort) return true;
+            return port === 80 && urlPort === 443;
+        }
+
+        pathMatches(expressionPath, urlPath) {
+            if (expressionPath === '/' && urlPath === '') return true;
+
+            const exact = !expressionPath.endsWith('/');
+            const expressionParts = expressionPath.split('/');
+            const urlParts = (urlPath || '/').split('/');
+
+            if (expressionParts.length > urlParts.length) return false;
+            if (exact && expressionParts.length !== urlParts.length) return false;
+            if (!exact) expressionParts.pop();
+
+            return expressionParts.every((part, index) => this.decode(part) === this.decode(urlParts[index]));
+        }
+
+        matchesSelf(url, origin) {
+            if (url.origin === origin.origin) return true;
+            if (url.hostname !== origin.hostname) return false;
+
+            const urlPort = url.port === '' ? DEFAULT_PORTS[url.protocol] : Number(url.port);
+            const originPort = origin.port === '' ? DEFAULT_PORTS[origin.protocol] : Number(origin.port);
+            const samePort = urlPort === originPort ||
+                (DEFAULT_PORTS[url.protocol] === urlPort && DEFAULT_PORTS[origin.protocol] === originPort);
+
+            if (!samePort) return false;
+            if (url.protocol === 'https:' || url.protocol === 'wss:') return true;
+            return origin.protocol === 'http:' && (url.protocol === 'http:' || url.protocol === 'ws:');
+        }
+
+        /**
+         * حساب hash بصيغة base64
+         * Compute a base64 digest of a UTF-8 string
+         */
+        async computeDigest(algorithm, content) {
+            const data = new TextEncoder().encode(content);
+            const buffer = await crypto.subtle.digest(DIGEST_ALGORITHMS[algorithm], data);
+            return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+        }
+
+        normalizeBase64(value) {
+            return String(value).replace(/-/g, '+').replace(/_/g, '/').replace(/^(sha\d+)\+/, '$1-');
+        }
+
+        decode(part) {
+            try {
+                return decodeURIComponent(part);
+            } catch {
+                return part;
+            }
+        }
+
+        decide(base, allowed, reason) {
+            return {
+                ...base,
+                allowed,
+                result: allowed ? 'allow' : 'block',
+                reason
+            };
+        }
+
+        unrestricted(request) {
+            return {
+                resourceType: request.resourceType,
+                effectiveDirective: CSPParser.RESOURCE_TYPES[request.resourceType] || null,
+                directive: null,
+                matchedSource: null,
+                allowed: true,
+                result: 'allow',
+                reason: 'لا توجد سياسة مطبقة'
+            };
+        }
+    }
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { CSPEvaluator };
+    } else {
+        root.CSPEvaluator = CSPEvaluator;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,199 @@
+/**
+ * حاسبة hashes للمحتوى المضمن
+ * CSP Inline Content Hasher
+ * Hash inline scripts, styles and event handlers into script-src / style-src source expressions
+ */
+
+(function (root) {
+    'use strict';
+
+    const DIGEST_ALGORITHMS = { sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' };
+
+    // Script types the browser executes, and therefore checks against CSP
+    const EXECUTABLE_TYPES = [
+        '', 'module', 'importmap', 'speculationrules',
+        'text/javascript', 'application/javascript', 'text/ecmascript', 'application/ecmascript'
+    ];
+
+    // Enough entity decoding for attribute values when no DOM parser is available
+    const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", '#39': "'", '#x27': "'" };
+
+    class CSPHasher {
+        constructor(options = {}) {
+            this.algorithms = options.algorithms || ['sha256'];
+
+            this.algorithms.forEach(algorithm => {
+                if (!DIGEST_ALGORITHMS[algorithm]) {
+                    throw new Error(`خوارزمية hash غير مدعومة: ${algorithm}`);
+                }
+            });
+        }
+
+        /**
+         * حساب hash بصيغة base64
+         * Base64 digest of a string (UTF-8) or of raw bytes
+         */
+        async digest(algorithm, content) {
+            const data = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+            const buffer = await crypto.subtle.digest(DIGEST_ALGORITHMS[algorithm], data);
+            return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+        }
+
+        /**
+         * مصادر hash لمحتوى واحد بكل الخوارزميات المختارة
+         * Source expressions for one piece of content, one per selected algorithm
+         */
+        async hashSources(content) {
+            const sources = [];
+            for (const algorithm of this.algorithms) {
+                sources.push(`'${algorithm}-${await this.digest(algorithm, content)}'`);
+            }
+            return sources;
+        }
+
+        /**
+         * استخراج المحتوى المضمن من HTML أو من مستند
+         * Extract inline content from an HTML string or a Document
+         */
+        extract(input) {
+            if (typeof input !== 'string') return this.extractFromDocument(input);
+
+            if (typeof DOMParser !== 'undefined') {
+                return this.extractFromDocument(new DOMParser().parseFromString(input, 'text/html'));
+            }
+
+            return this.extractFromMarkup(input);
+        }
+
+        extractFromDocument(doc) {
+            const inline = { scripts: [], styles: [], handlers: [], styleAttributes: [] };
+
+            doc.querySelectorAll('script').forEach(script => {
+                if (script.hasAttribute('src') || !this.isExecutable(script.getAttribute('type'))) return;
+                inline.scripts.push({ element: 'script', content: script.textContent });
+            });
+
+            doc.querySelectorAll('style').forEach(style => {
+                inline.styles.push({ element: 'style', content: style.textContent });
+            });
+
+            doc.querySelectorAll('*').forEach(element => {
+                Array.from(element.attributes).forEach(attribute => {
+                    this.collectAttribute(inline, element.tagName.toLowerCase(), attribute.name.toLowerCase(), attribute.value);
+                });
+            });
+
+            return inline;
+        }
+
+        extractFromMarkup(html) {
+            const inline = { scripts: [], styles: [], handlers: [], styleAttributes: [] };
+            const blockPattern = /<(script|style)\b([^>]*)>([\s\S]*?)<\/\1\s*>/gi;
+            const tagPattern = /<([a-z][a-z0-9-]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+            const source = html.replace(/<!--[\s\S]*?-->/g, '');
+            let match;
+
+            while ((match = blockPattern.exec(source)) !== null) {
+                const element = match[1].toLowerCase();
+                const attributes = this.parseAttributes(match[2]);
+
+                if (element === 'script' && (attributes.src !== undefined || !this.isExecutable(attributes.type))) continue;
+                inline[element === 'script' ? 'scripts' : 'styles'].push({ element, content: match[3] });
+            }
+
+            // Attributes are only read from real tags, not from comments or script/style bodies
+            const markup = source.replace(blockPattern, (block, element, attributes) => `<${element}${attributes}>`);
+
+            while ((match = tagPattern.exec(markup)) !== null) {
+                const element = match[1].toLowerCase();
+                Object.entries(this.parseAttributes(match[2])).forEach(([name, value]) => {
+                    this.collectAttribute(inline, element, name, value);
+                });
+            }
+
+            return inline;
+        }
+
+        parseAttributes(text) {
+            const attributes = {};
+            const attributePattern = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+            let match;
+
+            while ((match = attributePattern.exec(text)) !== null) {
+                const name = match[1].toLowerCase();
+                if (name in attributes) continue;
+                const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4] || '';
+                attributes[name] = this.decodeEntities(value);
+            }
+
+            return attributes;
+        }
+
+        decodeEntities(value) {
+            return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+                const key = name.toLowerCase();
+                if (ENTITIES[key]) return ENTITIES[key];
+                if (key.startsWith('#x')) return String.fromCodePoint(parseInt(key.slice(2), 16));
+                if (key.startsWith('#')) return String.fromCodePoint(parseInt(key.slice(1), 10));
+                return entity;
+            });
+        }
+
+        collectAttribute(inline, element, name, value) {
+            if (/^on[a-z]+$/.test(name)) {
+                inline.handlers.push({ element, attribute: name, content: value });
+            } else if (name === 'style' && value.trim()) {
+                inline.styleAttributes.push({ element, attribute: name, content: value });
+            }
+        }
+
+        isExecutable(type) {
+            return EXECUTABLE_TYPES.includes((type || '').trim().toLowerCase());
+        }
+
+        /**
+         * توليد script-src و style-src من المحتوى المضمن
+         * Hash every inline block and attribute and build script-src / style-src
+         */
+        async generate(input) {
+            const inline = this.extract(input);
+
+            for (const group of Object.values(inline)) {
+                for (const item of group) {
+                    item.hashes = await this.hashSources(item.content);
+                }
+            }
+
+            const unique = items => [...new Set(items.flatMap(item => item.hashes))];
+            const forcedBy = items => items.map(item => `${item.attribute} على <${item.element}>`);
+
+            const scriptHashes = unique([...inline.scripts, ...inline.handlers]);
+            const styleHashes = unique([...inline.styles, ...inline.styleAttributes]);
+
+            // Hashes only cover attributes when 'unsafe-hashes' is present
+            const scriptSources = [...scriptHashes];
+            const styleSources = [...styleHashes];
+            if (inline.handlers.length > 0) scriptSources.push("'unsafe-hashes'");
+            if (inline.styleAttributes.length > 0) styleSources.push("'unsafe-hashes'");
+
+            return {
+                ...inline,
+                scriptSrc: scriptSources.length > 0 ? `script-src 'self' ${scriptSources.join(' ')}` : null,
+                styleSrc: styleSources.length > 0 ? `style-src 'self' ${styleSources.join(' ')}` : null,
+                unsafeHashes: {
+                    script: forcedBy(inline.handlers),
+                    style: forcedBy(inline.styleAttributes)
+                }
+            };
+        }
+    }
+
+    CSPHasher.ALGORITHMS = Object.keys(DIGEST_ALGORITHMS);
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { CSPHasher };
+    } else {
+        root.CSPHasher = CSPHasher;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
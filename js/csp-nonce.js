@@ -0,0 +1,156 @@
+/**
+ * عقد nonce لكل طلب
+ * Per-request CSP nonce contract
+ * Policies carry a placeholder that the server swaps for a fresh nonce on every response
+ */
+
+(function (root) {
+    'use strict';
+
+    // Valid base64-value, so policies containing it still parse and validate
+    const PLACEHOLDER = '__CSP_NONCE__';
+    const DEFAULT_HEADER = 'Content-Security-Policy';
+
+    class CSPNonce {
+        /**
+         * توليد nonce عشوائي (128 بت)
+         * Generate a random 128-bit base64 nonce
+         */
+        generate() {
+            const array = new Uint8Array(16);
+            crypto.getRandomValues(array);
+            return btoa(String.fromCharCode(...array));
+        }
+
+        /**
+         * هل تحتوي السياسة على عنصر nonce النائب؟
+         * Whether the policy uses the nonce placeholder
+         */
+        hasPlaceholder(csp) {
+            return typeof csp === 'string' && csp.includes(PLACEHOLDER);
+        }
+
+        /**
+         * استبدال العنصر النائب بقيمة nonce
+         * Replace the placeholder with a concrete nonce in a policy or HTML
+         */
+        apply(text, nonce) {
+            return text.split(PLACEHOLDER).join(nonce);
+        }
+
+        /**
+         * توليد شيفرة middleware لكل منصة
+         * Per-request nonce middleware for each supported server; options.header is
+         * Content-Security-Policy-Report-Only while the rollout is still in Report-Only
+         */
+        generateMiddleware(csp, options = {}) {
+            const header = options.header || DEFAULT_HEADER;
+            return {
+                express: this.generateExpressMiddleware(csp, header),
+                nginx: this.generateNginxMiddleware(csp, header),
+                apache: this.generateApacheMiddleware(csp, header),
+                php: this.generatePHPMiddleware(csp, header)
+            };
+        }
+
+        generateExpressMiddleware(csp, header = DEFAULT_HEADER) {
+            return `const crypto = require('crypto');
+
+const CSP = "${csp}";
+
+// nonce جديد لكل طلب في الرأس وفي الوسوم التي كتبها القالب بـ nonce="${PLACEHOLDER}"
+// لا يضاف nonce لوسوم أخرى: قد تكون محقونة، والسياسة يجب أن تمنعها
+app.use((req, res, next) => {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    res.locals.cspNonce = nonce;
+    res.setHeader('${header}', CSP.split('${PLACEHOLDER}').join(nonce));
+
+    const send = res.send.bind(res);
+    res.send = body => {
+        if (typeof body === 'string' && /html/i.test(res.get('Content-Type') || 'text/html')) {
+            body = body.split('${PLACEHOLDER}').join(nonce);
+        }
+        return send(body);
+    };
+
+    next();
+});`;
+        }
+
+        generateNginxMiddleware(csp, header = DEFAULT_HEADER) {
+            const value = csp.split(PLACEHOLDER).join('$cspNonce');
+
+            return `# nonce.js (njs)
+# function nonce(r) {
+#     return Buffer.from(crypto.getRandomValues(new Uint8Array(16))).toString('base64');
+# }
+# export default { nonce };
+
+http {
+    js_import csp from conf.d/nonce.js;
+    js_set $cspNonce csp.nonce;
+
+    server {
+        # القوالب تكتب nonce="${PLACEHOLDER}" في وسومها فقط؛ أي وسم آخر (ربما محقون) يبقى بلا nonce
+        location / {
+            # sub_filter يحتاج استجابة غير مضغوطة من الخادم الخلفي
+            proxy_set_header Accept-Encoding "";
+
+            sub_filter_once off;
+            sub_filter_types text/html;
+            sub_filter '${PLACEHOLDER}' '$cspNonce';
+
+            add_header ${header} "${value}" always;
+        }
+    }
+}
+
+# بدون njs يمكن استخدام $request_id (128 بت) بدلاً من $cspNonce:
+# set $cspNonce $request_id;`;
+        }
+
+        generateApacheMiddleware(csp, header = DEFAULT_HEADER) {
+            const value = csp.split(PLACEHOLDER).join('%{CSP_NONCE}e');
+
+            return `# يتطلب mod_cspnonce (يضبط CSP_NONCE لكل طلب) و mod_include
+LoadModule headers_module modules/mod_headers.so
+LoadModule include_module modules/mod_include.so
+LoadModule cspnonce_module modules/mod_cspnonce.so
+
+<IfModule mod_headers.c>
+    Header always set ${header} "${value}"
+</IfModule>
+
+# القوالب تستخدم SSI لإدراج القيمة نفسها في كل وسم:
+# <script nonce="<!--#echo var="CSP_NONCE" -->">
+# <style nonce="<!--#echo var="CSP_NONCE" -->">
+<FilesMatch "\\.html$">
+    Options +Includes
+    SetOutputFilter INCLUDES
+</FilesMatch>`;
+        }
+
+        generatePHPMiddleware(csp, header = DEFAULT_HEADER) {
+            return `<?php
+// nonce جديد لكل طلب في الرأس وفي الوسوم التي كتبها القالب بـ nonce="${PLACEHOLDER}"
+// لا يضاف nonce لوسوم أخرى: قد تكون محقونة، والسياسة يجب أن تمنعها
+$cspNonce = base64_encode(random_bytes(16));
+$csp = "${csp}";
+
+header('${header}: ' . str_replace('${PLACEHOLDER}', $cspNonce, $csp));
+
+ob_start(function ($html) use ($cspNonce) {
+    return str_replace('${PLACEHOLDER}', $cspNonce, $html);
+});`;
+        }
+    }
+
+    CSPNonce.PLACEHOLDER = PLACEHOLDER;
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { CSPNonce };
+    } else {
+        root.CSPNonce = CSPNonce;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,528 @@
+/**
+ * محلل سياسة أمان المحتوى
+ * CSP Level 3 Policy Parser
+ * Spec-compliant parsing of serialized policies into a typed AST
+ */
+
+(function (root) {
+    'use strict';
+
+    // Runs of non ASCII-whitespace, as defined by the Infra standard
+    const TOKEN = /[^\t\n\f\r ]+/g;
+
+    // سجل التوجيهات المعروفة
+    // Known directives, their category and the grammar of their value
+    const DIRECTIVES = {
+        'default-src': { category: 'fetch', value: 'source-list' },
+        'child-src': { category: 'fetch', value: 'source-list' },
+        'connect-src': { category: 'fetch', value: 'source-list' },
+        'font-src': { category: 'fetch', value: 'source-list' },
+        'frame-src': { category: 'fetch', value: 'source-list' },
+        'img-src': { category: 'fetch', value: 'source-list' },
+        'manifest-src': { category: 'fetch', value: 'source-list' },
+        'media-src': { category: 'fetch', value: 'source-list' },
+        'object-src': { category: 'fetch', value: 'source-list' },
+        'script-src': { category: 'fetch', value: 'source-list' },
+        'script-src-elem': { category: 'fetch', value: 'source-list' },
+        'script-src-attr': { category: 'fetch', value: 'source-list' },
+        'style-src': { category: 'fetch', value: 'source-list' },
+        'style-src-elem': { category: 'fetch', value: 'source-list' },
+        'style-src-attr': { category: 'fetch', value: 'source-list' },
+        'worker-src': { category: 'fetch', value: 'source-list' },
+        'prefetch-src': { category: 'fetch', value: 'source-list', deprecated: true },
+        'base-uri': { category: 'document', value: 'source-list' },
+        'sandbox': { category: 'document', value: 'sandbox' },
+        'form-action': { category: 'navigation', value: 'source-list' },
+        'frame-ancestors': { category: 'navigation', value: 'ancestor-source-list' },
+        'report-uri': { category: 'reporting', value: 'uri-list', deprecated: true },
+        'report-to': { category: 'reporting', value: 'token' },
+        'upgrade-insecure-requests': { category: 'other', value: 'empty' },
+        'block-all-mixed-content': { category: 'other', value: 'empty', deprecated: true },
+        'require-trusted-types-for': { category: 'other', value: 'sink-groups' },
+        'trusted-types': { category: 'other', value: 'trusted-types' },
+        'webrtc': { category: 'other', value: 'webrtc' },
+        'plugin-types': { category: 'other', value: 'media-types', deprecated: true },
+        'require-sri-for': { category: 'other', value: 'sri', deprecated: true }
+    };
+
+    // Directive fallback lists (CSP3 §6.8.3)
+    const FALLBACKS = {
+        'script-src-elem': ['script-src-elem', 'script-src', 'default-src'],
+        'script-src-attr': ['script-src-attr', 'script-src', 'default-src'],
+        'style-src-elem': ['style-src-elem', 'style-src', 'default-src'],
+        'style-src-attr': ['style-src-attr', 'style-src', 'default-src'],
+        'worker-src': ['worker-src', 'child-src', 'script-src', 'default-src'],
+        'frame-src': ['frame-src', 'child-src', 'default-src'],
+        'child-src': ['child-src', 'default-src'],
+        'script-src': ['script-src', 'default-src'],
+        'style-src': ['style-src', 'default-src'],
+        'connect-src': ['connect-src', 'default-src'],
+        'font-src': ['font-src', 'default-src'],
+        'img-src': ['img-src', 'default-src'],
+        'manifest-src': ['manifest-src', 'default-src'],
+        'media-src': ['media-src', 'default-src'],
+        'object-src': ['object-src', 'default-src'],
+        'prefetch-src': ['prefetch-src', 'default-src']
+    };
+
+    // أنواع الموارد والتوجيه الفعلي الذي يحكمها
+    // Resource types and the effective directive that governs each of them
+    const RESOURCE_TYPES = {
+        script: 'script-src-elem',
+        'script-attr': 'script-src-attr',
+        style: 'style-src-elem',
+        'style-attr': 'style-src-attr',
+        img: 'img-src',
+        font: 'font-src',
+        connect: 'connect-src',
+        frame: 'frame-src',
+        worker: 'worker-src',
+        media: 'media-src',
+        object: 'object-src',
+        manifest: 'manifest-src',
+        form: 'form-action',
+        base: 'base-uri',
+        'frame-ancestor': 'frame-ancestors'
+    };
+
+    const KEYWORDS = [
+        'self',
+        'unsafe-inline',
+        'unsafe-eval',
+        'strict-dynamic',
+        'unsafe-hashes',
+        'report-sample',
+        'unsafe-allow-redirects',
+        'wasm-unsafe-eval',
+        'inline-speculation-rules'
+    ];
+
+    // Expected base64 length (with padding) of each digest
+    const HASH_LENGTHS = { sha256: 44, sha384: 64, sha512: 88 };
+
+    const SANDBOX_TOKENS = [
+        'allow-downloads',
+        'allow-forms',
+        'allow-modals',
+        'allow-orientation-lock',
+        'allow-pointer-lock',
+        'allow-popups',
+        'allow-popups-to-escape-sandbox',
+        'allow-presentation',
+        'allow-same-origin',
+        'allow-scripts',
+        'allow-storage-access-by-user-activation',
+        'allow-top-navigation',
+        'allow-top-navigation-by-user-activation',
+        'allow-top-navigation-to-custom-protocols'
+    ];
+
+    // Directives where nonces, hashes and script keywords have an effect
+    const SCRIPT_STYLE_DIRECTIVES = [
+        'default-src',
+        'script-src',
+        'script-src-elem',
+        'script-src-attr',
+        'style-src',
+        'style-src-elem',
+        'style-src-attr'
+    ];
+
+    const HEADER_LINE = /^[\t ]*([A-Za-z0-9-]+)[\t ]*:(.*)$/;
+    const DIRECTIVE_NAME = /^[a-z0-9-]+$/i;
+    const SCHEME_SOURCE = /^([a-z][a-z0-9+.-]*):$/i;
+    const NONCE_SOURCE = /^'nonce-([A-Za-z0-9+/_-]+={0,2})'$/i;
+    const HASH_SOURCE = /^'(sha256|sha384|sha512)-([A-Za-z0-9+/_-]+={0,2})'$/i;
+    const QUOTED_SOURCE = /^'([^']*)'$/;
+    const HOST_SOURCE = /^(?:([a-z][a-z0-9+.-]*):\/\/)?(\*|(?:\*\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.?)(?::(\d+|\*))?(\/(?!\/)[^\s;,]*)?$/i;
+    const TRUSTED_TYPES_NAME = /^[A-Za-z0-9\-#=_/@.%]+$/;
+
+    class CSPParser {
+        /**
+         * تحليل سياسة CSP واحدة
+         * Parse a single serialized policy into an AST
+         */
+        parse(csp) {
+            const text = String(csp || '');
+            const policy = {
+                type: 'Policy',
+                source: text,
+                directives: [],
+                duplicates: [],
+                warnings: []
+            };
+
+            let offset = 0;
+            text.split(';').forEach(segment => {
+                const segmentStart = offset;
+                offset += segment.length + 1;
+
+                const leading = segment.length - segment.replace(/^[\t\n\f\r ]+/, '').length;
+                const trimmed = segment.slice(leading).replace(/[\t\n\f\r ]+$/, '');
+                if (!trimmed) return;
+
+                const directive = this.parseDirective(trimmed, segmentStart + leading, policy.warnings);
+
+                // Only the first occurrence of a directive is enforced
+                if (this.getDirective(policy, directive.name)) {
+                    directive.duplicate = true;
+                    policy.duplicates.push(directive);
+                    this.warn(policy.warnings, 'duplicate-directive', 'warning',
+                        `التوجيه ${directive.name} مكرر - يُعتمد الظهور الأول فقط`,
+                        directive.start, directive.end, directive.name);
+                    return;
+                }
+
+                policy.directives.push(directive);
+            });
+
+            return policy;
+        }
+
+        /**
+         * تحليل قائمة سياسات من ترويسة أو أكثر
+         * Parse one or more header values, each possibly holding comma-separated policies
+         */
+        parseHeaders(input) {
+            const values = Array.isArray(input) ? input : this.splitHeaderLines(String(input || ''));
+            const policies = [];
+
+            values.forEach(value => {
+                String(value).split(',').forEach(serialized => {
+                    const policy = this.parse(serialized);
+                    if (policy.directives.length === 0) return;
+                    policy.index = policies.length;
+                    policies.push(policy);
+                });
+            });
+
+            return policies;
+        }
+
+        /**
+         * فصل ترويسات Content-Security-Policy الملصقة كنص
+         * Split pasted "Content-Security-Policy: ..." lines into header values
+         */
+        splitHeaderLines(text) {
+            const lines = text.split(/\r?\n/);
+            if (!lines.some(line => HEADER_LINE.test(line) && this.isPolicyHeader(line))) {
+                return [text];
+            }
+
+            const values = [];
+            let current = null;
+
+            lines.forEach(line => {
+                const match = line.match(HEADER_LINE);
+                if (match && !DIRECTIVES[match[1].toLowerCase()]) {
+                    // A new header starts; only enforced CSP headers are kept
+                    current = this.isPolicyHeader(line) ? { value: match[2] } : null;
+                    if (current) values.push(current);
+                } else if (current) {
+                    current.value += '\n' + line;
+                }
+            });
+
+            return values.map(entry => entry.value);
+        }
+
+        isPolicyHeader(line) {
+            const match = line.match(HEADER_LINE);
+            return Boolean(match) && match[1].toLowerCase() === 'content-security-policy';
+        }
+
+        /**
+         * تحليل توجيه واحد
+         * Parse a single directive
+         */
+        parseDirective(text, start, warnings) {
+            const tokens = [];
+            let match;
+            TOKEN.lastIndex = 0;
+            while ((match = TOKEN.exec(text)) !== null) {
+                tokens.push({ value: match[0], start: start + match.index, end: start + match.index + match[0].length });
+            }
+
+            const nameToken = tokens.shift();
+            const rawName = nameToken.value;
+            const name = rawName.toLowerCase();
+            const definition = DIRECTIVES[name] || null;
+
+            const directive = {
+                type: 'Directive',
+                name,
+                rawName,
+                category: definition ? definition.category : 'unknown',
+                known: Boolean(definition),
+                value: tokens.map(token => token.value),
+                sources: null,
+                start,
+                end: start + text.length,
+                nameStart: nameToken.start,
+                nameEnd: nameToken.end
+            };
+
+            if (!DIRECTIVE_NAME.test(rawName)) {
+                this.warn(warnings, 'invalid-directive-name', 'error',
+                    `اسم توجيه غير صالح: ${rawName}`, nameToken.start, nameToken.end, name);
+            } else if (!definition) {
+                this.warn(warnings, 'unknown-directive', 'warning',
+                    `توجيه غير معروف: ${rawName}`, nameToken.start, nameToken.end, name);
+            } else if (definition.deprecated) {
+                this.warn(warnings, 'deprecated-directive', 'info',
+                    `التوجيه ${name} مهمل (deprecated) في CSP Level 3`, nameToken.start, nameToken.end, name);
+            }
+
+            tokens.forEach(token => {
+                if (/[^\x21-\x7e]/.test(token.value)) {
+                    this.warn(warnings, 'invalid-character', 'error',
+                        `محرف غير صالح في القيمة ${token.value}`, token.start, token.end, name);
+                } else if (token.value.includes(',')) {
+                    this.warn(warnings, 'policy-separator', 'warning',
+                        `الفاصلة في ${token.value} تفصل بين سياسات متعددة في الترويسة`, token.start, token.end, name);
+                }
+            });
+
+            if (definition) {
+                this.validateValue(directive, definition, tokens, warnings);
+            }
+
+            return directive;
+        }
+
+        /**
+         * التحقق من قيمة التوجيه حسب نوعه
+         * Validate a directive value against its grammar
+         */
+        validateValue(directive, definition, tokens, warnings) {
+            const { name } = directive;
+
+            switch (definition.value) {
+                case 'source-list':
+                case 'ancestor-source-list':
+                    directive.sources = this.parseSourceList(name, tokens, warnings);
+                    break;
+
+                case 'empty':
+                    if (tokens.length > 0) {
+                        this.warn(warnings, 'unexpected-value', 'warning',
+                            `التوجيه ${name} لا يقبل قيمًا`, tokens[0].start, directive.end, name);
+                    }
+                    break;
+
+                case 'sandbox':
+                    tokens.forEach(token => {
+                        if (!SANDBOX_TOKENS.includes(token.value.toLowerCase())) {
+                            this.warn(warnings, 'invalid-sandbox-token', 'warning',
+                                `قيمة sandbox غير معروفة: ${token.value}`, token.start, token.end, name);
+                        }
+                    });
+                    break;
+
+                case 'token':
+                    if (tokens.length !== 1) {
+                        this.warn(warnings, 'invalid-token-count', 'error',
+                            `التوجيه ${name} يتطلب قيمة واحدة بالضبط`, directive.start, directive.end, name);
+                    }
+                    break;
+
+                case 'uri-list':
+                    if (tokens.length === 0) {
+                        this.warn(warnings, 'missing-value', 'error',
+                            `التوجيه ${name} يتطلب عنوان URI واحدًا على الأقل`, directive.start, directive.end, name);
+                    }
+                    break;
+
+                case 'sink-groups':
+                    tokens.forEach(token => {
+                        if (token.value.toLowerCase() !== "'script'") {
+                            this.warn(warnings, 'invalid-sink-group', 'error',
+                                `القيمة المسموحة الوحيدة في ${name} هي 'script'`, token.start, token.end, name);
+                        }
+                    });
+                    break;
+
+                case 'trusted-types':
+                    tokens.forEach(token => {
+                        const lower = token.value.toLowerCase();
+                        if (lower === "'none'" || lower === "'allow-duplicates'" || token.value === '*') return;
+                        if (!TRUSTED_TYPES_NAME.test(token.value)) {
+                            this.warn(warnings, 'invalid-policy-name', 'error',
+                                `اسم سياسة Trusted Types غير صالح: ${token.value}`, token.start, token.end, name);
+                        }
+                    });
+                    break;
+
+                case 'webrtc':
+                    if (tokens.length !== 1 || !["'allow'", "'block'"].includes(tokens[0].value.toLowerCase())) {
+                        this.warn(warnings, 'invalid-webrtc-value', 'error',
+                            `التوجيه ${name} يقبل 'allow' أو 'block' فقط`, directive.start, directive.end, name);
+                    }
+                    break;
+            }
+        }
+
+        /**
+         * تحليل قائمة المصادر
+         * Parse a source list
+         */
+        parseSourceList(directiveName, tokens, warnings) {
+            if (tokens.length === 0) {
+                this.warn(warnings, 'empty-source-list', 'info',
+                    `قائمة مصادر فارغة في ${directiveName} تعادل 'none'`, null, null, directiveName);
+                return [];
+            }
+
+            const sources = tokens.map(token => this.parseSourceExpression(token.value, token.start));
+            const hasNone = sources.some(source => source.kind === 'none');
+
+            if (hasNone && sources.length > 1) {
+                const none = sources.find(source => source.kind === 'none');
+                this.warn(warnings, 'none-with-sources', 'warning',
+                    `'none' يُتجاهل عند وجود مصادر أخرى في ${directiveName}`, none.start, none.end, directiveName);
+            }
+
+            sources.forEach(source => {
+                if (source.kind === 'invalid') {
+                    this.warn(warnings, 'invalid-source', 'error',
+                        `تعبير مصدر غير صالح: ${source.value}`, source.start, source.end, directiveName);
+                    return;
+                }
+
+                if (source.kind === 'host' && !source.scheme && !source.port && !source.path &&
+                    KEYWORDS.concat('none').includes(source.host)) {
+                    this.warn(warnings, 'unquoted-keyword', 'warning',
+                        `${source.value} بدون علامات اقتباس يُفسَّر كاسم مضيف - هل تقصد '${source.value}'؟`,
+                        source.start, source.end, directiveName);
+                }
+
+                if (source.kind === 'hash' && source.digest.length !== HASH_LENGTHS[source.algorithm]) {
+                    this.warn(warnings, 'hash-length', 'warning',
+                        `طول قيمة ${source.algorithm} غير صحيح في ${source.value}`, source.start, source.end, directiveName);
+                }
+
+                if (directiveName === 'frame-ancestors' &&
+                    !['host', 'scheme', 'none'].includes(source.kind) &&
+                    !(source.kind === 'keyword' && source.keyword === 'self')) {
+                    this.warn(warnings, 'source-not-allowed', 'error',
+                        `${source.value} غير مسموح في frame-ancestors`, source.start, source.end, directiveName);
+                } else if (!SCRIPT_STYLE_DIRECTIVES.includes(directiveName) &&
+                    (source.kind === 'nonce' || source.kind === 'hash' ||
+                     (source.kind === 'keyword' && source.keyword !== 'self'))) {
+                    this.warn(warnings, 'ineffective-source', 'info',
+                        `${source.value} ليس له تأثير في ${directiveName}`, source.start, source.end, directiveName);
+                }
+            });
+
+            return sources;
+        }
+
+        /**
+         * تحليل تعبير مصدر واحد
+         * Parse a single source expression
+         */
+        parseSourceExpression(token, start = 0) {
+            const expression = {
+                type: 'SourceExpression',
+                kind: 'invalid',
+                value: token,
+                start,
+                end: start + token.length
+            };
+            let match;
+
+            if (token.toLowerCase() === "'none'") {
+                expression.kind = 'none';
+            } else if ((match = token.match(NONCE_SOURCE))) {
+                expression.kind = 'nonce';
+                expression.nonce = match[1];
+            } else if ((match = token.match(HASH_SOURCE))) {
+                expression.kind = 'hash';
+                expression.algorithm = match[1].toLowerCase();
+                expression.digest = match[2];
+            } else if ((match = token.match(QUOTED_SOURCE))) {
+                const keyword = match[1].toLowerCase();
+                if (KEYWORDS.includes(keyword)) {
+                    expression.kind = 'keyword';
+                    expression.keyword = keyword;
+                }
+            } else if ((match = token.match(SCHEME_SOURCE))) {
+                expression.kind = 'scheme';
+                expression.scheme = match[1].toLowerCase();
+            } else if ((match = token.match(HOST_SOURCE))) {
+                const host = match[2].toLowerCase();
+                expression.kind = 'host';
+                expression.scheme = match[1] ? match[1].toLowerCase() : null;
+                expression.host = host.startsWith('*.') ? host.slice(2) : host;
+                expression.wildcard = host === '*' || host.startsWith('*.');
+                expression.port = match[3] ? (match[3] === '*' ? '*' : Number(match[3])) : null;
+                expression.path = match[4] || null;
+            }
+
+            return expression;
+        }
+
+        /**
+         * الحصول على توجيه بالاسم
+         * Get an enforced directive by name
+         */
+        getDirective(policy, name) {
+            const lower = String(name).toLowerCase();
+            return policy.directives.find(directive => directive.name === lower) || null;
+        }
+
+        /**
+         * الحصول على التوجيه الفعلي بعد تطبيق قائمة الرجوع
+         * Get the directive that actually applies after default-src fallback
+         */
+        getEffectiveDirective(policy, name) {
+            const fallbacks = FALLBACKS[name] || [name];
+            for (const candidate of fallbacks) {
+                const directive = this.getDirective(policy, candidate);
+                if (directive) return directive;
+            }
+            return null;
+        }
+
+        /**
+         * تحويل السياسة إلى خريطة اسم => قيمة
+         * Convert a policy to a name => value map
+         */
+        toDirectiveMap(policy) {
+            return policy.directives.reduce((map, directive) => {
+                map[directive.name] = directive.value.join(' ');
+                return map;
+            }, {});
+        }
+
+        /**
+         * إعادة تسلسل السياسة
+         * Serialize a policy back to header syntax
+         */
+        serialize(policy, separator = '; ') {
+            return policy.directives
+                .map(directive => [directive.name, ...directive.value].join(' '))
+                .join(separator);
+        }
+
+        /**
+         * إضافة تحذير
+         * Record a parser warning
+         */
+        warn(warnings, code, severity, message, start, end, directive) {
+            warnings.push({ code, severity, message, start, end, directive });
+        }
+    }
+
+    CSPParser.DIRECTIVES = DIRECTIVES;
+    CSPParser.KEYWORDS = KEYWORDS;
+    CSPParser.FALLBACKS = FALLBACKS;
+    CSPParser.RESOURCE_TYPES = RESOURCE_TYPES;
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { CSPParser };
+    } else {
+        root.CSPParser = CSPParser;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
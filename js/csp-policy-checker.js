@@ -0,0 +1,146 @@
+/**
+ * فاحص أمان سياسة CSP
+ * CSP Policy Checker
+ * Parser diagnostics plus the security weaknesses of the effective directives
+ */
+
+(function (root) {
+    'use strict';
+
+    const { CSPParser } = typeof module !== 'undefined' && module.exports ? require('./csp-parser.js') : root;
+
+    const PENALTIES = { error: 25, warning: 10, info: 2 };
+
+    // Sources that let an attacker load script from anywhere they can host a file
+    const PERMISSIVE_SCHEMES = ['http', 'https', 'data', 'blob', 'filesystem'];
+
+    class CSPPolicyChecker {
+        constructor(options = {}) {
+            this.parser = options.parser || new CSPParser();
+        }
+
+        /**
+         * فحص سياسة
+         * Check one serialized policy; valid means no error-level issue
+         */
+        check(input) {
+            const policy = typeof input === 'string' ? this.parser.parse(input) : input;
+            const issues = policy.warnings.map(warning => ({ ...warning, origin: 'parser' }));
+
+            if (policy.directives.length === 0) {
+                this.issue(issues, 'empty-policy', 'error', 'السياسة فارغة ولا تقيد أي مورد');
+            } else {
+                this.checkScripts(policy, issues);
+                this.checkObjects(policy, issues);
+                this.checkDocument(policy, issues);
+                this.checkTransport(policy, issues);
+            }
+
+            const penalty = issues.reduce((sum, item) => sum + (PENALTIES[item.severity] || 0), 0);
+            return {
+                valid: !issues.some(item => item.severity === 'error'),
+                score: Math.max(0, 100 - penalty),
+                issues,
+                policy
+            };
+        }
+
+        checkScripts(policy, issues) {
+            const directive = this.parser.getEffectiveDirective(policy, 'script-src');
+            if (!directive) {
+                this.issue(issues, 'missing-script-src', 'error', "لا يوجد script-src ولا default-src - السكريبتات غير مقيدة");
+                return;
+            }
+
+            const sources = directive.sources || [];
+            const has = keyword => sources.some(source => source.kind === 'keyword' && source.keyword === keyword);
+            const tokens = sources.some(source => source.kind === 'nonce' || source.kind === 'hash');
+            const strictDynamic = has('strict-dynamic');
+
+            if (has('unsafe-inline')) {
+                if (tokens) {
+                    this.issue(issues, 'unsafe-inline-fallback', 'info',
+                        `'unsafe-inline' في ${directive.name} يُتجاهل بوجود nonce أو hash ويبقى للمتصفحات القديمة فقط`, directive, "'unsafe-inline'");
+                } else {
+                    this.issue(issues, 'unsafe-inline', 'error',
+                        `'unsafe-inline' في ${directive.name} يسمح بتنفيذ أي سكريبت مضمن - استخدم nonce أو hash`, directive, "'unsafe-inline'");
+                }
+            }
+
+            if (has('unsafe-eval')) {
+                this.issue(issues, 'unsafe-eval', 'warning',
+                    `'unsafe-eval' في ${directive.name} يسمح بـ eval() و new Function()`, directive, "'unsafe-eval'");
+            }
+
+            if (strictDynamic && !tokens) {
+                this.issue(issues, 'strict-dynamic-without-nonce', 'warning',
+                    `'strict-dynamic' في ${directive.name} بدون nonce أو hash يمنع كل السكريبتات`, directive, "'strict-dynamic'");
+            }
+
+            // With 'strict-dynamic' host and scheme sources are ignored by CSP3 browsers
+            if (!strictDynamic) {
+                sources.forEach(source => {
+                    if (source.kind === 'host' && source.host === '*') {
+                        this.issue(issues, 'wildcard-script-source', 'error',
+                            `${source.value} في ${directive.name} يسمح بتحميل السكريبت من أي مضيف`, directive, source.value);
+                    } else if (source.kind === 'scheme' && PERMISSIVE_SCHEMES.includes(source.scheme)) {
+                        this.issue(issues, 'scheme-script-source', 'error',
+                            `${source.value} في ${directive.name} يسمح بتحميل السكريبت من أي عنوان بهذا المخطط`, directive, source.value);
+                    }
+                });
+            }
+        }
+
+        checkObjects(policy, issues) {
+            const directive = this.parser.getEffectiveDirective(policy, 'object-src');
+            const locked = directive && (directive.sources || []).length <= 1
+                && (directive.sources.length === 0 || directive.sources[0].kind === 'none');
+            if (!locked) {
+                this.issue(issues, 'object-src-not-none', 'warning',
+                    "object-src ليس 'none' - الإضافات (plugins) قد تتجاوز قيود السكريبت", directive);
+            }
+        }
+
+        checkDocument(policy, issues) {
+            if (!this.parser.getDirective(policy, 'base-uri')) {
+                this.issue(issues, 'missing-base-uri', 'warning',
+                    "لا يوجد base-uri - وسم <base> المحقون يغير مصدر السكريبتات النسبية؛ أضف base-uri 'none' أو 'self'");
+            }
+            if (!this.parser.getDirective(policy, 'frame-ancestors')) {
+                this.issue(issues, 'missing-frame-ancestors', 'info',
+                    'لا يوجد frame-ancestors - الصفحة قابلة للتضمين في إطارات (clickjacking)');
+            }
+        }
+
+        checkTransport(policy, issues) {
+            policy.directives.forEach(directive => {
+                (directive.sources || []).forEach(source => {
+                    if ((source.kind === 'host' && source.scheme === 'http') || (source.kind === 'scheme' && source.scheme === 'http')) {
+                        this.issue(issues, 'insecure-scheme', 'warning',
+                            `${source.value} في ${directive.name} يسمح بتحميل موارد عبر HTTP غير المشفر`, directive, source.value);
+                    }
+                });
+            });
+        }
+
+        issue(issues, code, severity, message, directive = null, token = null) {
+            const source = directive && token ? (directive.sources || []).find(item => item.value === token) : null;
+            issues.push({
+                code,
+                severity,
+                message,
+                directive: directive ? directive.name : null,
+                start: source ? source.start : (directive ? directive.start : null),
+                end: source ? source.end : (directive ? directive.end : null),
+                origin: 'security'
+            });
+        }
+    }
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { CSPPolicyChecker };
+    } else {
+        root.CSPPolicyChecker = CSPPolicyChecker;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
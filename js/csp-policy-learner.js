@@ -0,0 +1,341 @@
+/**
+ * تعلم السياسة من تقارير الانتهاك
+ * CSP Policy Learner
+ * Proposes the minimal source-expression additions that allow the traffic seen in violation reports
+ */
+
+(function (root) {
+    'use strict';
+
+    const { CSPParser } = typeof module !== 'undefined' && module.exports ? require('./csp-parser.js') : root;
+    const { CSPPolicySet } = typeof module !== 'undefined' && module.exports ? require('./csp-policy-set.js') : root;
+
+    // Suffixes under which unrelated parties own sibling subdomains; never wildcard directly below them
+    const PUBLIC_SUFFIXES = [
+        'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'co.jp', 'com.br', 'com.sa', 'com.eg',
+        'github.io', 'gitlab.io', 'herokuapp.com', 'cloudfront.net', 'appspot.com', 'azurewebsites.net',
+        'netlify.app', 'vercel.app', 'pages.dev', 'workers.dev', 'blogspot.com', 'firebaseapp.com', 'web.app'
+    ];
+
+    // Cloud domains that hand out names to tenants at several depths (bucket.s3.region.amazonaws.com);
+    // no registrable domain below them can be verified, so their hosts are only ever allowed one by one
+    const SHARED_HOSTING = [
+        'amazonaws.com', 'azureedge.net', 'azurefd.net', 'cloudapp.azure.com', 'core.windows.net',
+        'googleusercontent.com', 'googleapis.com', 'akamaihd.net', 'fastly.net', 'r2.dev'
+    ];
+
+    const DEFAULT_PORTS = { 'http:': '80', 'https:': '443', 'ws:': '80', 'wss:': '443' };
+
+    // Reported effective directives => the directive a policy author would edit
+    const TARGET_DIRECTIVES = {
+        'script-src-elem': 'script-src',
+        'script-src-attr': 'script-src',
+        'style-src-elem': 'style-src',
+        'style-src-attr': 'style-src'
+    };
+
+    const SCRIPT_DIRECTIVES = ['script-src', 'worker-src', 'object-src'];
+
+    class CSPPolicyLearner {
+        constructor(options = {}) {
+            this.parser = options.parser || new CSPParser();
+            this.policySet = new CSPPolicySet([], { parser: this.parser });
+            this.minHostsForWildcard = options.minHostsForWildcard || 2;
+        }
+
+        /**
+         * اقتراح الإضافات من التقارير
+         * Learn additions from normalized violation reports
+         */
+        learn(reports, currentPolicy = null) {
+            const csp = currentPolicy !== null ? currentPolicy : (reports.find(report => report.originalPolicy) || {}).originalPolicy || '';
+            const policy = this.parser.parse(csp);
+            const buckets = new Map();
+            const refused = [];
+            const ignored = [];
+
+            reports.forEach(report => {
+                const count = report.occurrences || 1;
+                const directive = this.getTargetDirective(report.effectiveDirective);
+                const blocked = report.blockedURL;
+
+                if (blocked === 'inline' || blocked === 'eval') {
+                    this.addRefusal(refused, directive, report, count);
+                    return;
+                }
+
+                if (blocked === 'wasm-eval') {
+                    this.addCandidate(buckets, directive, { kind: 'keyword', source: "'wasm-unsafe-eval'" }, report, count);
+                    return;
+                }
+
+                let url;
+                try {
+                    url = new URL(blocked);
+                } catch {
+                    ignored.push({ report, reason: 'لا يمكن اشتقاق مصدر من هذا التقرير' });
+                    return;
+                }
+
+                if (DEFAULT_PORTS[url.protocol] === undefined) {
+                    // data:, blob: and friends can only be allowed as whole schemes
+                    if (SCRIPT_DIRECTIVES.includes(directive) && ['data:', 'blob:', 'filesystem:'].includes(url.protocol)) {
+                        this.addRefusal(refused, directive, { ...report, blockedURL: url.protocol }, count);
+                    } else {
+                        this.addCandidate(buckets, directive, { kind: 'scheme', source: url.protocol }, report, count);
+                    }
+                    return;
+                }
+
+                if (report.documentURL && this.isSameOrigin(url, report.documentURL)) {
+                    this.addCandidate(buckets, directive, { kind: 'self', source: "'self'" }, report, count);
+                    return;
+                }
+
+                this.addCandidate(buckets, directive, {
+                    kind: 'host',
+                    scheme: url.protocol,
+                    host: url.hostname,
+                    port: url.port && url.port !== DEFAULT_PORTS[url.protocol] ? url.port : ''
+                }, report, count);
+            });
+
+            const suggestions = [];
+            buckets.forEach((candidates, directive) => {
+                this.collapseHosts(candidates).forEach(suggestion => {
+                    suggestions.push(this.describeSuggestion(policy, directive, suggestion));
+                });
+            });
+
+            const additions = suggestions.filter(suggestion => !suggestion.alreadyAllowed);
+
+            return {
+                policy: this.applySuggestions(policy, additions),
+                suggestions: additions.sort((a, b) => b.reports - a.reports),
+                alreadyAllowed: suggestions.filter(suggestion => suggestion.alreadyAllowed),
+                refused,
+                ignored,
+                silenced: additions.reduce((sum, suggestion) => sum + suggestion.reports, 0),
+                total: reports.reduce((sum, report) => sum + (report.occurrences || 1), 0)
+            };
+        }
+
+        getTargetDirective(effectiveDirective) {
+            return TARGET_DIRECTIVES[effectiveDirective] || effectiveDirective;
+        }
+
+        isSameOrigin(url, documentURL) {
+            try {
+                return new URL(documentURL).origin === url.origin;
+            } catch {
+                return false;
+            }
+        }
+
+        addCandidate(buckets, directive, candidate, report, count) {
+            if (!buckets.has(directive)) buckets.set(directive, []);
+            const candidates = buckets.get(directive);
+            const key = candidate.source || `${candidate.scheme}//${candidate.host}:${candidate.port}`;
+            let existing = candidates.find(item => item.key === key);
+
+            if (!existing) {
+                existing = { ...candidate, key, reports: 0, examples: [] };
+                candidates.push(existing);
+            }
+
+            existing.reports += count;
+            if (existing.examples.length < 3 && !existing.examples.includes(report.blockedURL)) {
+                existing.examples.push(report.blockedURL);
+            }
+        }
+
+        /**
+         * رفض الكلمات غير الآمنة مع اقتراح بدائل
+         * Refuse unsafe keywords and offer hashes or nonces instead
+         */
+        addRefusal(refused, directive, report, count) {
+            const blocked = report.blockedURL;
+            const isAttribute = /-attr$/.test(report.effectiveDirective);
+            let keyword;
+            let alternatives;
+
+            if (blocked === 'eval') {
+                keyword = "'unsafe-eval'";
+                alternatives = [
+                    'استبدل eval() و new Function() و setTimeout(string) بشيفرة ثابتة',
+                    'استخدم JSON.parse() بدلاً من eval() لتحليل البيانات'
+                ];
+            } else if (blocked === 'inline') {
+                keyword = "'unsafe-inline'";
+                alternatives = isAttribute
+                    ? [
+                        'انقل معالج الحدث إلى addEventListener في ملف خارجي',
+                        "أو أضف hash المعالج مع 'unsafe-hashes' (حاسبة hashes المضمنة)"
+                    ]
+                    : [
+                        `أضف nonce مولداً لكل طلب إلى ${directive} وإلى الوسم`,
+                        'أو أضف hash المحتوى المضمن (حاسبة hashes المضمنة)'
+                    ];
+            } else {
+                keyword = blocked;
+                alternatives = ['استضف المورد كملف على نطاقك بدلاً من عنوان ' + blocked];
+            }
+
+            let existing = refused.find(item => item.directive === directive && item.refused === keyword && item.attribute === isAttribute);
+            if (!existing) {
+                existing = {
+                    directive,
+                    refused: keyword,
+                    attribute: isAttribute,
+                    reports: 0,
+                    samples: [],
+                    sourceFiles: [],
+                    alternatives
+                };
+                refused.push(existing);
+            }
+
+            existing.reports += count;
+            if (report.sample && existing.samples.length < 3 && !existing.samples.includes(report.sample)) {
+                existing.samples.push(report.sample);
+            }
+            if (report.sourceFile && !existing.sourceFiles.includes(report.sourceFile)) {
+                existing.sourceFiles.push(report.sourceFile);
+            }
+        }
+
+        /**
+         * دمج المضيفات في أضيق wildcard آمن
+         * Collapse sibling hosts into the narrowest safe wildcard
+         */
+        collapseHosts(candidates) {
+            const result = candidates.filter(candidate => candidate.kind !== 'host');
+            const groups = new Map();
+
+            candidates.filter(candidate => candidate.kind === 'host').forEach(candidate => {
+                const registrable = this.getRegistrableDomain(candidate.host);
+                const key = `${candidate.scheme}|${candidate.port}|${registrable || candidate.host}`;
+                if (!groups.has(key)) groups.set(key, { registrable, hosts: [] });
+                groups.get(key).hosts.push(candidate);
+            });
+
+            groups.forEach(({ registrable, hosts }) => {
+                const subdomains = hosts.filter(candidate => registrable && candidate.host !== registrable);
+
+                if (subdomains.length < this.minHostsForWildcard) {
+                    hosts.forEach(candidate => result.push({ ...candidate, source: this.hostSource(candidate, candidate.host) }));
+                    return;
+                }
+
+                const suffix = this.commonSuffix(subdomains.map(candidate => candidate.host));
+                const covered = subdomains.filter(candidate => candidate.host !== suffix);
+                const first = subdomains[0];
+
+                result.push({
+                    kind: 'wildcard',
+                    scheme: first.scheme,
+                    port: first.port,
+                    host: `*.${suffix}`,
+                    source: this.hostSource(first, `*.${suffix}`),
+                    reports: covered.reduce((sum, candidate) => sum + candidate.reports, 0),
+                    examples: covered.flatMap(candidate => candidate.examples).slice(0, 3),
+                    hosts: covered.map(candidate => candidate.host)
+                });
+
+                // A wildcard never matches its own base host, nor the apex
+                hosts.filter(candidate => !covered.includes(candidate)).forEach(candidate => {
+                    result.push({ ...candidate, source: this.hostSource(candidate, candidate.host) });
+                });
+            });
+
+            return result;
+        }
+
+        hostSource(candidate, host) {
+            return `${candidate.scheme}//${host}${candidate.port ? ':' + candidate.port : ''}`;
+        }
+
+        getRegistrableDomain(host) {
+            if (/^\d+(\.\d+){3}$/.test(host) || host.includes(':') || !host.includes('.')) return null;
+            if (SHARED_HOSTING.some(domain => host === domain || host.endsWith('.' + domain))) return null;
+
+            const labels = host.split('.');
+            const suffix = PUBLIC_SUFFIXES
+                .filter(candidate => host.endsWith('.' + candidate))
+                .sort((a, b) => b.length - a.length)[0];
+            const suffixLength = suffix ? suffix.split('.').length : 1;
+
+            if (labels.length <= suffixLength) return null;
+            return labels.slice(-(suffixLength + 1)).join('.');
+        }
+
+        commonSuffix(hosts) {
+            const split = hosts.map(host => host.split('.').reverse());
+            const common = [];
+
+            for (let index = 0; index < split[0].length; index++) {
+                const label = split[0][index];
+                if (!split.every(labels => labels[index] === label)) break;
+                common.push(label);
+            }
+
+            return common.reverse().join('.');
+        }
+
+        /**
+         * وصف الاقتراح والتحقق من تغطيته الحالية
+         * Describe a suggestion and check whether the current policy already allows it
+         */
+        describeSuggestion(policy, directive, suggestion) {
+            const existing = this.parser.getDirective(policy, directive);
+            const governing = this.parser.getEffectiveDirective(policy, directive);
+            const expression = this.parser.parseSourceExpression(suggestion.source);
+            const alreadyAllowed = Boolean(governing && governing.sources &&
+                governing.sources.some(source => this.policySet.subsumes(source, expression)));
+
+            return {
+                directive,
+                source: suggestion.source,
+                kind: suggestion.kind,
+                reports: suggestion.reports,
+                examples: suggestion.examples,
+                hosts: suggestion.hosts || null,
+                createsDirective: !existing,
+                inheritsFrom: !existing && governing ? governing.name : null,
+                alreadyAllowed,
+                description: `إضافة ${suggestion.source} إلى ${directive} تُسكت ${suggestion.reports} تقرير`
+            };
+        }
+
+        /**
+         * تطبيق الاقتراحات على السياسة
+         * Apply the additions; a new directive starts from the sources it used to inherit
+         */
+        applySuggestions(policy, suggestions) {
+            const directives = policy.directives.map(directive => ({ ...directive, value: [...directive.value] }));
+            const next = { ...policy, directives };
+
+            suggestions.forEach(suggestion => {
+                let directive = directives.find(item => item.name === suggestion.directive);
+
+                if (!directive) {
+                    const governing = suggestion.inheritsFrom ? directives.find(item => item.name === suggestion.inheritsFrom) : null;
+                    directive = { name: suggestion.directive, value: governing ? [...governing.value] : [] };
+                    directives.push(directive);
+                }
+
+                directive.value = directive.value.filter(value => value !== "'none'");
+                if (!directive.value.includes(suggestion.source)) directive.value.push(suggestion.source);
+            });
+
+            return this.parser.serialize(next);
+        }
+    }
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { CSPPolicyLearner };
+    } else {
+        root.CSPPolicyLearner = CSPPolicyLearner;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,268 @@
+/**
+ * مجموعة سياسات أمان المحتوى
+ * CSP Policy Set
+ * Intersection of several enforced policies, as the browser applies them
+ */
+
+(function (root) {
+    'use strict';
+
+    const { CSPParser } = typeof module !== 'undefined' && module.exports ? require('./csp-parser.js') : root;
+
+    // Default ports used when a host-source omits its port
+    const DEFAULT_PORTS = { http: 80, https: 443, ws: 80, wss: 443 };
+
+    class CSPPolicySet {
+        constructor(policies, options = {}) {
+            this.parser = options.parser || new CSPParser();
+            this.policies = policies;
+        }
+
+        /**
+         * قائمة المصادر الفعلية لسياسة واحدة
+         * Effective, normalized source list of one policy for a directive (null = unrestricted)
+         */
+        getEffectiveSources(policy, directiveName) {
+            const directive = this.parser.getEffectiveDirective(policy, directiveName);
+            if (!directive || !directive.sources) return null;
+
+            return {
+                directive: directive.name,
+                sources: this.normalizeSources(directiveName, directive.sources)
+            };
+        }
+
+        /**
+         * إزالة المصادر التي يتجاهلها المتصفح
+         * Drop source expressions the browser ignores in this list
+         */
+        normalizeSources(directiveName, sources) {
+            const isScript = directiveName.startsWith('script-src') || directiveName === 'worker-src';
+            const isStyle = directiveName.startsWith('style-src');
+            let list = sources.filter(source =>
+                !['invalid', 'none'].includes(source.kind) && source.keyword !== 'report-sample'
+            );
+
+            if (isScript || isStyle) {
+                // 'unsafe-inline' is ignored once a nonce or hash is present
+                if (list.some(source => source.kind === 'nonce' || source.kind === 'hash')) {
+                    list = list.filter(source => source.keyword !== 'unsafe-inline');
+                }
+            }
+
+            if (isScript && list.some(source => source.keyword === 'strict-dynamic')) {
+                // 'strict-dynamic' disables host, scheme and 'self' allowlists
+                list = list.filter(source =>
+                    source.kind !== 'host' && source.kind !== 'scheme' &&
+                    source.keyword !== 'self' && source.keyword !== 'unsafe-inline'
+                );
+            }
+
+            return list;
+        }
+
+        /**
+         * تقاطع قوائم المصادر
+         * Intersect source lists; null entries do not restrict anything
+         */
+        intersectLists(lists) {
+            const restricting = lists.filter(list => list !== null);
+            if (restricting.length === 0) return null;
+
+            const seen = new Set();
+            const result = [];
+
+            restricting.forEach(list => {
+                list.forEach(candidate => {
+                    const key = candidate.value.toLowerCase();
+                    if (seen.has(key)) return;
+                    if (restricting.every(other => other.some(source => this.subsumes(source, candidate)))) {
+                        seen.add(key);
+                        result.push(candidate);
+                    }
+                });
+            });
+
+            return result;
+        }
+
+        /**
+         * هل يسمح المصدر الأول بكل ما يسمح به الثاني؟
+         * Whether `outer` allows everything `inner` allows.
+         * Scheme-less host sources are treated as https, the common case for protected pages.
+         */
+        subsumes(outer, inner) {
+            if (['keyword', 'nonce', 'hash'].includes(outer.kind)) {
+                return inner.kind === outer.kind &&
+                    (outer.kind === 'keyword' ? inner.keyword === outer.keyword : inner.value === outer.value);
+            }
+
+            if (outer.kind === 'scheme') {
+                if (inner.kind === 'scheme') return inner.scheme === outer.scheme;
+                if (inner.kind === 'host' && inner.host !== '*') return (inner.scheme || 'https') === outer.scheme;
+                return false;
+            }
+
+            if (outer.kind === 'host' && outer.host === '*' && !outer.scheme && !outer.path) {
+                // '*' covers every network scheme and the page's own origin
+                if (inner.kind === 'scheme') return DEFAULT_PORTS[inner.scheme] !== undefined;
+                if (inner.kind === 'keyword') return inner.keyword === 'self';
+            }
+
+            if (outer.kind !== 'host' || inner.kind !== 'host') return false;
+
+            if (outer.scheme && (inner.scheme || 'https') !== outer.scheme) return false;
+
+            if (outer.host === '*') return true;
+            if (inner.host === '*') return false;
+
+            if (outer.wildcard) {
+                const sameWildcard = inner.wildcard && inner.host === outer.host;
+                if (!sameWildcard && !inner.host.endsWith('.' + outer.host)) return false;
+            } else if (inner.wildcard || inner.host !== outer.host) {
+                return false;
+            }
+
+            if (outer.port !== '*') {
+                const scheme = inner.scheme || outer.scheme || 'https';
+                const outerPort = outer.port === null ? DEFAULT_PORTS[scheme] : outer.port;
+                const innerPort = inner.port === null ? DEFAULT_PORTS[scheme] : inner.port;
+                if (innerPort !== outerPort) return false;
+            }
+
+            if (outer.path) {
+                if (!inner.path) return false;
+                return outer.path.endsWith('/') ? inner.path.startsWith(outer.path) : inner.path === outer.path;
+            }
+
+            return true;
+        }
+
+        /**
+         * حساب التقاطع لتوجيه واحد مع تحديد السياسة الحاكمة
+         * Intersect one directive across all policies and find the binding policy
+         */
+        intersectDirective(directiveName) {
+            const entries = this.policies.map(policy => this.getEffectiveSources(policy, directiveName));
+            const lists = entries.map(entry => (entry ? entry.sources : null));
+            const sources = this.intersectLists(lists);
+
+            const restricting = entries
+                .map((entry, index) => ({ entry, index }))
+                .filter(({ entry }) => entry !== null);
+
+            // A policy binds alone when its list already equals the intersection
+            const binding = restricting
+                .filter(({ entry }) => entry.sources.every(source =>
+                    sources.some(kept => kept.value.toLowerCase() === source.value.toLowerCase())))
+                .map(({ index }) => index);
+
+            const contributing = restricting
+                .filter(({ entry }) => lists.some(list => list && list.some(candidate =>
+                    !entry.sources.some(source => this.subsumes(source, candidate)))))
+                .map(({ index }) => index);
+
+            return {
+                directive: directiveName,
+                sources,
+                appliedDirectives: entries.map(entry => (entry ? entry.directive : null)),
+                binding: binding.length > 0 ? binding : contributing,
+                joint: binding.length === 0 && contributing.length > 1
+            };
+        }
+
+        /**
+         * شرح القيد الحاكم لكل نوع مورد
+         * Explain which policy is the binding restriction for each resource type
+         */
+        explainBindings() {
+            return Object.entries(CSPParser.RESOURCE_TYPES).map(([resourceType, directiveName]) => {
+                const result = this.intersectDirective(directiveName);
+                return {
+                    resourceType,
+                    ...result,
+                    explanation: this.describeBinding(resourceType, result)
+                };
+            });
+        }
+
+        describeBinding(resourceType, result) {
+            if (result.sources === null) {
+                return `لا توجد سياسة تقيّد الموارد من نوع ${resourceType}`;
+            }
+
+            const label = index => `السياسة ${index + 1} (${result.appliedDirectives[index]})`;
+
+            if (result.sources.length === 0) {
+                return `الموارد من نوع ${resourceType} محظورة بالكامل - ${result.binding.map(label).join('، ')}`;
+            }
+
+            if (result.joint) {
+                return `القيد على ${resourceType} ناتج عن تقاطع ${result.binding.map(label).join(' و ')}`;
+            }
+
+            return `${result.binding.map(label).join(' أو ')} هي القيد الحاكم للموارد من نوع ${resourceType}`;
+        }
+
+        /**
+         * بناء السياسة الفعلية الناتجة عن التقاطع
+         * Build the effective policy the browser enforces
+         */
+        getEffectivePolicy() {
+            if (this.policies.length === 1) return this.policies[0];
+
+            const names = [];
+            this.policies.forEach(policy => {
+                policy.directives.forEach(directive => {
+                    if (!names.includes(directive.name)) names.push(directive.name);
+                });
+            });
+
+            const directives = names.map(name => {
+                const definition = CSPParser.DIRECTIVES[name];
+                const present = this.policies
+                    .map(policy => this.parser.getDirective(policy, name))
+                    .filter(Boolean);
+
+                const directive = {
+                    type: 'Directive',
+                    name,
+                    rawName: name,
+                    category: present[0].category,
+                    known: present[0].known,
+                    value: present[0].value,
+                    sources: null,
+                    intersected: true
+                };
+
+                if (definition && /source-list$/.test(definition.value)) {
+                    directive.sources = this.intersectDirective(name).sources;
+                    directive.value = directive.sources.length > 0
+                        ? directive.sources.map(source => source.value)
+                        : ["'none'"];
+                } else if (name === 'sandbox') {
+                    // Every sandbox applies, so only flags allowed by all of them survive
+                    directive.value = present[0].value.filter(flag =>
+                        present.every(other => other.value.includes(flag)));
+                }
+
+                return directive;
+            });
+
+            return {
+                type: 'Policy',
+                source: this.policies.map(policy => policy.source.trim()).join(', '),
+                directives,
+                duplicates: [],
+                warnings: []
+            };
+        }
+    }
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { CSPPolicySet };
+    } else {
+        root.CSPPolicySet = CSPPolicySet;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
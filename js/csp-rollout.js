@@ -0,0 +1,121 @@
+/**
+ * النشر التدريجي لسياسة أمان المحتوى
+ * CSP Report-Only Rollout
+ * Report-Only headers, Reporting-Endpoints and staged rollout plans
+ */
+
+(function (root) {
+    'use strict';
+
+    const { CSPParser } = typeof module !== 'undefined' && module.exports ? require('./csp-parser.js') : root;
+
+    const ENFORCE_HEADER = 'Content-Security-Policy';
+    const REPORT_ONLY_HEADER = 'Content-Security-Policy-Report-Only';
+    const DEFAULT_GROUP = 'csp-endpoint';
+
+    class CSPRollout {
+        constructor(options = {}) {
+            this.parser = options.parser || new CSPParser();
+            this.group = options.group || DEFAULT_GROUP;
+            this.endpoint = options.endpoint || null;
+        }
+
+        /**
+         * إضافة توجيهات التقارير إلى السياسة
+         * Point the policy's reports at the endpoint (report-to, with report-uri as fallback)
+         */
+        withReporting(csp, options = {}) {
+            const group = options.group || this.group;
+            const endpoint = options.endpoint || this.endpoint;
+            const policy = this.parser.parse(csp);
+
+            // Without an endpoint the policy keeps whatever reporting it already has
+            if (endpoint) {
+                policy.directives = policy.directives.filter(directive =>
+                    directive.name !== 'report-to' && directive.name !== 'report-uri');
+
+                // report-uri is deprecated but still the only option in some browsers
+                policy.directives.push(this.reportingDirective('report-uri', [endpoint]));
+                policy.directives.push(this.reportingDirective('report-to', [group]));
+            }
+
+            return this.parser.serialize(policy);
+        }
+
+        reportingDirective(name, value) {
+            return { type: 'Directive', name, rawName: name, category: 'reporting', known: true, value, sources: null };
+        }
+
+        /**
+         * قيمة رأس Reporting-Endpoints
+         * Reporting-Endpoints header value
+         */
+        reportingEndpoints(options = {}) {
+            const endpoint = options.endpoint || this.endpoint;
+            if (!endpoint) return null;
+            return `${options.group || this.group}="${endpoint}"`;
+        }
+
+        /**
+         * توليد الرؤوس لوضع معين
+         * Headers for one policy in 'enforce' or 'report-only' mode
+         */
+        createHeaders(csp, mode = 'enforce', options = {}) {
+            const headers = {};
+            headers[mode === 'report-only' ? REPORT_ONLY_HEADER : ENFORCE_HEADER] = this.withReporting(csp, options);
+
+            const endpoints = this.reportingEndpoints(options);
+            if (endpoints) headers['Reporting-Endpoints'] = endpoints;
+
+            return headers;
+        }
+
+        /**
+         * خطة النشر المرحلية
+         * Staged plan: report-only loose, enforce loose, then report-only strict on top
+         */
+        createPlan(loosePolicy, strictPolicy, options = {}) {
+            const loose = this.withReporting(loosePolicy, options);
+            const strict = this.withReporting(strictPolicy, options);
+            const endpoints = this.reportingEndpoints(options);
+            const withEndpoints = headers => (endpoints ? { ...headers, 'Reporting-Endpoints': endpoints } : headers);
+
+            return [
+                {
+                    stage: 1,
+                    mode: 'report-only',
+                    title: 'مراقبة السياسة المرنة',
+                    description: 'السياسة المرنة في وضع Report-Only: لا يُحظر شيء، وتُجمع التقارير لمعرفة ما قد ينكسر',
+                    exitCriteria: 'لا تقارير انتهاك جديدة من حركة المرور الحقيقية لمدة أسبوع على الأقل',
+                    headers: withEndpoints({ [REPORT_ONLY_HEADER]: loose })
+                },
+                {
+                    stage: 2,
+                    mode: 'enforce',
+                    title: 'فرض السياسة المرنة',
+                    description: 'تفعيل السياسة المرنة مع استمرار إرسال التقارير',
+                    exitCriteria: 'استقرار عدد التقارير وعدم وجود أعطال مبلغ عنها',
+                    headers: withEndpoints({ [ENFORCE_HEADER]: loose })
+                },
+                {
+                    stage: 3,
+                    mode: 'enforce+report-only',
+                    title: 'مراقبة السياسة الصارمة',
+                    description: 'السياسة المرنة مفروضة، والسياسة الصارمة في وضع Report-Only تمهيداً لفرضها',
+                    exitCriteria: 'معالجة كل انتهاكات السياسة الصارمة قبل استبدال السياسة المرنة بها',
+                    headers: withEndpoints({ [ENFORCE_HEADER]: loose, [REPORT_ONLY_HEADER]: strict })
+                }
+            ];
+        }
+    }
+
+    CSPRollout.ENFORCE_HEADER = ENFORCE_HEADER;
+    CSPRollout.REPORT_ONLY_HEADER = REPORT_ONLY_HEADER;
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { CSPRollout };
+    } else {
+        root.CSPRollout = CSPRollout;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
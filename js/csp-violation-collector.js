@@ -0,0 +1,269 @@
+/**
+ * جامع تقارير انتهاك سياسة أمان المحتوى
+ * CSP Violation Report Collector
+ * Parses csp-report / reports+json payloads and securitypolicyviolation events,
+ * deduplicates and groups them, and feeds the monitor and dashboard
+ */
+
+(function (root) {
+    'use strict';
+
+    // Legacy application/csp-report field names => normalized names
+    const LEGACY_FIELDS = {
+        'document-uri': 'documentURL',
+        referrer: 'referrer',
+        'blocked-uri': 'blockedURL',
+        'effective-directive': 'effectiveDirective',
+        'violated-directive': 'violatedDirective',
+        'original-policy': 'originalPolicy',
+        disposition: 'disposition',
+        'source-file': 'sourceFile',
+        'line-number': 'lineNumber',
+        'column-number': 'columnNumber',
+        'status-code': 'statusCode',
+        'script-sample': 'sample'
+    };
+
+    // Non-URL values browsers report in blockedURL
+    const BLOCKED_KEYWORDS = ['inline', 'eval', 'wasm-eval', 'trusted-types-policy', 'trusted-types-sink'];
+
+    class CSPViolationCollector {
+        constructor(options = {}) {
+            this.monitor = options.monitor || null;
+            this.dashboard = options.dashboard || null;
+            this.reports = [];
+            this.seen = new Map();
+        }
+
+        /**
+         * تحليل حمولة تقرير
+         * Parse a report payload (string or object) into normalized reports
+         */
+        parse(payload, contentType = '') {
+            const data = typeof payload === 'string' ? JSON.parse(payload) : payload;
+            const type = contentType.split(';')[0].trim().toLowerCase();
+
+            if (type === 'application/reports+json' || Array.isArray(data)) {
+                return (Array.isArray(data) ? data : [data])
+                    .filter(report => report && report.type === 'csp-violation' && report.body)
+                    .map(report => this.normalize({ ...report.body, documentURL: report.body.documentURL || report.url }, 'reports+json', report.age));
+            }
+
+            if (data && data['csp-report']) {
+                const body = {};
+                Object.entries(data['csp-report']).forEach(([field, value]) => {
+                    if (LEGACY_FIELDS[field]) body[LEGACY_FIELDS[field]] = value;
+                });
+                return [this.normalize(body, 'csp-report')];
+            }
+
+            throw new Error('صيغة تقرير غير معروفة: متوقع application/csp-report أو application/reports+json');
+        }
+
+        /**
+         * توحيد تقرير واحد
+         * Normalize one report body, whatever its source format
+         */
+        normalize(body, format, age = 0) {
+            const violated = (body.violatedDirective || '').split(/\s+/)[0];
+            const effectiveDirective = (body.effectiveDirective || violated || 'unknown').toLowerCase();
+
+            return {
+                format,
+                documentURL: body.documentURL || body.documentURI || '',
+                referrer: body.referrer || '',
+                blockedURL: this.normalizeBlockedURL(body.blockedURL !== undefined ? body.blockedURL : body.blockedURI),
+                effectiveDirective,
+                violatedDirective: violated || effectiveDirective,
+                originalPolicy: body.originalPolicy || '',
+                disposition: body.disposition === 'report' ? 'report' : 'enforce',
+                sourceFile: body.sourceFile || '',
+                lineNumber: Number(body.lineNumber) || 0,
+                columnNumber: Number(body.columnNumber) || 0,
+                statusCode: Number(body.statusCode) || 0,
+                sample: body.sample || '',
+                timestamp: Date.now() - (Number(age) || 0)
+            };
+        }
+
+        normalizeBlockedURL(value) {
+            const blocked = String(value || '').trim();
+
+            // Older browsers send an empty value or 'self' for inline content
+            if (!blocked || blocked === 'self') return 'inline';
+            if (BLOCKED_KEYWORDS.includes(blocked) || !/^[a-z][a-z0-9+.-]*:/i.test(blocked)) return blocked;
+
+            try {
+                const url = new URL(blocked);
+                url.hash = '';
+                return url.href;
+            } catch {
+                return blocked;
+            }
+        }
+
+        /**
+         * إدخال حمولة تقرير
+         * Ingest a payload; duplicates are counted but not re-alerted
+         */
+        ingest(payload, contentType = '') {
+            const result = { accepted: 0, duplicates: 0, reports: [] };
+
+            this.parse(payload, contentType).forEach(report => {
+                if (this.add(report)) {
+                    result.accepted++;
+                    result.reports.push(report);
+                } else {
+                    result.duplicates++;
+                }
+            });
+
+            return result;
+        }
+
+        /**
+         * إضافة تقرير موحد
+         * Add a normalized report; returns false for a duplicate
+         */
+        add(report) {
+            const key = this.fingerprint(report);
+            const existing = this.seen.get(key);
+
+            if (existing) {
+                existing.occurrences++;
+                existing.lastSeen = report.timestamp;
+                this.notifyRepeat(existing);
+                return false;
+            }
+
+            const entry = { ...report, key, occurrences: 1, firstSeen: report.timestamp, lastSeen: report.timestamp };
+            this.seen.set(key, entry);
+            this.reports.push(entry);
+            this.notify(entry);
+            return true;
+        }
+
+        fingerprint(report) {
+            return [
+                report.effectiveDirective, report.blockedURL, report.sourceFile,
+                report.lineNumber, report.columnNumber, report.documentURL, report.disposition, report.sample
+            ].join('|');
+        }
+
+        /**
+         * إرسال الانتهاك إلى المراقب ولوحة المعلومات
+         * Forward a new violation to SecurityMonitor and SecurityDashboard
+         */
+        notify(report) {
+            const alert = {
+                type: 'csp-violation',
+                name: report.effectiveDirective,
+                policyId: 'csp',
+                severity: this.getSeverity(report),
+                source: report.sourceFile || report.documentURL,
+                message: `انتهاك CSP: ${report.blockedURL} محظور بواسطة ${report.effectiveDirective}` +
+                    (report.disposition === 'report' ? ' (Report-Only)' : ''),
+                fingerprint: report.key,
+                occurrences: report.occurrences,
+                report,
+                timestamp: report.timestamp
+            };
+
+            if (this.monitor) {
+                this.monitor.triggerAlert(alert);
+            }
+
+            // A dashboard listening to the same monitor already receives the alert
+            if (this.dashboard && this.dashboard.realTimeMonitor !== this.monitor) {
+                this.dashboard.addThreat(alert);
+            }
+        }
+
+        /**
+         * تحديث عدد التكرارات
+         * A repeated violation raises no new alert; the dashboard row of its first
+         * report takes the new occurrence count instead
+         */
+        notifyRepeat(entry) {
+            if (this.dashboard) {
+                this.dashboard.updateThreatOccurrences(entry.key, entry.occurrences, entry.lastSeen);
+            }
+        }
+
+        getSeverity(report) {
+            if (report.disposition === 'report') return 'low';
+            if (/^script-src|^object-src|^trusted-types|^require-trusted-types-for/.test(report.effectiveDirective)) return 'high';
+            return 'medium';
+        }
+
+        /**
+         * الاستماع لأحداث securitypolicyviolation
+         * Listen for securitypolicyviolation events; returns a function that stops listening
+         */
+        listen(target = document) {
+            const handler = event => this.add(this.normalize(event, 'event'));
+            target.addEventListener('securitypolicyviolation', handler);
+            return () => target.removeEventListener('securitypolicyviolation', handler);
+        }
+
+        /**
+         * تجميع الانتهاكات
+         * Group violations by directive, blocked URL and source file (or any report fields)
+         */
+        getGroups(fields = ['effectiveDirective', 'blockedURL', 'sourceFile']) {
+            const groups = new Map();
+
+            this.reports.forEach(report => {
+                const key = fields.map(field => report[field]).join('|');
+                if (!groups.has(key)) {
+                    const group = { key, count: 0, unique: 0, documents: [], firstSeen: report.firstSeen, lastSeen: report.lastSeen };
+                    fields.forEach(field => { group[field] = report[field]; });
+                    groups.set(key, group);
+                }
+
+                const group = groups.get(key);
+                group.count += report.occurrences;
+                group.unique++;
+                group.firstSeen = Math.min(group.firstSeen, report.firstSeen);
+                group.lastSeen = Math.max(group.lastSeen, report.lastSeen);
+                if (report.documentURL && !group.documents.includes(report.documentURL)) {
+                    group.documents.push(report.documentURL);
+                }
+            });
+
+            return Array.from(groups.values()).sort((a, b) => b.count - a.count);
+        }
+
+        /**
+         * ملخص الانتهاكات
+         * Summary counts
+         */
+        getSummary() {
+            const total = this.reports.reduce((sum, report) => sum + report.occurrences, 0);
+            const byDirective = {};
+            this.reports.forEach(report => {
+                byDirective[report.effectiveDirective] = (byDirective[report.effectiveDirective] || 0) + report.occurrences;
+            });
+
+            return {
+                total,
+                unique: this.reports.length,
+                enforced: this.reports.filter(report => report.disposition === 'enforce').length,
+                reportOnly: this.reports.filter(report => report.disposition === 'report').length,
+                byDirective
+            };
+        }
+
+        reset() {
+            this.reports = [];
+            this.seen.clear();
+        }
+    }
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { CSPViolationCollector };
+    } else {
+        root.CSPViolationCollector = CSPViolationCollector;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
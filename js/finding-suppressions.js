@@ -0,0 +1,271 @@
+/**
+ * إخفاء النتائج وخط الأساس
+ * Finding Suppressions
+ * Inline "csp-security-ignore" comments and baseline files of accepted findings,
+ * keyed by stable fingerprints (rule, file, normalized snippet)
+ */
+
+(function (root) {
+    'use strict';
+
+    const BASELINE_VERSION = 1;
+
+    // csp-security-ignore <rule-id>[, <rule-id>] [expires=YYYY-MM-DD]: reason
+    const COMMENT_PATTERN = /(?:\/\/|\/\*|#|<!--|\{#|<%#)\s*csp-security-ignore\b(.*)$/;
+    const DIRECTIVE_PATTERN = /^\s+([\w.*-]+(?:\s*,\s*[\w.*-]+)*)(?:\s+expires=(\S+))?\s*(?::\s*(.*?))?\s*(?:\*\/|-->|#\}|%>)?\s*$/;
+
+    class FindingSuppressor {
+        constructor(options = {}) {
+            this.now = options.now || (() => new Date());
+        }
+
+        /**
+         * قراءة تعليقات الإخفاء
+         * A comment alone on its line covers the next code line; a trailing
+         * comment covers its own line
+         */
+        parse(code) {
+            const lines = String(code).split('\n');
+            const suppressions = [];
+            const invalid = [];
+            const pending = [];
+
+            lines.forEach((text, index) => {
+                const line = index + 1;
+                const match = text.match(COMMENT_PATTERN);
+
+                if (!match) {
+                    if (text.trim()) {
+                        pending.forEach(suppression => { suppression.targetLine = line; });
+                        pending.length = 0;
+                    }
+                    return;
+                }
+
+                const directive = match[1].match(DIRECTIVE_PATTERN);
+                if (!directive) {
+                    invalid.push({ line, text: text.trim(), message: 'صيغة غير صالحة: csp-security-ignore <rule-id>: السبب' });
+                    return;
+                }
+
+                const expires = directive[2] || null;
+                if (expires && (!/^\d{4}-\d{2}-\d{2}$/.test(expires) || isNaN(Date.parse(`${expires}T00:00:00Z`)))) {
+                    invalid.push({ line, text: text.trim(), message: `تاريخ انتهاء غير صالح: ${expires} (المتوقع YYYY-MM-DD)` });
+                    return;
+                }
+
+                const suppression = {
+                    rules: directive[1].split(',').map(rule => rule.trim()),
+                    reason: directive[3] || '',
+                    expires,
+                    line,
+                    targetLine: line,
+                    findings: 0
+                };
+                if (!suppression.reason) {
+                    invalid.push({ line, text: text.trim(), message: 'الإخفاء بدون سبب؛ أضف ": السبب"' });
+                }
+                suppressions.push(suppression);
+
+                const standalone = !text.slice(0, match.index).trim();
+                if (standalone) pending.push(suppression);
+            });
+
+            return { suppressions, invalid };
+        }
+
+        isExpired(expires) {
+            if (!expires) return false;
+            // Valid through the whole expiry day (UTC)
+            return this.now().getTime() >= Date.parse(`${expires}T00:00:00Z`) + 86400000;
+        }
+
+        matchesRule(pattern, finding) {
+            if (pattern === '*') return true;
+            const ids = [finding.ruleId, finding.type].filter(Boolean);
+            if (pattern.endsWith('.*')) return ids.some(id => id.startsWith(pattern.slice(0, -1)));
+            return ids.includes(pattern);
+        }
+
+        normalizeSnippet(text) {
+            return String(text || '').replace(/\s+/g, ' ').trim();
+        }
+
+        snippet(finding, code) {
+            // The whole source line is steadier than the match alone and survives line shifts
+            const lines = String(code).split('\n');
+            const line = finding.line ? lines[finding.line - 1] : undefined;
+            return this.normalizeSnippet(line !== undefined ? line : finding.match);
+        }
+
+        async sha256(text) {
+            const data = new TextEncoder().encode(text);
+            const buffer = await crypto.subtle.digest('SHA-256', data);
+            return Array.from(new Uint8Array(buffer)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+
+        /**
+         * بصمة النتيجة
+         * Stable fingerprint of a finding: rule (or type), file and normalized
+         * snippet, independent of line numbers
+         */
+        async fingerprint(finding, code, file = '') {
+            const rule = finding.ruleId || finding.type;
+            const snippet = this.snippet(finding, code);
+            return (await this.sha256(`${rule}\u0000${file}\u0000${snippet}`)).slice(0, 32);
+        }
+
+        /**
+         * قراءة ملف خط الأساس
+         * Accept a baseline object or its JSON text and check its shape
+         */
+        loadBaseline(input) {
+            let baseline = input;
+            if (typeof input === 'string') {
+                try {
+                    baseline = JSON.parse(input);
+                } catch (error) {
+                    throw new Error(`ملف خط الأساس ليس JSON صالحاً: ${error.message}`);
+                }
+            }
+            if (!baseline || !Array.isArray(baseline.findings)) {
+                throw new Error('ملف خط الأساس يجب أن يحتوي مصفوفة findings');
+            }
+            if (baseline.version > BASELINE_VERSION) {
+                throw new Error(`إصدار خط الأساس ${baseline.version} أحدث من المدعوم (${BASELINE_VERSION})`);
+            }
+            baseline.findings.forEach((entry, index) => {
+                if (!entry || typeof entry.fingerprint !== 'string') {
+                    throw new Error(`findings[${index}] بدون fingerprint`);
+                }
+            });
+            return baseline;
+        }
+
+        /**
+         * إنشاء خط أساس
+         * Baseline accepting every finding of the given analyses; entries with the
+         * same fingerprint are counted rather than repeated
+         */
+        createBaseline(analyses, options = {}) {
+            const entries = new Map();
+            [].concat(analyses).forEach(analysis => {
+                (analysis.vulnerabilities || []).forEach(finding => {
+                    if (!finding.fingerprint) return;
+                    const entry = entries.get(finding.fingerprint);
+                    if (entry) {
+                        entry.count++;
+                        return;
+                    }
+                    entries.set(finding.fingerprint, {
+                        fingerprint: finding.fingerprint,
+                        rule: finding.ruleId || finding.type,
+                        file: analysis.filename || '',
+                        snippet: finding.snippet || '',
+                        line: finding.line || null,
+                        count: 1,
+                        ...(options.reason ? { reason: options.reason } : {}),
+                        ...(options.expires ? { expires: options.expires } : {})
+                    });
+                });
+            });
+
+            return {
+                version: BASELINE_VERSION,
+                createdAt: this.now().toISOString(),
+                findings: [...entries.values()]
+            };
+        }
+
+        /**
+         * تطبيق الإخفاء
+         * Split findings into kept and suppressed. Inline comments are matched first,
+         * then the baseline; expired, unused and malformed suppressions are reported
+         */
+        async apply(findings, code, options = {}) {
+            const file = options.filename || '';
+            const { suppressions, invalid } = options.inline === false ? { suppressions: [], invalid: [] } : this.parse(code);
+            const baseline = options.baseline ? this.loadBaseline(options.baseline) : null;
+            const budgets = new Map();
+            if (baseline) {
+                baseline.findings.filter(entry => !entry.file || !file || entry.file === file).forEach(entry => {
+                    budgets.set(entry.fingerprint, { entry, remaining: entry.count || 1, expired: this.isExpired(entry.expires) });
+                });
+            }
+
+            const kept = [];
+            const suppressed = [];
+            for (const finding of findings) {
+                finding.fingerprint = await this.fingerprint(finding, code, file);
+                finding.snippet = this.snippet(finding, code);
+
+                const inline = suppressions.find(suppression => suppression.targetLine === finding.line
+                    && suppression.rules.some(rule => this.matchesRule(rule, finding)));
+                if (inline && !this.isExpired(inline.expires)) {
+                    inline.findings++;
+                    suppressed.push({ ...finding, suppression: { kind: 'inline', line: inline.line, reason: inline.reason } });
+                    continue;
+                }
+                if (inline) inline.findings++;
+
+                const budget = budgets.get(finding.fingerprint);
+                if (budget && !budget.expired && budget.remaining > 0) {
+                    budget.remaining--;
+                    suppressed.push({ ...finding, suppression: { kind: 'baseline', fingerprint: finding.fingerprint, reason: budget.entry.reason || '' } });
+                    continue;
+                }
+
+                kept.push(finding);
+            }
+
+            const describe = suppression => ({
+                rules: suppression.rules,
+                line: suppression.line,
+                targetLine: suppression.targetLine,
+                reason: suppression.reason,
+                expires: suppression.expires
+            });
+
+            const report = {
+                applied: suppressions.filter(s => s.findings > 0 && !this.isExpired(s.expires)).map(s => ({ ...describe(s), findings: s.findings })),
+                expired: suppressions.filter(s => this.isExpired(s.expires)).map(s => ({
+                    ...describe(s),
+                    message: `انتهت صلاحية الإخفاء في ${s.expires}`
+                })),
+                unused: suppressions.filter(s => s.findings === 0 && !this.isExpired(s.expires)).map(s => ({
+                    ...describe(s),
+                    message: 'لا توجد نتيجة مطابقة لهذا الإخفاء؛ احذفه'
+                })),
+                invalid
+            };
+
+            if (baseline) {
+                const entries = [...budgets.values()];
+                report.baseline = {
+                    matched: suppressed.filter(finding => finding.suppression.kind === 'baseline').length,
+                    new: kept.length,
+                    expired: entries.filter(budget => budget.expired).map(budget => ({
+                        ...budget.entry,
+                        message: `انتهت صلاحية القبول في ${budget.entry.expires}`
+                    })),
+                    unused: entries.filter(budget => !budget.expired && budget.remaining > 0).map(budget => ({
+                        ...budget.entry,
+                        remaining: budget.remaining,
+                        message: 'النتيجة لم تعد موجودة؛ احذفها من خط الأساس'
+                    }))
+                };
+            }
+
+            return { findings: kept, suppressed, report };
+        }
+    }
+
+    FindingSuppressor.BASELINE_VERSION = BASELINE_VERSION;
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { FindingSuppressor };
+    } else {
+        root.FindingSuppressor = FindingSuppressor;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -12,15 +12,21 @@ document.addEventListener('DOMContentLoaded', () => {
             const scriptEval = document.getElementById('script-eval').checked;
             const strictMode = document.getElementById('strict-mode')?.checked || false;
             const trustedTypes = document.getElementById('trusted-types')?.checked || false;
+            const trustedTypesNames = (document.getElementById('trusted-types-names')?.value || 'default').split(/[\s,]+/);
+            const allowDuplicates = document.getElementById('trusted-types-duplicates')?.checked || false;
             const reportTo = document.getElementById('report-to')?.value || '';
+            const reportOnly = document.getElementById('report-only')?.checked || false;
+            const reportEndpoint = document.getElementById('report-endpoint')?.value.trim() || '';
             
             let policy = '';
             
             if (strictMode) {
                 // Strict CSP using nonce (recommended for 2026)
+                // The server replaces the placeholder with a fresh nonce on every response
+                const nonce = CSPNonce.PLACEHOLDER;
                 policy = `default-src 'none'; `;
-                policy += `script-src 'nonce-r4nd0m' 'strict-dynamic' https:; `;
-                policy += `style-src 'nonce-r4nd0m' https:; `;
+                policy += `script-src 'nonce-${nonce}' 'strict-dynamic' https:; `;
+                policy += `style-src 'nonce-${nonce}' https:; `;
                 policy += `img-src 'self' data: https:; `;
                 policy += `font-src 'self' https://fonts.gstatic.com; `;
                 policy += `connect-src 'self'; `;
@@ -50,8 +56,7 @@ document.addEventListener('DOMContentLoaded', () => {
             
             // Add Trusted Types if enabled (2026 security best practice)
             if (trustedTypes) {
-                policy += "require-trusted-types-for 'script'; ";
-                policy += "trusted-types default; ";
+                policy += `${TrustedTypesToolkit.directives(trustedTypesNames, { allowDuplicates })}; `;
             }
             
             // Add Reporting API if specified
@@ -65,7 +70,13 @@ document.addEventListener('DOMContentLoaded', () => {
                 policy = policy.slice(0, -1);
             }
             
-            cspResult.textContent = `Content-Security-Policy: ${policy}`;
+            // Report-Only rollout adds report-uri/report-to and the Reporting-Endpoints header
+            const rollout = new CSPRollout({ group: reportTo || undefined, endpoint: reportEndpoint || null });
+            const headers = rollout.createHeaders(policy, reportOnly ? 'report-only' : 'enforce');
+            
+            cspResult.textContent = Object.entries(headers)
+                .map(([header, value]) => `${header}: ${value}`)
+                .join('\n');
             
             // Add animation feedback
             cspResult.style.backgroundColor = 'rgba(16, 185, 129, 0.1)';
@@ -126,7 +137,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     // Real-time Policy Preview
-    const inputs = document.querySelectorAll('#default-src, #script-src, #script-inline, #script-eval, #strict-mode, #trusted-types, #report-to');
+    const inputs = document.querySelectorAll('#default-src, #script-src, #script-inline, #script-eval, #strict-mode, #trusted-types, #trusted-types-names, #trusted-types-duplicates, #report-to, #report-only, #report-endpoint');
     inputs.forEach(input => {
         input.addEventListener('change', () => {
             // Auto-generate on input change (optional)
@@ -0,0 +1,39 @@
+/**
+ * نقطة الدخول في Node
+ * Node Entry Point
+ * The core classes as one CommonJS module; the HTML pages keep loading the
+ * files one by one as classic scripts
+ */
+
+'use strict';
+
+module.exports = {
+    ...require('./csp-parser.js'),
+    ...require('./csp-policy-set.js'),
+    ...require('./csp-evaluator.js'),
+    ...require('./csp-diff.js'),
+    ...require('./csp-policy-checker.js'),
+    ...require('./csp-nonce.js'),
+    ...require('./csp-hasher.js'),
+    ...require('./sri-generator.js'),
+    ...require('./csp-rollout.js'),
+    ...require('./csp-policy-learner.js'),
+    ...require('./csp-violation-collector.js'),
+    ...require('./permissions-policy.js'),
+    ...require('./security-headers.js'),
+    ...require('./trusted-types.js'),
+    ...require('./trusted-types-scanner.js'),
+    ...require('./js-parser.js'),
+    ...require('./taint-analyzer.js'),
+    ...require('./regex-safety-analyzer.js'),
+    ...require('./rule-pack-registry.js'),
+    ...require('./builtin-rule-packs.js'),
+    ...require('./language-rule-packs.js'),
+    ...require('./finding-suppressions.js'),
+    ...require('./sarif-exporter.js'),
+    ...require('./advanced-vulnerability-detector.js'),
+    ...require('./wasm-security-analyzer.js'),
+    ...require('./payload-normalizer.js'),
+    ...require('./ai-threat-analyzer.js'),
+    ...require('./smart-policy-generator.js')
+};
@@ -0,0 +1,57 @@
+/**
+ * نقطة الدخول كوحدة ES
+ * ES Module Entry Point
+ * Named exports of the CommonJS entry, for import in Node
+ */
+
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const api = require('./index.js');
+
+export const {
+    CSPParser,
+    CSPPolicySet,
+    CSPEvaluator,
+    CSPPolicyDiff,
+    CSPPolicyChecker,
+    CSPNonce,
+    CSPHasher,
+    SRIGenerator,
+    CSPRollout,
+    CSPPolicyLearner,
+    CSPViolationCollector,
+    PermissionsPolicy,
+    SecurityHeaderGenerator,
+    HTMLSanitizer,
+    TrustedTypesToolkit,
+    TrustedTypesMigrationScanner,
+    JSParser,
+    TaintAnalyzer,
+    RegexSafetyAnalyzer,
+    RegexPatternParser,
+    RegexSyntaxError,
+    RulePackRegistry,
+    RulePackError,
+    BUILTIN_RULE_PACKS,
+    LanguageAnalyzer,
+    FindingSuppressor,
+    SarifExporter,
+    AdvancedVulnerabilityDetector,
+    NLPVulnerabilityEngine,
+    AdvancedPatternRecognizer,
+    MLVulnerabilityClassifier,
+    SemanticCodeAnalyzer,
+    ContextualAnalyzer,
+    WasmSecurityAnalyzer,
+    AdvancedJSAnalyzer,
+    ScanWorkerPool,
+    PatternAutomaton,
+    WasmHeap,
+    SCAN_RULES,
+    PayloadNormalizer,
+    AIThreatAnalyzer,
+    SmartPolicyGenerator
+} = api;
+
+export default api;
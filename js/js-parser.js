@@ -0,0 +1,1656 @@
+/**
+ * محلل JavaScript المدمج
+ * Embedded JavaScript Parser
+ * Dependency-free ES2022 parser producing an ESTree AST with line/column locations
+ */
+
+(function (root) {
+    'use strict';
+
+    const KEYWORDS = new Set([
+        'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+        'else', 'export', 'extends', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof',
+        'new', 'return', 'super', 'switch', 'this', 'throw', 'try', 'typeof', 'var', 'void', 'while',
+        'with', 'null', 'true', 'false'
+    ]);
+
+    // Longest first so the lexer can take the first match
+    const PUNCTUATORS = [
+        '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+        '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=',
+        '%=', '&=', '|=', '^=', '**', '<<', '>>',
+        '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%', '&', '|', '^',
+        '!', '~', '?', ':', '=', '.', '@'
+    ];
+
+    const BINARY_PRECEDENCE = {
+        '??': 1, '||': 1, '&&': 2, '|': 3, '^': 4, '&': 5,
+        '==': 6, '!=': 6, '===': 6, '!==': 6,
+        '<': 7, '>': 7, '<=': 7, '>=': 7, instanceof: 7, in: 7,
+        '<<': 8, '>>': 8, '>>>': 8,
+        '+': 9, '-': 9, '*': 10, '/': 10, '%': 10, '**': 11
+    };
+
+    const ASSIGNMENT_OPERATORS = new Set([
+        '=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??='
+    ]);
+
+    const ID_START = /[\p{ID_Start}$_]/u;
+    const ID_CONTINUE = /[\p{ID_Continue}$_\u200c\u200d]/u;
+    const WHITESPACE = /[\t\v\f \u00a0\ufeff\p{Zs}]/u;
+    const NEWLINE = /[\n\r\u2028\u2029]/;
+
+    const ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v' };
+
+    class JSParser {
+        constructor(options = {}) {
+            this.options = { sourceType: 'module', ...options };
+        }
+
+        /**
+         * تحليل الكود
+         * Parse source text into a Program node; throws SyntaxError with line/column
+         */
+        parse(input) {
+            this.input = String(input);
+            this.pos = 0;
+            this.lineStarts = [0];
+            for (let i = 0; i < this.input.length; i++) {
+                const char = this.input[i];
+                if (char === '\r' && this.input[i + 1] === '\n') continue;
+                if (NEWLINE.test(char)) this.lineStarts.push(i + 1);
+            }
+
+            // Hashbang line
+            if (this.input.startsWith('#!')) {
+                const end = this.input.search(NEWLINE);
+                this.pos = end === -1 ? this.input.length : end;
+            }
+
+            this.type = null;
+            this.value = null;
+            this.start = this.end = this.pos;
+            this.lastTokEnd = this.lastTokStart = this.pos;
+            this.newlineBefore = false;
+            this.functions = [{ async: this.options.sourceType === 'module', generator: false, topLevel: true }];
+            this.next();
+            return this.parseProgram();
+        }
+
+        // ---------------------------------------------------------------
+        // Lexer
+        // ---------------------------------------------------------------
+
+        locate(offset) {
+            let low = 0;
+            let high = this.lineStarts.length - 1;
+            while (low < high) {
+                const middle = (low + high + 1) >> 1;
+                if (this.lineStarts[middle] <= offset) low = middle;
+                else high = middle - 1;
+            }
+            return { line: low + 1, column: offset - this.lineStarts[low] };
+        }
+
+        raise(message, pos = this.start) {
+            const { line, column } = this.locate(pos);
+            const error = new SyntaxError(`${message} (${line}:${column + 1})`);
+            error.pos = pos;
+            error.loc = { line, column };
+            throw error;
+        }
+
+        unexpected() {
+            this.raise(this.type === 'eof' ? 'Unexpected end of input' : `Unexpected token ${this.tokenLabel()}`);
+        }
+
+        tokenLabel() {
+            if (this.type === 'string') return 'string';
+            if (this.type === 'num') return 'number';
+            if (this.type === 'template') return 'template';
+            return `'${this.value}'`;
+        }
+
+        skipSpace() {
+            const input = this.input;
+            while (this.pos < input.length) {
+                const char = input[this.pos];
+
+                if (NEWLINE.test(char)) {
+                    this.newlineBefore = true;
+                    this.pos++;
+                } else if (WHITESPACE.test(char)) {
+                    this.pos++;
+                } else if (char === '/' && input[this.pos + 1] === '/') {
+                    this.skipLineComment();
+                } else if (char === '/' && input[this.pos + 1] === '*') {
+                    const end = input.indexOf('*/', this.pos + 2);
+                    if (end === -1) this.raise('Unterminated comment', this.pos);
+                    if (NEWLINE.test(input.slice(this.pos, end))) this.newlineBefore = true;
+                    this.pos = end + 2;
+                } else if (char === '<' && input.startsWith('<!--', this.pos) && this.options.sourceType !== 'module') {
+                    this.skipLineComment();
+                } else {
+                    break;
+                }
+            }
+        }
+
+        skipLineComment() {
+            while (this.pos < this.input.length && !NEWLINE.test(this.input[this.pos])) this.pos++;
+        }
+
+        next() {
+            this.lastTokEnd = this.end;
+            this.lastTokStart = this.start;
+            this.newlineBefore = false;
+            this.skipSpace();
+            this.start = this.pos;
+            this.readToken();
+        }
+
+        finishToken(type, value) {
+            this.type = type;
+            this.value = value;
+            this.end = this.pos;
+        }
+
+        readToken() {
+            const input = this.input;
+            if (this.pos >= input.length) return this.finishToken('eof', null);
+
+            const char = input[this.pos];
+            const code = input.codePointAt(this.pos);
+            const symbol = String.fromCodePoint(code);
+
+            if (ID_START.test(symbol) || char === '\\') return this.finishToken('name', this.readWord());
+            if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(input[this.pos + 1] || ''))) return this.readNumber();
+            if (char === '"' || char === "'") return this.readString(char);
+            if (char === '`') {
+                this.pos++;
+                return this.readTemplateToken();
+            }
+            if (char === '#') {
+                this.pos++;
+                return this.finishToken('privateName', this.readWord());
+            }
+
+            for (const punctuator of PUNCTUATORS) {
+                if (input.startsWith(punctuator, this.pos)) {
+                    // a?.5:1 is a conditional, not optional chaining
+                    if (punctuator === '?.' && /[0-9]/.test(input[this.pos + 2] || '')) continue;
+                    this.pos += punctuator.length;
+                    return this.finishToken('punct', punctuator);
+                }
+            }
+
+            this.raise(`Unexpected character '${symbol}'`, this.pos);
+        }
+
+        readWord() {
+            let word = '';
+            while (this.pos < this.input.length) {
+                const code = this.input.codePointAt(this.pos);
+                const symbol = String.fromCodePoint(code);
+
+                if (symbol === '\\') {
+                    const match = this.input.slice(this.pos).match(/^\\u(?:\{([0-9a-fA-F]+)\}|([0-9a-fA-F]{4}))/);
+                    if (!match) this.raise('Invalid identifier escape', this.pos);
+                    word += String.fromCodePoint(parseInt(match[1] || match[2], 16));
+                    this.pos += match[0].length;
+                } else if (word === '' ? ID_START.test(symbol) : ID_CONTINUE.test(symbol)) {
+                    word += symbol;
+                    this.pos += symbol.length;
+                } else {
+                    break;
+                }
+            }
+            if (word === '') this.raise('Expected identifier', this.pos);
+            return word;
+        }
+
+        readNumber() {
+            const input = this.input;
+            const start = this.pos;
+            let bigint = false;
+
+            if (input[start] === '0' && /[xXoObB]/.test(input[start + 1] || '')) {
+                const digits = { x: /[0-9a-fA-F_]/, o: /[0-7_]/, b: /[01_]/ }[input[start + 1].toLowerCase()];
+                this.pos += 2;
+                while (this.pos < input.length && digits.test(input[this.pos])) this.pos++;
+            } else {
+                while (this.pos < input.length && /[0-9_]/.test(input[this.pos])) this.pos++;
+                if (input[this.pos] === '.') {
+                    this.pos++;
+                    while (this.pos < input.length && /[0-9_]/.test(input[this.pos])) this.pos++;
+                }
+                if (/[eE]/.test(input[this.pos] || '')) {
+                    this.pos++;
+                    if (/[+-]/.test(input[this.pos] || '')) this.pos++;
+                    while (this.pos < input.length && /[0-9_]/.test(input[this.pos])) this.pos++;
+                }
+            }
+
+            if (input[this.pos] === 'n') {
+                bigint = true;
+                this.pos++;
+            }
+            if (ID_START.test(input[this.pos] || '')) this.raise('Identifier directly after number', this.pos);
+
+            const raw = input.slice(start, this.pos);
+            const clean = raw.replace(/_/g, '').replace(/n$/, '');
+            let value;
+            if (bigint) value = typeof BigInt === 'function' ? BigInt(clean) : null;
+            else if (/^0[0-7]+$/.test(clean)) value = parseInt(clean, 8);
+            else value = Number(clean);
+
+            this.finishToken('num', { value, raw, bigint: bigint ? clean : null });
+        }
+
+        readEscape(inTemplate) {
+            const input = this.input;
+            const char = input[++this.pos];
+            this.pos++;
+
+            if (ESCAPES[char] !== undefined) return ESCAPES[char];
+            if (char === '\r') {
+                if (input[this.pos] === '\n') this.pos++;
+                return '';
+            }
+            if (NEWLINE.test(char)) return '';
+            if (char === 'x') {
+                const hex = input.slice(this.pos, this.pos + 2);
+                if (!/^[0-9a-fA-F]{2}$/.test(hex)) return inTemplate ? null : this.raise('Bad character escape', this.pos);
+                this.pos += 2;
+                return String.fromCharCode(parseInt(hex, 16));
+            }
+            if (char === 'u') {
+                const match = input.slice(this.pos).match(/^(?:\{([0-9a-fA-F]+)\}|([0-9a-fA-F]{4}))/);
+                if (!match) return inTemplate ? null : this.raise('Bad Unicode escape', this.pos);
+                this.pos += match[0].length;
+                return String.fromCodePoint(parseInt(match[1] || match[2], 16));
+            }
+            if (/[0-7]/.test(char)) {
+                const octal = input.slice(this.pos - 1, this.pos + 2).match(/^[0-7]{1,3}/)[0];
+                if (octal === '0' || !inTemplate) {
+                    const value = parseInt(octal, 8);
+                    this.pos += octal.length - 1;
+                    return String.fromCharCode(value > 255 ? parseInt(octal.slice(0, 2), 8) : value);
+                }
+                return null;
+            }
+            return char;
+        }
+
+        readString(quote) {
+            const input = this.input;
+            let value = '';
+            this.pos++;
+
+            for (;;) {
+                if (this.pos >= input.length) this.raise('Unterminated string constant', this.start);
+                const char = input[this.pos];
+                if (char === quote) break;
+                if (char === '\\') {
+                    value += this.readEscape(false);
+                } else if (char === '\n' || char === '\r') {
+                    this.raise('Unterminated string constant', this.start);
+                } else {
+                    value += char;
+                    this.pos++;
+                }
+            }
+
+            this.pos++;
+            this.finishToken('string', { value, raw: input.slice(this.start, this.pos) });
+        }
+
+        /**
+         * قراءة جزء من القالب
+         * Read a template chunk from this.pos up to ` or ${ (this.pos is just past the opening delimiter)
+         */
+        readTemplateToken() {
+            const input = this.input;
+            const rawStart = this.pos;
+            let cooked = '';
+            let tail;
+
+            for (;;) {
+                if (this.pos >= input.length) this.raise('Unterminated template', this.start);
+                const char = input[this.pos];
+
+                if (char === '`') {
+                    tail = true;
+                    break;
+                }
+                if (char === '$' && input[this.pos + 1] === '{') {
+                    tail = false;
+                    break;
+                }
+                if (char === '\\') {
+                    const escaped = this.readEscape(true);
+                    cooked = cooked === null || escaped === null ? null : cooked + escaped;
+                } else if (char === '\r') {
+                    if (cooked !== null) cooked += '\n';
+                    this.pos += input[this.pos + 1] === '\n' ? 2 : 1;
+                } else {
+                    if (cooked !== null) cooked += char;
+                    this.pos++;
+                }
+            }
+
+            const rawEnd = this.pos;
+            this.pos += tail ? 1 : 2;
+            this.finishToken('template', {
+                cooked,
+                raw: input.slice(rawStart, rawEnd).replace(/\r\n?/g, '\n'),
+                tail,
+                rawStart,
+                rawEnd
+            });
+        }
+
+        readRegexp() {
+            const input = this.input;
+            let inClass = false;
+            this.pos = this.start + 1;
+
+            for (;;) {
+                if (this.pos >= input.length || NEWLINE.test(input[this.pos])) this.raise('Unterminated regular expression', this.start);
+                const char = input[this.pos];
+                if (char === '\\') this.pos++;
+                else if (char === '[') inClass = true;
+                else if (char === ']' && inClass) inClass = false;
+                else if (char === '/' && !inClass) break;
+                this.pos++;
+            }
+
+            const pattern = input.slice(this.start + 1, this.pos);
+            this.pos++;
+            const flagsStart = this.pos;
+            while (this.pos < input.length && ID_CONTINUE.test(input[this.pos])) this.pos++;
+            this.finishToken('regex', { pattern, flags: input.slice(flagsStart, this.pos) });
+        }
+
+        snapshot() {
+            return {
+                pos: this.pos, type: this.type, value: this.value, start: this.start, end: this.end,
+                lastTokEnd: this.lastTokEnd, lastTokStart: this.lastTokStart, newlineBefore: this.newlineBefore,
+                depth: this.functions.length
+            };
+        }
+
+        restore(state) {
+            const { depth, ...tokenState } = state;
+            Object.assign(this, tokenState);
+            this.functions.length = depth;
+        }
+
+        peek() {
+            const state = this.snapshot();
+            this.next();
+            const token = { type: this.type, value: this.value, newlineBefore: this.newlineBefore };
+            this.restore(state);
+            return token;
+        }
+
+        // ---------------------------------------------------------------
+        // Token helpers
+        // ---------------------------------------------------------------
+
+        is(value) {
+            return this.type === 'punct' && this.value === value;
+        }
+
+        isName(value) {
+            return this.type === 'name' && this.value === value;
+        }
+
+        eat(value) {
+            if (this.is(value)) {
+                this.next();
+                return true;
+            }
+            return false;
+        }
+
+        eatName(value) {
+            if (this.isName(value)) {
+                this.next();
+                return true;
+            }
+            return false;
+        }
+
+        expect(value) {
+            if (!this.eat(value)) this.unexpected();
+        }
+
+        expectName(value) {
+            if (!this.eatName(value)) this.unexpected();
+        }
+
+        semicolon() {
+            if (this.eat(';')) return;
+            if (this.is('}') || this.type === 'eof' || this.newlineBefore) return;
+            this.unexpected();
+        }
+
+        canInsertSemicolon() {
+            return this.type === 'eof' || this.is('}') || this.is(';') || this.newlineBefore;
+        }
+
+        get context() {
+            return this.functions[this.functions.length - 1];
+        }
+
+        startNode() {
+            return this.startNodeAt(this.start);
+        }
+
+        startNodeAt(start) {
+            return { type: '', start, end: 0, loc: null };
+        }
+
+        finishNode(node, type) {
+            node.type = type;
+            node.end = this.lastTokEnd;
+            node.loc = { start: this.locate(node.start), end: this.locate(node.end) };
+            return node;
+        }
+
+        finishNodeAt(node, type, end) {
+            node.type = type;
+            node.end = end;
+            node.loc = { start: this.locate(node.start), end: this.locate(end) };
+            return node;
+        }
+
+        // ---------------------------------------------------------------
+        // Statements
+        // ---------------------------------------------------------------
+
+        parseProgram() {
+            const node = this.startNodeAt(0);
+            node.body = [];
+            while (this.type !== 'eof') node.body.push(this.parseStatement());
+            this.markDirectives(node.body);
+            node.sourceType = this.options.sourceType;
+            return this.finishNodeAt(node, 'Program', this.input.length);
+        }
+
+        parseStatement() {
+            const node = this.startNode();
+
+            if (this.type === 'punct') {
+                if (this.is('{')) return this.parseBlock();
+                if (this.is(';')) {
+                    this.next();
+                    return this.finishNode(node, 'EmptyStatement');
+                }
+            }
+
+            if (this.type === 'name') {
+                switch (this.value) {
+                case 'var':
+                case 'const':
+                    return this.parseVarStatement(node, this.value);
+                case 'let': {
+                    const next = this.peek();
+                    if (next.type === 'name' || (next.type === 'punct' && (next.value === '[' || next.value === '{'))) {
+                        return this.parseVarStatement(node, 'let');
+                    }
+                    break;
+                }
+                case 'using': {
+                    const next = this.peek();
+                    if (next.type === 'name' && !next.newlineBefore && !KEYWORDS.has(next.value)) {
+                        return this.parseVarStatement(node, 'using');
+                    }
+                    break;
+                }
+                case 'function':
+                    this.next();
+                    return this.parseFunction(node, true, false);
+                case 'async': {
+                    const next = this.peek();
+                    if (next.type === 'name' && next.value === 'function' && !next.newlineBefore) {
+                        this.next();
+                        this.next();
+                        return this.parseFunction(node, true, true);
+                    }
+                    break;
+                }
+                case 'class':
+                    return this.parseClass(node, true);
+                case 'if':
+                    return this.parseIf(node);
+                case 'for':
+                    return this.parseFor(node);
+                case 'while':
+                    this.next();
+                    node.test = this.parseParenExpression();
+                    node.body = this.parseStatement();
+                    return this.finishNode(node, 'WhileStatement');
+                case 'do':
+                    this.next();
+                    node.body = this.parseStatement();
+                    this.expectName('while');
+                    node.test = this.parseParenExpression();
+                    this.eat(';');
+                    return this.finishNode(node, 'DoWhileStatement');
+                case 'return':
+                    this.next();
+                    node.argument = this.canInsertSemicolon() ? null : this.parseExpression();
+                    this.semicolon();
+                    return this.finishNode(node, 'ReturnStatement');
+                case 'break':
+                case 'continue': {
+                    const type = this.value === 'break' ? 'BreakStatement' : 'ContinueStatement';
+                    this.next();
+                    node.label = this.type === 'name' && !this.newlineBefore && !KEYWORDS.has(this.value) ? this.parseIdent() : null;
+                    this.semicolon();
+                    return this.finishNode(node, type);
+                }
+                case 'throw':
+                    this.next();
+                    if (this.newlineBefore) this.raise('Illegal newline after throw', this.lastTokEnd);
+                    node.argument = this.parseExpression();
+                    this.semicolon();
+                    return this.finishNode(node, 'ThrowStatement');
+                case 'try':
+                    return this.parseTry(node);
+                case 'switch':
+                    return this.parseSwitch(node);
+                case 'debugger':
+                    this.next();
+                    this.semicolon();
+                    return this.finishNode(node, 'DebuggerStatement');
+                case 'with':
+                    this.next();
+                    node.object = this.parseParenExpression();
+                    node.body = this.parseStatement();
+                    return this.finishNode(node, 'WithStatement');
+                case 'import': {
+                    const next = this.peek();
+                    if (!(next.type === 'punct' && (next.value === '(' || next.value === '.'))) return this.parseImport(node);
+                    break;
+                }
+                case 'export':
+                    return this.parseExport(node);
+                default:
+                    break;
+                }
+            }
+
+            const expression = this.parseExpression();
+            if (expression.type === 'Identifier' && this.eat(':')) {
+                node.label = expression;
+                node.body = this.parseStatement();
+                return this.finishNode(node, 'LabeledStatement');
+            }
+
+            node.expression = expression;
+            this.semicolon();
+            return this.finishNode(node, 'ExpressionStatement');
+        }
+
+        // Leading string statements form the directive prologue ('use strict')
+        markDirectives(body) {
+            for (const statement of body) {
+                const expression = statement.expression;
+                if (statement.type !== 'ExpressionStatement' || expression.type !== 'Literal' ||
+                    typeof expression.value !== 'string' || expression.start !== statement.start) break;
+                statement.directive = expression.raw.slice(1, -1);
+            }
+        }
+
+        parseBlock() {
+            const node = this.startNode();
+            this.expect('{');
+            node.body = [];
+            while (!this.eat('}')) {
+                if (this.type === 'eof') this.unexpected();
+                node.body.push(this.parseStatement());
+            }
+            return this.finishNode(node, 'BlockStatement');
+        }
+
+        parseVarStatement(node, kind) {
+            this.parseVar(node, kind, false);
+            this.semicolon();
+            return this.finishNode(node, 'VariableDeclaration');
+        }
+
+        parseVar(node, kind, noIn) {
+            this.next();
+            node.declarations = [];
+            node.kind = kind;
+            do {
+                const declarator = this.startNode();
+                declarator.id = this.parseBindingTarget();
+                declarator.init = this.eat('=') ? this.parseMaybeAssign(noIn) : null;
+                node.declarations.push(this.finishNode(declarator, 'VariableDeclarator'));
+            } while (this.eat(','));
+            return node;
+        }
+
+        parseIf(node) {
+            this.next();
+            node.test = this.parseParenExpression();
+            node.consequent = this.parseStatement();
+            node.alternate = this.eatName('else') ? this.parseStatement() : null;
+            return this.finishNode(node, 'IfStatement');
+        }
+
+        parseFor(node) {
+            this.next();
+            const isAwait = this.eatName('await');
+            this.expect('(');
+
+            let init = null;
+            if (this.is(';')) {
+                // for (;;)
+            } else if (this.isName('var') || this.isName('const') ||
+                (this.isName('let') && ['name', 'punct'].includes(this.peek().type) && !['in', 'of'].includes(this.peek().value))) {
+                const declaration = this.startNode();
+                this.parseVar(declaration, this.value, true);
+                init = this.finishNode(declaration, 'VariableDeclaration');
+            } else {
+                init = this.parseExpression(true);
+            }
+
+            if (init && (this.isName('of') || this.isName('in'))) {
+                const type = this.value === 'of' ? 'ForOfStatement' : 'ForInStatement';
+                this.next();
+                node.left = init.type === 'VariableDeclaration' ? init : this.toPattern(init);
+                node.right = type === 'ForOfStatement' ? this.parseMaybeAssign() : this.parseExpression();
+                this.expect(')');
+                node.body = this.parseStatement();
+                if (type === 'ForOfStatement') node.await = isAwait;
+                return this.finishNode(node, type);
+            }
+
+            node.init = init;
+            this.expect(';');
+            node.test = this.is(';') ? null : this.parseExpression();
+            this.expect(';');
+            node.update = this.is(')') ? null : this.parseExpression();
+            this.expect(')');
+            node.body = this.parseStatement();
+            return this.finishNode(node, 'ForStatement');
+        }
+
+        parseTry(node) {
+            this.next();
+            node.block = this.parseBlock();
+            node.handler = null;
+
+            if (this.isName('catch')) {
+                const clause = this.startNode();
+                this.next();
+                if (this.eat('(')) {
+                    clause.param = this.parseBindingTarget();
+                    this.expect(')');
+                } else {
+                    clause.param = null;
+                }
+                clause.body = this.parseBlock();
+                node.handler = this.finishNode(clause, 'CatchClause');
+            }
+
+            node.finalizer = this.eatName('finally') ? this.parseBlock() : null;
+            if (!node.handler && !node.finalizer) this.raise('Missing catch or finally clause');
+            return this.finishNode(node, 'TryStatement');
+        }
+
+        parseSwitch(node) {
+            this.next();
+            node.discriminant = this.parseParenExpression();
+            node.cases = [];
+            this.expect('{');
+
+            while (!this.eat('}')) {
+                const clause = this.startNode();
+                if (this.eatName('case')) {
+                    clause.test = this.parseExpression();
+                } else {
+                    this.expectName('default');
+                    clause.test = null;
+                }
+                this.expect(':');
+                clause.consequent = [];
+                while (!this.is('}') && !this.isName('case') && !this.isName('default')) {
+                    if (this.type === 'eof') this.unexpected();
+                    clause.consequent.push(this.parseStatement());
+                }
+                node.cases.push(this.finishNode(clause, 'SwitchCase'));
+            }
+
+            return this.finishNode(node, 'SwitchStatement');
+        }
+
+        parseImport(node) {
+            this.next();
+            node.specifiers = [];
+
+            if (this.type !== 'string') {
+                if (this.type === 'name') {
+                    const specifier = this.startNode();
+                    specifier.local = this.parseIdent();
+                    node.specifiers.push(this.finishNode(specifier, 'ImportDefaultSpecifier'));
+                    this.eat(',');
+                }
+                if (this.is('*')) {
+                    const specifier = this.startNode();
+                    this.next();
+                    this.expectName('as');
+                    specifier.local = this.parseIdent();
+                    node.specifiers.push(this.finishNode(specifier, 'ImportNamespaceSpecifier'));
+                } else if (this.eat('{')) {
+                    while (!this.eat('}')) {
+                        const specifier = this.startNode();
+                        specifier.imported = this.parseModuleExportName();
+                        specifier.local = this.eatName('as') ? this.parseIdent() : specifier.imported;
+                        node.specifiers.push(this.finishNode(specifier, 'ImportSpecifier'));
+                        if (!this.is('}')) this.expect(',');
+                    }
+                }
+                this.expectName('from');
+            }
+
+            node.source = this.parseStringLiteral();
+            this.parseImportAttributes(node);
+            this.semicolon();
+            return this.finishNode(node, 'ImportDeclaration');
+        }
+
+        parseImportAttributes(node) {
+            node.attributes = [];
+            if ((this.isName('with') || this.isName('assert')) && !this.newlineBefore) {
+                this.next();
+                this.expect('{');
+                while (!this.eat('}')) {
+                    const attribute = this.startNode();
+                    attribute.key = this.type === 'string' ? this.parseStringLiteral() : this.parseIdent(true);
+                    this.expect(':');
+                    attribute.value = this.parseStringLiteral();
+                    node.attributes.push(this.finishNode(attribute, 'ImportAttribute'));
+                    if (!this.is('}')) this.expect(',');
+                }
+            }
+        }
+
+        parseModuleExportName() {
+            return this.type === 'string' ? this.parseStringLiteral() : this.parseIdent(true);
+        }
+
+        parseStringLiteral() {
+            if (this.type !== 'string') this.unexpected();
+            return this.parseLiteral();
+        }
+
+        parseExport(node) {
+            this.next();
+
+            if (this.is('*')) {
+                this.next();
+                node.exported = this.eatName('as') ? this.parseModuleExportName() : null;
+                this.expectName('from');
+                node.source = this.parseStringLiteral();
+                this.parseImportAttributes(node);
+                this.semicolon();
+                return this.finishNode(node, 'ExportAllDeclaration');
+            }
+
+            if (this.eatName('default')) {
+                const start = this.start;
+                if (this.isName('function') || this.isName('class') ||
+                    (this.isName('async') && this.peek().value === 'function' && !this.peek().newlineBefore)) {
+                    const declaration = this.startNode();
+                    if (this.isName('class')) {
+                        node.declaration = this.parseClass(declaration, true, true);
+                    } else {
+                        const isAsync = this.eatName('async');
+                        this.next();
+                        node.declaration = this.parseFunction(declaration, true, isAsync, true);
+                    }
+                } else {
+                    node.declaration = this.parseMaybeAssign();
+                    this.semicolon();
+                }
+                node.declaration.start = Math.max(node.declaration.start, start);
+                return this.finishNode(node, 'ExportDefaultDeclaration');
+            }
+
+            if (this.eat('{')) {
+                node.declaration = null;
+                node.specifiers = [];
+                while (!this.eat('}')) {
+                    const specifier = this.startNode();
+                    specifier.local = this.parseModuleExportName();
+                    specifier.exported = this.eatName('as') ? this.parseModuleExportName() : specifier.local;
+                    node.specifiers.push(this.finishNode(specifier, 'ExportSpecifier'));
+                    if (!this.is('}')) this.expect(',');
+                }
+                node.source = this.eatName('from') ? this.parseStringLiteral() : null;
+                if (node.source) this.parseImportAttributes(node);
+                this.semicolon();
+                return this.finishNode(node, 'ExportNamedDeclaration');
+            }
+
+            node.specifiers = [];
+            node.source = null;
+            node.declaration = this.parseStatement();
+            return this.finishNode(node, 'ExportNamedDeclaration');
+        }
+
+        // ---------------------------------------------------------------
+        // Functions and classes
+        // ---------------------------------------------------------------
+
+        parseFunction(node, isStatement, isAsync, allowAnonymous = false) {
+            node.generator = this.eat('*');
+            node.async = isAsync;
+            node.id = this.type === 'name' && !(this.isName('extends')) ? this.parseIdent() : null;
+            if (isStatement && !node.id && !allowAnonymous) this.unexpected();
+            node.expression = false;
+            this.parseFunctionRest(node);
+            return this.finishNode(node, isStatement ? 'FunctionDeclaration' : 'FunctionExpression');
+        }
+
+        parseFunctionRest(node) {
+            this.functions.push({ async: node.async, generator: node.generator });
+            this.expect('(');
+            node.params = this.parseBindingList(')');
+            node.body = this.parseBlock();
+            this.markDirectives(node.body.body);
+            this.functions.pop();
+        }
+
+        parseMethod(isAsync, isGenerator) {
+            const node = this.startNode();
+            node.id = null;
+            node.expression = false;
+            node.generator = isGenerator;
+            node.async = isAsync;
+            this.parseFunctionRest(node);
+            return this.finishNode(node, 'FunctionExpression');
+        }
+
+        parseClass(node, isStatement, allowAnonymous = false) {
+            this.next();
+            node.id = this.type === 'name' && !this.isName('extends') ? this.parseIdent() : null;
+            if (isStatement && !node.id && !allowAnonymous) this.unexpected();
+            node.superClass = this.eatName('extends') ? this.parseExprSubscripts() : null;
+
+            const body = this.startNode();
+            body.body = [];
+            this.expect('{');
+            while (!this.eat('}')) {
+                if (this.eat(';')) continue;
+                if (this.type === 'eof') this.unexpected();
+                body.body.push(this.parseClassElement());
+            }
+            node.body = this.finishNode(body, 'ClassBody');
+            return this.finishNode(node, isStatement ? 'ClassDeclaration' : 'ClassExpression');
+        }
+
+        isClassModifier() {
+            const next = this.peek();
+            return !(next.type === 'punct' && ['(', '=', ';', '}'].includes(next.value)) && !(next.type === 'eof');
+        }
+
+        parseClassElement() {
+            const node = this.startNode();
+            let isStatic = false;
+            let isAsync = false;
+            let isGenerator = false;
+            let kind = 'method';
+
+            if (this.isName('static') && this.isClassModifier()) {
+                this.next();
+                if (this.is('{')) {
+                    this.functions.push({ async: false, generator: false });
+                    node.body = this.parseBlock().body;
+                    this.functions.pop();
+                    return this.finishNode(node, 'StaticBlock');
+                }
+                isStatic = true;
+            }
+            if (this.isName('async') && this.isClassModifier() && !this.peek().newlineBefore) {
+                this.next();
+                isAsync = true;
+            }
+            if (this.eat('*')) isGenerator = true;
+            if ((this.isName('get') || this.isName('set')) && this.isClassModifier()) {
+                kind = this.value;
+                this.next();
+            }
+
+            node.static = isStatic;
+            this.parsePropertyName(node);
+
+            if (this.is('(')) {
+                const isConstructor = !isStatic && !node.computed && kind === 'method' &&
+                    ((node.key.type === 'Identifier' && node.key.name === 'constructor') ||
+                    (node.key.type === 'Literal' && node.key.value === 'constructor'));
+                node.kind = isConstructor ? 'constructor' : kind;
+                node.value = this.parseMethod(isAsync, isGenerator);
+                return this.finishNode(node, 'MethodDefinition');
+            }
+
+            node.value = this.eat('=') ? this.parseFieldInitializer() : null;
+            this.semicolon();
+            return this.finishNode(node, 'PropertyDefinition');
+        }
+
+        parseFieldInitializer() {
+            this.functions.push({ async: false, generator: false });
+            const value = this.parseMaybeAssign();
+            this.functions.pop();
+            return value;
+        }
+
+        parsePropertyName(node) {
+            node.computed = false;
+            if (this.eat('[')) {
+                node.computed = true;
+                node.key = this.parseMaybeAssign();
+                this.expect(']');
+            } else if (this.type === 'num' || this.type === 'string') {
+                node.key = this.parseLiteral();
+            } else if (this.type === 'privateName') {
+                const key = this.startNode();
+                key.name = this.value;
+                this.next();
+                node.key = this.finishNode(key, 'PrivateIdentifier');
+            } else {
+                node.key = this.parseIdent(true);
+            }
+            return node.key;
+        }
+
+        // ---------------------------------------------------------------
+        // Patterns
+        // ---------------------------------------------------------------
+
+        parseBindingList(close) {
+            const list = [];
+            while (!this.eat(close)) {
+                if (this.is('...')) {
+                    const rest = this.startNode();
+                    this.next();
+                    rest.argument = this.parseBindingTarget();
+                    list.push(this.finishNode(rest, 'RestElement'));
+                } else if (this.is(',') && close === ']') {
+                    list.push(null);
+                    this.next();
+                    continue;
+                } else {
+                    list.push(this.parseBindingElement());
+                }
+                if (!this.is(close)) this.expect(',');
+            }
+            return list;
+        }
+
+        parseBindingTarget() {
+            if (this.is('[')) {
+                const node = this.startNode();
+                this.next();
+                node.elements = this.parseBindingList(']');
+                return this.finishNode(node, 'ArrayPattern');
+            }
+
+            if (this.is('{')) {
+                const node = this.startNode();
+                node.properties = [];
+                this.next();
+                while (!this.eat('}')) {
+                    if (this.is('...')) {
+                        const rest = this.startNode();
+                        this.next();
+                        rest.argument = this.parseBindingTarget();
+                        node.properties.push(this.finishNode(rest, 'RestElement'));
+                    } else {
+                        const property = this.startNode();
+                        property.method = false;
+                        property.kind = 'init';
+                        this.parsePropertyName(property);
+                        if (this.eat(':')) {
+                            property.shorthand = false;
+                            property.value = this.parseBindingElement();
+                        } else {
+                            if (property.key.type !== 'Identifier' || property.computed) this.unexpected();
+                            property.shorthand = true;
+                            property.value = this.parseDefault(property.key.start, { ...property.key });
+                        }
+                        node.properties.push(this.finishNode(property, 'Property'));
+                    }
+                    if (!this.is('}')) this.expect(',');
+                }
+                return this.finishNode(node, 'ObjectPattern');
+            }
+
+            return this.parseIdent();
+        }
+
+        parseBindingElement() {
+            const start = this.start;
+            return this.parseDefault(start, this.parseBindingTarget());
+        }
+
+        parseDefault(start, left) {
+            if (!this.eat('=')) return left;
+            const node = this.startNodeAt(start);
+            node.left = left;
+            node.right = this.parseMaybeAssign();
+            return this.finishNode(node, 'AssignmentPattern');
+        }
+
+        /**
+         * تحويل تعبير إلى نمط
+         * Reinterpret an expression as an assignment target (destructuring, for-of heads)
+         */
+        toPattern(node) {
+            switch (node.type) {
+            case 'Identifier':
+            case 'MemberExpression':
+            case 'ObjectPattern':
+            case 'ArrayPattern':
+            case 'AssignmentPattern':
+            case 'RestElement':
+                return node;
+            case 'ObjectExpression':
+                node.type = 'ObjectPattern';
+                node.properties = node.properties.map(property => {
+                    if (property.type === 'SpreadElement') {
+                        property.type = 'RestElement';
+                        property.argument = this.toPattern(property.argument);
+                        return property;
+                    }
+                    if (property.kind !== 'init' || property.method) this.raise('Invalid destructuring target', property.start);
+                    property.value = this.toPattern(property.value);
+                    return property;
+                });
+                return node;
+            case 'ArrayExpression':
+                node.type = 'ArrayPattern';
+                node.elements = node.elements.map(element => {
+                    if (!element) return null;
+                    if (element.type === 'SpreadElement') {
+                        element.type = 'RestElement';
+                        element.argument = this.toPattern(element.argument);
+                        return element;
+                    }
+                    return this.toPattern(element);
+                });
+                return node;
+            case 'AssignmentExpression':
+                if (node.operator !== '=') break;
+                node.type = 'AssignmentPattern';
+                delete node.operator;
+                node.left = this.toPattern(node.left);
+                return node;
+            default:
+                break;
+            }
+            this.raise('Invalid assignment target', node.start);
+        }
+
+        // ---------------------------------------------------------------
+        // Expressions
+        // ---------------------------------------------------------------
+
+        parseParenExpression() {
+            this.expect('(');
+            const expression = this.parseExpression();
+            this.expect(')');
+            return expression;
+        }
+
+        parseExpression(noIn = false) {
+            const start = this.start;
+            const expression = this.parseMaybeAssign(noIn);
+            if (!this.is(',')) return expression;
+
+            const node = this.startNodeAt(start);
+            node.expressions = [expression];
+            while (this.eat(',')) node.expressions.push(this.parseMaybeAssign(noIn));
+            return this.finishNode(node, 'SequenceExpression');
+        }
+
+        parseMaybeAssign(noIn = false) {
+            if (this.isName('yield') && this.context.generator) return this.parseYield(noIn);
+
+            const arrow = this.tryParseArrow(noIn);
+            if (arrow) return arrow;
+
+            const start = this.start;
+            const left = this.parseConditional(noIn);
+
+            if (this.type === 'punct' && ASSIGNMENT_OPERATORS.has(this.value)) {
+                const node = this.startNodeAt(start);
+                node.operator = this.value;
+                node.left = this.value === '=' ? this.toPattern(left) : left;
+                if (this.value !== '=' && !['Identifier', 'MemberExpression'].includes(left.type)) {
+                    this.raise('Invalid assignment target', left.start);
+                }
+                this.next();
+                node.right = this.parseMaybeAssign(noIn);
+                return this.finishNode(node, 'AssignmentExpression');
+            }
+
+            return left;
+        }
+
+        /**
+         * محاولة تحليل دالة سهمية
+         * Arrow functions are parsed speculatively; on failure the parser rewinds
+         */
+        tryParseArrow(noIn) {
+            const startsArrow = this.is('(') ||
+                (this.type === 'name' && !KEYWORDS.has(this.value)) ||
+                this.isName('async');
+            if (!startsArrow) return null;
+
+            const state = this.snapshot();
+            const node = this.startNode();
+
+            try {
+                let isAsync = false;
+                if (this.isName('async')) {
+                    const next = this.peek();
+                    if (!next.newlineBefore && (next.type === 'name' || (next.type === 'punct' && next.value === '('))) {
+                        this.next();
+                        isAsync = true;
+                    }
+                }
+
+                let params;
+                if (this.is('(')) {
+                    this.next();
+                    this.functions.push({ async: isAsync, generator: false });
+                    params = this.parseBindingList(')');
+                    this.functions.pop();
+                } else if (this.type === 'name' && !KEYWORDS.has(this.value)) {
+                    params = [this.parseIdent()];
+                } else {
+                    throw new SyntaxError('not an arrow');
+                }
+
+                if (!this.is('=>') || this.newlineBefore) throw new SyntaxError('not an arrow');
+                return this.parseArrowBody(node, params, isAsync, noIn);
+            } catch (error) {
+                if (error.message !== 'not an arrow' && this.is('=>')) throw error;
+                this.restore(state);
+                return null;
+            }
+        }
+
+        parseArrowBody(node, params, isAsync, noIn) {
+            this.expect('=>');
+            this.functions.push({ async: isAsync, generator: false });
+            node.id = null;
+            node.generator = false;
+            node.async = isAsync;
+            node.params = params;
+            if (this.is('{')) {
+                node.expression = false;
+                node.body = this.parseBlock();
+                this.markDirectives(node.body.body);
+            } else {
+                node.expression = true;
+                node.body = this.parseMaybeAssign(noIn);
+            }
+            this.functions.pop();
+            return this.finishNode(node, 'ArrowFunctionExpression');
+        }
+
+        parseYield(noIn) {
+            const node = this.startNode();
+            this.next();
+            node.delegate = false;
+            node.argument = null;
+            if (!this.newlineBefore && !(this.type === 'punct' && [')', ']', '}', ',', ';', ':'].includes(this.value)) && this.type !== 'eof') {
+                node.delegate = this.eat('*');
+                node.argument = this.parseMaybeAssign(noIn);
+            }
+            return this.finishNode(node, 'YieldExpression');
+        }
+
+        parseConditional(noIn) {
+            const start = this.start;
+            const test = this.parseBinary(noIn);
+            if (!this.eat('?')) return test;
+
+            const node = this.startNodeAt(start);
+            node.test = test;
+            node.consequent = this.parseMaybeAssign();
+            this.expect(':');
+            node.alternate = this.parseMaybeAssign(noIn);
+            return this.finishNode(node, 'ConditionalExpression');
+        }
+
+        parseBinary(noIn) {
+            const start = this.start;
+            return this.parseBinaryOperator(this.parseMaybeUnary(), start, -1, noIn);
+        }
+
+        currentBinaryOperator(noIn) {
+            if (this.type === 'punct' && BINARY_PRECEDENCE[this.value] !== undefined) return this.value;
+            if (this.isName('instanceof') || (this.isName('in') && !noIn)) return this.value;
+            return null;
+        }
+
+        parseBinaryOperator(left, leftStart, minPrecedence, noIn) {
+            const operator = this.currentBinaryOperator(noIn);
+            if (!operator) return left;
+
+            const precedence = BINARY_PRECEDENCE[operator];
+            if (precedence <= minPrecedence) return left;
+
+            this.next();
+            const rightStart = this.start;
+            const right = this.parseBinaryOperator(this.parseMaybeUnary(), rightStart,
+                operator === '**' ? precedence - 1 : precedence, noIn);
+
+            const node = this.startNodeAt(leftStart);
+            node.left = left;
+            node.operator = operator;
+            node.right = right;
+            this.finishNode(node, ['||', '&&', '??'].includes(operator) ? 'LogicalExpression' : 'BinaryExpression');
+            return this.parseBinaryOperator(node, leftStart, minPrecedence, noIn);
+        }
+
+        parseMaybeUnary() {
+            const start = this.start;
+
+            if (this.isName('await') && this.context.async) {
+                const node = this.startNode();
+                this.next();
+                node.argument = this.parseMaybeUnary();
+                return this.finishNode(node, 'AwaitExpression');
+            }
+
+            const isPrefix = (this.type === 'punct' && ['!', '~', '+', '-', '++', '--'].includes(this.value)) ||
+                this.isName('typeof') || this.isName('void') || this.isName('delete');
+
+            if (isPrefix) {
+                const node = this.startNode();
+                const operator = this.value;
+                this.next();
+                node.operator = operator;
+                node.prefix = true;
+                node.argument = this.parseMaybeUnary();
+                return this.finishNode(node, operator === '++' || operator === '--' ? 'UpdateExpression' : 'UnaryExpression');
+            }
+
+            let expression = this.parseExprSubscripts();
+            while ((this.is('++') || this.is('--')) && !this.newlineBefore) {
+                const node = this.startNodeAt(start);
+                node.operator = this.value;
+                node.prefix = false;
+                node.argument = expression;
+                this.next();
+                expression = this.finishNode(node, 'UpdateExpression');
+            }
+            return expression;
+        }
+
+        parseExprSubscripts() {
+            const start = this.start;
+            return this.parseSubscripts(this.parseExprAtom(), start, false);
+        }
+
+        parseSubscripts(base, start, noCalls) {
+            let chained = false;
+
+            for (;;) {
+                const optional = this.is('?.');
+                if (optional) {
+                    if (noCalls) this.raise('Optional chaining cannot appear in the callee of new expressions');
+                    chained = true;
+                    this.next();
+                }
+
+                if (this.is('[')) {
+                    const node = this.startNodeAt(start);
+                    this.next();
+                    node.object = base;
+                    node.property = this.parseExpression();
+                    node.computed = true;
+                    node.optional = optional;
+                    this.expect(']');
+                    base = this.finishNode(node, 'MemberExpression');
+                } else if (this.is('(') && !noCalls) {
+                    const node = this.startNodeAt(start);
+                    this.next();
+                    node.callee = base;
+                    node.arguments = this.parseExprList(')');
+                    node.optional = optional;
+                    base = this.finishNode(node, 'CallExpression');
+                } else if (optional || this.is('.')) {
+                    if (!optional) this.next();
+                    const node = this.startNodeAt(start);
+                    node.object = base;
+                    if (this.type === 'privateName') {
+                        const property = this.startNode();
+                        property.name = this.value;
+                        this.next();
+                        node.property = this.finishNode(property, 'PrivateIdentifier');
+                    } else {
+                        node.property = this.parseIdent(true);
+                    }
+                    node.computed = false;
+                    node.optional = optional;
+                    base = this.finishNode(node, 'MemberExpression');
+                } else if (this.type === 'template') {
+                    if (chained) this.raise('Tagged template cannot be used in optional chain');
+                    const node = this.startNodeAt(start);
+                    node.tag = base;
+                    node.quasi = this.parseTemplate();
+                    base = this.finishNode(node, 'TaggedTemplateExpression');
+                } else {
+                    break;
+                }
+            }
+
+            if (chained) {
+                const node = this.startNodeAt(start);
+                node.expression = base;
+                return this.finishNode(node, 'ChainExpression');
+            }
+            return base;
+        }
+
+        parseExprList(close) {
+            const list = [];
+            while (!this.eat(close)) {
+                if (close === ']' && this.is(',')) {
+                    list.push(null);
+                    this.next();
+                    continue;
+                }
+                if (this.is('...')) {
+                    const node = this.startNode();
+                    this.next();
+                    node.argument = this.parseMaybeAssign();
+                    list.push(this.finishNode(node, 'SpreadElement'));
+                } else {
+                    list.push(this.parseMaybeAssign());
+                }
+                if (!this.is(close)) this.expect(',');
+            }
+            return list;
+        }
+
+        parseExprAtom() {
+            const node = this.startNode();
+
+            switch (this.type) {
+            case 'name':
+                switch (this.value) {
+                case 'this':
+                    this.next();
+                    return this.finishNode(node, 'ThisExpression');
+                case 'super':
+                    this.next();
+                    return this.finishNode(node, 'Super');
+                case 'null':
+                case 'true':
+                case 'false':
+                    node.value = this.value === 'null' ? null : this.value === 'true';
+                    node.raw = this.value;
+                    this.next();
+                    return this.finishNode(node, 'Literal');
+                case 'function':
+                    this.next();
+                    return this.parseFunction(node, false, false);
+                case 'async': {
+                    const next = this.peek();
+                    if (next.type === 'name' && next.value === 'function' && !next.newlineBefore) {
+                        this.next();
+                        this.next();
+                        return this.parseFunction(node, false, true);
+                    }
+                    break;
+                }
+                case 'class':
+                    return this.parseClass(node, false);
+                case 'new':
+                    return this.parseNew();
+                case 'import':
+                    return this.parseImportExpression();
+                default:
+                    break;
+                }
+                return this.parseIdent();
+            case 'num':
+            case 'string':
+                return this.parseLiteral();
+            case 'template':
+                return this.parseTemplate();
+            case 'privateName':
+                node.name = this.value;
+                this.next();
+                return this.finishNode(node, 'PrivateIdentifier');
+            case 'punct':
+                if (this.is('/') || this.is('/=')) {
+                    this.readRegexp();
+                    const { pattern, flags } = this.value;
+                    let value = null;
+                    try {
+                        value = new RegExp(pattern, flags);
+                    } catch {
+                        value = null;
+                    }
+                    node.value = value;
+                    node.raw = this.input.slice(this.start, this.end);
+                    node.regex = { pattern, flags };
+                    this.next();
+                    return this.finishNode(node, 'Literal');
+                }
+                if (this.is('(')) {
+                    this.next();
+                    const expression = this.parseExpression();
+                    this.expect(')');
+                    return expression;
+                }
+                if (this.is('[')) {
+                    this.next();
+                    node.elements = this.parseExprList(']');
+                    return this.finishNode(node, 'ArrayExpression');
+                }
+                if (this.is('{')) return this.parseObject();
+                break;
+            default:
+                break;
+            }
+
+            this.unexpected();
+        }
+
+        parseLiteral() {
+            const node = this.startNode();
+            const token = this.value;
+            node.value = token.value;
+            node.raw = token.raw;
+            if (token.bigint !== null && token.bigint !== undefined) node.bigint = token.bigint;
+            this.next();
+            return this.finishNode(node, 'Literal');
+        }
+
+        parseIdent(allowKeywords = false) {
+            if (this.type !== 'name') this.unexpected();
+            if (!allowKeywords && KEYWORDS.has(this.value)) this.unexpected();
+            const node = this.startNode();
+            node.name = this.value;
+            this.next();
+            return this.finishNode(node, 'Identifier');
+        }
+
+        parseNew() {
+            const node = this.startNode();
+            const meta = this.parseIdent(true);
+
+            if (this.eat('.')) {
+                node.meta = meta;
+                node.property = this.parseIdent(true);
+                return this.finishNode(node, 'MetaProperty');
+            }
+
+            const calleeStart = this.start;
+            node.callee = this.parseSubscripts(this.parseExprAtom(), calleeStart, true);
+            node.arguments = this.eat('(') ? this.parseExprList(')') : [];
+            return this.finishNode(node, 'NewExpression');
+        }
+
+        parseImportExpression() {
+            const node = this.startNode();
+            const meta = this.parseIdent(true);
+
+            if (this.eat('.')) {
+                node.meta = meta;
+                node.property = this.parseIdent(true);
+                return this.finishNode(node, 'MetaProperty');
+            }
+
+            this.expect('(');
+            node.source = this.parseMaybeAssign();
+            node.options = this.eat(',') && !this.is(')') ? this.parseMaybeAssign() : null;
+            this.eat(',');
+            this.expect(')');
+            return this.finishNode(node, 'ImportExpression');
+        }
+
+        parseTemplate() {
+            const node = this.startNode();
+            node.expressions = [];
+            node.quasis = [];
+
+            for (;;) {
+                if (this.type !== 'template') this.unexpected();
+                const { cooked, raw, tail, rawStart, rawEnd } = this.value;
+                const element = this.startNodeAt(rawStart);
+                element.value = { raw, cooked };
+                element.tail = tail;
+                node.quasis.push(this.finishNodeAt(element, 'TemplateElement', rawEnd));
+
+                if (tail) {
+                    this.next();
+                    break;
+                }
+
+                this.next();
+                node.expressions.push(this.parseExpression());
+                if (!this.is('}')) this.unexpected();
+
+                // Resume the template right after the closing brace
+                this.pos = this.end;
+                this.start = this.end;
+                this.readTemplateToken();
+            }
+
+            return this.finishNode(node, 'TemplateLiteral');
+        }
+
+        parseObject() {
+            const node = this.startNode();
+            node.properties = [];
+            this.expect('{');
+
+            while (!this.eat('}')) {
+                if (this.is('...')) {
+                    const spread = this.startNode();
+                    this.next();
+                    spread.argument = this.parseMaybeAssign();
+                    node.properties.push(this.finishNode(spread, 'SpreadElement'));
+                } else {
+                    node.properties.push(this.parseProperty());
+                }
+                if (!this.is('}')) this.expect(',');
+            }
+
+            return this.finishNode(node, 'ObjectExpression');
+        }
+
+        isPropertyModifier() {
+            const next = this.peek();
+            return !(next.type === 'punct' && [',', '}', ':', '(', '='].includes(next.value));
+        }
+
+        parseProperty() {
+            const node = this.startNode();
+            let isAsync = false;
+            let isGenerator = false;
+            let kind = 'init';
+
+            if (this.isName('async') && this.isPropertyModifier() && !this.peek().newlineBefore) {
+                this.next();
+                isAsync = true;
+            }
+            if (this.eat('*')) isGenerator = true;
+            if ((this.isName('get') || this.isName('set')) && !isAsync && !isGenerator && this.isPropertyModifier()) {
+                kind = this.value;
+                this.next();
+            }
+
+            this.parsePropertyName(node);
+            node.kind = kind;
+
+            if (this.is('(') || isAsync || isGenerator || kind !== 'init') {
+                node.method = kind === 'init';
+                node.shorthand = false;
+                node.value = this.parseMethod(isAsync, isGenerator);
+            } else if (this.eat(':')) {
+                node.method = false;
+                node.shorthand = false;
+                node.value = this.parseMaybeAssign();
+            } else {
+                if (node.key.type !== 'Identifier' || node.computed) this.unexpected();
+                node.method = false;
+                node.shorthand = true;
+                // { a = 1 } is only valid once reinterpreted as a pattern
+                node.value = this.parseDefault(node.key.start, { ...node.key });
+            }
+
+            return this.finishNode(node, 'Property');
+        }
+    }
+
+    /**
+     * تحليل سريع
+     * Convenience wrapper: JSParser.parse(code, options)
+     */
+    JSParser.parse = function (code, options = {}) {
+        return new JSParser(options).parse(code);
+    };
+
+    /**
+     * المرور على شجرة AST
+     * Depth-first walk calling visitor(node, parent) for every node
+     */
+    JSParser.walk = function walk(node, visitor, parent = null) {
+        if (!node || typeof node.type !== 'string') return;
+        if (visitor(node, parent) === false) return;
+
+        Object.keys(node).forEach(key => {
+            if (key === 'loc' || key === 'type') return;
+            const child = node[key];
+            if (Array.isArray(child)) {
+                child.forEach(item => walk(item, visitor, node));
+            } else if (child && typeof child.type === 'string') {
+                walk(child, visitor, node);
+            }
+        });
+    };
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { JSParser };
+    } else {
+        root.JSParser = JSParser;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
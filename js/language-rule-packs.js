@@ -0,0 +1,475 @@
+/**
+ * حزم القواعد حسب اللغة
+ * Language Rule Packs
+ * Language detection plus per-language sources and sanitizers for PHP, Python
+ * (Flask/Django), JavaScript (Node/Express) and HTML templates; the sinks are
+ * rules from the rule packs
+ */
+
+(function (root) {
+    'use strict';
+
+    const { JSParser } = typeof module !== 'undefined' && module.exports ? require('./js-parser.js') : root;
+
+    const RULE_PACKS = {
+        php: {
+            id: 'php',
+            name: 'PHP',
+            extensions: ['php', 'phtml', 'php5', 'inc'],
+            comments: { line: ['//', '#'], block: [['/*', '*/']] },
+            strings: ['"', "'"],
+            assignment: /(\$[A-Za-z_]\w*)\s*\.?=(?![=>])\s*([^;]+)/g,
+            sources: [
+                { id: 'superglobal', pattern: /\$_(?:GET|POST|REQUEST|COOKIE|FILES)\b/ },
+                { id: 'server', pattern: /\$_SERVER\s*\[\s*['"](?:HTTP_\w+|REQUEST_URI|QUERY_STRING|PHP_SELF|PATH_INFO)['"]/ },
+                { id: 'php-input', pattern: /php:\/\/input/ },
+                { id: 'laravel-request', pattern: /\$request->(?:input|get|query|post|all|cookie|header)\s*\(/ }
+            ],
+            sanitizers: [
+                { pattern: /\b(?:htmlspecialchars|htmlentities|strip_tags)\s*\(/, types: ['xss'] },
+                { pattern: /\b(?:escapeshellarg|escapeshellcmd)\s*\(/, types: ['command_injection'] },
+                { pattern: /(?:->prepare\s*\(|\bbind_?param|->bindValue|\bmysqli_real_escape_string\s*\(|->quote\s*\()/, types: ['sql_injection'] },
+                { pattern: /\b(?:basename|realpath)\s*\(/, types: ['path_traversal', 'file_inclusion'] },
+                { pattern: /(?:\b(?:intval|floatval)\s*\(|\(int\)|\(float\)|\bfilter_(?:var|input)\s*\()/, types: ['*'] }
+            ]
+        },
+
+        python: {
+            id: 'python',
+            name: 'Python (Flask, Django)',
+            extensions: ['py', 'pyw'],
+            comments: { line: ['#'], block: [], docstrings: true },
+            strings: ['"""', "'''", '"', "'"],
+            assignment: /^[ \t]*([A-Za-z_]\w*(?:\s*,\s*[A-Za-z_]\w*)*)\s*(?:\+)?=(?!=)\s*(.+)$/gm,
+            sources: [
+                { id: 'flask-request', pattern: /\brequest\.(?:args|form|values|json|data|files|cookies|headers|get_json|get_data)\b/ },
+                { id: 'django-request', pattern: /\brequest\.(?:GET|POST|COOKIES|META|body|FILES|data|query_params)\b/ },
+                { id: 'input', pattern: /\binput\s*\(/ },
+                { id: 'argv', pattern: /\bsys\.argv\b/ }
+            ],
+            sanitizers: [
+                { pattern: /\b(?:html\.escape|escape|markupsafe\.escape|bleach\.clean|conditional_escape)\s*\(/, types: ['xss'] },
+                { pattern: /\bshlex\.quote\s*\(/, types: ['command_injection'] },
+                { pattern: /\b(?:secure_filename|os\.path\.basename)\s*\(/, types: ['path_traversal'] },
+                { pattern: /\burl_has_allowed_host_and_scheme\s*\(/, types: ['open_redirect'] },
+                { pattern: /(?<![\w.])(?:int|float|bool|uuid\.UUID)\s*\(/, types: ['*'] }
+            ]
+        },
+
+        javascript: {
+            id: 'javascript',
+            name: 'JavaScript (Node.js, Express)',
+            extensions: ['js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx'],
+            comments: { line: ['//'], block: [['/*', '*/']] },
+            strings: ['"', "'", '`'],
+            assignment: /(?:\b(?:const|let|var)\s+)?(\{[^{}]*\}|\[[^[\]]*\]|[A-Za-z_$][\w$]*)\s*\+?=(?![=>])\s*([^;\n]+)/g,
+            sources: [
+                { id: 'express-request', pattern: /\breq(?:uest)?\.(?:query|body|params|cookies|headers|signedCookies|files?)\b/ },
+                { id: 'express-get', pattern: /\breq\.(?:get|header|param)\s*\(/ },
+                { id: 'koa-context', pattern: /\bctx\.(?:query|params|request\.body|request\.query|cookies\.get)\b/ },
+                { id: 'argv', pattern: /\bprocess\.argv\b/ }
+            ],
+            sanitizers: [
+                { pattern: /\b(?:escapeHtml|escape|validator\.escape|DOMPurify\.sanitize|sanitizeHtml|xss|encodeURIComponent)\s*\(/, types: ['xss'] },
+                { pattern: /\b(?:mysql\.escape|sqlstring\.escape|pg\.escape\w*|escapeId)\s*\(/, types: ['sql_injection'] },
+                { pattern: /\bpath\.basename\s*\(/, types: ['path_traversal'] },
+                { pattern: /\b(?:mongoSanitize|sanitize)\s*\(/, types: ['nosql_injection'] },
+                { pattern: /\b(?:_\.)?escapeRegExp\s*\(/, types: ['regex_injection'] },
+                { pattern: /(?<![\w$.])(?:parseInt|parseFloat|Number|Boolean|String)\s*\(/, types: ['*'] }
+            ]
+        },
+
+        html: {
+            id: 'html',
+            name: 'HTML templates',
+            extensions: ['html', 'htm', 'ejs', 'hbs', 'handlebars', 'mustache', 'jinja', 'jinja2', 'j2', 'twig', 'njk', 'vue', 'erb'],
+            comments: { line: [], block: [['<!--', '-->'], ['{#', '#}'], ['{{!--', '--}}'], ['<%#', '%>']] },
+            strings: [],
+            assignment: null,
+            sources: [],
+            sanitizers: [
+                { pattern: /\|\s*(?:e|escape|urlencode|striptags)\b/, types: ['xss'] },
+                { pattern: /\bDOMPurify\.sanitize\s*\(|\bsanitize\s*\(/, types: ['xss'] }
+            ]
+        }
+    };
+
+    const LANGUAGE_ALIASES = {
+        js: 'javascript', node: 'javascript', nodejs: 'javascript', express: 'javascript', typescript: 'javascript', ts: 'javascript',
+        py: 'python', flask: 'python', django: 'python',
+        template: 'html', templates: 'html', jinja: 'html', jinja2: 'html', ejs: 'html', handlebars: 'html', htm: 'html'
+    };
+
+    const SIGNALS = {
+        php: [[/<\?php|<\?=/, 5], [/\$_(?:GET|POST|REQUEST|COOKIE|SERVER)\b/, 3], [/\$[A-Za-z_]\w*\s*(?:=|->)/, 2], [/\b(?:echo|require_once|include_once)\b/, 1], [/\bfunction\s+\w+\s*\([^)]*\$\w+/, 2]],
+        python: [[/^\s*def\s+\w+\s*\(.*\)\s*(?:->\s*[^:]+)?:\s*$/m, 3], [/^\s*(?:from\s+[\w.]+\s+import\s+\w|import\s+[\w.]+\s*$)/m, 2], [/^\s*(?:elif|except|with)\b.*:\s*$/m, 2], [/\bself\./, 1], [/@\w+\.route\(|\bdjango\b|\bflask\b/i, 2], [/\b(?:None|True|False)\b/, 1]],
+        javascript: [[/\b(?:const|let|var)\s+[\w${[]/, 2], [/=>/, 1], [/\brequire\(\s*['"]/, 2], [/\bmodule\.exports\b|\bexport\s+(?:default|const|function|class)\b/, 2], [/\bfunction\s*\w*\s*\([^$)]*\)\s*\{/, 1], [/\b(?:document|window)\.\w+/, 1], [/\bapp\.(?:get|post|put|use|listen)\s*\(/, 2], [/\bclass\s+\w+(?:\s+extends\s+[\w.]+)?\s*\{/, 2], [/\bthis\.\w+\s*=/, 1], [/;\s*$/m, 1]],
+        html: [[/<!DOCTYPE\s+html/i, 5], [/<html[\s>]/i, 4], [/<(?:div|body|head|span|form|p|a|ul|li|table|section)\b[^>]*>/i, 2], [/\{\{[\s\S]*?\}\}|\{%[\s\S]*?%\}|<%[=-]/, 2], [/<\/\w+>/, 1]]
+    };
+
+    class LanguageAnalyzer {
+        constructor(options = {}) {
+            this.packs = { ...RULE_PACKS, ...(options.packs || {}) };
+        }
+
+        normalizeLanguage(language) {
+            const id = String(language || '').toLowerCase();
+            return LANGUAGE_ALIASES[id] || id;
+        }
+
+        getPack(language) {
+            return this.packs[this.normalizeLanguage(language)] || null;
+        }
+
+        /**
+         * كشف اللغة
+         * From the file extension when known, otherwise by scoring syntax signals;
+         * returns 'generic' when nothing stands out
+         */
+        detect(code, options = {}) {
+            if (options.filename) {
+                const extension = String(options.filename).split('.').pop().toLowerCase();
+                const pack = Object.values(this.packs).find(candidate => candidate.extensions.includes(extension));
+                if (pack) return { id: pack.id, confidence: 1, scores: {} };
+            }
+
+            const source = String(code);
+            const scores = {};
+            Object.entries(SIGNALS).forEach(([language, signals]) => {
+                scores[language] = signals.reduce((score, [pattern, weight]) => score + (pattern.test(source) ? weight : 0), 0);
+            });
+
+            // Markup in a file that does not start with markup is usually a string literal
+            if (!/^\s*[<{]/.test(source)) scores.html = Math.floor(scores.html / 2);
+            else if (scores.html >= 4 && scores.php < 5) scores.html += 3;
+
+            const [best, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+            const total = Object.values(scores).reduce((sum, value) => sum + value, 0);
+            if (score < 3) return { id: 'generic', confidence: 0, scores };
+            return { id: best, confidence: Number((score / total).toFixed(2)), scores };
+        }
+
+        /**
+         * حجب التعليقات
+         * Blank comments (and Python docstrings) while keeping offsets and newlines,
+         * so words inside them never match a rule
+         */
+        mask(code, pack) {
+            const source = String(code);
+            const { line = [], block = [], docstrings = false } = pack.comments || {};
+            const strings = pack.strings || [];
+            const blank = text => text.replace(/[^\n]/g, ' ');
+            let output = '';
+            let i = 0;
+
+            while (i < source.length) {
+                const opener = block.find(([start]) => source.startsWith(start, i));
+                if (opener) {
+                    const end = source.indexOf(opener[1], i + opener[0].length);
+                    const stop = end === -1 ? source.length : end + opener[1].length;
+                    output += blank(source.slice(i, stop));
+                    i = stop;
+                    continue;
+                }
+
+                if (line.some(marker => source.startsWith(marker, i))) {
+                    const end = source.indexOf('\n', i);
+                    const stop = end === -1 ? source.length : end;
+                    output += blank(source.slice(i, stop));
+                    i = stop;
+                    continue;
+                }
+
+                const quote = strings.find(candidate => source.startsWith(candidate, i));
+                if (quote) {
+                    let j = i + quote.length;
+                    while (j < source.length && !source.startsWith(quote, j)) {
+                        if (source[j] === '\\') j++;
+                        else if (quote.length === 1 && quote !== '`' && source[j] === '\n') break;
+                        j++;
+                    }
+                    const stop = Math.min(source.length, j + quote.length);
+                    const text = source.slice(i, stop);
+                    // A triple-quoted string standing alone on its line is a docstring
+                    const isDocstring = docstrings && quote.length === 3 && /(?:^|\n)[ \t]*$/.test(source.slice(0, i));
+                    output += isDocstring ? blank(text) : text;
+                    i = stop;
+                    continue;
+                }
+
+                output += source[i];
+                i++;
+            }
+
+            return output;
+        }
+
+        /**
+         * كود JavaScript المضمن
+         * JavaScript to hand to the taint analyzer: the file itself, inline <script>
+         * bodies of a template (everything else blanked), or null for server languages
+         */
+        scriptSource(code, language) {
+            const id = this.normalizeLanguage(language);
+            if (id === 'php' || id === 'python') return null;
+            if (id !== 'html') return String(code);
+
+            const source = String(code);
+            let output = source.replace(/[^\n]/g, ' ');
+            const scriptPattern = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+            let match;
+            while ((match = scriptPattern.exec(source)) !== null) {
+                const attributes = match[1];
+                if (/\bsrc\s*=/i.test(attributes)) continue;
+                const type = attributes.match(/\btype\s*=\s*["']?([^"'\s>]+)/i);
+                if (type && !/^(?:module|text\/javascript|application\/javascript)$/i.test(type[1])) continue;
+                const start = match.index + match[0].indexOf('>') + 1;
+                output = output.slice(0, start) + match[2] + output.slice(start + match[2].length);
+            }
+            return output;
+        }
+
+        /**
+         * الوسائط بعد نقطة التطابق
+         * Balanced call arguments when the match ends with '(', otherwise the rest
+         * of the statement
+         */
+        extractArguments(code, index, isCall) {
+            if (!isCall) {
+                const end = code.slice(index).search(/[;\n]/);
+                return code.slice(index, end === -1 ? code.length : index + end);
+            }
+
+            let depth = 1;
+            let quote = null;
+            let i = index;
+            for (; i < code.length && depth > 0; i++) {
+                const char = code[i];
+                if (quote) {
+                    if (char === '\\') i++;
+                    else if (char === quote) quote = null;
+                } else if (char === '"' || char === "'" || char === '`') {
+                    quote = char;
+                } else if (char === '(' || char === '[' || char === '{') {
+                    depth++;
+                } else if (char === ')' || char === ']' || char === '}') {
+                    depth--;
+                }
+            }
+            return code.slice(index, depth === 0 ? i - 1 : i);
+        }
+
+        escapeName(name) {
+            return name.replace(/[$\\.*+?^()[\]{}|]/g, '\\$&');
+        }
+
+        referencesName(text, name) {
+            return new RegExp(`(?<![\\w$])${this.escapeName(name)}(?![\\w$])`).test(text);
+        }
+
+        findSource(text, pack, tainted) {
+            const source = pack.sources.find(candidate => candidate.pattern.test(text));
+            if (source) return text.match(source.pattern)[0].replace(/\s*\($/, '');
+            return [...tainted.keys()].find(name => this.referencesName(text, name)) || null;
+        }
+
+        findSanitizer(text, pack, type) {
+            const sanitizer = pack.sanitizers.find(candidate =>
+                (candidate.types.includes('*') || candidate.types.includes(type)) && candidate.pattern.test(text));
+            return sanitizer ? text.match(sanitizer.pattern)[0] : null;
+        }
+
+        /**
+         * المتغيرات الملوثة
+         * Variables assigned from a source (directly or through another tainted
+         * variable) and not through a sanitizer, in source order
+         */
+        collectTaintedVariables(code, pack) {
+            const tainted = new Map();
+            if (!pack.assignment) return tainted;
+
+            const assignments = [...code.matchAll(new RegExp(pack.assignment.source, pack.assignment.flags))];
+
+            // Twice, so assignments inside loops see taint from later lines
+            for (let pass = 0; pass < 2; pass++) {
+                assignments.forEach(match => {
+                    const names = match[1].replace(/[{}[\]]/g, '').split(',')
+                        .map(part => part.split(':').pop().split('=')[0].replace(/^\s*\.{3}/, '').trim())
+                        .filter(Boolean);
+                    const value = match[2];
+                    const origin = this.findSource(value, pack, tainted);
+                    const sanitized = pack.sanitizers.some(candidate => candidate.pattern.test(value));
+
+                    names.forEach(name => {
+                        if (origin && !sanitized) tainted.set(name, origin === name ? tainted.get(name) : origin);
+                        else if (!match[0].includes('+=') && !match[0].includes('.=') && pass === 0) tainted.delete(name);
+                    });
+                });
+            }
+
+            return tainted;
+        }
+
+        location(code, index) {
+            const before = code.slice(0, index).split('\n');
+            return { line: before.length, column: before[before.length - 1].length + 1 };
+        }
+
+        parseScript(code) {
+            try {
+                return JSParser.parse(code);
+            } catch {
+                try {
+                    return JSParser.parse(code, { sourceType: 'script' });
+                } catch {
+                    return null;
+                }
+            }
+        }
+
+        // Dotted name of a callee or member, e.g. 'child_process.exec'; null when computed
+        nodeLabel(node) {
+            const parts = [];
+            let current = node;
+            while (current.type === 'MemberExpression' && !current.computed && current.property.type === 'Identifier') {
+                parts.unshift(current.property.name);
+                current = current.object;
+            }
+            if (current.type === 'Identifier') return [current.name, ...parts].join('.');
+            if (current.type === 'ThisExpression') return ['this', ...parts].join('.');
+            return null;
+        }
+
+        labelMatches(label, names) {
+            return label !== null && names.some(name => (name.startsWith('*.') ? label.endsWith(name.slice(1)) : label === name));
+        }
+
+        isLiteral(node) {
+            return node.type === 'Literal' || (node.type === 'TemplateLiteral' && node.expressions.length === 0);
+        }
+
+        /**
+         * مطابقة استعلام AST
+         * Nodes matching a query rule: calls, constructions or property assignments,
+         * optionally only when the inspected argument is (or is not) a literal
+         */
+        matchQuery(ast, query) {
+            const names = [].concat(query.type === 'assign' ? query.property : query.callee);
+            const matches = [];
+
+            JSParser.walk(ast, node => {
+                let target = null;
+                let argument = null;
+                if (query.type === 'assign' && node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression') {
+                    const property = node.left.computed ? null : node.left.property.name;
+                    if (this.labelMatches(property, names)) {
+                        target = node;
+                        argument = node.right;
+                    }
+                } else if ((query.type === 'call' && node.type === 'CallExpression') || (query.type === 'new' && node.type === 'NewExpression')) {
+                    if (this.labelMatches(this.nodeLabel(node.callee), names)) {
+                        target = node;
+                        argument = node.arguments[query.argument || 0] || null;
+                    }
+                }
+                if (!target) return;
+
+                const expected = query.argumentIs || 'any';
+                if (expected !== 'any' && (!argument || this.isLiteral(argument) !== (expected === 'literal'))) return;
+                matches.push({ node: target, argument });
+            });
+
+            return matches;
+        }
+
+        /**
+         * تحليل الكود بحزمة لغته
+         * Run rule-pack rules over comment-masked code with this language's sources
+         * and sanitizers. A rule that requires a source fires only when one reaches
+         * its arguments unsanitized; other rules fire on any match
+         */
+        analyze(code, language, rules = []) {
+            const pack = this.getPack(language);
+            if (!pack) return [];
+
+            const source = String(code);
+            const masked = this.mask(source, pack);
+            const tainted = this.collectTaintedVariables(masked, pack);
+            const findings = [];
+            let ast;
+
+            const candidates = rule => {
+                if (rule.regex) {
+                    return [...masked.matchAll(new RegExp(rule.regex.source, rule.regex.flags))].map(match => {
+                        const end = match.index + match[0].length;
+                        const isCall = match[0].endsWith('(');
+                        return {
+                            start: match.index,
+                            end,
+                            text: match[0],
+                            args: (isCall ? '' : match[0]) + this.extractArguments(masked, end, isCall)
+                        };
+                    });
+                }
+                if (!rule.query || pack.id !== 'javascript') return [];
+                if (ast === undefined) ast = this.parseScript(source);
+                if (!ast) return [];
+                return this.matchQuery(ast, rule.query).map(({ node, argument }) => ({
+                    start: node.start,
+                    end: node.end,
+                    text: source.slice(node.start, node.end),
+                    args: argument ? masked.slice(argument.start, argument.end) : ''
+                }));
+            };
+
+            rules.forEach(rule => {
+                candidates(rule).forEach(candidate => {
+                    const { args } = candidate;
+                    if (rule.when && !rule.when.test(args)) return;
+                    if (rule.unless && rule.unless.test(args)) return;
+
+                    const origin = this.findSource(args, pack, tainted);
+                    const sanitizer = this.findSanitizer(args, pack, rule.type);
+                    if ((origin || rule.requiresSource) && sanitizer) return;
+                    if (!origin && rule.requiresSource) return;
+
+                    const { line, column } = this.location(masked, candidate.start);
+                    const input = origin && tainted.has(origin) ? tainted.get(origin) : origin;
+                    const sink = candidate.text.split('(')[0].trim();
+                    findings.push({
+                        type: rule.type,
+                        ruleId: rule.id,
+                        pack: rule.pack,
+                        language: pack.id,
+                        title: rule.title,
+                        confidence: origin ? rule.confidence : Number((rule.confidence * 0.75).toFixed(2)),
+                        severity: origin ? rule.severity : Math.max(1, rule.severity - 1),
+                        method: 'language_rules',
+                        message: origin ? `${rule.title}: user input (${input}) reaches ${sink}` : rule.title,
+                        line,
+                        column,
+                        match: candidate.text,
+                        startIndex: candidate.start,
+                        endIndex: candidate.end,
+                        source: origin ? { name: input, via: origin !== input ? origin : null } : null,
+                        cwe: rule.cwe,
+                        owasp: rule.owasp,
+                        fix: rule.fix
+                    });
+                });
+            });
+
+            findings.sort((a, b) => a.line - b.line || a.column - b.column);
+            return findings;
+        }
+    }
+
+    LanguageAnalyzer.PACKS = RULE_PACKS;
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { LanguageAnalyzer };
+    } else {
+        root.LanguageAnalyzer = LanguageAnalyzer;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,232 @@
+/**
+ * مطبّع الحمولات
+ * Payload Normalizer
+ * Bounded recursive decoding (URL, HTML entities, Unicode escapes, base64),
+ * SQL/HTML comment stripping and case folding, with every character of the
+ * result mapped back to its source range and to the layers that produced it
+ */
+
+(function (root) {
+    'use strict';
+
+    // Entities an attacker can use for markup and script syntax; numeric references cover the rest
+    const NAMED_ENTITIES = {
+        lt: '<', gt: '>', amp: '&', quot: '"', apos: "'", sol: '/', bsol: '\\', colon: ':', semi: ';',
+        lpar: '(', rpar: ')', lsqb: '[', rsqb: ']', lcub: '{', rcub: '}', equals: '=', excl: '!', num: '#',
+        percnt: '%', period: '.', comma: ',', plus: '+', grave: '`', tab: '\t', newline: '\n', nbsp: ' '
+    };
+
+    // One decoding round applies every layer in this order; fold runs once, after the last round
+    const DECODERS = [
+        {
+            layer: 'url',
+            // ASCII bytes one at a time, so positions stay exact; UTF-8 sequences as a run
+            pattern: /%[0-7][0-9a-f]|(?:%[89a-f][0-9a-f])+|%u[0-9a-f]{4}/gi,
+            decode: text => {
+                if (/^%u/i.test(text)) return String.fromCharCode(parseInt(text.slice(2), 16));
+                try {
+                    return decodeURIComponent(text);
+                } catch {
+                    // Not UTF-8: one Latin-1 character per byte
+                    return text.match(/%[0-9a-f]{2}/gi).map(byte => String.fromCharCode(parseInt(byte.slice(1), 16))).join('');
+                }
+            }
+        },
+        {
+            layer: 'html',
+            // Named references need their semicolon, so query strings like ?a=1&num=2 stay intact
+            pattern: /&(?:#x([0-9a-f]{1,6});?|#(\d{1,7});?|([a-z]{2,8});)/gi,
+            decode: (text, hex, decimal, name) => {
+                if (name) {
+                    const value = NAMED_ENTITIES[name.toLowerCase()];
+                    return value === undefined ? null : value;
+                }
+                const codePoint = hex ? parseInt(hex, 16) : Number(decimal);
+                return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : null;
+            }
+        },
+        {
+            layer: 'unicode',
+            pattern: /\\u\{([0-9a-f]{1,6})\}|\\u([0-9a-f]{4})|\\x([0-9a-f]{2})/gi,
+            decode: (text, braced, unit, byte) => {
+                const codePoint = parseInt(braced || unit || byte, 16);
+                return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : null;
+            }
+        },
+        {
+            layer: 'base64',
+            pattern: /[A-Za-z0-9+/_-]{16,}={0,2}/g,
+            decode: text => PayloadNormalizer.decodeBase64(text)
+        },
+        {
+            layer: 'comments',
+            // MySQL runs the body of /*!50000 ... */; other comments separate tokens like whitespace
+            pattern: /\/\*!\d{0,5}([\s\S]*?)\*\/|\/\*[\s\S]*?\*\/|<!--[\s\S]*?-->/g,
+            decode: (text, versioned) => {
+                if (versioned !== undefined) return versioned;
+                return text.startsWith('<!--') ? '' : ' ';
+            }
+        }
+    ];
+
+    // Compatibility forms (fullwidth ＜, ligatures) fold to ASCII; plain ASCII case is
+    // folded afterwards without recording a layer, as it reveals nothing to a case-insensitive rule
+    const FOLD = {
+        layer: 'fold',
+        pattern: /[^\x00-\x7f]/gu,
+        decode: text => {
+            const folded = text.normalize('NFKC').toLowerCase();
+            return folded === text ? null : folded;
+        }
+    };
+
+    class PayloadNormalizer {
+        constructor(options = {}) {
+            // Rounds of decoding; each round can peel one layer of every kind
+            this.maxDepth = Math.max(1, Math.min(options.maxDepth || 4, 6));
+            // Longer input is left as is
+            this.maxLength = options.maxLength || 1024 * 1024;
+        }
+
+        /**
+         * تطبيع النص
+         * Decode until nothing changes or maxDepth rounds ran, then fold case. The view
+         * keeps, per character, its source range (starts, ends) and a bit mask of
+         * the steps that changed it; steps names the layer of each bit
+         */
+        normalize(text) {
+            const source = String(text);
+            const view = {
+                text: source,
+                starts: Array.from({ length: source.length }, (_, i) => i),
+                ends: Array.from({ length: source.length }, (_, i) => i + 1),
+                masks: new Array(source.length).fill(0),
+                steps: []
+            };
+            if (source.length > this.maxLength) return { ...view, changed: false, truncated: true };
+
+            let current = view;
+            for (let round = 0; round < this.maxDepth; round++) {
+                const before = current.steps.length;
+                DECODERS.forEach(decoder => {
+                    current = this.apply(current, decoder);
+                });
+                if (current.steps.length === before) break;
+            }
+            current = this.apply(current, FOLD);
+
+            const lower = current.text.toLowerCase();
+            return {
+                ...current,
+                text: lower.length === current.text.length ? lower : current.text,
+                changed: current.steps.length > 0,
+                truncated: false
+            };
+        }
+
+        /**
+         * تطبيق طبقة
+         * One decoder over the whole view; the view comes back unchanged (and no
+         * step is recorded) when nothing decodes
+         */
+        apply(view, decoder) {
+            const step = view.steps.length;
+            const next = { text: '', starts: [], ends: [], masks: [], steps: view.steps };
+            let last = 0;
+            let changed = false;
+
+            const copy = (from, to) => {
+                next.text += view.text.slice(from, to);
+                for (let i = from; i < to; i++) {
+                    next.starts.push(view.starts[i]);
+                    next.ends.push(view.ends[i]);
+                    next.masks.push(view.masks[i]);
+                }
+            };
+
+            for (const match of view.text.matchAll(decoder.pattern)) {
+                const decoded = decoder.decode(...match);
+                if (decoded === null || decoded === match[0]) continue;
+
+                const from = match.index;
+                const to = from + match[0].length;
+                copy(last, from);
+                last = to;
+                changed = true;
+
+                next.text += decoded;
+                if (decoded.length === match[0].length) {
+                    // Same length: keep character-exact positions
+                    for (let i = from; i < to; i++) {
+                        next.starts.push(view.starts[i]);
+                        next.ends.push(view.ends[i]);
+                        next.masks.push(view.masks[i] | (1 << step));
+                    }
+                    continue;
+                }
+                let mask = 1 << step;
+                for (let i = from; i < to; i++) mask |= view.masks[i];
+                // A removed comment still revealed whatever it separated
+                if (!decoded && next.masks.length) next.masks[next.masks.length - 1] |= mask;
+                for (let i = 0; i < decoded.length; i++) {
+                    next.starts.push(view.starts[from]);
+                    next.ends.push(view.ends[to - 1]);
+                    next.masks.push(mask);
+                }
+            }
+
+            if (!changed) return view;
+            copy(last, view.text.length);
+            next.steps = [...view.steps, decoder.layer];
+            return next;
+        }
+
+        /**
+         * أصل المقطع
+         * Source range of view.text[from, to) and the layers, in the order they
+         * were applied, that changed any of its characters
+         */
+        origin(view, from, to) {
+            if (to <= from) return { start: view.starts[from] || 0, end: view.starts[from] || 0, layers: [] };
+            let mask = 0;
+            let start = Infinity;
+            let end = 0;
+            for (let i = from; i < to; i++) {
+                mask |= view.masks[i];
+                start = Math.min(start, view.starts[i]);
+                end = Math.max(end, view.ends[i]);
+            }
+            return { start, end, layers: view.steps.filter((_, step) => mask & (1 << step)) };
+        }
+
+        /**
+         * فك base64
+         * Text of a base64 or base64url token, or null when it is not one or does
+         * not decode to printable ASCII (identifiers and hashes stay as they are)
+         */
+        static decodeBase64(token) {
+            const body = token.replace(/=+$/, '');
+            if (/[+/]/.test(body) && /[-_]/.test(body)) return null;
+            if (body.length % 4 === 1) return null;
+
+            const standard = body.replace(/-/g, '+').replace(/_/g, '/');
+            const padded = standard + '='.repeat((4 - (standard.length % 4)) % 4);
+            let decoded;
+            try {
+                decoded = typeof atob === 'function' ? atob(padded) : Buffer.from(padded, 'base64').toString('latin1');
+            } catch {
+                return null;
+            }
+            return /^[\t\n\r\x20-\x7e]+$/.test(decoded) ? decoded : null;
+        }
+    }
+
+    PayloadNormalizer.LAYERS = [...DECODERS.map(decoder => decoder.layer), FOLD.layer];
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { PayloadNormalizer };
+    } else {
+        root.PayloadNormalizer = PayloadNormalizer;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,499 @@
+/**
+ * سياسة الأذونات
+ * Permissions Policy
+ * Feature registry, structured-header parsing, nested frame resolution and
+ * deny-by-default recommendations for Permissions-Policy
+ */
+
+(function (root) {
+    'use strict';
+
+    // Policy-controlled features and their default allowlists
+    const FEATURES = {
+        accelerometer: { defaultAllowlist: 'self', category: 'sensors', description: 'مستشعر التسارع' },
+        'ambient-light-sensor': { defaultAllowlist: 'self', category: 'sensors', description: 'مستشعر الإضاءة المحيطة' },
+        'attribution-reporting': { defaultAllowlist: '*', category: 'privacy', description: 'قياس الإحالات الإعلانية' },
+        autoplay: { defaultAllowlist: 'self', category: 'media', description: 'التشغيل التلقائي للوسائط' },
+        bluetooth: { defaultAllowlist: 'self', category: 'devices', description: 'Web Bluetooth', powerful: true },
+        'browsing-topics': { defaultAllowlist: '*', category: 'privacy', description: 'Topics API للإعلانات' },
+        camera: { defaultAllowlist: 'self', category: 'media', description: 'الكاميرا', powerful: true },
+        'clipboard-read': { defaultAllowlist: 'self', category: 'clipboard', description: 'قراءة الحافظة', powerful: true },
+        'clipboard-write': { defaultAllowlist: 'self', category: 'clipboard', description: 'الكتابة في الحافظة' },
+        'compute-pressure': { defaultAllowlist: 'self', category: 'sensors', description: 'ضغط المعالج' },
+        'cross-origin-isolated': { defaultAllowlist: 'self', category: 'isolation', description: 'العزل عبر الأصول' },
+        'display-capture': { defaultAllowlist: 'self', category: 'media', description: 'التقاط الشاشة', powerful: true },
+        'encrypted-media': { defaultAllowlist: 'self', category: 'media', description: 'الوسائط المشفرة (EME)' },
+        fullscreen: { defaultAllowlist: 'self', category: 'display', description: 'ملء الشاشة' },
+        gamepad: { defaultAllowlist: 'self', category: 'devices', description: 'أذرع التحكم' },
+        geolocation: { defaultAllowlist: 'self', category: 'location', description: 'الموقع الجغرافي', powerful: true },
+        gyroscope: { defaultAllowlist: 'self', category: 'sensors', description: 'الجيروسكوب' },
+        hid: { defaultAllowlist: 'self', category: 'devices', description: 'WebHID', powerful: true },
+        'identity-credentials-get': { defaultAllowlist: 'self', category: 'identity', description: 'FedCM' },
+        'idle-detection': { defaultAllowlist: 'self', category: 'privacy', description: 'كشف خمول المستخدم', powerful: true },
+        'local-fonts': { defaultAllowlist: 'self', category: 'privacy', description: 'الخطوط المحلية' },
+        magnetometer: { defaultAllowlist: 'self', category: 'sensors', description: 'مقياس المغناطيسية' },
+        microphone: { defaultAllowlist: 'self', category: 'media', description: 'الميكروفون', powerful: true },
+        midi: { defaultAllowlist: 'self', category: 'devices', description: 'Web MIDI', powerful: true },
+        'otp-credentials': { defaultAllowlist: 'self', category: 'identity', description: 'WebOTP' },
+        payment: { defaultAllowlist: 'self', category: 'payment', description: 'Payment Request API', powerful: true },
+        'picture-in-picture': { defaultAllowlist: '*', category: 'display', description: 'صورة داخل صورة' },
+        'publickey-credentials-create': { defaultAllowlist: 'self', category: 'identity', description: 'إنشاء مفاتيح WebAuthn' },
+        'publickey-credentials-get': { defaultAllowlist: 'self', category: 'identity', description: 'استخدام مفاتيح WebAuthn' },
+        'screen-wake-lock': { defaultAllowlist: 'self', category: 'display', description: 'منع إطفاء الشاشة' },
+        serial: { defaultAllowlist: 'self', category: 'devices', description: 'Web Serial', powerful: true },
+        'speaker-selection': { defaultAllowlist: 'self', category: 'media', description: 'اختيار السماعات' },
+        'storage-access': { defaultAllowlist: '*', category: 'privacy', description: 'Storage Access API' },
+        usb: { defaultAllowlist: 'self', category: 'devices', description: 'WebUSB', powerful: true },
+        'web-share': { defaultAllowlist: 'self', category: 'sharing', description: 'Web Share API' },
+        'window-management': { defaultAllowlist: 'self', category: 'display', description: 'إدارة النوافذ المتعددة' },
+        'xr-spatial-tracking': { defaultAllowlist: 'self', category: 'devices', description: 'WebXR', powerful: true },
+        'interest-cohort': { defaultAllowlist: '*', category: 'privacy', description: 'FLoC (أزيل)', deprecated: true }
+    };
+
+    const ORIGIN = /^[a-z][a-z0-9+.-]*:\/\/(?:\*\.)?[a-z0-9.-]+(?::\d+)?$/i;
+
+    // API calls that need each feature, used to build a policy from what the page actually uses
+    const FEATURE_USAGE = {
+        accelerometer: [/\bnew\s+(?:Linear)?Accelerometer\b/, /\bnew\s+GravitySensor\b/, /\bdevicemotion\b/],
+        'ambient-light-sensor': [/\bnew\s+AmbientLightSensor\b/],
+        autoplay: [/<(?:video|audio)\b[^>]*\sautoplay\b/i, /\.autoplay\s*=\s*true\b/],
+        bluetooth: [/\bnavigator\.bluetooth\b/],
+        'browsing-topics': [/\bdocument\.browsingTopics\b/],
+        camera: [/\bgetUserMedia\s*\([^)]*\bvideo\b/, /\bImageCapture\b/],
+        'clipboard-read': [/\bclipboard\.read(?:Text)?\s*\(/],
+        'clipboard-write': [/\bclipboard\.write(?:Text)?\s*\(/],
+        'compute-pressure': [/\bnew\s+PressureObserver\b/],
+        'display-capture': [/\bgetDisplayMedia\s*\(/],
+        'encrypted-media': [/\brequestMediaKeySystemAccess\s*\(/],
+        fullscreen: [/\brequestFullscreen\s*\(/, /\bwebkitRequestFullscreen\s*\(/],
+        gamepad: [/\bgetGamepads\s*\(/, /\bgamepadconnected\b/],
+        geolocation: [/\bnavigator\.geolocation\b/],
+        gyroscope: [/\bnew\s+(?:Gyroscope|AbsoluteOrientationSensor|RelativeOrientationSensor)\b/, /\bdeviceorientation\b/],
+        hid: [/\bnavigator\.hid\b/],
+        'identity-credentials-get': [/\bcredentials\.get\s*\(\s*\{[^}]*\bidentity\s*:/],
+        'idle-detection': [/\bnew\s+IdleDetector\b/],
+        'local-fonts': [/\bqueryLocalFonts\s*\(/],
+        magnetometer: [/\bnew\s+Magnetometer\b/],
+        microphone: [/\bgetUserMedia\s*\([^)]*\baudio\b/, /\bnew\s+(?:webkit)?SpeechRecognition\b/],
+        midi: [/\brequestMIDIAccess\s*\(/],
+        'otp-credentials': [/\bcredentials\.get\s*\(\s*\{[^}]*\botp\s*:/],
+        payment: [/\bnew\s+PaymentRequest\b/],
+        'picture-in-picture': [/\brequestPictureInPicture\s*\(/, /\bdocumentPictureInPicture\b/],
+        'publickey-credentials-create': [/\bcredentials\.create\s*\(\s*\{[^}]*\bpublicKey\s*:/],
+        'publickey-credentials-get': [/\bcredentials\.get\s*\(\s*\{[^}]*\bpublicKey\s*:/],
+        'screen-wake-lock': [/\bwakeLock\.request\s*\(/],
+        serial: [/\bnavigator\.serial\b/],
+        'speaker-selection': [/\bselectAudioOutput\s*\(/],
+        'storage-access': [/\brequestStorageAccess\s*\(/],
+        usb: [/\bnavigator\.usb\b/],
+        'web-share': [/\bnavigator\.share\s*\(/],
+        'window-management': [/\bgetScreenDetails\s*\(/],
+        'xr-spatial-tracking': [/\bnavigator\.xr\b/]
+    };
+
+    class PermissionsPolicy {
+        /**
+         * تحليل رأس Permissions-Policy (قاموس Structured Fields)
+         * Parse a Permissions-Policy header (a Structured Fields dictionary)
+         */
+        parse(header) {
+            const policy = { features: {}, parameters: {}, issues: [] };
+            const members = this.splitMembers(header);
+
+            members.forEach(member => {
+                const match = member.match(/^([a-z*][a-z0-9_\-.*]*)\s*(?:=\s*([\s\S]*))?$/);
+                if (!match) {
+                    policy.issues.push(`عضو غير صالح في الرأس: ${member}`);
+                    return;
+                }
+
+                const [, feature, rawValue = '?1'] = match;
+                const { value, parameters } = this.splitParameters(rawValue);
+                const allowlist = this.parseAllowlist(value);
+
+                if (allowlist === null) {
+                    policy.issues.push(`قائمة سماح غير صالحة لـ ${feature}: ${rawValue}` + this.describeSyntaxError(value));
+                    return;
+                }
+
+                // Later members of a dictionary override earlier ones
+                policy.features[feature] = allowlist;
+                if (Object.keys(parameters).length > 0) {
+                    policy.parameters[feature] = parameters;
+                } else {
+                    delete policy.parameters[feature];
+                }
+            });
+
+            return policy;
+        }
+
+        /**
+         * فصل معاملات العضو
+         * Split ";key=value" parameters (e.g. report-to) off a member value
+         */
+        splitParameters(rawValue) {
+            const parameters = {};
+            let inString = false;
+            let end = rawValue.length;
+
+            for (let i = 0; i < rawValue.length; i++) {
+                if (rawValue[i] === '"' && rawValue[i - 1] !== '\\') inString = !inString;
+                if (rawValue[i] === ';' && !inString) {
+                    end = i;
+                    break;
+                }
+            }
+
+            rawValue.slice(end + 1).split(';').forEach(part => {
+                const [key, ...rest] = part.trim().split('=');
+                if (!key) return;
+                parameters[key.trim()] = rest.length > 0 ? rest.join('=').trim().replace(/^"|"$/g, '') : true;
+            });
+
+            return { value: rawValue.slice(0, end).trim(), parameters };
+        }
+
+        describeSyntaxError(value) {
+            if (/'(?:self|src|none)'/.test(value)) {
+                return ' (الكلمات المفتاحية بدون علامات اقتباس: self وليس \'self\')';
+            }
+            if (/(^|[\s(])[a-z][a-z0-9+.-]*:\/\//i.test(value.replace(/"[^"]*"/g, ''))) {
+                return ' (الأصول يجب أن تكون بين علامتي اقتباس مزدوجة)';
+            }
+            if (/\bnone\b/.test(value)) {
+                return ' (لمنع الميزة استخدم قائمة فارغة ())';
+            }
+            return '';
+        }
+
+        splitMembers(header) {
+            const members = [];
+            let current = '';
+            let depth = 0;
+            let inString = false;
+
+            for (const char of String(header || '')) {
+                if (char === '"' && !current.endsWith('\\')) inString = !inString;
+                if (!inString && char === '(') depth++;
+                if (!inString && char === ')') depth--;
+
+                if (char === ',' && !inString && depth === 0) {
+                    if (current.trim()) members.push(current.trim());
+                    current = '';
+                } else {
+                    current += char;
+                }
+            }
+
+            if (current.trim()) members.push(current.trim());
+            return members;
+        }
+
+        /**
+         * تحليل قائمة السماح
+         * Parse an allowlist: *, self, "origin", or an inner list of those
+         */
+        parseAllowlist(value) {
+            if (value === '?1') return ['*'];
+            if (value === '?0') return [];
+
+            const inner = value.match(/^\(([\s\S]*)\)$/);
+            // Inner-list items may carry their own parameters, which carry no meaning here
+            const items = (inner ? inner[1].trim().split(/\s+/).filter(Boolean) : [value])
+                .map(item => item.replace(/;[\s\S]*$/, ''));
+            const allowlist = [];
+
+            for (const item of items) {
+                if (item === '*' || item === 'self' || item === 'src') {
+                    allowlist.push(item);
+                } else if (/^"[^"]*"$/.test(item)) {
+                    allowlist.push(item.slice(1, -1));
+                } else {
+                    return null;
+                }
+            }
+
+            return allowlist;
+        }
+
+        /**
+         * تحويل قوائم السماح إلى رأس
+         * Serialize { feature: allowlist } into a Permissions-Policy header
+         */
+        serialize(allowlists) {
+            return Object.entries(allowlists)
+                .map(([feature, allowlist]) => `${feature}=${this.serializeAllowlist(allowlist)}`)
+                .join(', ');
+        }
+
+        serializeAllowlist(allowlist) {
+            const items = Array.isArray(allowlist) ? allowlist : [allowlist];
+            if (items.includes('*')) return '*';
+
+            const serialized = items.map(item => (item === 'self' || item === 'src' ? item : `"${item}"`));
+            if (serialized.length === 1 && serialized[0] === 'self') return 'self';
+            return `(${serialized.join(' ')})`;
+        }
+
+        /**
+         * تحليل خاصية allow للإطار
+         * Parse an iframe allow attribute; a feature without values defaults to 'src'
+         */
+        parseAllowAttribute(allow) {
+            const allowlists = {};
+
+            String(allow || '').split(';').forEach(entry => {
+                const [feature, ...values] = entry.trim().split(/\s+/);
+                if (!feature) return;
+
+                const items = values.length > 0 ? values : ["'src'"];
+                allowlists[feature] = items.includes("'none'")
+                    ? []
+                    : items.map(item => item.replace(/^'(self|src)'$/, '$1'));
+            });
+
+            return allowlists;
+        }
+
+        serializeAllowAttribute(allowlists) {
+            return Object.entries(allowlists)
+                .map(([feature, allowlist]) => {
+                    const items = allowlist.length === 0 ? ["'none'"] : allowlist.map(item =>
+                        (item === 'self' || item === 'src' ? `'${item}'` : item));
+                    return items.length === 1 && items[0] === "'src'" ? feature : `${feature} ${items.join(' ')}`;
+                })
+                .join('; ');
+        }
+
+        normalizeOrigin(value) {
+            try {
+                return new URL(value).origin;
+            } catch {
+                return null;
+            }
+        }
+
+        /**
+         * مطابقة أصل مع قائمة السماح
+         * Match an origin against an allowlist; self and src resolve through the context
+         */
+        matchesAllowlist(allowlist, origin, context = {}) {
+            const target = this.normalizeOrigin(origin);
+            if (!target) return false;
+
+            return allowlist.some(item => {
+                if (item === '*') return true;
+                if (item === 'self') return target === this.normalizeOrigin(context.self);
+                if (item === 'src') return target === this.normalizeOrigin(context.src);
+
+                const wildcard = item.match(/^([a-z][a-z0-9+.-]*:\/\/)\*\.(.+)$/i);
+                if (wildcard) {
+                    const url = new URL(target);
+                    const base = new URL(wildcard[1] + wildcard[2]);
+                    return url.protocol === base.protocol && url.port === base.port &&
+                        url.hostname.endsWith('.' + base.hostname);
+                }
+
+                return target === this.normalizeOrigin(item);
+            });
+        }
+
+        /**
+         * هل الميزة مفعلة في المستند لأصل معين؟
+         * "Is feature enabled in document for origin?" for a resolved frame
+         */
+        isEnabledInDocument(frame, feature, origin) {
+            if (!frame.inherited[feature]) return false;
+
+            const declared = frame.declared[feature];
+            if (declared) return this.matchesAllowlist(declared, origin, { self: frame.origin });
+            return true;
+        }
+
+        /**
+         * وراثة السياسة للإطار المضمن
+         * Inherited policy for a child frame: the parent must allow the feature for itself
+         * and for the child's origin, then the allow attribute (or the default allowlist) decides
+         */
+        inheritFeature(parent, child, feature) {
+            const definition = FEATURES[feature] || { defaultAllowlist: 'self' };
+
+            if (!this.isEnabledInDocument(parent, feature, parent.origin)) {
+                return { enabled: false, reason: 'الميزة معطلة في الإطار الأب' };
+            }
+            if (!this.isEnabledInDocument(parent, feature, child.origin)) {
+                return { enabled: false, reason: 'رأس الإطار الأب لا يسمح بأصل الإطار' };
+            }
+
+            const container = child.container[feature];
+            if (container) {
+                const enabled = this.matchesAllowlist(container, child.origin, { self: parent.origin, src: child.src });
+                return { enabled, reason: enabled ? 'مسموحة عبر خاصية allow' : 'خاصية allow لا تشمل أصل الإطار' };
+            }
+
+            if (definition.defaultAllowlist === '*') {
+                return { enabled: true, reason: 'القائمة الافتراضية *' };
+            }
+
+            const sameOrigin = this.normalizeOrigin(child.origin) === this.normalizeOrigin(parent.origin);
+            return {
+                enabled: sameOrigin,
+                reason: sameOrigin ? 'نفس أصل الإطار الأب (القائمة الافتراضية self)' : 'القائمة الافتراضية self والإطار من أصل آخر دون allow'
+            };
+        }
+
+        /**
+         * حساب الميزات المتاحة في شجرة الإطارات
+         * Resolve every feature for a frame tree:
+         * { origin, policy, children: [{ origin, src, allow, policy, children }] }
+         */
+        resolveFrameTree(tree, features = Object.keys(FEATURES)) {
+            const frames = [];
+
+            const visit = (node, parent, path) => {
+                const parsed = typeof node.policy === 'string' || !node.policy
+                    ? this.parse(node.policy || '').features
+                    : node.policy;
+                const frame = {
+                    path,
+                    origin: this.normalizeOrigin(node.origin || node.src),
+                    src: node.src || node.origin,
+                    declared: parsed,
+                    container: this.parseAllowAttribute(node.allow),
+                    inherited: {},
+                    features: {}
+                };
+
+                features.forEach(feature => {
+                    const result = parent
+                        ? this.inheritFeature(parent, frame, feature)
+                        : { enabled: true, reason: 'المستند الرئيسي' };
+                    frame.inherited[feature] = result.enabled;
+
+                    // The frame's own header can still switch the feature off for itself
+                    const enabled = result.enabled && this.isEnabledInDocument(frame, feature, frame.origin);
+                    frame.features[feature] = {
+                        enabled,
+                        reason: result.enabled && !enabled ? 'رأس الإطار نفسه يمنع الميزة' : result.reason
+                    };
+                });
+
+                frames.push(frame);
+                (node.children || []).forEach((child, index) => visit(child, frame, `${path}/${index}`));
+            };
+
+            visit(tree, null, 'top');
+            return frames;
+        }
+
+        /**
+         * الأصول التي يمكنها استخدام الميزة
+         * Frames (and their origins) where a feature ends up enabled
+         */
+        getAllowedOrigins(tree, feature) {
+            const frames = this.resolveFrameTree(tree, [feature]);
+            return {
+                feature,
+                origins: [...new Set(frames.filter(frame => frame.features[feature].enabled).map(frame => frame.origin))],
+                frames: frames.map(frame => ({ path: frame.path, origin: frame.origin, ...frame.features[feature] }))
+            };
+        }
+
+        /**
+         * اكتشاف الميزات المستخدمة في الكود
+         * Detect the policy-controlled features a script or page calls
+         */
+        detectFeatures(code) {
+            const used = [];
+
+            Object.entries(FEATURE_USAGE).forEach(([feature, patterns]) => {
+                const evidence = patterns
+                    .map(pattern => (String(code).match(pattern) || [])[0])
+                    .filter(Boolean);
+                if (evidence.length > 0) used.push({ feature, evidence });
+            });
+
+            return used;
+        }
+
+        /**
+         * سياسة موصى بها تمنع كل شيء افتراضياً
+         * Deny-by-default policy: features the page calls stay on 'self',
+         * features delegated through iframe allow attributes add those frames' origins
+         */
+        recommend(options = {}) {
+            const used = this.detectFeatures(options.code || '');
+            const frames = options.frames || [];
+            const allowlists = {};
+
+            Object.keys(FEATURES)
+                .filter(feature => !FEATURES[feature].deprecated)
+                .forEach(feature => { allowlists[feature] = []; });
+
+            used.forEach(({ feature }) => { allowlists[feature] = ['self']; });
+
+            const delegated = [];
+            frames.forEach(frame => {
+                const origin = this.normalizeOrigin(frame.src);
+                Object.entries(this.parseAllowAttribute(frame.allow)).forEach(([feature, allowlist]) => {
+                    // Only the frame's own origin is added, even if the attribute says *
+                    if (!FEATURES[feature] || !origin || allowlist.length === 0) return;
+                    if (!allowlists[feature].includes(origin)) allowlists[feature].push(origin);
+                    delegated.push({ feature, origin });
+                });
+            });
+
+            return {
+                allowlists,
+                header: this.serialize(allowlists),
+                used,
+                delegated,
+                issues: this.validate(allowlists)
+            };
+        }
+
+        /**
+         * التحقق من قوائم السماح
+         * Validate features and allowlist entries
+         */
+        validate(allowlists) {
+            const issues = [];
+
+            Object.entries(allowlists).forEach(([feature, allowlist]) => {
+                const definition = FEATURES[feature];
+                const items = Array.isArray(allowlist) ? allowlist : [allowlist];
+
+                if (!definition) {
+                    issues.push({ feature, severity: 'warning', message: `ميزة غير معروفة: ${feature}` });
+                } else if (definition.deprecated) {
+                    issues.push({ feature, severity: 'info', message: `${feature} ميزة متقادمة ويمكن حذفها` });
+                }
+
+                items.forEach(item => {
+                    if (item === 'src') {
+                        issues.push({ feature, severity: 'error', message: `'src' صالح فقط في خاصية allow للإطارات، وليس في الرأس (${feature})` });
+                    } else if (item !== '*' && item !== 'self' && !ORIGIN.test(item)) {
+                        issues.push({ feature, severity: 'error', message: `أصل غير صالح في قائمة ${feature}: ${item}` });
+                    }
+                });
+
+                if (items.includes('*') && definition && definition.powerful) {
+                    issues.push({ feature, severity: 'warning', message: `${feature} مسموحة لكل الأصول رغم أنها ميزة حساسة` });
+                }
+            });
+
+            return issues;
+        }
+    }
+
+    PermissionsPolicy.FEATURES = FEATURES;
+    PermissionsPolicy.FEATURE_USAGE = FEATURE_USAGE;
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { PermissionsPolicy };
+    } else {
+        root.PermissionsPolicy = PermissionsPolicy;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -468,9 +468,26 @@ class SecurityMonitor {
             createdAt: Date.now()
         };
 
+        // أنماط المستخدم تُفحص قبل تشغيلها على كل طلب - التراجع الأسي يُرفض
+        // User patterns run against every request, so exponential backtracking is rejected
+        if (rule.pattern !== undefined && window.RegexSafetyAnalyzer) {
+            const pattern = rule.pattern instanceof RegExp ? rule.pattern : String(rule.pattern);
+            const safety = new window.RegexSafetyAnalyzer().analyze(pattern, rule.flags || '');
+            if (safety.complexity === null || safety.complexity === 'exponential') {
+                const error = new Error(`نمط قاعدة التنبيه مرفوض: ${safety.issues.map(issue => issue.message).join('؛ ')}`);
+                error.analysis = safety;
+                throw error;
+            }
+            if (!safety.safe) {
+                console.warn(`نمط قاعدة التنبيه قد يكون بطيئاً (${safety.estimate}):`, safety.issues);
+            }
+            alertRule.patternSafety = { complexity: safety.complexity, estimate: safety.estimate };
+        }
+
         this.alertRules.push(alertRule);
         this.saveConfig();
         this.triggerEvent('alertRuleAdded', alertRule);
+        return alertRule;
     }
 
     /**
@@ -0,0 +1,779 @@
+/**
+ * محلل أمان التعابير النمطية
+ * Regex Safety Analyzer
+ * Static ReDoS detection: nested quantifiers, overlapping alternation and
+ * adjacent overlapping quantifiers, with a worst-case backtracking estimate
+ */
+
+(function (root) {
+    'use strict';
+
+    const { JSParser } = typeof module !== 'undefined' && module.exports ? require('./js-parser.js') : root;
+
+    const MAX_CODE_POINT = 0x10FFFF;
+
+    // Repeat counts from this size on backtrack like an unbounded quantifier
+    const LARGE_REPEAT = 100;
+
+    const ANY = [[0, MAX_CODE_POINT]];
+    const DIGIT = [[0x30, 0x39]];
+    const WORD = [[0x30, 0x39], [0x41, 0x5A], [0x5F, 0x5F], [0x61, 0x7A]];
+    const SPACE = [
+        [0x09, 0x0D], [0x20, 0x20], [0xA0, 0xA0], [0x1680, 0x1680], [0x2000, 0x200A],
+        [0x2028, 0x2029], [0x202F, 0x202F], [0x205F, 0x205F], [0x3000, 0x3000], [0xFEFF, 0xFEFF]
+    ];
+    const LINE_TERMINATORS = [[0x0A, 0x0A], [0x0D, 0x0D], [0x2028, 0x2029]];
+
+    const SEVERITY = { exponential: 'error', polynomial: 'warning' };
+
+    // Character sets are sorted lists of inclusive [from, to] code point ranges
+    function normalize(ranges) {
+        const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+        const merged = [];
+        sorted.forEach(([from, to]) => {
+            const last = merged[merged.length - 1];
+            if (last && from <= last[1] + 1) {
+                last[1] = Math.max(last[1], to);
+            } else {
+                merged.push([from, to]);
+            }
+        });
+        return merged;
+    }
+
+    function complement(ranges) {
+        const result = [];
+        let next = 0;
+        normalize(ranges).forEach(([from, to]) => {
+            if (from > next) result.push([next, from - 1]);
+            next = to + 1;
+        });
+        if (next <= MAX_CODE_POINT) result.push([next, MAX_CODE_POINT]);
+        return result;
+    }
+
+    function intersects(a, b) {
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i][1] < b[j][0]) i++;
+            else if (b[j][1] < a[i][0]) j++;
+            else return true;
+        }
+        return false;
+    }
+
+    function contains(outer, inner) {
+        return inner.every(([from, to]) => outer.some(range => range[0] <= from && to <= range[1]));
+    }
+
+    // ASCII case folding, the part that changes which strings overlap in practice
+    function foldCase(ranges) {
+        const extra = [];
+        ranges.forEach(([from, to]) => {
+            const upper = [Math.max(from, 0x41), Math.min(to, 0x5A)];
+            const lower = [Math.max(from, 0x61), Math.min(to, 0x7A)];
+            if (upper[0] <= upper[1]) extra.push([upper[0] + 32, upper[1] + 32]);
+            if (lower[0] <= lower[1]) extra.push([lower[0] - 32, lower[1] - 32]);
+        });
+        return normalize(ranges.concat(extra));
+    }
+
+    class RegexSyntaxError extends Error {
+        constructor(message, index) {
+            super(message);
+            this.name = 'RegexSyntaxError';
+            this.index = index;
+        }
+    }
+
+    /**
+     * محلل صياغة التعبير النمطي
+     * Parses the ECMAScript pattern syntax into a small tree: alt, seq, set,
+     * group, quant, assert and backref nodes with source offsets
+     */
+    class RegexPatternParser {
+        constructor(source, flags = '') {
+            this.source = source;
+            this.unicode = flags.includes('u') || flags.includes('v');
+            this.ignoreCase = flags.includes('i');
+            this.dotAll = flags.includes('s');
+            this.pos = 0;
+        }
+
+        parse() {
+            const node = this.parseAlternation();
+            if (this.pos < this.source.length) {
+                throw new RegexSyntaxError(`قوس إغلاق غير متوقع في الموضع ${this.pos}`, this.pos);
+            }
+            return node;
+        }
+
+        peek(offset = 0) {
+            return this.source[this.pos + offset];
+        }
+
+        parseAlternation() {
+            const start = this.pos;
+            const branches = [this.parseSequence()];
+            while (this.peek() === '|') {
+                this.pos++;
+                branches.push(this.parseSequence());
+            }
+            return branches.length === 1 ? branches[0] : { type: 'alt', branches, start, end: this.pos };
+        }
+
+        parseSequence() {
+            const start = this.pos;
+            const items = [];
+            while (this.pos < this.source.length && this.peek() !== '|' && this.peek() !== ')') {
+                items.push(this.parseQuantifier(this.parseAtom()));
+            }
+            return { type: 'seq', items, start, end: this.pos };
+        }
+
+        parseQuantifier(atom) {
+            let min;
+            let max;
+            const char = this.peek();
+
+            if (char === '*' || char === '+' || char === '?') {
+                min = char === '+' ? 1 : 0;
+                max = char === '?' ? 1 : Infinity;
+                this.pos++;
+            } else if (char === '{') {
+                const range = /^\{(\d+)(?:(,)(\d*))?\}/.exec(this.source.slice(this.pos));
+                if (!range) return atom;
+                min = Number(range[1]);
+                max = range[2] ? (range[3] ? Number(range[3]) : Infinity) : min;
+                this.pos += range[0].length;
+            } else {
+                return atom;
+            }
+
+            if (atom.type === 'assert' && !atom.lookaround) {
+                throw new RegexSyntaxError(`لا شيء لتكراره في الموضع ${atom.start}`, atom.start);
+            }
+            const lazy = this.peek() === '?';
+            if (lazy) this.pos++;
+            return { type: 'quant', body: atom, min, max, lazy, start: atom.start, end: this.pos };
+        }
+
+        parseAtom() {
+            const start = this.pos;
+            const char = this.peek();
+
+            if (char === '^' || char === '$') {
+                this.pos++;
+                return { type: 'assert', kind: char, start, end: this.pos };
+            }
+            if (char === '(') return this.parseGroup();
+            if (char === '[') return this.parseClass();
+            if (char === '.') {
+                this.pos++;
+                return this.set(this.dotAll ? ANY : complement(LINE_TERMINATORS), start);
+            }
+            if (char === '\\') return this.parseEscape();
+            if (char === '*' || char === '+' || char === '?') {
+                throw new RegexSyntaxError(`لا شيء لتكراره في الموضع ${start}`, start);
+            }
+
+            const code = this.unicode ? this.source.codePointAt(this.pos) : this.source.charCodeAt(this.pos);
+            this.pos += code > 0xFFFF ? 2 : 1;
+            return this.set([[code, code]], start);
+        }
+
+        set(ranges, start) {
+            return { type: 'set', ranges: this.ignoreCase ? foldCase(ranges) : normalize(ranges), start, end: this.pos };
+        }
+
+        parseGroup() {
+            const start = this.pos;
+            let kind = 'capture';
+            this.pos++;
+
+            if (this.peek() === '?') {
+                const marker = this.source.slice(this.pos, this.pos + 3);
+                if (marker.startsWith('?:')) { kind = 'group'; this.pos += 2; }
+                else if (marker.startsWith('?=') || marker.startsWith('?!')) { kind = 'lookahead'; this.pos += 2; }
+                else if (marker === '?<=' || marker === '?<!') { kind = 'lookbehind'; this.pos += 3; }
+                else if (marker.startsWith('?<')) {
+                    const close = this.source.indexOf('>', this.pos);
+                    if (close === -1) throw new RegexSyntaxError(`اسم مجموعة غير مكتمل في الموضع ${start}`, start);
+                    this.pos = close + 1;
+                } else {
+                    throw new RegexSyntaxError(`مجموعة غير صالحة في الموضع ${start}`, start);
+                }
+            }
+
+            const body = this.parseAlternation();
+            if (this.peek() !== ')') {
+                throw new RegexSyntaxError(`قوس غير مغلق في الموضع ${start}`, start);
+            }
+            this.pos++;
+
+            if (kind === 'lookahead' || kind === 'lookbehind') {
+                return { type: 'assert', lookaround: kind, body, start, end: this.pos };
+            }
+            return { type: 'group', kind, body, start, end: this.pos };
+        }
+
+        parseClass() {
+            const start = this.pos;
+            this.pos++;
+            const negated = this.peek() === '^';
+            if (negated) this.pos++;
+            const ranges = [];
+
+            while (this.peek() !== ']') {
+                if (this.pos >= this.source.length) {
+                    throw new RegexSyntaxError(`فئة أحرف غير مغلقة في الموضع ${start}`, start);
+                }
+                const from = this.classAtom();
+                if (this.peek() === '-' && this.peek(1) !== ']' && this.peek(1) !== undefined && from.length === 1 && from[0][0] === from[0][1]) {
+                    const save = this.pos;
+                    this.pos++;
+                    const to = this.classAtom();
+                    if (to.length === 1 && to[0][0] === to[0][1]) {
+                        if (to[0][0] < from[0][0]) {
+                            throw new RegexSyntaxError(`نطاق معكوس في فئة الأحرف عند الموضع ${save}`, save);
+                        }
+                        ranges.push([from[0][0], to[0][0]]);
+                        continue;
+                    }
+                    ranges.push(...from, [0x2D, 0x2D], ...to);
+                    continue;
+                }
+                ranges.push(...from);
+            }
+            this.pos++;
+
+            const folded = this.ignoreCase ? foldCase(ranges) : normalize(ranges);
+            return { type: 'set', ranges: negated ? complement(folded) : folded, start, end: this.pos };
+        }
+
+        classAtom() {
+            if (this.peek() === '\\') {
+                const node = this.parseEscape(true);
+                return node.ranges;
+            }
+            const code = this.unicode ? this.source.codePointAt(this.pos) : this.source.charCodeAt(this.pos);
+            this.pos += code > 0xFFFF ? 2 : 1;
+            return [[code, code]];
+        }
+
+        parseEscape(inClass = false) {
+            const start = this.pos;
+            this.pos++;
+            const char = this.peek();
+            if (char === undefined) throw new RegexSyntaxError('\\ في نهاية النمط', start);
+            this.pos++;
+
+            const classes = { d: DIGIT, w: WORD, s: SPACE };
+            if (classes[char.toLowerCase()]) {
+                const ranges = classes[char.toLowerCase()];
+                return { type: 'set', ranges: char === char.toLowerCase() ? ranges : complement(ranges), start, end: this.pos };
+            }
+            if (!inClass && (char === 'b' || char === 'B')) {
+                return { type: 'assert', start, end: this.pos };
+            }
+            if (!inClass && /[1-9]/.test(char)) {
+                while (/[0-9]/.test(this.peek() || '')) this.pos++;
+                return { type: 'backref', start, end: this.pos };
+            }
+            if (!inClass && char === 'k' && this.peek() === '<') {
+                const close = this.source.indexOf('>', this.pos);
+                this.pos = close === -1 ? this.source.length : close + 1;
+                return { type: 'backref', start, end: this.pos };
+            }
+            if ((char === 'p' || char === 'P') && this.unicode && this.peek() === '{') {
+                const close = this.source.indexOf('}', this.pos);
+                this.pos = close === -1 ? this.source.length : close + 1;
+                return { type: 'set', ranges: ANY, start, end: this.pos };
+            }
+
+            const simple = { n: 0x0A, r: 0x0D, t: 0x09, f: 0x0C, v: 0x0B, 0: 0x00 };
+            let code = char.charCodeAt(0);
+            if (inClass && char === 'b') {
+                code = 0x08;
+            } else if (simple[char] !== undefined && !(char === '0' && /[0-9]/.test(this.peek() || ''))) {
+                code = simple[char];
+            } else if (char === 'c' && /[A-Za-z]/.test(this.peek() || '')) {
+                code = this.peek().charCodeAt(0) % 32;
+                this.pos++;
+            } else if (char === 'x' && /^[0-9a-fA-F]{2}/.test(this.source.slice(this.pos))) {
+                code = parseInt(this.source.slice(this.pos, this.pos + 2), 16);
+                this.pos += 2;
+            } else if (char === 'u') {
+                const braced = this.unicode && /^\{([0-9a-fA-F]+)\}/.exec(this.source.slice(this.pos));
+                const plain = /^[0-9a-fA-F]{4}/.exec(this.source.slice(this.pos));
+                if (braced) {
+                    code = parseInt(braced[1], 16);
+                    this.pos += braced[0].length;
+                } else if (plain) {
+                    code = parseInt(plain[0], 16);
+                    this.pos += 4;
+                }
+            } else if (this.unicode) {
+                code = this.source.codePointAt(this.pos - 1);
+            }
+            return this.set([[code, code]], start);
+        }
+    }
+
+    class RegexSafetyAnalyzer {
+        constructor(options = {}) {
+            this.cache = new Map();
+            this.cacheSize = options.cacheSize || 500;
+        }
+
+        /**
+         * تحليل تعبير نمطي
+         * Analyze one pattern (source string or RegExp). Complexity is the worst
+         * case of a failing match: linear, polynomial (O(n^degree)) or exponential
+         */
+        analyze(pattern, flags = '') {
+            const source = pattern instanceof RegExp ? pattern.source : String(pattern);
+            const effectiveFlags = pattern instanceof RegExp ? pattern.flags : flags;
+            const key = `${effectiveFlags}/${source}`;
+            if (this.cache.has(key)) return this.cache.get(key);
+
+            const result = this.evaluate(source, effectiveFlags);
+            if (this.cache.size >= this.cacheSize) this.cache.delete(this.cache.keys().next().value);
+            this.cache.set(key, result);
+            return result;
+        }
+
+        evaluate(source, flags) {
+            let tree;
+            try {
+                tree = new RegexPatternParser(source, flags).parse();
+            } catch (error) {
+                return {
+                    pattern: source,
+                    flags,
+                    safe: false,
+                    complexity: null,
+                    degree: null,
+                    estimate: null,
+                    issues: [{ code: 'invalid-pattern', severity: 'error', message: error.message, start: error.index, end: error.index }]
+                };
+            }
+
+            const issues = [];
+            this.visit(flags.includes('y') ? tree : this.searchFromEveryStart(tree), true, issues, source);
+
+            const exponential = issues.some(issue => issue.complexity === 'exponential');
+            const degree = exponential ? null : issues.reduce((max, issue) => Math.max(max, issue.degree || 1), 1);
+            const complexity = exponential ? 'exponential' : (degree > 1 ? 'polynomial' : 'linear');
+            return {
+                pattern: source,
+                flags,
+                safe: complexity === 'linear',
+                complexity,
+                degree,
+                estimate: exponential ? 'O(2^n)' : (degree > 1 ? `O(n^${degree})` : 'O(n)'),
+                issues
+            };
+        }
+
+        /**
+         * البحث غير المثبت يعيد المحاولة من كل موضع
+         * Without ^ or the y flag a search retries from every start position, as if the
+         * pattern began with [\s\S]*?; branches that open with a repetition get that prefix
+         */
+        searchFromEveryStart(tree) {
+            const branches = (tree.type === 'alt' ? tree.branches : [tree]).map(branch => {
+                const items = branch.items || [branch];
+                if (!items.length || !this.isUnboundedItem(items[0])) return branch;
+                const retry = { type: 'quant', body: { type: 'set', ranges: ANY }, min: 0, max: Infinity, lazy: true, search: true, start: branch.start, end: branch.start };
+                return { ...branch, type: 'seq', items: [retry, ...items] };
+            });
+            return tree.type === 'alt' ? { ...tree, branches } : branches[0];
+        }
+
+        /**
+         * Walks the tree; tail is true when nothing after the node up to the end
+         * of the pattern can fail, in which case backtracking never starts there.
+         * atEnd is true when nothing after it can fail at the end of the input
+         */
+        visit(node, tail, issues, source, repeated = false, atEnd = tail) {
+            switch (node.type) {
+                case 'alt':
+                    node.branches.forEach(branch => this.visit(branch, tail, issues, source, repeated, atEnd));
+                    break;
+                case 'seq':
+                    node.items.forEach((item, index) => {
+                        const rest = node.items.slice(index + 1);
+                        const itemTail = tail && rest.every(next => this.isPure(next));
+                        const itemAtEnd = atEnd && rest.every(next => this.isPure(next) || this.isEndAnchor(next));
+                        this.visit(item, itemTail, issues, source, repeated, itemAtEnd);
+                    });
+                    this.checkAdjacent(node, tail, repeated, issues, source, atEnd);
+                    break;
+                case 'group':
+                    this.visit(node.body, tail, issues, source, repeated, atEnd);
+                    break;
+                case 'assert':
+                    if (node.body) this.visit(node.body, true, issues, source);
+                    break;
+                case 'quant': {
+                    const unbounded = this.isUnbounded(node);
+                    if (unbounded && !tail) this.checkRepetition(node, issues, source);
+                    if (!unbounded && node.max > 1) this.checkCount(node, tail, repeated, issues, source, atEnd);
+                    // The repetition's own ambiguity was reported above; nested chains only count when it had none
+                    this.visit(node.body, tail, issues, source, repeated || (unbounded && !tail), atEnd);
+                    break;
+                }
+                default:
+                    break;
+            }
+        }
+
+        // (a+)+ and (a|a)*: a failing suffix makes the engine try every way of splitting the input
+        checkRepetition(node, issues, source) {
+            const inner = this.innerStar(node.body);
+            if (inner) {
+                issues.push({
+                    code: 'nested-quantifier',
+                    severity: SEVERITY.exponential,
+                    complexity: 'exponential',
+                    message: `تكرار متداخل: ${source.slice(inner.start, inner.end)} داخل ${source.slice(node.start, node.end)} - تراجع أسي عند فشل المطابقة`,
+                    start: node.start,
+                    end: node.end
+                });
+                return;
+            }
+
+            const alternation = this.unwrap(node.body);
+            if (alternation.type !== 'alt') return;
+            const fixed = alternation.branches.map(branch => this.fixedSequence(branch));
+            for (let i = 0; i < fixed.length; i++) {
+                for (let j = i + 1; j < fixed.length; j++) {
+                    if (fixed[i] && fixed[j] && fixed[i].length === fixed[j].length
+                        && fixed[i].every((ranges, k) => intersects(ranges, fixed[j][k]))) {
+                        const a = alternation.branches[i];
+                        const b = alternation.branches[j];
+                        issues.push({
+                            code: 'overlapping-alternation',
+                            severity: SEVERITY.exponential,
+                            complexity: 'exponential',
+                            message: `بديلان متداخلان (${source.slice(a.start, a.end)} و ${source.slice(b.start, b.end)}) داخل ${source.slice(node.start, node.end)} - تراجع أسي عند فشل المطابقة`,
+                            start: node.start,
+                            end: node.end
+                        });
+                        return;
+                    }
+                }
+            }
+        }
+
+        // (.*a){8}: the body runs up to max times in a row, so its quantifiers chain across
+        // iterations like written-out adjacent ones, up to O(n^max)
+        checkCount(node, tail, repeated, issues, source, atEnd) {
+            const body = this.unwrap(node.body);
+            const items = body.type === 'seq' ? body.items : [body];
+            if (!items.some(item => this.isUnboundedItem(item))) return;
+
+            const found = [];
+            const unrolled = { type: 'seq', items: [].concat(...Array(node.max).fill(items)) };
+            this.checkAdjacent(unrolled, tail, repeated, found, source, atEnd);
+            const worst = found.find(issue => issue.complexity === 'exponential')
+                || found.reduce((max, issue) => (!max || issue.degree > max.degree ? issue : max), null);
+            if (!worst) return;
+
+            const text = source.slice(node.start, node.end);
+            issues.push({
+                ...worst,
+                message: worst.complexity === 'exponential'
+                    ? `${text} يكرر تكرارات متداخلة داخل تكرار - تراجع أسي عند فشل المطابقة`
+                    : `${text} يكرر ${worst.degree} تكرارات متتالية تطابق نفس الأحرف - تراجع O(n^${worst.degree})`,
+                start: node.start,
+                end: node.end
+            });
+        }
+
+        // \s*\s* or .*=.*: each extra overlapping quantifier multiplies the split points by n
+        checkAdjacent(node, tail, repeated, issues, source, atEnd = tail) {
+            const items = node.items;
+            for (let i = 0; i < items.length; i++) {
+                if (!this.isUnboundedItem(items[i])) continue;
+
+                let last = i;
+                let degree = 1;
+                let chars = this.chars(items[i]);
+                // Literal characters between two quantifiers keep the split ambiguous only when both match them
+                let separators = [];
+                for (let j = i + 1; j < items.length; j++) {
+                    const item = items[j];
+                    if (this.isUnboundedItem(item)) {
+                        const next = this.chars(item);
+                        const chained = separators.length
+                            ? separators.every(ranges => contains(next, ranges)) && intersects(this.first(item), chars)
+                            : intersects(this.first(item), this.last(items[last]));
+                        if (!chained) break;
+                        degree++;
+                        last = j;
+                        chars = next;
+                        separators = [];
+                    } else if (item.type === 'set' && contains(chars, item.ranges)) {
+                        separators.push(item.ranges);
+                    } else if (!this.isPure(item)) {
+                        break;
+                    }
+                }
+
+                const rest = items.slice(last + 1);
+                // [\s\S]* at the end of the chain takes the rest of the input; when nothing after it
+                // can fail there, the match succeeds without giving characters back. A chain that
+                // starts with the search retry has no fixed start, so it never counts as cleared
+                const runsToEnd = atEnd && !items[i].search && this.takesRest(items[last]) && rest.every(next => this.isPure(next) || this.isEndAnchor(next));
+                const canFail = !(tail && rest.every(next => this.isPure(next))) && !runsToEnd;
+                if (degree > 1 && canFail && repeated) {
+                    issues.push({
+                        code: 'nested-quantifier',
+                        severity: SEVERITY.exponential,
+                        complexity: 'exponential',
+                        message: `${source.slice(items[i].start, items[last].end)} يطابق نفس النص بعدة طرق داخل تكرار - تراجع أسي عند فشل المطابقة`,
+                        start: items[i].start,
+                        end: items[last].end
+                    });
+                } else if (degree > 1 && canFail && items[i].search) {
+                    const text = source.slice(items[i + 1].start, items[last].end);
+                    issues.push({
+                        code: 'unanchored-repetition',
+                        severity: SEVERITY.polynomial,
+                        complexity: 'polynomial',
+                        degree,
+                        message: `${text} بلا ^ في بداية النمط يعاد تجريبه من كل موضع في النص - تراجع O(n^${degree})`,
+                        start: items[i + 1].start,
+                        end: items[last].end
+                    });
+                } else if (degree > 1 && canFail) {
+                    issues.push({
+                        code: 'adjacent-quantifiers',
+                        severity: SEVERITY.polynomial,
+                        complexity: 'polynomial',
+                        degree,
+                        message: `${degree} تكرارات متجاورة تطابق نفس الأحرف في ${source.slice(items[i].start, items[last].end)} - تراجع O(n^${degree})`,
+                        start: items[i].start,
+                        end: items[last].end
+                    });
+                }
+                i = last;
+            }
+        }
+
+        isUnbounded(node) {
+            return node.type === 'quant' && (node.max === Infinity || node.max >= LARGE_REPEAT);
+        }
+
+        isUnboundedItem(node) {
+            return this.isUnbounded(this.unwrap(node));
+        }
+
+        // A repetition of every character with no upper bound
+        takesRest(node) {
+            const current = this.unwrap(node);
+            return current.type === 'quant' && current.max === Infinity && contains(this.chars(current.body), ANY);
+        }
+
+        // $ always matches at the end of the input, with or without the m flag
+        isEndAnchor(node) {
+            return node.type === 'assert' && node.kind === '$';
+        }
+
+        unwrap(node) {
+            let current = node;
+            while (current.type === 'group' || (current.type === 'seq' && current.items.length === 1)) {
+                current = current.type === 'group' ? current.body : current.items[0];
+            }
+            return current;
+        }
+
+        // An unbounded quantifier that can make up a whole match of node on its own
+        innerStar(node) {
+            switch (node.type) {
+                case 'quant':
+                    if (this.isUnbounded(node)) return node;
+                    return node.max >= 1 ? this.innerStar(node.body) : null;
+                case 'group':
+                    return this.innerStar(node.body);
+                case 'alt':
+                    for (const branch of node.branches) {
+                        const inner = this.innerStar(branch);
+                        if (inner) return inner;
+                    }
+                    return null;
+                case 'seq':
+                    // The other items must be optional or able to match what the quantifier matches,
+                    // so one iteration's text can be split differently between iterations
+                    for (let i = 0; i < node.items.length; i++) {
+                        const inner = this.innerStar(node.items[i]);
+                        if (inner && node.items.every((item, k) => k === i || this.isNullable(item)
+                            || ((item.type === 'set' || item.type === 'quant') && intersects(this.chars(item), this.chars(inner))))) {
+                            return inner;
+                        }
+                    }
+                    return null;
+                default:
+                    return null;
+            }
+        }
+
+        // The character sets of a branch that always matches one string length, else null
+        fixedSequence(node) {
+            const current = this.unwrap(node);
+            if (current.type === 'set') return [current.ranges];
+            if (current.type !== 'seq') return null;
+            const sets = [];
+            for (const item of current.items) {
+                const inner = this.fixedSequence(item);
+                if (!inner) return null;
+                sets.push(...inner);
+            }
+            return sets;
+        }
+
+        isNullable(node) {
+            switch (node.type) {
+                case 'set': return false;
+                case 'seq': return node.items.every(item => this.isNullable(item));
+                case 'alt': return node.branches.some(branch => this.isNullable(branch));
+                case 'group': return this.isNullable(node.body);
+                case 'quant': return node.min === 0 || this.isNullable(node.body);
+                default: return true;
+            }
+        }
+
+        // Matches the empty string and can never fail
+        isPure(node) {
+            switch (node.type) {
+                case 'seq': return node.items.every(item => this.isPure(item));
+                case 'alt': return node.branches.some(branch => this.isPure(branch));
+                case 'group': return this.isPure(node.body);
+                case 'quant': return node.min === 0 || this.isPure(node.body);
+                default: return false;
+            }
+        }
+
+        chars(node) {
+            switch (node.type) {
+                case 'set': return node.ranges;
+                case 'seq': return normalize([].concat(...node.items.map(item => this.chars(item))));
+                case 'alt': return normalize([].concat(...node.branches.map(branch => this.chars(branch))));
+                case 'group':
+                case 'quant': return this.chars(node.body);
+                case 'backref': return ANY;
+                default: return [];
+            }
+        }
+
+        first(node) {
+            switch (node.type) {
+                case 'set': return node.ranges;
+                case 'seq': {
+                    const ranges = [];
+                    for (const item of node.items) {
+                        ranges.push(...this.first(item));
+                        if (!this.isNullable(item)) break;
+                    }
+                    return normalize(ranges);
+                }
+                case 'alt': return normalize([].concat(...node.branches.map(branch => this.first(branch))));
+                case 'group':
+                case 'quant': return this.first(node.body);
+                case 'backref': return ANY;
+                default: return [];
+            }
+        }
+
+        last(node) {
+            switch (node.type) {
+                case 'set': return node.ranges;
+                case 'seq': {
+                    const ranges = [];
+                    for (let i = node.items.length - 1; i >= 0; i--) {
+                        ranges.push(...this.last(node.items[i]));
+                        if (!this.isNullable(node.items[i])) break;
+                    }
+                    return normalize(ranges);
+                }
+                case 'alt': return normalize([].concat(...node.branches.map(branch => this.last(branch))));
+                case 'group':
+                case 'quant': return this.last(node.body);
+                case 'backref': return ANY;
+                default: return [];
+            }
+        }
+
+        /**
+         * فحص تعابير الكود
+         * Regex literals and RegExp()/new RegExp() calls with literal arguments
+         * in JavaScript source, each with its location and analysis
+         */
+        scanCode(code) {
+            // Pages that never scan code do not load js-parser.js
+            const Parser = JSParser || root.JSParser;
+            if (!Parser) return [];
+
+            let ast;
+            try {
+                ast = Parser.parse(code);
+            } catch {
+                try {
+                    ast = Parser.parse(code, { sourceType: 'script' });
+                } catch {
+                    return [];
+                }
+            }
+
+            const found = [];
+            const literal = node => {
+                if (!node) return null;
+                if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+                if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+                return null;
+            };
+
+            Parser.walk(ast, node => {
+                if (node.type === 'Literal' && node.regex) {
+                    found.push({ node, pattern: node.regex.pattern, flags: node.regex.flags, kind: 'literal' });
+                } else if ((node.type === 'NewExpression' || node.type === 'CallExpression')
+                    && node.callee.type === 'Identifier' && node.callee.name === 'RegExp') {
+                    const pattern = literal(node.arguments[0]);
+                    const flags = node.arguments.length > 1 ? literal(node.arguments[1]) : '';
+                    if (pattern !== null && flags !== null) {
+                        found.push({ node, pattern, flags, kind: 'constructor' });
+                    }
+                }
+            });
+
+            return found.map(({ node, pattern, flags, kind }) => {
+                const before = code.slice(0, node.start).split('\n');
+                return {
+                    pattern,
+                    flags,
+                    kind,
+                    start: node.start,
+                    end: node.end,
+                    line: before.length,
+                    column: before[before.length - 1].length + 1,
+                    text: code.slice(node.start, node.end),
+                    analysis: this.analyze(pattern, flags)
+                };
+            });
+        }
+    }
+
+    RegexSafetyAnalyzer.LARGE_REPEAT = LARGE_REPEAT;
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { RegexSafetyAnalyzer, RegexPatternParser, RegexSyntaxError };
+    } else {
+        root.RegexSafetyAnalyzer = RegexSafetyAnalyzer;
+        root.RegexPatternParser = RegexPatternParser;
+        root.RegexSyntaxError = RegexSyntaxError;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
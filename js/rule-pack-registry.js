@@ -0,0 +1,638 @@
+/**
+ * سجل حزم القواعد
+ * Rule Pack Registry
+ * Loads, validates and versions declarative vulnerability rule packs (JSON or YAML)
+ */
+
+(function (root) {
+    'use strict';
+
+    const { RegexSafetyAnalyzer } = typeof module !== 'undefined' && module.exports ? require('./regex-safety-analyzer.js') : root;
+
+    const FORMAT_VERSION = 1;
+
+    const LANGUAGES = ['any', 'generic', 'javascript', 'php', 'python', 'html'];
+
+    const SEVERITY_LABELS = { critical: 10, high: 8, medium: 5, low: 3, info: 1 };
+
+    const QUERY_TYPES = ['call', 'new', 'assign'];
+
+    // Lexical region a pattern match must start in; code is everything outside strings and comments
+    const CONTEXTS = ['any', 'code', 'string', 'comment'];
+
+    const PACK_KEYS = ['name', 'version', 'formatVersion', 'description', 'author', 'categories', 'rules'];
+
+    const RULE_KEYS = [
+        'id', 'title', 'description', 'type', 'language', 'pattern', 'flags', 'query', 'when', 'unless', 'context',
+        'requiresSource', 'severity', 'confidence', 'cwe', 'owasp', 'fix', 'references', 'fixtures', 'enabled'
+    ];
+
+    class RulePackError extends Error {
+        constructor(message, issues = []) {
+            super(message);
+            this.name = 'RulePackError';
+            this.issues = issues;
+        }
+    }
+
+    /**
+     * محلل YAML مصغر
+     * The YAML subset rule packs need: block mappings and sequences, quoted and
+     * plain scalars, one-line flow collections, | and > block scalars, comments
+     */
+    function parseYAML(text) {
+        const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+        let index = 0;
+
+        const fail = message => {
+            throw new RulePackError(`YAML: ${message} (سطر ${index + 1})`, [{ code: 'yaml-syntax', severity: 'error', message, line: index + 1 }]);
+        };
+
+        const stripComment = line => {
+            let quote = null;
+            for (let i = 0; i < line.length; i++) {
+                const char = line[i];
+                if (quote) {
+                    if (char === '\\' && quote === '"') i++;
+                    else if (char === quote) quote = null;
+                } else if ((char === '"' || char === "'") && (i === 0 || /[\s:[{,-]/.test(line[i - 1]))) {
+                    quote = char;
+                } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+                    return line.slice(0, i);
+                }
+            }
+            return line;
+        };
+
+        const peek = () => {
+            while (index < lines.length) {
+                const content = stripComment(lines[index]).replace(/\s+$/, '');
+                const trimmed = content.trim();
+                if (trimmed && trimmed !== '---' && trimmed !== '...') {
+                    if (/^\t/.test(content)) fail('المسافات البادئة يجب أن تكون مسافات لا علامات جدولة');
+                    return { indent: content.length - content.trimStart().length, text: trimmed };
+                }
+                index++;
+            }
+            return null;
+        };
+
+        const isSequenceItem = text => text === '-' || text.startsWith('- ');
+        const entryPattern = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'[{#][^#]*?)\s*:(?:\s+(.*))?$/;
+
+        const splitFlow = body => {
+            const items = [];
+            let depth = 0;
+            let quote = null;
+            let start = 0;
+            for (let i = 0; i < body.length; i++) {
+                const char = body[i];
+                if (quote) {
+                    if (char === '\\' && quote === '"') i++;
+                    else if (char === quote) quote = null;
+                } else if (char === '"' || char === "'") quote = char;
+                else if (char === '[' || char === '{') depth++;
+                else if (char === ']' || char === '}') depth--;
+                else if (char === ',' && depth === 0) {
+                    items.push(body.slice(start, i).trim());
+                    start = i + 1;
+                }
+            }
+            const last = body.slice(start).trim();
+            if (last) items.push(last);
+            return items;
+        };
+
+        const parseScalar = text => {
+            if (text.startsWith('"')) {
+                try {
+                    return JSON.parse(text);
+                } catch {
+                    fail(`نص بين علامتي تنصيص غير صالح: ${text}`);
+                }
+            }
+            if (text.startsWith("'")) {
+                if (!/^'(?:[^']|'')*'$/.test(text)) fail(`نص بين علامتي تنصيص غير مغلق: ${text}`);
+                return text.slice(1, -1).replace(/''/g, "'");
+            }
+            if (text.startsWith('[')) {
+                if (!text.endsWith(']')) fail('المصفوفة المضمنة يجب أن تُغلق على السطر نفسه');
+                return splitFlow(text.slice(1, -1)).map(parseScalar);
+            }
+            if (text.startsWith('{')) {
+                if (!text.endsWith('}')) fail('الكائن المضمن يجب أن يُغلق على السطر نفسه');
+                const result = {};
+                splitFlow(text.slice(1, -1)).forEach(item => {
+                    const match = item.match(entryPattern);
+                    if (!match) fail(`مدخل غير صالح: ${item}`);
+                    result[parseScalar(match[1])] = match[2] === undefined ? null : parseScalar(match[2].trim());
+                });
+                return result;
+            }
+            if (/^(?:null|~)$/.test(text)) return null;
+            if (text === 'true' || text === 'false') return text === 'true';
+            if (/^-?(?:\d+|\d*\.\d+)$/.test(text)) return Number(text);
+            return text;
+        };
+
+        const parseBlockScalar = (header, parentIndent) => {
+            const collected = [];
+            while (index < lines.length) {
+                const line = lines[index];
+                if (line.trim() && line.length - line.trimStart().length <= parentIndent) break;
+                collected.push(line);
+                index++;
+            }
+            while (collected.length && !collected[collected.length - 1].trim()) collected.pop();
+
+            const indents = collected.filter(line => line.trim()).map(line => line.length - line.trimStart().length);
+            const common = indents.length ? Math.min(...indents) : 0;
+            const body = collected.map(line => line.slice(common));
+            const chomp = header[1];
+            const value = header[0] === '|'
+                ? body.join('\n')
+                : body.reduce((text, line) => {
+                    if (!line.trim()) return `${text}\n`;
+                    return text && !text.endsWith('\n') ? `${text} ${line}` : text + line;
+                }, '');
+            return chomp === '-' || !value ? value : `${value}\n`;
+        };
+
+        const parseValue = (text, parentIndent) => {
+            if (/^[|>][+-]?$/.test(text)) return parseBlockScalar(text, parentIndent);
+            return parseScalar(text);
+        };
+
+        let parseNode;
+
+        const parseSequence = indent => {
+            const result = [];
+            for (let line = peek(); line && line.indent === indent && isSequenceItem(line.text); line = peek()) {
+                const rest = line.text.slice(1).trim();
+                if (!rest) {
+                    index++;
+                    const child = peek();
+                    result.push(child && child.indent > indent ? parseNode(child.indent) : null);
+                } else if (entryPattern.test(rest) && !/^["'[{]/.test(rest)) {
+                    // "- key: value" opens a mapping aligned with its first key
+                    const column = indent + line.text.length - rest.length;
+                    lines[index] = ' '.repeat(column) + rest;
+                    result.push(parseMapping(column));
+                } else {
+                    index++;
+                    result.push(parseValue(rest, indent));
+                }
+            }
+            return result;
+        };
+
+        const parseMapping = indent => {
+            const result = {};
+            for (let line = peek(); line && line.indent >= indent; line = peek()) {
+                if (line.indent > indent) fail('مسافة بادئة غير متوقعة');
+                if (isSequenceItem(line.text)) break;
+
+                const match = line.text.match(entryPattern);
+                if (!match) fail(`متوقع "مفتاح: قيمة" ووُجد: ${line.text}`);
+                index++;
+
+                const key = String(parseScalar(match[1]));
+                if (Object.prototype.hasOwnProperty.call(result, key)) fail(`مفتاح مكرر: ${key}`);
+                const rest = (match[2] || '').trim();
+
+                if (rest) {
+                    result[key] = parseValue(rest, indent);
+                } else {
+                    const child = peek();
+                    const nested = child && (child.indent > indent || (child.indent === indent && isSequenceItem(child.text)));
+                    result[key] = nested ? parseNode(child.indent) : null;
+                }
+            }
+            return result;
+        };
+
+        parseNode = indent => {
+            const line = peek();
+            if (!line) return null;
+            return isSequenceItem(line.text) ? parseSequence(indent) : parseMapping(indent);
+        };
+
+        const first = peek();
+        if (!first) return null;
+        const value = first.indent === 0 && !isSequenceItem(first.text) && !entryPattern.test(first.text)
+            ? (index++, parseScalar(first.text))
+            : parseNode(first.indent);
+        if (peek()) fail('محتوى زائد بعد نهاية المستند');
+        return value;
+    }
+
+    class RulePackRegistry {
+        constructor(options = {}) {
+            this.packs = new Map();
+            this.regexAnalyzer = options.regexAnalyzer || new RegexSafetyAnalyzer();
+        }
+
+        /**
+         * قراءة نص الحزمة
+         * JSON when the text starts with { or [, YAML otherwise
+         */
+        parse(text) {
+            const source = String(text).replace(/^\uFEFF/, '');
+            if (/^\s*[{[]/.test(source)) {
+                try {
+                    return JSON.parse(source);
+                } catch (error) {
+                    throw new RulePackError(`JSON غير صالح: ${error.message}`, [{ code: 'json-syntax', severity: 'error', message: error.message }]);
+                }
+            }
+            return parseYAML(source);
+        }
+
+        issue(issues, code, severity, message, rule) {
+            issues.push({ code, severity, message, rule });
+        }
+
+        validateRegex(issues, rule, field, source, flags = '') {
+            if (typeof source !== 'string' || !source) {
+                this.issue(issues, 'invalid-pattern', 'error', `${field} يجب أن يكون تعبيراً نمطياً نصياً`, rule);
+                return;
+            }
+            try {
+                new RegExp(source, flags);
+            } catch (error) {
+                this.issue(issues, 'invalid-pattern', 'error', `${field} غير صالح: ${error.message}`, rule);
+                return;
+            }
+
+            // Exponential backtracking rejects the pack; polynomial cases are reported
+            const safety = this.regexAnalyzer.analyze(source, flags);
+            if (!safety.safe) {
+                const reason = safety.issues.map(item => item.message).join('؛ ');
+                this.issue(issues, 'redos', safety.complexity === 'exponential' ? 'error' : 'warning',
+                    `${field} عرضة لـ ReDoS (${safety.estimate}): ${reason}`, rule);
+            }
+        }
+
+        validateQuery(issues, rule, query) {
+            if (!query || typeof query !== 'object' || Array.isArray(query)) {
+                this.issue(issues, 'invalid-query', 'error', 'query يجب أن يكون كائناً', rule.id);
+                return;
+            }
+            if (!QUERY_TYPES.includes(query.type)) {
+                this.issue(issues, 'invalid-query', 'error', `نوع الاستعلام يجب أن يكون أحد: ${QUERY_TYPES.join(', ')}`, rule.id);
+            }
+            const target = query.type === 'assign' ? 'property' : 'callee';
+            const names = [].concat(query[target] || []);
+            if (!names.length || names.some(name => typeof name !== 'string' || !name)) {
+                this.issue(issues, 'invalid-query', 'error', `الاستعلام من نوع ${query.type} يحتاج ${target}`, rule.id);
+            }
+            if (query.argument !== undefined && !(Number.isInteger(query.argument) && query.argument >= 0)) {
+                this.issue(issues, 'invalid-query', 'error', 'argument يجب أن يكون رقماً صحيحاً غير سالب', rule.id);
+            }
+            if (query.argumentIs !== undefined && !['dynamic', 'literal', 'any'].includes(query.argumentIs)) {
+                this.issue(issues, 'invalid-query', 'error', 'argumentIs يجب أن يكون dynamic أو literal أو any', rule.id);
+            }
+            if ([].concat(rule.language).some(language => language !== 'javascript')) {
+                this.issue(issues, 'invalid-query', 'error', 'استعلامات AST متاحة لـ javascript فقط', rule.id);
+            }
+        }
+
+        validateRule(issues, rule, index, seen) {
+            const label = rule && typeof rule.id === 'string' ? rule.id : `rules[${index}]`;
+            if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+                this.issue(issues, 'invalid-rule', 'error', 'القاعدة يجب أن تكون كائناً', label);
+                return;
+            }
+
+            Object.keys(rule).filter(key => !RULE_KEYS.includes(key)).forEach(key => {
+                this.issue(issues, 'unknown-field', 'warning', `حقل غير معروف: ${key}`, label);
+            });
+
+            if (typeof rule.id !== 'string' || !/^[A-Za-z0-9][\w.-]*$/.test(rule.id)) {
+                this.issue(issues, 'invalid-id', 'error', 'id مطلوب ويتكون من حروف وأرقام و . _ -', label);
+            } else if (seen.has(rule.id)) {
+                this.issue(issues, 'duplicate-id', 'error', `المعرف مكرر: ${rule.id}`, label);
+            }
+            seen.add(rule.id);
+
+            if (typeof rule.title !== 'string' || !rule.title.trim()) {
+                this.issue(issues, 'missing-title', 'error', 'title مطلوب', label);
+            }
+            if (typeof rule.type !== 'string' || !/^[a-z][a-z0-9_]*$/.test(rule.type)) {
+                this.issue(issues, 'invalid-type', 'error', 'type مطلوب بصيغة snake_case (مثل sql_injection)', label);
+            }
+
+            const languages = [].concat(rule.language === undefined ? [] : rule.language);
+            if (!languages.length) {
+                this.issue(issues, 'missing-language', 'error', `language مطلوب: ${LANGUAGES.join(', ')}`, label);
+            }
+            languages.filter(language => !LANGUAGES.includes(language)).forEach(language => {
+                this.issue(issues, 'invalid-language', 'error', `لغة غير مدعومة: ${language}`, label);
+            });
+
+            if ((rule.pattern === undefined) === (rule.query === undefined)) {
+                this.issue(issues, 'invalid-matcher', 'error', 'حدد pattern أو query (واحداً فقط)', label);
+            }
+            if (rule.flags !== undefined && (typeof rule.flags !== 'string' || !/^[imsuy]*$/.test(rule.flags))) {
+                this.issue(issues, 'invalid-flags', 'error', 'flags تقبل i m s u y فقط', label);
+            }
+            const flags = typeof rule.flags === 'string' ? rule.flags : '';
+            if (rule.pattern !== undefined) this.validateRegex(issues, label, 'pattern', rule.pattern, flags);
+            if (rule.query !== undefined) this.validateQuery(issues, { ...rule, id: label }, rule.query);
+            if (rule.when !== undefined) this.validateRegex(issues, label, 'when', rule.when, flags);
+            if (rule.unless !== undefined) this.validateRegex(issues, label, 'unless', rule.unless, flags);
+            if (rule.context !== undefined && !CONTEXTS.includes(rule.context)) {
+                this.issue(issues, 'invalid-field', 'error', `context يجب أن يكون أحد: ${CONTEXTS.join(', ')}`, label);
+            } else if (rule.context !== undefined && rule.pattern === undefined) {
+                this.issue(issues, 'invalid-field', 'error', 'context يحتاج pattern', label);
+            }
+            if (rule.requiresSource !== undefined && typeof rule.requiresSource !== 'boolean') {
+                this.issue(issues, 'invalid-field', 'error', 'requiresSource يجب أن يكون true أو false', label);
+            }
+
+            const severity = rule.severity;
+            const validSeverity = typeof severity === 'string'
+                ? Object.prototype.hasOwnProperty.call(SEVERITY_LABELS, severity)
+                : Number.isInteger(severity) && severity >= 1 && severity <= 10;
+            if (!validSeverity) {
+                this.issue(issues, 'invalid-severity', 'error', `severity رقم من 1 إلى 10 أو أحد: ${Object.keys(SEVERITY_LABELS).join(', ')}`, label);
+            }
+            if (rule.confidence !== undefined && !(typeof rule.confidence === 'number' && rule.confidence > 0 && rule.confidence <= 1)) {
+                this.issue(issues, 'invalid-confidence', 'error', 'confidence رقم أكبر من 0 وحتى 1', label);
+            }
+
+            const cwe = [].concat(rule.cwe || []);
+            if (!cwe.length) this.issue(issues, 'missing-cwe', 'warning', 'لا يوجد ربط بـ CWE', label);
+            cwe.filter(id => !/^CWE-\d+$/.test(id)).forEach(id => {
+                this.issue(issues, 'invalid-cwe', 'error', `معرف CWE غير صالح: ${id} (مثال: CWE-79)`, label);
+            });
+            const owasp = [].concat(rule.owasp || []);
+            if (!owasp.length) this.issue(issues, 'missing-owasp', 'warning', 'لا يوجد ربط بـ OWASP Top 10', label);
+            owasp.filter(id => !/^A\d{2}:20\d{2}$/.test(id)).forEach(id => {
+                this.issue(issues, 'invalid-owasp', 'error', `معرف OWASP غير صالح: ${id} (مثال: A03:2021)`, label);
+            });
+
+            if (typeof rule.fix !== 'string' || !rule.fix.trim()) {
+                this.issue(issues, 'missing-fix', 'warning', 'لا توجد إرشادات إصلاح (fix)', label);
+            }
+
+            if (rule.fixtures === undefined) {
+                this.issue(issues, 'missing-fixtures', 'warning', 'لا توجد أمثلة اختبار (fixtures)', label);
+            } else if (!rule.fixtures || typeof rule.fixtures !== 'object'
+                || ['vulnerable', 'safe'].some(kind => rule.fixtures[kind] !== undefined
+                    && (!Array.isArray(rule.fixtures[kind]) || rule.fixtures[kind].some(item => typeof item !== 'string')))) {
+                this.issue(issues, 'invalid-fixtures', 'error', 'fixtures بالشكل { vulnerable: [نصوص], safe: [نصوص] }', label);
+            }
+        }
+
+        /**
+         * التحقق من حزمة
+         * Check structure, regexes, mappings and fixtures without loading;
+         * accepts an object or JSON/YAML text
+         */
+        validate(input) {
+            const issues = [];
+            let pack;
+            try {
+                pack = typeof input === 'string' ? this.parse(input) : input;
+            } catch (error) {
+                return { valid: false, issues: error.issues && error.issues.length ? error.issues : [{ code: 'parse-error', severity: 'error', message: error.message }] };
+            }
+
+            if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+                this.issue(issues, 'invalid-pack', 'error', 'الحزمة يجب أن تكون كائناً');
+                return { valid: false, issues, pack };
+            }
+
+            Object.keys(pack).filter(key => !PACK_KEYS.includes(key)).forEach(key => {
+                this.issue(issues, 'unknown-field', 'warning', `حقل غير معروف في الحزمة: ${key}`);
+            });
+            if (typeof pack.name !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/i.test(pack.name)) {
+                this.issue(issues, 'invalid-name', 'error', 'name مطلوب ويتكون من حروف وأرقام و . _ -');
+            }
+            if (typeof pack.version !== 'string' || !RulePackRegistry.parseVersion(pack.version)) {
+                this.issue(issues, 'invalid-version', 'error', 'version مطلوب بصيغة SemVer (مثل 1.0.0)');
+            }
+            const format = pack.formatVersion === undefined ? FORMAT_VERSION : pack.formatVersion;
+            if (!Number.isInteger(format) || format < 1) {
+                this.issue(issues, 'invalid-format-version', 'error', 'formatVersion رقم صحيح موجب');
+            } else if (format > FORMAT_VERSION) {
+                this.issue(issues, 'unsupported-format-version', 'error', `صيغة الحزمة ${format} أحدث من المدعومة (${FORMAT_VERSION})`);
+            }
+            if (pack.categories !== undefined && (typeof pack.categories !== 'object' || Array.isArray(pack.categories))) {
+                this.issue(issues, 'invalid-categories', 'error', 'categories كائن مفاتيحه أنواع الثغرات');
+            }
+
+            if (!Array.isArray(pack.rules) || !pack.rules.length) {
+                this.issue(issues, 'missing-rules', 'error', 'rules مصفوفة غير فارغة');
+            } else {
+                const seen = new Set();
+                pack.rules.forEach((rule, index) => this.validateRule(issues, rule, index, seen));
+            }
+
+            return { valid: !issues.some(item => item.severity === 'error'), issues, pack };
+        }
+
+        compileRule(rule, pack) {
+            const flags = `g${rule.flags || ''}`;
+            const severity = typeof rule.severity === 'string' ? SEVERITY_LABELS[rule.severity] : rule.severity;
+            return {
+                ...rule,
+                pack: pack.name,
+                languages: [].concat(rule.language),
+                regex: rule.pattern !== undefined ? new RegExp(rule.pattern, flags) : null,
+                when: rule.when !== undefined ? new RegExp(rule.when, rule.flags || '') : null,
+                unless: rule.unless !== undefined ? new RegExp(rule.unless, rule.flags || '') : null,
+                context: rule.context || 'any',
+                requiresSource: rule.requiresSource === true,
+                severity,
+                severityLabel: RulePackRegistry.severityLabel(severity),
+                confidence: rule.confidence === undefined ? 0.8 : rule.confidence,
+                cwe: [].concat(rule.cwe || []),
+                owasp: [].concat(rule.owasp || []),
+                fixtures: { vulnerable: [], safe: [], ...(rule.fixtures || {}) },
+                enabled: rule.enabled !== false
+            };
+        }
+
+        /**
+         * تحميل حزمة
+         * Validate and register a pack. A newer version of a loaded pack replaces
+         * it; the same or an older version needs { replace: true }
+         */
+        load(input, options = {}) {
+            const { valid, issues, pack } = this.validate(input);
+            if (!valid) {
+                const errors = issues.filter(item => item.severity === 'error');
+                throw new RulePackError(`حزمة القواعد غير صالحة: ${errors.map(item => (item.rule ? `${item.rule}: ` : '') + item.message).join('؛ ')}`, issues);
+            }
+
+            const existing = this.packs.get(pack.name);
+            if (existing && !options.replace && RulePackRegistry.compareVersions(pack.version, existing.version) <= 0) {
+                throw new RulePackError(`الحزمة ${pack.name} محملة بالإصدار ${existing.version}؛ استخدم replace لتحميل ${pack.version}`, [
+                    { code: 'version-conflict', severity: 'error', message: `loaded ${existing.version}, got ${pack.version}` }
+                ]);
+            }
+
+            const conflicts = [];
+            this.packs.forEach((other, name) => {
+                if (name === pack.name) return;
+                pack.rules.forEach(rule => {
+                    if (other.rules.some(candidate => candidate.id === rule.id)) conflicts.push(`${rule.id} (${name})`);
+                });
+            });
+            if (conflicts.length) {
+                throw new RulePackError(`معرفات قواعد مستخدمة في حزم أخرى: ${conflicts.join(', ')}`, conflicts.map(message => (
+                    { code: 'duplicate-id', severity: 'error', message }
+                )));
+            }
+
+            const entry = {
+                name: pack.name,
+                version: pack.version,
+                formatVersion: pack.formatVersion === undefined ? FORMAT_VERSION : pack.formatVersion,
+                description: pack.description || '',
+                author: pack.author || '',
+                source: options.source || 'custom',
+                categories: pack.categories || {},
+                rules: pack.rules.map(rule => this.compileRule(rule, pack)),
+                issues,
+                loadedAt: Date.now(),
+                previousVersion: existing ? existing.version : null
+            };
+            this.packs.set(pack.name, entry);
+            return this.summarize(entry);
+        }
+
+        unload(name) {
+            return this.packs.delete(name);
+        }
+
+        has(name) {
+            return this.packs.has(name);
+        }
+
+        get(name) {
+            return this.packs.get(name) || null;
+        }
+
+        summarize(entry) {
+            return {
+                name: entry.name,
+                version: entry.version,
+                formatVersion: entry.formatVersion,
+                description: entry.description,
+                source: entry.source,
+                previousVersion: entry.previousVersion,
+                ruleCount: entry.rules.length,
+                languages: [...new Set(entry.rules.flatMap(rule => rule.languages))],
+                types: [...new Set(entry.rules.map(rule => rule.type))],
+                warnings: entry.issues.filter(item => item.severity === 'warning').length,
+                rules: entry.rules.map(rule => ({
+                    id: rule.id,
+                    title: rule.title,
+                    type: rule.type,
+                    language: rule.language,
+                    severity: rule.severity,
+                    confidence: rule.confidence,
+                    cwe: rule.cwe,
+                    owasp: rule.owasp,
+                    enabled: rule.enabled
+                }))
+            };
+        }
+
+        list() {
+            return [...this.packs.values()].map(entry => this.summarize(entry));
+        }
+
+        /**
+         * القواعد المفعلة
+         * Enabled rules in load order, optionally for one language (rules for
+         * "any" always apply) and one vulnerability type
+         */
+        getRules(filter = {}) {
+            return [...this.packs.values()]
+                .flatMap(entry => entry.rules)
+                .filter(rule => rule.enabled)
+                .filter(rule => !filter.language || rule.languages.includes(filter.language) || rule.languages.includes('any'))
+                .filter(rule => !filter.type || rule.type === filter.type);
+        }
+
+        getCategories() {
+            const categories = {};
+            this.packs.forEach(entry => {
+                Object.entries(entry.categories).forEach(([type, data]) => {
+                    categories[type] = { ...(categories[type] || {}), ...data };
+                });
+            });
+            return categories;
+        }
+
+        /**
+         * تشغيل أمثلة الاختبار
+         * runner(rule, code) returns (or resolves to) findings; every vulnerable
+         * fixture must yield a finding for the rule and no safe fixture may
+         */
+        async testFixtures(name, runner) {
+            const entry = this.packs.get(name);
+            if (!entry) throw new RulePackError(`الحزمة غير محملة: ${name}`);
+
+            const failures = [];
+            let total = 0;
+            for (const rule of entry.rules) {
+                for (const kind of ['vulnerable', 'safe']) {
+                    for (const fixture of rule.fixtures[kind]) {
+                        total++;
+                        const findings = (await runner(rule, fixture)).filter(finding => finding.ruleId === rule.id);
+                        if ((kind === 'vulnerable') !== (findings.length > 0)) {
+                            failures.push({ rule: rule.id, kind, fixture, findings: findings.length });
+                        }
+                    }
+                }
+            }
+
+            return { pack: name, version: entry.version, total, passed: total - failures.length, failures };
+        }
+
+        static parseVersion(version) {
+            const match = String(version).match(/^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/);
+            return match ? { major: Number(match[1]), minor: Number(match[2]), patch: Number(match[3]), prerelease: match[4] || '' } : null;
+        }
+
+        static compareVersions(a, b) {
+            const left = RulePackRegistry.parseVersion(a);
+            const right = RulePackRegistry.parseVersion(b);
+            for (const part of ['major', 'minor', 'patch']) {
+                if (left[part] !== right[part]) return left[part] < right[part] ? -1 : 1;
+            }
+            // A release sorts after its prereleases
+            if (left.prerelease === right.prerelease) return 0;
+            if (!left.prerelease) return 1;
+            if (!right.prerelease) return -1;
+            return left.prerelease < right.prerelease ? -1 : 1;
+        }
+
+        static severityLabel(severity) {
+            if (severity >= 9) return 'critical';
+            if (severity >= 7) return 'high';
+            if (severity >= 4) return 'medium';
+            if (severity >= 2) return 'low';
+            return 'info';
+        }
+    }
+
+    RulePackRegistry.FORMAT_VERSION = FORMAT_VERSION;
+    RulePackRegistry.LANGUAGES = LANGUAGES;
+    RulePackRegistry.CONTEXTS = CONTEXTS;
+    RulePackRegistry.SEVERITY_LABELS = SEVERITY_LABELS;
+    RulePackRegistry.parseYAML = parseYAML;
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { RulePackRegistry, RulePackError };
+    } else {
+        root.RulePackRegistry = RulePackRegistry;
+        root.RulePackError = RulePackError;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
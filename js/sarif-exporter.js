@@ -0,0 +1,489 @@
+/**
+ * تصدير SARIF
+ * SARIF Exporter
+ * SARIF 2.1.0 logs for findings of AdvancedVulnerabilityDetector,
+ * WasmSecurityAnalyzer and AIThreatAnalyzer, for code-scanning UIs
+ */
+
+(function (root) {
+    'use strict';
+
+    const { FindingSuppressor } = typeof module !== 'undefined' && module.exports ? require('./finding-suppressions.js') : root;
+
+    const SARIF_VERSION = '2.1.0';
+    const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+    const FINGERPRINT_KEY = 'cspSecurity/v1';
+    const TOOL = {
+        name: 'CSP Security Analyzer',
+        version: '1.0.0'
+    };
+
+    const SEVERITY_LABELS = { critical: 10, high: 8, medium: 5, low: 3, info: 1 };
+
+    // Fallback weaknesses for findings that carry no rule metadata
+    const TYPE_CWE = {
+        xss: 'CWE-79',
+        innerHTML: 'CWE-79',
+        documentWrite: 'CWE-79',
+        sql: 'CWE-89',
+        sql_injection: 'CWE-89',
+        nosql_injection: 'CWE-943',
+        injection: 'CWE-74',
+        command_injection: 'CWE-78',
+        commandInjection: 'CWE-78',
+        code_injection: 'CWE-94',
+        evalUsage: 'CWE-95',
+        redos: 'CWE-1333',
+        path_traversal: 'CWE-22',
+        pathTraversal: 'CWE-22',
+        file_inclusion: 'CWE-98',
+        csrf: 'CWE-352',
+        clickjacking: 'CWE-1021',
+        open_redirect: 'CWE-601',
+        deserialization: 'CWE-502',
+        server_side_request_forgery: 'CWE-918',
+        insecure_transport: 'CWE-319'
+    };
+
+    class SarifExporter {
+        constructor(options = {}) {
+            this.tool = { ...TOOL, ...(options.tool || {}) };
+            this.suppressor = options.suppressor || new FindingSuppressor();
+        }
+
+        /**
+         * سجل SARIF
+         * Wrap one or more runs in a SARIF log
+         */
+        createLog(runs) {
+            return {
+                $schema: SARIF_SCHEMA,
+                version: SARIF_VERSION,
+                runs: [].concat(runs)
+            };
+        }
+
+        stringify(log) {
+            return JSON.stringify(log, null, 2);
+        }
+
+        /**
+         * تشغيل من نتائج كاشف الثغرات
+         * One run for AdvancedVulnerabilityDetector analyses; suppressed findings
+         * are kept with their SARIF suppression so accepted issues stay visible
+         */
+        async fromDetectorResults(analyses, options = {}) {
+            return this.createRun(this.detectorFindings(analyses, options), { ...options, automationId: options.automationId || 'advanced-vulnerability-detector' });
+        }
+
+        /**
+         * تشغيل من نتائج محلل WebAssembly
+         * WasmSecurityAnalyzer reports every occurrence with its offset; older
+         * results only carry examples, which are located in the analyzed code
+         */
+        async fromWasmResult(result, options = {}) {
+            return this.createRun(this.wasmFindings(result, options), { ...options, automationId: options.automationId || 'wasm-security-analyzer' });
+        }
+
+        /**
+         * تشغيل من نتائج محلل التهديدات
+         * AIThreatAnalyzer findings grouped by category in result.details
+         */
+        async fromThreatAnalysis(result, options = {}) {
+            return this.createRun(this.threatFindings(result, options), { ...options, automationId: options.automationId || 'ai-threat-analyzer' });
+        }
+
+        /**
+         * توحيد النتائج
+         * The *Findings methods normalize each analyzer's output so that findings
+         * of many files can be merged into one run
+         */
+        detectorFindings(analyses, options = {}) {
+            const findings = [];
+            [].concat(analyses).forEach(analysis => {
+                const uri = analysis.filename || options.uri || 'input';
+                const kept = (analysis.vulnerabilities || []).map(finding => ({ finding, suppression: null }));
+                const suppressed = (analysis.suppressed || []).map(finding => ({ finding, suppression: finding.suppression }));
+
+                [...kept, ...suppressed].forEach(({ finding, suppression }) => {
+                    findings.push({
+                        ruleId: finding.ruleId || finding.type,
+                        type: finding.type,
+                        title: finding.title || finding.variant,
+                        severity: finding.severity,
+                        confidence: finding.confidence,
+                        message: finding.message || `${finding.title || finding.variant || finding.type} detected`,
+                        uri,
+                        line: finding.line,
+                        column: finding.column,
+                        endColumn: finding.endColumn,
+                        startIndex: finding.startIndex,
+                        endIndex: finding.endIndex,
+                        match: finding.match,
+                        fingerprint: finding.fingerprint,
+                        path: finding.path,
+                        method: finding.method,
+                        language: analysis.language ? analysis.language.id : undefined,
+                        suppression
+                    });
+                });
+            });
+            return findings;
+        }
+
+        wasmFindings(result, options = {}) {
+            const uri = options.filename || options.uri || 'input';
+            const code = typeof options.code === 'string' ? options.code : null;
+            const findings = [];
+
+            (result.vulnerabilities || []).forEach(vulnerability => {
+                const base = {
+                    ruleId: `wasm.${vulnerability.type}`,
+                    type: vulnerability.type,
+                    severity: vulnerability.severity,
+                    confidence: vulnerability.confidence || result.confidence,
+                    uri,
+                    text: code,
+                    method: result.engine || result.processingTime
+                };
+                const examples = vulnerability.examples || [];
+                let from = 0;
+
+                if (vulnerability.occurrences) {
+                    vulnerability.occurrences.forEach(occurrence => {
+                        findings.push({
+                            ...base,
+                            confidence: occurrence.confidence,
+                            message: `${vulnerability.type} pattern ${occurrence.rule} matched`,
+                            match: occurrence.match,
+                            line: occurrence.line,
+                            column: occurrence.column,
+                            startIndex: occurrence.index,
+                            endIndex: occurrence.index + occurrence.length
+                        });
+                    });
+                    return;
+                }
+
+                if (!code || examples.length === 0) {
+                    findings.push({ ...base, message: `${vulnerability.type}: ${vulnerability.matches} match(es)`, match: examples[0] });
+                    return;
+                }
+
+                examples.forEach(example => {
+                    let index = code.indexOf(example, from);
+                    if (index === -1) index = code.indexOf(example);
+                    if (index !== -1) from = index + example.length;
+                    findings.push({
+                        ...base,
+                        message: `${vulnerability.type} pattern matched (${vulnerability.matches} match(es) in total)`,
+                        match: example,
+                        ...(index === -1 ? {} : this.position(code, index, example.length))
+                    });
+                });
+            });
+
+            return findings;
+        }
+
+        threatFindings(result, options = {}) {
+            const uri = options.filename || options.uri || result.source || 'input';
+            const code = typeof options.content === 'string' ? options.content : null;
+            const findings = [];
+
+            Object.entries(result.details || {}).forEach(([category, detail]) => {
+                (detail.findings || []).forEach(finding => {
+                    // Older results only carry the matched text, which is located in the analyzed code
+                    const located = typeof finding.startIndex === 'number';
+                    const index = !located && code && finding.match ? code.indexOf(finding.match) : -1;
+                    findings.push({
+                        ruleId: finding.ruleId || `threat.${category}`,
+                        type: category,
+                        severity: finding.severity,
+                        message: `${finding.type}: ${finding.match}`,
+                        uri,
+                        text: code,
+                        line: finding.line,
+                        match: finding.match,
+                        layers: finding.layers,
+                        ...(located ? {
+                            column: finding.column,
+                            endLine: finding.endLine,
+                            endColumn: finding.endColumn,
+                            startIndex: finding.startIndex,
+                            endIndex: finding.endIndex
+                        } : {}),
+                        ...(index === -1 ? {} : this.position(code, index, finding.match.length))
+                    });
+                });
+            });
+
+            return findings;
+        }
+
+        /**
+         * بناء التشغيل
+         * Rules, taxonomies and results from normalized findings. Rule metadata
+         * comes from options.registry (a RulePackRegistry) when it knows the id
+         */
+        async createRun(findings, options = {}) {
+            const registry = options.registry || null;
+            const known = new Map();
+            if (registry) registry.getRules().forEach(rule => known.set(rule.id, rule));
+
+            const rules = [];
+            const ruleIndex = new Map();
+            const taxa = new Map();
+            const artifacts = [];
+            const artifactIndex = new Map();
+            const results = [];
+
+            for (const finding of findings) {
+                if (!ruleIndex.has(finding.ruleId)) {
+                    const descriptor = this.ruleDescriptor(finding, known.get(finding.ruleId));
+                    ruleIndex.set(finding.ruleId, rules.length);
+                    rules.push(descriptor);
+                    (descriptor.relationships || []).forEach(relation => taxa.set(relation.target.id, relation.target.id));
+                }
+                if (!artifactIndex.has(finding.uri)) {
+                    artifactIndex.set(finding.uri, artifacts.length);
+                    artifacts.push({ location: { uri: finding.uri }, ...(finding.language ? { sourceLanguage: finding.language } : {}) });
+                }
+                results.push(await this.result(finding, ruleIndex.get(finding.ruleId)));
+            }
+
+            const run = {
+                tool: {
+                    driver: {
+                        name: this.tool.name,
+                        version: this.tool.version,
+                        ...(this.tool.informationUri ? { informationUri: this.tool.informationUri } : {}),
+                        rules,
+                        ...(taxa.size ? { supportedTaxonomies: [{ name: 'CWE', index: 0 }] } : {})
+                    }
+                },
+                automationDetails: { id: `${options.automationId || 'csp-security'}/` },
+                artifacts,
+                results,
+                columnKind: 'utf16CodeUnits'
+            };
+
+            if (taxa.size) {
+                run.taxonomies = [{
+                    name: 'CWE',
+                    organization: 'MITRE',
+                    informationUri: 'https://cwe.mitre.org/',
+                    taxa: [...taxa.keys()].map(id => ({ id, helpUri: `https://cwe.mitre.org/data/definitions/${id}.html` }))
+                }];
+            }
+            if (registry) {
+                run.properties = { rulePacks: registry.list().map(pack => ({ name: pack.name, version: pack.version })) };
+            }
+            return run;
+        }
+
+        ruleDescriptor(finding, rule) {
+            const severity = this.severityScore(rule ? rule.severity : finding.severity);
+            const cwe = rule && rule.cwe.length ? rule.cwe : [].concat(TYPE_CWE[finding.type] || []);
+            const ids = cwe.map(entry => String(entry).replace(/^CWE-/i, ''));
+            const title = (rule && rule.title) || finding.title || this.humanize(finding.type);
+
+            return {
+                id: finding.ruleId,
+                name: this.ruleName(finding.ruleId),
+                shortDescription: { text: title },
+                fullDescription: { text: (rule && rule.description) || title },
+                ...(rule && rule.fix ? { help: { text: rule.fix } } : {}),
+                defaultConfiguration: { level: this.level(severity) },
+                ...(ids.length ? {
+                    relationships: ids.map(id => ({ target: { id, toolComponent: { name: 'CWE' } }, kinds: ['superset'] }))
+                } : {}),
+                properties: {
+                    tags: ['security', ...ids.map(id => `external/cwe/cwe-${id}`), ...(rule ? rule.owasp.map(entry => `owasp/${entry}`) : [])],
+                    precision: this.precision(rule ? rule.confidence : finding.confidence),
+                    'security-severity': severity.toFixed(1),
+                    ...(rule ? { pack: rule.pack } : {}),
+                    ...(finding.type ? { type: finding.type } : {})
+                }
+            };
+        }
+
+        async result(finding, ruleIndex) {
+            const severity = this.severityScore(finding.severity);
+            const artifactLocation = { uri: finding.uri };
+            const region = this.region(finding);
+            const location = { physicalLocation: { artifactLocation, ...(region ? { region } : {}) } };
+
+            let fingerprint = finding.fingerprint;
+            if (!fingerprint && (finding.match || finding.line)) {
+                // Same fingerprint as the suppression baseline: rule, file and source line
+                const code = finding.text || '';
+                fingerprint = await this.suppressor.fingerprint({ ruleId: finding.ruleId, line: code ? finding.line : undefined, match: finding.match }, code, finding.uri);
+            }
+
+            const result = {
+                ruleId: finding.ruleId,
+                ruleIndex,
+                level: this.level(severity),
+                message: { text: finding.message },
+                locations: [location],
+                ...(fingerprint ? { partialFingerprints: { [FINGERPRINT_KEY]: fingerprint } } : {}),
+                properties: {
+                    'security-severity': severity.toFixed(1),
+                    ...(typeof finding.confidence === 'number' ? { confidence: finding.confidence } : {}),
+                    ...(finding.method ? { method: finding.method } : {}),
+                    ...(finding.layers && finding.layers.length ? { decodingLayers: finding.layers } : {})
+                }
+            };
+
+            if (Array.isArray(finding.path) && finding.path.length) {
+                result.codeFlows = [this.codeFlow(finding, artifactLocation)];
+            }
+            if (finding.suppression) {
+                result.suppressions = [{
+                    kind: finding.suppression.kind === 'inline' ? 'inSource' : 'external',
+                    status: 'accepted',
+                    ...(finding.suppression.reason ? { justification: finding.suppression.reason } : {})
+                }];
+            }
+            return result;
+        }
+
+        region(finding) {
+            if (!finding.line) return null;
+            const region = { startLine: finding.line };
+            if (finding.endLine && finding.endLine !== finding.line) region.endLine = finding.endLine;
+            if (finding.column) {
+                region.startColumn = finding.column;
+                const length = typeof finding.match === 'string' && !finding.match.includes('\n') ? finding.match.length : 0;
+                const endColumn = finding.endColumn || (length ? finding.column + length : 0);
+                if (endColumn && (region.endLine || endColumn > finding.column)) region.endColumn = endColumn;
+            }
+            if (typeof finding.startIndex === 'number' && typeof finding.endIndex === 'number') {
+                region.charOffset = finding.startIndex;
+                region.charLength = finding.endIndex - finding.startIndex;
+            }
+            if (finding.match) region.snippet = { text: finding.match };
+            return region;
+        }
+
+        /**
+         * مسار التلوث
+         * Taint path (source, propagation steps, sink) as a SARIF code flow
+         */
+        codeFlow(finding, artifactLocation) {
+            return {
+                message: { text: finding.message },
+                threadFlows: [{
+                    locations: finding.path.map((step, index) => ({
+                        location: {
+                            physicalLocation: {
+                                artifactLocation,
+                                region: {
+                                    startLine: step.line,
+                                    ...(step.column ? { startColumn: step.column } : {}),
+                                    ...(step.code ? { snippet: { text: step.code } } : {})
+                                }
+                            },
+                            message: { text: step.description }
+                        },
+                        nestingLevel: 0,
+                        executionOrder: index + 1,
+                        importance: index === 0 || index === finding.path.length - 1 ? 'essential' : 'important'
+                    }))
+                }]
+            };
+        }
+
+        /**
+         * المقارنة مع تشغيل سابق
+         * Mark each result new or unchanged against a previous log and append
+         * the previous results that disappeared as absent
+         */
+        compare(log, previous) {
+            const key = (run, result) => {
+                const fingerprint = result.partialFingerprints && result.partialFingerprints[FINGERPRINT_KEY];
+                return `${run.automationDetails ? run.automationDetails.id : ''}\u0000${fingerprint || `${result.ruleId}\u0000${result.message.text}`}`;
+            };
+            const before = new Map();
+            (previous ? previous.runs : []).forEach(run => {
+                run.results.forEach(result => {
+                    const id = key(run, result);
+                    if (!before.has(id)) before.set(id, []);
+                    before.get(id).push({ run, result });
+                });
+            });
+
+            log.runs.forEach(run => {
+                run.results.forEach(result => {
+                    const matches = before.get(key(run, result));
+                    result.baselineState = matches && matches.length ? 'unchanged' : 'new';
+                    if (matches) matches.shift();
+                });
+            });
+
+            before.forEach(entries => entries.forEach(({ run, result }) => {
+                const target = log.runs.find(candidate => candidate.automationDetails && run.automationDetails
+                    && candidate.automationDetails.id === run.automationDetails.id);
+                if (!target) return;
+                const rule = run.tool.driver.rules[result.ruleIndex];
+                let ruleIndex = target.tool.driver.rules.findIndex(candidate => candidate.id === result.ruleId);
+                if (ruleIndex === -1 && rule) {
+                    ruleIndex = target.tool.driver.rules.length;
+                    target.tool.driver.rules.push(rule);
+                }
+                target.results.push({ ...result, ruleIndex, baselineState: 'absent' });
+            }));
+
+            return log;
+        }
+
+        position(code, index, length) {
+            const before = code.slice(0, index).split('\n');
+            const column = before[before.length - 1].length + 1;
+            return { line: before.length, column, startIndex: index, endIndex: index + length };
+        }
+
+        severityScore(severity) {
+            if (typeof severity === 'string') {
+                return SEVERITY_LABELS[severity.toLowerCase()] || 5;
+            }
+            return typeof severity === 'number' && !isNaN(severity) ? Math.max(0, Math.min(10, severity)) : 5;
+        }
+
+        level(score) {
+            if (score >= 7) return 'error';
+            if (score >= 4) return 'warning';
+            return 'note';
+        }
+
+        precision(confidence) {
+            if (typeof confidence !== 'number') return 'medium';
+            if (confidence >= 0.9) return 'very-high';
+            if (confidence >= 0.75) return 'high';
+            if (confidence >= 0.5) return 'medium';
+            return 'low';
+        }
+
+        ruleName(id) {
+            return String(id).split(/[^A-Za-z0-9]+/).filter(Boolean)
+                .map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+        }
+
+        humanize(type) {
+            return String(type || 'finding').replace(/([a-z])([A-Z])/g, '$1 $2').replace(/_/g, ' ')
+                .replace(/^./, char => char.toUpperCase());
+        }
+    }
+
+    SarifExporter.SARIF_VERSION = SARIF_VERSION;
+    SarifExporter.FINGERPRINT_KEY = FINGERPRINT_KEY;
+    SarifExporter.TYPE_CWE = TYPE_CWE;
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { SarifExporter };
+    } else {
+        root.SarifExporter = SarifExporter;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
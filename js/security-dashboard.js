@@ -95,6 +95,20 @@ class SecurityDashboard {
         this.notifyThreatUpdate(threat);
     }
 
+    /**
+     * تحديث عدد تكرارات التهديد
+     * Update the occurrence count of the threat recorded under a fingerprint
+     */
+    updateThreatOccurrences(fingerprint, occurrences, lastSeen) {
+        const threat = this.data.threats.find(t => t.fingerprint === fingerprint);
+        if (!threat) return false;
+
+        threat.occurrences = occurrences;
+        threat.lastSeen = lastSeen;
+        this.saveThreatData();
+        return true;
+    }
+
     /**
      * تحديث المقاييس
      * Update metrics
@@ -472,12 +486,13 @@ class SecurityDashboard {
      * Get policy violations
      */
     getPolicyViolations(policyId) {
+        // A deduplicated report stands for every occurrence it counted
         return this.data.threats.filter(threat => 
             threat.policyId === policyId || 
             (policyId === 'csp' && threat.type.includes('csp')) ||
             (policyId === 'csrf' && threat.type.includes('csrf')) ||
             (policyId === 'input-validation' && threat.type.includes('injection'))
-        ).length;
+        ).reduce((sum, threat) => sum + (threat.occurrences || 1), 0);
     }
 
     /**
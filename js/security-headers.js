@@ -0,0 +1,349 @@
+/**
+ * مولد رؤوس الأمان
+ * Security Header Generator
+ * Builds, validates and explains the HTTP security headers beyond CSP
+ */
+
+(function (root) {
+    'use strict';
+
+    const { PermissionsPolicy } = typeof module !== 'undefined' && module.exports ? require('./permissions-policy.js') : root;
+
+    const ONE_YEAR = 31536000;
+
+    const REFERRER_POLICIES = {
+        'no-referrer': 'لا يُرسل أي مرجع',
+        'no-referrer-when-downgrade': 'يُرسل العنوان الكامل لكل الطلبات عدا الانتقال إلى HTTP',
+        origin: 'يُرسل الأصل فقط',
+        'origin-when-cross-origin': 'العنوان الكامل لنفس الأصل والأصل فقط لغيره',
+        'same-origin': 'يُرسل المرجع لنفس الأصل فقط',
+        'strict-origin': 'الأصل فقط، ولا شيء عند الانتقال إلى HTTP',
+        'strict-origin-when-cross-origin': 'العنوان الكامل لنفس الأصل، والأصل فقط لغيره، ولا شيء عند الانتقال إلى HTTP',
+        'unsafe-url': 'يُرسل العنوان الكامل دائماً بما فيه المسار والاستعلام'
+    };
+
+    const CROSS_ORIGIN_VALUES = {
+        'Cross-Origin-Opener-Policy': ['unsafe-none', 'same-origin-allow-popups', 'same-origin', 'noopener-allow-popups'],
+        'Cross-Origin-Embedder-Policy': ['unsafe-none', 'require-corp', 'credentialless'],
+        'Cross-Origin-Resource-Policy': ['same-site', 'same-origin', 'cross-origin']
+    };
+
+    // Headers to remove or replace, and why
+    const LEGACY_HEADERS = {
+        'x-xss-protection': {
+            action: 'remove',
+            replacement: 'Content-Security-Policy',
+            reason: 'أزالت المتصفحات مرشح XSS، وقيمة "1; mode=block" قد تُستغل لتسريب المعلومات. احذف الرأس أو اضبطه على 0'
+        },
+        'x-frame-options': {
+            action: 'replace',
+            replacement: "Content-Security-Policy: frame-ancestors 'none'",
+            reason: 'استُبدل بتوجيه frame-ancestors في CSP، احتفظ به فقط لدعم المتصفحات القديمة'
+        },
+        'expect-ct': { action: 'remove', replacement: null, reason: 'أصبحت شفافية الشهادات إلزامية ولم يعد للرأس أي أثر' },
+        'public-key-pins': { action: 'remove', replacement: null, reason: 'أزيل HPKP من المتصفحات لخطورة حظر الموقع نهائياً' },
+        'public-key-pins-report-only': { action: 'remove', replacement: null, reason: 'أزيل HPKP من المتصفحات' },
+        'feature-policy': { action: 'replace', replacement: 'Permissions-Policy', reason: 'استُبدل برأس Permissions-Policy ذي الصيغة المختلفة' },
+        'x-content-security-policy': { action: 'replace', replacement: 'Content-Security-Policy', reason: 'بادئة تجريبية قديمة' },
+        'x-webkit-csp': { action: 'replace', replacement: 'Content-Security-Policy', reason: 'بادئة تجريبية قديمة' },
+        p3p: { action: 'remove', replacement: null, reason: 'معيار خصوصية متروك لا تدعمه المتصفحات' },
+        'x-powered-by': { action: 'remove', replacement: null, reason: 'يكشف تقنية الخادم وإصداره للمهاجمين' },
+        pragma: { action: 'replace', replacement: 'Cache-Control', reason: 'رأس HTTP/1.0، استخدم Cache-Control' }
+    };
+
+    // Deny-by-default for powerful features, same-origin for the rest the page may use
+    const DEFAULT_PERMISSIONS = {
+        camera: [], microphone: [], geolocation: [], 'display-capture': [], usb: [], serial: [], hid: [],
+        bluetooth: [], midi: [], payment: [], 'idle-detection': [], 'browsing-topics': [],
+        'attribution-reporting': [], fullscreen: ['self'], 'clipboard-write': ['self']
+    };
+
+    class SecurityHeaderGenerator {
+        constructor(options = {}) {
+            this.permissionsPolicy = options.permissionsPolicy || new PermissionsPolicy();
+        }
+
+        result(name, value, issues, explanation) {
+            const severities = issues.map(issue => issue.severity);
+            return {
+                name,
+                value,
+                valid: !severities.includes('error'),
+                severity: ['error', 'warning', 'info'].find(level => severities.includes(level)) || 'ok',
+                issues,
+                explanation
+            };
+        }
+
+        /**
+         * بناء رأس HSTS
+         * Build Strict-Transport-Security
+         */
+        buildHSTS(options = {}) {
+            const maxAge = options.maxAge !== undefined ? options.maxAge : 2 * ONE_YEAR;
+            let value = `max-age=${maxAge}`;
+            if (options.includeSubDomains !== false) value += '; includeSubDomains';
+            if (options.preload) value += '; preload';
+            return this.validateHSTS(value);
+        }
+
+        parseHSTS(value) {
+            const directives = {};
+            String(value).split(';').forEach(part => {
+                const [name, ...rest] = part.trim().split('=');
+                if (!name) return;
+                directives[name.trim().toLowerCase()] = rest.length > 0 ? rest.join('=').trim().replace(/^"|"$/g, '') : true;
+            });
+            return directives;
+        }
+
+        /**
+         * شروط قائمة HSTS preload
+         * Preload list requirements that can be checked from the header alone
+         */
+        checkHSTSPreload(value) {
+            const directives = this.parseHSTS(value);
+            const maxAge = Number(directives['max-age']);
+            const requirements = [
+                { requirement: `max-age لا يقل عن ${ONE_YEAR} ثانية (سنة)`, met: maxAge >= ONE_YEAR },
+                { requirement: 'وجود includeSubDomains', met: directives.includesubdomains === true },
+                { requirement: 'وجود preload', met: directives.preload === true }
+            ];
+
+            return {
+                eligible: requirements.every(item => item.met),
+                requirements,
+                // Not visible in the header, but required by hstspreload.org
+                manualChecks: [
+                    'شهادة صالحة على النطاق وكل نطاقاته الفرعية',
+                    'إعادة توجيه HTTP إلى HTTPS على نفس المضيف أولاً',
+                    'إرسال الرأس من النطاق الأساسي (apex) عبر HTTPS'
+                ]
+            };
+        }
+
+        validateHSTS(value) {
+            const directives = this.parseHSTS(value);
+            const issues = [];
+            const maxAge = Number(directives['max-age']);
+
+            if (directives['max-age'] === undefined || !/^\d+$/.test(String(directives['max-age']))) {
+                issues.push({ severity: 'error', message: 'max-age مطلوب ويجب أن يكون عدداً صحيحاً' });
+            } else if (maxAge === 0) {
+                issues.push({ severity: 'warning', message: 'max-age=0 يلغي HSTS لدى المتصفح' });
+            } else if (maxAge < ONE_YEAR) {
+                issues.push({ severity: 'warning', message: 'max-age أقل من سنة؛ يوصى بسنة على الأقل' });
+            }
+
+            const preload = this.checkHSTSPreload(value);
+            if (directives.preload && !preload.eligible) {
+                issues.push({ severity: 'error', message: 'preload مطلوب لكن شروط القائمة غير مكتملة: ' +
+                    preload.requirements.filter(item => !item.met).map(item => item.requirement).join('، ') });
+            }
+
+            const result = this.result('Strict-Transport-Security', value, issues,
+                'يُلزم المتصفح باستخدام HTTPS فقط لهذا النطاق طوال مدة max-age، ويمنع تجاوز أخطاء الشهادات. ' +
+                'يتجاهله المتصفح إذا وصل عبر HTTP. preload يضمّن النطاق في قائمة المتصفحات المدمجة ويصعب التراجع عنه.');
+            result.preload = preload;
+            return result;
+        }
+
+        /**
+         * بناء Referrer-Policy
+         * Build Referrer-Policy
+         */
+        buildReferrerPolicy(policy = 'strict-origin-when-cross-origin') {
+            return this.validateReferrerPolicy(policy);
+        }
+
+        validateReferrerPolicy(value) {
+            const tokens = String(value).split(',').map(token => token.trim().toLowerCase()).filter(Boolean);
+            const issues = [];
+            const known = tokens.filter(token => REFERRER_POLICIES[token]);
+
+            tokens.filter(token => !REFERRER_POLICIES[token]).forEach(token => {
+                issues.push({ severity: known.length > 0 ? 'info' : 'error', message: `قيمة غير معروفة: ${token}` });
+            });
+
+            // The last value the browser understands wins
+            const effective = known[known.length - 1];
+            if (effective === 'unsafe-url' || effective === 'no-referrer-when-downgrade') {
+                issues.push({ severity: 'warning', message: `${effective} يسرّب المسار والاستعلام إلى المواقع الأخرى` });
+            }
+
+            return this.result('Referrer-Policy', value, issues,
+                effective ? `القيمة الفعلية ${effective}: ${REFERRER_POLICIES[effective]}` : 'لا توجد قيمة صالحة؛ يستخدم المتصفح strict-origin-when-cross-origin');
+        }
+
+        /**
+         * بناء Permissions-Policy
+         * Build Permissions-Policy from { feature: allowlist }
+         */
+        buildPermissionsPolicy(allowlists = DEFAULT_PERMISSIONS) {
+            return this.validatePermissionsPolicy(this.permissionsPolicy.serialize(allowlists));
+        }
+
+        validatePermissionsPolicy(value) {
+            const parsed = this.permissionsPolicy.parse(value);
+            const issues = [
+                ...parsed.issues.map(message => ({ severity: 'error', message })),
+                ...this.permissionsPolicy.validate(parsed.features).map(({ severity, message }) => ({ severity, message }))
+            ];
+
+            const denied = Object.keys(parsed.features).filter(feature => parsed.features[feature].length === 0);
+            const result = this.result('Permissions-Policy', value, issues,
+                'يحدد الميزات التي يمكن للصفحة والإطارات المضمنة استخدامها. الميزات غير المذكورة تتبع قائمتها الافتراضية، ' +
+                `والقائمة () تمنع الميزة كلياً (${denied.length} ميزة ممنوعة).`);
+            result.features = parsed.features;
+            return result;
+        }
+
+        /**
+         * بناء رؤوس العزل عبر الأصول
+         * Build COOP, COEP and CORP
+         */
+        buildCrossOriginPolicies(options = {}) {
+            return [
+                this.validateCrossOrigin('Cross-Origin-Opener-Policy', options.opener || 'same-origin'),
+                this.validateCrossOrigin('Cross-Origin-Embedder-Policy', options.embedder || 'require-corp'),
+                this.validateCrossOrigin('Cross-Origin-Resource-Policy', options.resource || 'same-origin')
+            ];
+        }
+
+        validateCrossOrigin(name, value) {
+            const token = String(value).split(';')[0].trim().toLowerCase();
+            const issues = [];
+            const explanations = {
+                'Cross-Origin-Opener-Policy': 'يفصل سياق التصفح عن النوافذ المفتوحة من أصول أخرى لمنع هجمات XS-Leaks. ' +
+                    'same-origin يقطع window.opener مع النوافذ المنبثقة لتسجيل الدخول والدفع؛ استخدم same-origin-allow-popups عندها.',
+                'Cross-Origin-Embedder-Policy': 'يمنع تحميل موارد من أصول أخرى دون موافقتها عبر CORP أو CORS. ' +
+                    'مع COOP same-origin يفعّل crossOriginIsolated (SharedArrayBuffer). credentialless بديل أسهل لا يرسل الاعتمادات.',
+                'Cross-Origin-Resource-Policy': 'يحدد من يمكنه تضمين هذا المورد، ويحمي من Spectre وتسريب الاستجابات عبر الأصول.'
+            };
+
+            if (!CROSS_ORIGIN_VALUES[name].includes(token)) {
+                issues.push({ severity: 'error', message: `قيمة غير صالحة لـ ${name}: ${value}` });
+            } else if (token === 'unsafe-none') {
+                issues.push({ severity: 'info', message: 'unsafe-none هو السلوك الافتراضي ولا يضيف حماية' });
+            }
+
+            if (name === 'Cross-Origin-Embedder-Policy' && token === 'require-corp') {
+                issues.push({ severity: 'info', message: 'تأكد أن كل الموارد الخارجية ترسل CORP أو تُحمّل بـ crossorigin قبل التفعيل' });
+            }
+
+            return this.result(name, value, issues, explanations[name]);
+        }
+
+        /**
+         * بناء X-Content-Type-Options
+         * Build X-Content-Type-Options
+         */
+        buildContentTypeOptions() {
+            return this.validateContentTypeOptions('nosniff');
+        }
+
+        validateContentTypeOptions(value) {
+            const issues = String(value).trim().toLowerCase() === 'nosniff'
+                ? []
+                : [{ severity: 'error', message: 'القيمة الوحيدة الصالحة هي nosniff' }];
+
+            return this.result('X-Content-Type-Options', value, issues,
+                'يمنع المتصفح من تخمين نوع المحتوى، فلا يُنفذ ملف نصي أو صورة كسكريبت أو CSS، ويفعّل CORB.');
+        }
+
+        /**
+         * بناء Cache-Control للصفحات الموثقة
+         * Build Cache-Control; authenticated pages must not be stored anywhere
+         */
+        buildCacheControl(options = {}) {
+            const value = options.authenticated === false ? 'public, max-age=3600' : 'no-store, max-age=0';
+            return this.validateCacheControl(value, { authenticated: options.authenticated !== false });
+        }
+
+        validateCacheControl(value, options = {}) {
+            const directives = String(value).toLowerCase().split(',').map(part => part.trim());
+            const issues = [];
+
+            if (options.authenticated) {
+                if (!directives.includes('no-store')) {
+                    issues.push({ severity: 'error', message: 'الصفحات الموثقة تحتاج no-store لمنع حفظها في ذاكرة المتصفح والوسطاء' });
+                }
+                if (directives.includes('public')) {
+                    issues.push({ severity: 'error', message: 'public يسمح للوسطاء المشتركين بحفظ بيانات المستخدم' });
+                }
+            }
+
+            return this.result('Cache-Control', value, issues,
+                'يتحكم في التخزين المؤقت. no-store يمنع حفظ الاستجابة نهائياً، فلا تظهر البيانات عبر زر الرجوع أو في وكيل مشترك.');
+        }
+
+        /**
+         * توليد مجموعة الرؤوس كاملة
+         * Generate the full suite with validation and explanations
+         */
+        generate(options = {}) {
+            const results = [
+                this.buildHSTS(options.hsts),
+                this.buildReferrerPolicy(options.referrerPolicy),
+                this.buildPermissionsPolicy(options.permissions),
+                ...this.buildCrossOriginPolicies(options.crossOrigin),
+                this.buildContentTypeOptions()
+            ];
+
+            if (options.authenticated !== undefined || options.cacheControl) {
+                results.push(this.buildCacheControl({ authenticated: options.authenticated }));
+            }
+
+            const headers = {};
+            results.forEach(result => { headers[result.name] = result.value; });
+
+            return { headers, results };
+        }
+
+        /**
+         * التحقق من رؤوس موجودة ووضع علامة على الرؤوس القديمة
+         * Validate an existing header map and flag legacy headers for removal
+         */
+        validate(headers, options = {}) {
+            const validators = {
+                'strict-transport-security': value => this.validateHSTS(value),
+                'referrer-policy': value => this.validateReferrerPolicy(value),
+                'permissions-policy': value => this.validatePermissionsPolicy(value),
+                'cross-origin-opener-policy': value => this.validateCrossOrigin('Cross-Origin-Opener-Policy', value),
+                'cross-origin-embedder-policy': value => this.validateCrossOrigin('Cross-Origin-Embedder-Policy', value),
+                'cross-origin-resource-policy': value => this.validateCrossOrigin('Cross-Origin-Resource-Policy', value),
+                'x-content-type-options': value => this.validateContentTypeOptions(value),
+                'cache-control': value => this.validateCacheControl(value, options)
+            };
+
+            const results = [];
+            const legacy = [];
+
+            Object.entries(headers).forEach(([name, value]) => {
+                const key = name.toLowerCase();
+
+                if (LEGACY_HEADERS[key]) {
+                    legacy.push({ name, value, ...LEGACY_HEADERS[key] });
+                } else if (validators[key]) {
+                    results.push({ ...validators[key](value), name });
+                }
+            });
+
+            const present = Object.keys(headers).map(name => name.toLowerCase());
+            const missing = ['strict-transport-security', 'referrer-policy', 'permissions-policy', 'x-content-type-options']
+                .filter(name => !present.includes(name));
+
+            return { results, legacy, missing };
+        }
+    }
+
+    SecurityHeaderGenerator.LEGACY_HEADERS = LEGACY_HEADERS;
+    SecurityHeaderGenerator.DEFAULT_PERMISSIONS = DEFAULT_PERMISSIONS;
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { SecurityHeaderGenerator };
+    } else {
+        root.SecurityHeaderGenerator = SecurityHeaderGenerator;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
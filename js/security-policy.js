@@ -7,12 +7,12 @@
     'use strict';
 
     // 1. Initialize Trusted Types
-    if (window.trustedTypes && window.trustedTypes.createPolicy) {
-        window.trustedTypes.createPolicy('default', {
-            createHTML: (string) => string, // In a real app, sanitize this!
-            createScriptURL: (string) => string,
-            createScript: (string) => string,
-        });
+    // Without the toolkit no default policy is registered, so enforced sinks stay blocked
+    if (window.TrustedTypesToolkit) {
+        new window.TrustedTypesToolkit({
+            policyName: 'default',
+            monitor: window.securityMonitor || null
+        }).install();
     }
 
     // 2. Security Headers Simulation (for local development)
@@ -25,11 +25,23 @@
 
     // 4. Feature Policy / Permissions Policy
     // Note: This is usually set via headers, but we can monitor it
+    const documentPolicy = document.permissionsPolicy || document.featurePolicy;
+    if (documentPolicy && window.PermissionsPolicy) {
+        const features = window.PermissionsPolicy.FEATURES;
+        const allowed = documentPolicy.allowedFeatures()
+            .filter(feature => features[feature] && features[feature].powerful);
+        if (allowed.length > 0) {
+            console.warn(`⚠️ Powerful features allowed by Permissions-Policy: ${allowed.join(', ')}. Ensure this is intended.`);
+        }
+    }
+
     if ('permissions' in navigator) {
-        navigator.permissions.query({ name: 'geolocation' }).then(result => {
-            if (result.state === 'granted') {
-                console.warn('⚠️ Geolocation is granted. Ensure this is intended.');
-            }
+        ['geolocation', 'camera', 'microphone'].forEach(name => {
+            navigator.permissions.query({ name }).then(result => {
+                if (result.state === 'granted') {
+                    console.warn(`⚠️ ${name} is granted. Ensure this is intended.`);
+                }
+            }).catch(() => {});
         });
     }
 })();
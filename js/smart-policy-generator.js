@@ -4,17 +4,33 @@
  * Intelligent CSP and security policy generation system
  */
 
+// في المتصفح تأتي التبعيات من الوسوم السابقة، وفي Node تُحمّل كوحدات
+// (var declarations leave the existing window properties untouched in the browser)
+if (typeof module !== 'undefined' && module.exports) {
+    var { SecurityHeaderGenerator } = require('./security-headers.js');
+    var { CSPParser } = require('./csp-parser.js');
+    var { CSPNonce } = require('./csp-nonce.js');
+    var { CSPHasher } = require('./csp-hasher.js');
+    var { SRIGenerator } = require('./sri-generator.js');
+    var { CSPRollout } = require('./csp-rollout.js');
+    var { CSPPolicyLearner } = require('./csp-policy-learner.js');
+    var { TrustedTypesToolkit } = require('./trusted-types.js');
+    var { TrustedTypesMigrationScanner } = require('./trusted-types-scanner.js');
+}
+
 class SmartPolicyGenerator {
     constructor() {
+        this.headerGenerator = new SecurityHeaderGenerator();
+        const referrerPolicy = this.headerGenerator.buildReferrerPolicy().value;
+
         this.policyTemplates = {
             basic: {
                 name: 'الأساسي',
                 description: 'سياسة أمان أساسية للمواقع البسيطة',
-                csp: "default-src 'self'; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline'; img-src 'self' data:; font-src 'self';",
+                csp: "default-src 'self'; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline'; img-src 'self' data:; font-src 'self'; frame-ancestors 'none';",
                 headers: {
                     'X-Content-Type-Options': 'nosniff',
-                    'X-Frame-Options': 'DENY',
-                    'X-XSS-Protection': '1; mode=block'
+                    'Referrer-Policy': referrerPolicy
                 }
             },
             strict: {
@@ -24,20 +40,19 @@ class SmartPolicyGenerator {
                 headers: {
                     'Content-Security-Policy': '',
                     'X-Content-Type-Options': 'nosniff',
-                    'X-Frame-Options': 'DENY',
-                    'X-XSS-Protection': '1; mode=block',
-                    'Strict-Transport-Security': 'max-age=31536000; includeSubDomains',
-                    'Referrer-Policy': 'strict-origin-when-cross-origin'
+                    'Strict-Transport-Security': this.headerGenerator.buildHSTS().value,
+                    'Referrer-Policy': referrerPolicy,
+                    'Permissions-Policy': this.headerGenerator.buildPermissionsPolicy().value,
+                    'Cache-Control': this.headerGenerator.buildCacheControl({ authenticated: true }).value
                 }
             },
             modern: {
                 name: 'حديث',
                 description: 'سياسة حديثة مع Trusted Types و strict-dynamic',
-                csp: "default-src 'self'; script-src 'self' 'strict-dynamic' 'nonce-{random}'; style-src 'self' 'unsafe-inline'; img-src 'self' data: https:; font-src 'self'; connect-src 'self'; frame-ancestors 'none'; base-uri 'self'; form-action 'self'; require-trusted-types-for 'script';",
+                csp: `default-src 'self'; script-src 'self' 'strict-dynamic' 'nonce-${CSPNonce.PLACEHOLDER}'; style-src 'self' 'unsafe-inline'; img-src 'self' data: https:; font-src 'self'; connect-src 'self'; frame-ancestors 'none'; base-uri 'self'; form-action 'self'; ${TrustedTypesToolkit.directives(['default'])};`,
                 headers: {
                     'Content-Security-Policy': '',
                     'X-Content-Type-Options': 'nosniff',
-                    'X-Frame-Options': 'DENY',
                     'Cross-Origin-Opener-Policy': 'same-origin',
                     'Cross-Origin-Embedder-Policy': 'require-corp',
                     'Cross-Origin-Resource-Policy': 'same-origin'
@@ -50,10 +65,12 @@ class SmartPolicyGenerator {
                 headers: {
                     'Content-Security-Policy': '',
                     'X-Content-Type-Options': 'nosniff',
-                    'X-Frame-Options': 'DENY',
-                    'X-XSS-Protection': '1; mode=block',
-                    'Strict-Transport-Security': 'max-age=31536000; includeSubDomains; preload',
-                    'Referrer-Policy': 'strict-origin-when-cross-origin'
+                    'Strict-Transport-Security': this.headerGenerator.buildHSTS({ preload: true }).value,
+                    'Referrer-Policy': referrerPolicy,
+                    'Permissions-Policy': this.headerGenerator.buildPermissionsPolicy({
+                        ...SecurityHeaderGenerator.DEFAULT_PERMISSIONS,
+                        payment: ['self']
+                    }).value
                 }
             },
             saas: {
@@ -63,10 +80,9 @@ class SmartPolicyGenerator {
                 headers: {
                     'Content-Security-Policy': '',
                     'X-Content-Type-Options': 'nosniff',
-                    'X-Frame-Options': 'DENY',
                     'Cross-Origin-Opener-Policy': 'same-origin',
                     'Cross-Origin-Embedder-Policy': 'require-corp',
-                    'Referrer-Policy': 'strict-origin-when-cross-origin'
+                    'Referrer-Policy': referrerPolicy
                 }
             },
             ai_integrated: {
@@ -76,12 +92,19 @@ class SmartPolicyGenerator {
                 headers: {
                     'Content-Security-Policy': '',
                     'X-Content-Type-Options': 'nosniff',
-                    'Permissions-Policy': 'browsing-topics=()'
+                    'Permissions-Policy': this.headerGenerator.buildPermissionsPolicy().value
                 }
             }
         };
 
+        // AIThreatAnalyzer is a global class binding in the browser, so it cannot be redeclared above
+        const { AIThreatAnalyzer } = typeof module !== 'undefined' && module.exports ? require('./ai-threat-analyzer.js') : window;
         this.analyzer = new AIThreatAnalyzer();
+        this.nonce = new CSPNonce();
+        this.hasher = new CSPHasher();
+        this.sri = new SRIGenerator();
+        this.rollout = new CSPRollout();
+        this.learner = new CSPPolicyLearner();
         this.userPreferences = this.loadUserPreferences();
         this.learningData = this.loadLearningData();
     }
@@ -105,10 +128,15 @@ class SmartPolicyGenerator {
             const customizedPolicy = this.customizePolicy(basePolicy, analysis, options);
             
             // تحسين السياسة
-            const optimizedPolicy = this.optimizePolicy(customizedPolicy, analysis);
+            const optimizedPolicy = await this.optimizePolicy(customizedPolicy, analysis);
             
             // إضافة التوصيات
-            const finalPolicy = this.addRecommendations(optimizedPolicy, analysis);
+            let finalPolicy = this.addRecommendations(optimizedPolicy, analysis);
+            
+            // وضع النشر التدريجي (Report-Only)
+            if (options.reportOnly || options.rollout) {
+                finalPolicy = this.applyRolloutMode(finalPolicy, options);
+            }
             
             return {
                 websiteUrl,
@@ -126,6 +154,15 @@ class SmartPolicyGenerator {
         }
     }
 
+    /**
+     * حساب hashes للمحتوى المضمن
+     * Hash inline scripts, styles and event handlers of pasted HTML, or of the current document
+     */
+    async generateInlineHashes(html = null, options = {}) {
+        const hasher = options.algorithms ? new CSPHasher(options) : this.hasher;
+        return hasher.generate(html === null ? document : html);
+    }
+
     /**
      * تحليل الموقع
      * Analyze website
@@ -293,7 +330,11 @@ class SmartPolicyGenerator {
                 'Referrer-Policy',
                 'Permissions-Policy',
                 'Cross-Origin-Opener-Policy',
-                'Cross-Origin-Embedder-Policy'
+                'Cross-Origin-Embedder-Policy',
+                'Cross-Origin-Resource-Policy',
+                'Feature-Policy',
+                'Expect-CT',
+                'X-Powered-By'
             ];
 
             securityHeaderNames.forEach(headerName => {
@@ -320,7 +361,8 @@ class SmartPolicyGenerator {
         const scripts = [];
         
         try {
-            document.querySelectorAll('script').forEach(script => {
+            for (const script of document.querySelectorAll('script')) {
+                const hasInline = script.textContent.trim().length > 0;
                 scripts.push({
                     src: script.src || null,
                     type: script.type || 'text/javascript',
@@ -328,10 +370,11 @@ class SmartPolicyGenerator {
                     defer: script.defer || false,
                     nonce: script.nonce || null,
                     integrity: script.integrity || null,
-                    hasInline: script.textContent.trim().length > 0,
+                    hasInline,
+                    hashes: hasInline && !script.src ? await this.hasher.hashSources(script.textContent) : [],
                     lineCount: script.textContent.split('\n').length
                 });
-            });
+            }
         } catch (error) {
             console.warn('خطأ في فحص السكريبت:', error);
         }
@@ -432,6 +475,7 @@ class SmartPolicyGenerator {
                 iframes.push({
                     src: iframe.src || null,
                     sandbox: iframe.sandbox || null,
+                    allow: iframe.allow || null,
                     width: iframe.width || null,
                     height: iframe.height || null
                 });
@@ -648,12 +692,11 @@ class SmartPolicyGenerator {
         headers['Content-Security-Policy'] = csp;
         
         // إضافة nonce للسكريبت المضمنة إذا كانت مطلوبة
+        // The placeholder is filled per request by the nonce middleware, never baked in
         if (analysis.scripts.some(script => script.hasInline) && 
-            options.includeNonce !== false) {
-            const nonce = this.generateNonce();
-            csp = csp.replace("'unsafe-inline'", `'nonce-${nonce}'`);
+            options.includeNonce !== false && !this.nonce.hasPlaceholder(csp)) {
+            csp = csp.replace(/(script-src[^;]*?)'unsafe-inline'/, `$1'nonce-${CSPNonce.PLACEHOLDER}'`);
             headers['Content-Security-Policy'] = csp;
-            headers['Content-Security-Policy-Script-Nonce'] = nonce;
         }
         
         return {
@@ -665,12 +708,88 @@ class SmartPolicyGenerator {
         };
     }
 
+    /**
+     * توصية Permissions-Policy
+     * Deny-by-default Permissions-Policy from the features the page's code calls
+     * and the features its iframes are delegated through allow attributes
+     */
+    recommendPermissionsPolicy(code, frames = []) {
+        return this.headerGenerator.permissionsPolicy.recommend({ code, frames });
+    }
+
+    /**
+     * خطة الترحيل إلى Trusted Types
+     * Inventory the sinks Trusted Types would break in { path: code } and plan the migration
+     */
+    planTrustedTypesMigration(files) {
+        return new TrustedTypesMigrationScanner().scan(files);
+    }
+
+    /**
+     * تعلم السياسة من تقارير الانتهاك
+     * Propose minimal additions that allow the traffic seen in violation reports.
+     * Accepts normalized reports or a CSPViolationCollector.
+     */
+    learnFromViolations(reports, currentPolicy = null) {
+        const list = Array.isArray(reports) ? reports : reports.reports;
+        return this.learner.learn(list, currentPolicy);
+    }
+
+    /**
+     * تطبيق وضع Report-Only وخطة النشر
+     * Switch the policy to Report-Only and attach the staged rollout plan
+     */
+    applyRolloutMode(policy, options = {}) {
+        const reporting = { group: options.reportGroup, endpoint: options.reportEndpoint };
+        const headers = { ...policy.headers };
+        delete headers[CSPRollout.ENFORCE_HEADER];
+        delete headers[CSPRollout.REPORT_ONLY_HEADER];
+        
+        const rolled = {
+            ...policy,
+            mode: 'report-only',
+            headers: {
+                ...headers,
+                ...this.rollout.createHeaders(policy.csp, 'report-only', reporting)
+            }
+        };
+        
+        if (options.rollout) {
+            const strictPolicy = options.strictPolicy || this.policyTemplates.strict.csp;
+            rolled.rolloutPlan = this.generateRolloutPlan(policy.csp, strictPolicy, { ...reporting, headers });
+        }
+        
+        return rolled;
+    }
+
+    /**
+     * توليد خطة النشر المرحلية مع تكوين الخادم لكل مرحلة
+     * Staged rollout plan with server configuration for every stage
+     */
+    generateRolloutPlan(loosePolicy, strictPolicy, options = {}) {
+        const baseHeaders = options.headers || {};
+        
+        return this.rollout.createPlan(loosePolicy, strictPolicy, options).map(stage => {
+            const headers = { ...baseHeaders, ...stage.headers };
+            return {
+                ...stage,
+                headers,
+                platforms: {
+                    apache: this.generateApacheConfig(headers),
+                    nginx: this.generateNginxConfig(headers),
+                    nodejs: this.generateNodeJSConfig(headers),
+                    php: this.generatePHPConfig(headers)
+                }
+            };
+        });
+    }
+
     /**
      * تحسين السياسة
      * Optimize policy
      */
-    optimizePolicy(policy, analysis) {
-        const optimized = { ...policy };
+    async optimizePolicy(policy, analysis) {
+        let optimized = { ...policy };
         
         // إزالة القواعد المكررة
         optimized.csp = this.removeDuplicateDirectives(optimized.csp);
@@ -685,7 +804,7 @@ class SmartPolicyGenerator {
         }
         
         // إضافة SRI للموارد الخارجية
-        optimized = this.addSRI(optimized, analysis);
+        optimized = await this.addSRI(optimized, analysis);
         
         return optimized;
     }
@@ -767,28 +886,34 @@ class SmartPolicyGenerator {
             }]
         });
         
-        // توصيات إضافية
+        // توصيات إضافية: رؤوس المجموعة غير الموجودة في السياسة
+        const suite = this.headerGenerator.generate();
         recommendations.push({
             category: 'Additional Security',
-            items: [
-                {
-                    header: 'X-Content-Type-Options',
-                    value: 'nosniff',
-                    description: 'منع MIME type sniffing'
-                },
-                {
-                    header: 'X-Frame-Options',
-                    value: 'DENY',
-                    description: 'منع تضمين الموقع في إطارات'
-                },
-                {
-                    header: 'X-XSS-Protection',
-                    value: '1; mode=block',
-                    description: 'تفعيل حماية XSS في المتصفح'
-                }
-            ]
+            items: suite.results
+                .filter(result => !(result.name in policy.headers))
+                .map(result => ({
+                    header: result.name,
+                    value: result.value,
+                    description: result.explanation
+                }))
         });
         
+        // الرؤوس القديمة التي يجب حذفها أو استبدالها
+        const { legacy } = this.headerGenerator.validate(policy.headers);
+        if (legacy.length > 0) {
+            recommendations.push({
+                category: 'Legacy Headers',
+                items: legacy.map(header => ({
+                    header: header.name,
+                    value: header.value,
+                    action: header.action,
+                    replacement: header.replacement,
+                    description: header.reason
+                }))
+            });
+        }
+        
         return recommendations;
     }
 
@@ -797,39 +922,77 @@ class SmartPolicyGenerator {
      * Generate implementation guide
      */
     generateImplementationGuide(policy) {
+        const nonceBased = this.nonce.hasPlaceholder(policy.csp);
+        const headers = { ...policy.headers };
+        // The middleware takes over whichever CSP header the rollout stage sends
+        const cspHeader = headers[CSPRollout.REPORT_ONLY_HEADER] !== undefined
+            ? CSPRollout.REPORT_ONLY_HEADER
+            : CSPRollout.ENFORCE_HEADER;
+        const cspValue = headers[cspHeader] || policy.csp;
+        
+        // A nonce-based CSP must be set per request by the middleware, not as a static header
+        if (nonceBased) {
+            delete headers[CSPRollout.ENFORCE_HEADER];
+            delete headers[CSPRollout.REPORT_ONLY_HEADER];
+        }
+        
+        const steps = [
+            {
+                title: 'إضافة HTTP Headers',
+                description: 'أضف الرؤوس الأمنية التالية إلى خادمك',
+                code: this.generateServerConfig(headers),
+                platforms: {
+                    apache: this.generateApacheConfig(headers),
+                    nginx: this.generateNginxConfig(headers),
+                    nodejs: this.generateNodeJSConfig(headers),
+                    php: this.generatePHPConfig(headers)
+                }
+            }
+        ];
+        
+        if (nonceBased) {
+            const middleware = this.nonce.generateMiddleware(cspValue, { header: cspHeader });
+            steps.push({
+                title: 'توليد nonce لكل طلب',
+                description: `استبدل ${CSPNonce.PLACEHOLDER} بقيمة عشوائية جديدة في كل استجابة، واكتب nonce="${CSPNonce.PLACEHOLDER}" في وسوم <script> و <style> الموثوقة في القوالب فقط`,
+                code: middleware.express,
+                platforms: {
+                    apache: middleware.apache,
+                    nginx: middleware.nginx,
+                    nodejs: middleware.express,
+                    php: middleware.php
+                }
+            });
+        }
+        
+        if (policy.rolloutPlan) {
+            steps.push({
+                title: 'النشر التدريجي',
+                description: 'طبّق المراحل بالترتيب، وانتقل للمرحلة التالية فقط بعد تحقق شرط الخروج',
+                stages: policy.rolloutPlan
+            });
+        }
+        
+        steps.push(
+            {
+                title: 'تحديث Meta Tags',
+                description: 'أضف Meta tags للأمان إذا لم تكن متوفرة',
+                code: this.generateMetaTags()
+            },
+            {
+                title: 'اختبار السياسة',
+                description: 'اختبر السياسة باستخدام أدوات الاختبار المضمنة',
+                action: 'Open CSP Tester'
+            },
+            {
+                title: 'المراقبة والتحديث',
+                description: 'راقب التنبيهات وحديث السياسة حسب الحاجة'
+            }
+        );
+        
         return {
             overview: 'دليل تنفيذ سياسة الأمان',
-            steps: [
-                {
-                    step: 1,
-                    title: 'إضافة HTTP Headers',
-                    description: 'أضف الرؤوس الأمنية التالية إلى خادمك',
-                    code: this.generateServerConfig(policy.headers),
-                    platforms: {
-                        apache: this.generateApacheConfig(policy.headers),
-                        nginx: this.generateNginxConfig(policy.headers),
-                        nodejs: this.generateNodeJSConfig(policy.headers),
-                        php: this.generatePHPConfig(policy.headers)
-                    }
-                },
-                {
-                    step: 2,
-                    title: 'تحديث Meta Tags',
-                    description: 'أضف Meta tags للأمان إذا لم تكن متوفرة',
-                    code: this.generateMetaTags()
-                },
-                {
-                    step: 3,
-                    title: 'اختبار السياسة',
-                    description: 'اختبر السياسة باستخدام أدوات الاختبار المضمنة',
-                    action: 'Open CSP Tester'
-                },
-                {
-                    step: 4,
-                    title: 'المراقبة والتحديث',
-                    description: 'راقب التنبيهات وحديث السياسة حسب الحاجة'
-                }
-            ]
+            steps: steps.map((step, index) => ({ step: index + 1, ...step }))
         };
     }
 
@@ -839,7 +1002,7 @@ class SmartPolicyGenerator {
      */
     generateServerConfig(headers) {
         return Object.entries(headers)
-            .map(([header, value]) => `Header always set ${header} "${value}"`)
+            .map(([header, value]) => `Header always set ${header} "${this.escapeConfigValue(value, '"')}"`)
             .join('\n');
     }
 
@@ -850,7 +1013,7 @@ class SmartPolicyGenerator {
     generateApacheConfig(headers) {
         return `<IfModule mod_headers.c>
 ${Object.entries(headers)
-    .map(([header, value]) => `    Header always set ${header} "${value}"`)
+    .map(([header, value]) => `    Header always set ${header} "${this.escapeConfigValue(value, '"')}"`)
     .join('\n')}
 </IfModule>`;
     }
@@ -862,7 +1025,7 @@ ${Object.entries(headers)
     generateNginxConfig(headers) {
         return `location / {
 ${Object.entries(headers)
-    .map(([header, value]) => `    add_header ${header} "${value}" always;`)
+    .map(([header, value]) => `    add_header ${header} "${this.escapeConfigValue(value, '"')}" always;`)
     .join('\n')}
 }`;
     }
@@ -878,7 +1041,7 @@ const app = express();
 // إضافة الرؤوس الأمنية
 ${Object.entries(headers)
     .map(([header, value]) => `app.use((req, res, next) => {
-    res.setHeader('${header}', '${value}');
+    res.setHeader('${header}', '${this.escapeConfigValue(value, "'")}');
     next();
 });`)
     .join('\n\n')}
@@ -894,7 +1057,7 @@ app.listen(3000);`;
         return `<?php
 // إضافة الرؤوس الأمنية
 ${Object.entries(headers)
-    .map(([header, value]) => `header('${header}: ${value}');`)
+    .map(([header, value]) => `header('${header}: ${this.escapeConfigValue(value, "'")}');`)
     .join('\n')}
 
 // أو في .htaccess
@@ -905,6 +1068,14 @@ ${this.generateApacheConfig(headers)}
 */`;
     }
 
+    /**
+     * تهريب القيمة داخل سلسلة نصية في ملف التكوين
+     * Escape a header value for a quoted string in a config file
+     */
+    escapeConfigValue(value, quote) {
+        return String(value).replace(/\\/g, '\\\\').split(quote).join(`\\${quote}`);
+    }
+
     /**
      * توليد Meta Tags
      * Generate Meta tags
@@ -934,38 +1105,81 @@ ${this.generateApacheConfig(headers)}
      * Remove duplicate directives
      */
     removeDuplicateDirectives(csp) {
-        const directives = {};
-        const parts = csp.split(';').map(part => part.trim()).filter(part => part);
-        
-        parts.forEach(part => {
-            const [directive, ...values] = part.split(' ');
-            if (directive && !directives[directive]) {
-                directives[directive] = values.join(' ');
-            }
-        });
-        
-        return Object.entries(directives)
-            .map(([directive, values]) => `${directive} ${values}`)
-            .join('; ');
+        const parser = new CSPParser();
+        return parser.serialize(parser.parse(csp));
     }
 
     /**
      * إضافة SRI
      * Add SRI
      */
-    addSRI(policy, analysis) {
-        // في التطبيق الحقيقي، ستحسب hashes للموارد
-        // هنا نضيف فقط توصية
-        if (analysis.externalResources.scripts.some(r => !r.integrity)) {
-            policy.recommendations.push({
-                type: 'security',
-                title: 'إضافة Subresource Integrity',
-                description: 'أضف integrity="sha256-..." للسكريبت الخارجية',
-                priority: 'medium'
-            });
+    async addSRI(policy, analysis) {
+        const resources = [];
+        
+        // حساب integrity للموارد الخارجية التي تفتقر إليها
+        const external = [
+            ...analysis.externalResources.scripts.map(resource => ({ element: 'script', url: resource.src, ...resource })),
+            ...analysis.externalResources.styles.map(resource => ({ element: 'link', rel: 'stylesheet', url: resource.href, ...resource }))
+        ];
+        
+        for (const resource of external) {
+            const result = {
+                element: resource.element,
+                destination: this.sri.getDestination(resource.element, resource),
+                url: resource.url,
+                integrity: resource.integrity,
+                status: resource.integrity ? 'present' : 'added',
+                error: null
+            };
+            
+            if (!resource.integrity) {
+                try {
+                    result.integrity = await this.sri.hashResource(resource.url);
+                } catch (error) {
+                    result.status = 'failed';
+                    result.error = error.message;
+                }
+            }
+            
+            resources.push(result);
         }
         
-        return policy;
+        return {
+            ...policy,
+            sri: {
+                resources,
+                report: this.sri.generateReport(resources)
+            }
+        };
+    }
+
+    /**
+     * توليد SRI لمستند HTML
+     * Generate SRI for the external resources of an HTML document
+     */
+    async generateSRI(html, options = {}) {
+        const generator = options.fetcher || options.algorithm ? new SRIGenerator(options) : this.sri;
+        return generator.generate(html, options);
+    }
+
+    /**
+     * توليد مجموعة رؤوس الأمان
+     * Generate the security header suite with validation, explanations and server config
+     */
+    generateSecurityHeaders(options = {}) {
+        const suite = this.headerGenerator.generate(options);
+        const existing = options.existingHeaders ? this.headerGenerator.validate(options.existingHeaders, options) : null;
+
+        return {
+            ...suite,
+            existing,
+            config: {
+                apache: this.generateApacheConfig(suite.headers),
+                nginx: this.generateNginxConfig(suite.headers),
+                nodejs: this.generateNodeJSConfig(suite.headers),
+                php: this.generatePHPConfig(suite.headers)
+            }
+        };
     }
 
     /**
@@ -973,9 +1187,7 @@ ${this.generateApacheConfig(headers)}
      * Generate nonce
      */
     generateNonce() {
-        const array = new Uint8Array(16);
-        crypto.getRandomValues(array);
-        return btoa(String.fromCharCode(...array));
+        return this.nonce.generate();
     }
 
     /**
@@ -987,13 +1199,16 @@ ${this.generateApacheConfig(headers)}
             'Content-Security-Policy': 'سياسة أمان المحتوى',
             'X-Content-Type-Options': 'منع MIME type sniffing',
             'X-Frame-Options': 'منع clickjacking',
-            'X-XSS-Protection': 'حماية XSS',
             'Strict-Transport-Security': 'فرض HTTPS',
             'Referrer-Policy': 'سياسة المرجع',
             'Permissions-Policy': 'سياسة الأذونات',
             'Cross-Origin-Opener-Policy': 'عزل المصادر المتقاطعة',
-            'Cross-Origin-Embedder-Policy': 'سياسة تضمين المصادر المتقاطعة'
+            'Cross-Origin-Embedder-Policy': 'سياسة تضمين المصادر المتقاطعة',
+            'Cross-Origin-Resource-Policy': 'تحديد من يمكنه تضمين المورد',
+            'Cache-Control': 'منع تخزين الصفحات الموثقة'
         };
+        const legacy = SecurityHeaderGenerator.LEGACY_HEADERS[header.toLowerCase()];
+        if (legacy && !descriptions[header]) return `رأس قديم: ${legacy.reason}`;
         return descriptions[header] || 'رأس أمني';
     }
 
@@ -1043,4 +1258,8 @@ ${this.generateApacheConfig(headers)}
 }
 
 // تصدير الكلاس للاستخدام
-window.SmartPolicyGenerator = SmartPolicyGenerator;
\ No newline at end of file
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SmartPolicyGenerator };
+} else {
+    window.SmartPolicyGenerator = SmartPolicyGenerator;
+}
\ No newline at end of file
@@ -0,0 +1,217 @@
+/**
+ * مولد Subresource Integrity
+ * Subresource Integrity Generator
+ * Computes integrity digests for external scripts and stylesheets and rewrites their tags
+ */
+
+(function (root) {
+    'use strict';
+
+    const { CSPHasher } = typeof module !== 'undefined' && module.exports ? require('./csp-hasher.js') : root;
+
+    // Tags whose fetches SRI can protect
+    const RESOURCE_TAG = /<(script|link)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/gi;
+    const LINK_RELS = ['stylesheet', 'modulepreload'];
+    const PRELOAD_DESTINATIONS = ['script', 'style'];
+
+    /**
+     * الجالب الافتراضي عبر fetch
+     * Default fetcher: CORS fetch returning raw bytes
+     */
+    async function defaultFetcher(url) {
+        const response = await fetch(url, { mode: 'cors', credentials: 'omit' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
+    /**
+     * جالب محلي من جدول محتويات
+     * Offline fetcher over a URL => contents map, for tests and builds without
+     * network access; a URL missing from the map fails like a 404
+     */
+    function stubFetcher(contents) {
+        return async url => {
+            if (!Object.prototype.hasOwnProperty.call(contents, url)) {
+                throw new Error('HTTP 404');
+            }
+            return contents[url];
+        };
+    }
+
+    class SRIGenerator {
+        constructor(options = {}) {
+            this.algorithm = options.algorithm || 'sha384';
+            this.fetcher = options.fetcher || defaultFetcher;
+            this.hasher = options.hasher || new CSPHasher({ algorithms: [this.algorithm] });
+        }
+
+        /**
+         * حساب قيمة integrity لمحتوى
+         * Integrity value for file contents (string or bytes)
+         */
+        async computeIntegrity(content) {
+            return `${this.algorithm}-${await this.hasher.digest(this.algorithm, content)}`;
+        }
+
+        /**
+         * حساب integrity لمورد عبر الملفات المحلية أو الجالب
+         * Integrity for one URL, preferring local file contents over the fetcher
+         */
+        async hashResource(url, files = {}) {
+            const content = Object.prototype.hasOwnProperty.call(files, url)
+                ? files[url]
+                : await this.fetcher(url);
+            return this.computeIntegrity(content);
+        }
+
+        /**
+         * العثور على الموارد القابلة للحماية في HTML
+         * Find script and stylesheet tags that load a subresource
+         */
+        findResources(html) {
+            const resources = [];
+            let match;
+
+            RESOURCE_TAG.lastIndex = 0;
+            while ((match = RESOURCE_TAG.exec(html)) !== null) {
+                const element = match[1].toLowerCase();
+                const attributes = this.hasher.parseAttributes(match[2]);
+                const url = element === 'script' ? attributes.src : attributes.href;
+
+                if (!url || (element === 'link' && !this.isProtectableLink(attributes))) continue;
+
+                resources.push({
+                    element,
+                    destination: this.getDestination(element, attributes),
+                    url,
+                    tag: match[0],
+                    start: match.index,
+                    end: match.index + match[0].length,
+                    integrity: attributes.integrity || null,
+                    crossorigin: attributes.crossorigin !== undefined ? attributes.crossorigin || 'anonymous' : null
+                });
+            }
+
+            return resources;
+        }
+
+        // Fetch destination as Integrity-Policy names it: modulepreload and preload as=script load scripts
+        getDestination(element, attributes) {
+            if (element === 'script') return 'script';
+            const rels = (attributes.rel || '').toLowerCase().split(/\s+/);
+            if (rels.includes('modulepreload')) return 'script';
+            if (rels.includes('preload')) return (attributes.as || '').toLowerCase();
+            return 'style';
+        }
+
+        isProtectableLink(attributes) {
+            const rels = (attributes.rel || '').toLowerCase().split(/\s+/);
+            if (rels.some(rel => LINK_RELS.includes(rel))) return true;
+            return rels.includes('preload') && PRELOAD_DESTINATIONS.includes((attributes.as || '').toLowerCase());
+        }
+
+        /**
+         * إضافة integrity و crossorigin إلى وسم
+         * Rewrite a tag with integrity and crossorigin attributes
+         */
+        rewriteTag(resource, integrity) {
+            const additions = [`integrity="${integrity}"`];
+            if (!resource.crossorigin) additions.push('crossorigin="anonymous"');
+
+            const withoutIntegrity = resource.tag.replace(/\s+integrity\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/i, '');
+            return withoutIntegrity.replace(/\s*(\/?)>$/, ` ${additions.join(' ')}$1>`);
+        }
+
+        /**
+         * توليد SRI لمستند HTML
+         * Hash every external script and stylesheet and return the rewritten HTML
+         */
+        async generate(html, options = {}) {
+            const files = options.files || {};
+            const resources = this.findResources(html);
+            const results = [];
+
+            for (const resource of resources) {
+                const result = {
+                    element: resource.element,
+                    destination: resource.destination,
+                    url: resource.url,
+                    tag: resource.tag,
+                    rewritten: resource.tag,
+                    integrity: resource.integrity,
+                    status: 'present',
+                    error: null
+                };
+
+                if (!resource.integrity || options.overwrite) {
+                    try {
+                        result.integrity = await this.hashResource(resource.url, files);
+                        result.rewritten = this.rewriteTag(resource, result.integrity);
+                        result.status = 'added';
+                    } catch (error) {
+                        result.status = 'failed';
+                        result.error = error.message;
+                    }
+                }
+
+                results.push(result);
+            }
+
+            // Replace from the end so earlier offsets stay valid
+            let rewritten = html;
+            resources.slice().reverse().forEach((resource, index) => {
+                const result = results[resources.length - 1 - index];
+                rewritten = rewritten.slice(0, resource.start) + result.rewritten + rewritten.slice(resource.end);
+            });
+
+            return {
+                html: rewritten,
+                resources: results,
+                report: this.generateReport(results)
+            };
+        }
+
+        /**
+         * تقرير الموارد التي ما زالت بدون integrity
+         * require-sri-for style report of resources still lacking integrity
+         */
+        generateReport(results) {
+            const missing = results
+                .filter(result => !result.integrity)
+                .map(result => ({
+                    element: result.element,
+                    destination: result.destination,
+                    url: result.url,
+                    reason: result.error ? `تعذر جلب المورد: ${result.error}` : 'لا توجد قيمة integrity'
+                }));
+
+            // Results built by hand may carry no destination; they count as missing but name none
+            const destinations = [...new Set(missing.map(item => item.destination).filter(Boolean))];
+            // Only destinations whose every resource now has integrity can be blocked without breaking the page
+            const enforceable = [...new Set(results.map(result => result.destination).filter(Boolean))]
+                .filter(destination => !destinations.includes(destination));
+
+            return {
+                total: results.length,
+                protected: results.length - missing.length,
+                missing,
+                // require-sri-for was never shipped; Integrity-Policy is its successor
+                requireSriFor: destinations.length > 0 ? `require-sri-for ${destinations.join(' ')}` : null,
+                integrityPolicy: enforceable.length > 0 ? `blocked-destinations=(${enforceable.join(' ')})` : null,
+                compliant: missing.length === 0
+            };
+        }
+    }
+
+    SRIGenerator.defaultFetcher = defaultFetcher;
+    SRIGenerator.stubFetcher = stubFetcher;
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { SRIGenerator };
+    } else {
+        root.SRIGenerator = SRIGenerator;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,1015 @@
+/**
+ * محلل تدفق البيانات الملوثة
+ * JavaScript Taint Analyzer
+ * Follows attacker-controlled values (location, referrer, postMessage data, URLSearchParams)
+ * through assignments and function calls on the AST and reports the ones that reach
+ * DOM XSS sinks without passing a sanitizer
+ */
+
+(function (root) {
+    'use strict';
+
+    const { JSParser } = typeof module !== 'undefined' && module.exports ? require('./js-parser.js') : root;
+
+    const GLOBAL_PREFIX = /^(?:(?:window|self|top|parent|globalThis|frames)\.)+/;
+
+    const DOCUMENT_SOURCES = ['URL', 'documentURI', 'baseURI', 'referrer', 'cookie'];
+
+    // The page's own full URL cannot redirect off-origin (frame busting: top.location = self.location)
+    const SAME_ORIGIN_URLS = ['location', 'location.href', 'document.URL', 'document.documentURI', 'document.baseURI'];
+
+    // Assignments to these properties parse or execute markup
+    const PROPERTY_SINKS = {
+        innerHTML: { sink: 'innerHTML', type: 'xss' },
+        outerHTML: { sink: 'outerHTML', type: 'xss' },
+        srcdoc: { sink: 'srcdoc', type: 'xss' }
+    };
+
+    // Text properties are safe everywhere except on <script>
+    const TEXT_PROPERTIES = ['textContent', 'innerText', 'text'];
+
+    const CALL_SINKS = [
+        { name: /^document\.writeln?$/, args: 'all', sink: 'document.write', type: 'xss' },
+        { name: /^eval$/, args: [0], sink: 'eval', type: 'xss' },
+        { name: /^Function$/, args: 'all', sink: 'Function', type: 'xss' },
+        { name: /^set(?:Timeout|Interval|Immediate)$/, args: [0], sink: 'setTimeout(string)', type: 'xss', skipFunctions: true },
+        { name: /^importScripts$/, args: 'all', sink: 'importScripts', type: 'xss' },
+        { name: /^(?:document\.)?location\.(?:assign|replace)$/, args: [0], sink: 'location.assign', type: 'open_redirect' },
+        { name: /^open$/, args: [0], sink: 'window.open', type: 'open_redirect' },
+        { method: 'insertAdjacentHTML', args: [1], sink: 'insertAdjacentHTML', type: 'xss' },
+        { method: 'createContextualFragment', args: [0], sink: 'createContextualFragment', type: 'xss' },
+        { method: /^(?:write|writeln)$/, receiver: /(?:^|\.)document$/, args: 'all', sink: 'document.write', type: 'xss' }
+    ];
+
+    const JQUERY_SINKS = ['html', 'append', 'prepend', 'after', 'before', 'replaceWith', 'wrap', 'wrapAll'];
+
+    const URL_ATTRIBUTES = ['href', 'xlink:href', 'action', 'formaction', 'data'];
+
+    const SANITIZERS = [
+        'DOMPurify.sanitize', 'encodeURIComponent', 'encodeURI', 'escape', 'CSS.escape',
+        'parseInt', 'parseFloat', 'Number', 'Boolean', 'Math.*', 'document.createTextNode',
+        'escapeHtml', 'escapeHTML', 'htmlEscape', 'sanitizeHtml', 'sanitizeHTML', 'filterXSS',
+        '_.escape', 'he.encode', 'he.escape', 'validator.escape'
+    ];
+
+    // Trusted Types policy methods are the sanctioned sanitizing boundary
+    const SANITIZER_METHODS = ['createHTML', 'createScript', 'createScriptURL', 'sanitize'];
+
+    const PROPAGATORS = [
+        'decodeURIComponent', 'decodeURI', 'unescape', 'String', 'atob', 'JSON.parse', 'JSON.stringify',
+        'String.raw', 'Array.from', 'Array.of', 'Object.values', 'Object.entries', 'Object.keys',
+        'Object.fromEntries', 'structuredClone', 'URL', 'URLSearchParams'
+    ];
+
+    // Methods whose result no longer carries the string (booleans, numbers, positions)
+    const CLEAN_METHODS = [
+        'indexOf', 'lastIndexOf', 'includes', 'startsWith', 'endsWith', 'test', 'search', 'localeCompare',
+        'charCodeAt', 'codePointAt', 'has', 'findIndex', 'findLastIndex', 'every', 'some', 'valueOf'
+    ];
+
+    const CLEAN_PROPERTIES = ['length', 'size'];
+
+    const CALLBACK_METHODS = {
+        forEach: [0], map: [0], filter: [0], find: [0], findLast: [0], flatMap: [0], some: [0], every: [0],
+        reduce: [1], reduceRight: [1], then: [0], sort: [0, 1]
+    };
+
+    const ARGUMENT_METHODS = ['concat', 'replace', 'replaceAll', 'padStart', 'padEnd'];
+
+    const MUTATING_METHODS = ['push', 'unshift', 'splice', 'set', 'add', 'append', 'fill'];
+
+    const MAX_FLOWS = 4;
+    const MAX_STEPS = 30;
+
+    class TaintAnalyzer {
+        constructor(options = {}) {
+            this.maxDepth = options.maxDepth || 3;
+            this.budget = options.budget || 200000;
+            this.sanitizers = [...SANITIZERS, ...(options.sanitizers || [])];
+        }
+
+        /**
+         * تحليل الكود
+         * Parse the code and return { findings, sources, sinks, sanitized, error, truncated }
+         */
+        analyze(code) {
+            const source = String(code);
+            const report = { findings: [], sources: [], sinks: [], sanitized: [], error: null, truncated: false };
+
+            let ast;
+            try {
+                ast = JSParser.parse(source);
+            } catch (moduleError) {
+                try {
+                    ast = JSParser.parse(source, { sourceType: 'script' });
+                } catch {
+                    report.error = {
+                        message: moduleError.message,
+                        line: moduleError.loc ? moduleError.loc.line : null,
+                        column: moduleError.loc ? moduleError.loc.column + 1 : null
+                    };
+                    return report;
+                }
+            }
+
+            const state = {
+                code: source,
+                report,
+                seen: new Set(),
+                functions: new Map(),
+                scriptElements: new Set(),
+                steps: 0,
+                ids: 0
+            };
+
+            const ctx = {
+                state,
+                scope: this.createScope(null, true),
+                env: new Map(),
+                returns: null,
+                depth: 0,
+                stack: []
+            };
+
+            this.execBody(ast.body, ctx);
+
+            report.findings.sort((a, b) => a.line - b.line || a.column - b.column);
+            return report;
+        }
+
+        // ---------------------------------------------------------------
+        // Scopes and taint values
+        // ---------------------------------------------------------------
+
+        createScope(parent, isFunction) {
+            return { vars: new Map(), parent, isFunction };
+        }
+
+        declare(name, kind, ctx) {
+            let scope = ctx.scope;
+            if (kind === 'var') {
+                while (!scope.isFunction) scope = scope.parent;
+                if (scope.vars.has(name)) return scope.vars.get(name);
+            }
+            const id = `${name}#${++ctx.state.ids}`;
+            scope.vars.set(name, id);
+            return id;
+        }
+
+        resolve(name, scope) {
+            for (let current = scope; current; current = current.parent) {
+                if (current.vars.has(name)) return current.vars.get(name);
+            }
+            return null;
+        }
+
+        /**
+         * سلسلة الوصول الثابتة
+         * a.b['c'] -> { root: 'a', props: ['b', 'c'] }; null for dynamic chains
+         */
+        chain(node) {
+            const props = [];
+            let current = node;
+            while (current.type === 'ChainExpression') current = current.expression;
+            while (current.type === 'MemberExpression') {
+                if (!current.computed && current.property.type === 'Identifier') props.unshift(current.property.name);
+                else if (current.computed && current.property.type === 'Literal' && typeof current.property.value === 'string') props.unshift(current.property.value);
+                else return null;
+                current = current.object;
+                while (current.type === 'ChainExpression') current = current.expression;
+            }
+            if (current.type === 'Identifier') return { root: current.name, props };
+            if (current.type === 'ThisExpression') return { root: 'this', props };
+            return null;
+        }
+
+        // Dotted name of a chain rooted at a global, e.g. 'window.location.hash'
+        globalName(node, ctx) {
+            const chain = this.chain(node);
+            if (!chain || chain.root === 'this' || this.resolve(chain.root, ctx.scope)) return null;
+            return [chain.root, ...chain.props].join('.');
+        }
+
+        // Environment key for a variable or property path
+        keyOf(node, ctx) {
+            const chain = this.chain(node);
+            if (!chain) return null;
+            const base = chain.root === 'this' ? `this@${ctx.stack.length}` : this.resolve(chain.root, ctx.scope) || `global:${chain.root}`;
+            return [base, ...chain.props].join('.');
+        }
+
+        lookup(key, env) {
+            if (env.has(key)) return env.get(key);
+            // A property of a tainted object is tainted too
+            const parts = key.split('.');
+            for (let i = parts.length - 1; i > 0; i--) {
+                const prefix = parts.slice(0, i).join('.');
+                if (env.has(prefix) && env.get(prefix).length > 0) return env.get(prefix);
+            }
+            return [];
+        }
+
+        position(node) {
+            return { line: node.loc.start.line, column: node.loc.start.column + 1 };
+        }
+
+        snippet(node, state) {
+            return state.code.slice(node.start, node.end).replace(/\s+/g, ' ').slice(0, 80);
+        }
+
+        createFlow(name, node, ctx) {
+            const { line, column } = this.position(node);
+            const source = { name, line, column };
+            if (!ctx.state.report.sources.some(entry => entry.line === line && entry.column === column)) {
+                ctx.state.report.sources.push(source);
+            }
+            return [{ source, steps: [{ line, column, description: `Source: ${name}`, code: this.snippet(node, ctx.state) }] }];
+        }
+
+        extend(taint, description, node, ctx, extra = {}) {
+            if (taint.length === 0) return taint;
+            const step = { ...this.position(node), description, code: this.snippet(node, ctx.state) };
+            const repeated = flow => flow.steps.some(existing =>
+                existing.line === step.line && existing.column === step.column && existing.description === description);
+            return taint.map(flow => ({
+                source: flow.source,
+                interprocedural: flow.interprocedural || extra.interprocedural || false,
+                steps: flow.steps.length < MAX_STEPS && !repeated(flow) ? [...flow.steps, step] : flow.steps
+            }));
+        }
+
+        // One path per source keeps reports readable and loops bounded
+        union(...taints) {
+            const result = [];
+            const sources = new Set();
+            taints.forEach(taint => taint.forEach(flow => {
+                const key = `${flow.source.line}:${flow.source.column}`;
+                if (!sources.has(key) && result.length < MAX_FLOWS) {
+                    sources.add(key);
+                    result.push(flow);
+                }
+            }));
+            return result;
+        }
+
+        merge(target, other) {
+            other.forEach((taint, key) => {
+                target.set(key, this.union(target.get(key) || [], taint));
+            });
+            return target;
+        }
+
+        signature(env) {
+            let signature = '';
+            env.forEach((taint, key) => {
+                if (taint.length > 0) signature += `${key}:${taint.length};`;
+            });
+            return signature;
+        }
+
+        tick(ctx) {
+            if (++ctx.state.steps > this.budget) {
+                ctx.state.report.truncated = true;
+                return false;
+            }
+            return true;
+        }
+
+        // ---------------------------------------------------------------
+        // Statements
+        // ---------------------------------------------------------------
+
+        execBody(statements, ctx) {
+            // Function declarations are hoisted within their block
+            statements.forEach(statement => {
+                const declaration = statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration'
+                    ? statement.declaration : statement;
+                if (declaration && declaration.type === 'FunctionDeclaration' && declaration.id) {
+                    const id = this.declare(declaration.id.name, 'let', ctx);
+                    ctx.state.functions.set(id, { node: declaration, scope: ctx.scope });
+                }
+            });
+            statements.forEach(statement => this.exec(statement, ctx));
+        }
+
+        exec(node, ctx) {
+            if (!node || !this.tick(ctx)) return;
+
+            switch (node.type) {
+            case 'VariableDeclaration':
+                node.declarations.forEach(declarator => {
+                    const taint = declarator.init ? this.evaluate(declarator.init, ctx) : [];
+                    this.bind(declarator.id, taint, ctx, node.kind === 'var' ? 'var' : 'let', declarator.init);
+                });
+                break;
+            case 'FunctionDeclaration':
+                this.analyzeFunction(node, ctx);
+                break;
+            case 'ClassDeclaration':
+                if (node.id) this.declare(node.id.name, 'let', ctx);
+                this.analyzeClass(node, ctx);
+                break;
+            case 'ExpressionStatement':
+                this.evaluate(node.expression, ctx);
+                break;
+            case 'BlockStatement':
+                this.execBlock(node.body, ctx);
+                break;
+            case 'IfStatement': {
+                this.evaluate(node.test, ctx);
+                const before = new Map(ctx.env);
+                this.exec(node.consequent, ctx);
+                const consequent = ctx.env;
+                ctx.env = before;
+                if (node.alternate) this.exec(node.alternate, ctx);
+                ctx.env = this.merge(ctx.env, consequent);
+                break;
+            }
+            case 'ForStatement':
+                this.withBlockScope(ctx, () => {
+                    if (node.init) {
+                        if (node.init.type === 'VariableDeclaration') this.exec(node.init, ctx);
+                        else this.evaluate(node.init, ctx);
+                    }
+                    this.loop(ctx, () => {
+                        if (node.test) this.evaluate(node.test, ctx);
+                        this.exec(node.body, ctx);
+                        if (node.update) this.evaluate(node.update, ctx);
+                    });
+                });
+                break;
+            case 'ForInStatement':
+            case 'ForOfStatement':
+                this.withBlockScope(ctx, () => {
+                    const collection = this.evaluate(node.right, ctx);
+                    const taint = this.extend(collection, 'Iterated', node.right, ctx);
+                    this.loop(ctx, () => {
+                        if (node.left.type === 'VariableDeclaration') {
+                            const declarator = node.left.declarations[0];
+                            this.bind(declarator.id, taint, ctx, node.left.kind === 'var' ? 'var' : 'let');
+                        } else {
+                            this.bind(node.left, taint, ctx, 'assign');
+                        }
+                        this.exec(node.body, ctx);
+                    });
+                });
+                break;
+            case 'WhileStatement':
+            case 'DoWhileStatement':
+                this.loop(ctx, () => {
+                    this.evaluate(node.test, ctx);
+                    this.exec(node.body, ctx);
+                });
+                break;
+            case 'ReturnStatement': {
+                const taint = node.argument ? this.evaluate(node.argument, ctx) : [];
+                if (ctx.returns) ctx.returns.push(this.extend(taint, 'Returned', node, ctx));
+                break;
+            }
+            case 'ThrowStatement':
+                this.evaluate(node.argument, ctx);
+                break;
+            case 'TryStatement': {
+                const before = new Map(ctx.env);
+                this.exec(node.block, ctx);
+                if (node.handler) {
+                    const afterBlock = ctx.env;
+                    ctx.env = this.merge(new Map(before), afterBlock);
+                    this.withBlockScope(ctx, () => {
+                        if (node.handler.param) this.bind(node.handler.param, [], ctx, 'let');
+                        this.exec(node.handler.body, ctx);
+                    });
+                    ctx.env = this.merge(ctx.env, afterBlock);
+                }
+                if (node.finalizer) this.exec(node.finalizer, ctx);
+                break;
+            }
+            case 'SwitchStatement': {
+                this.evaluate(node.discriminant, ctx);
+                const before = ctx.env;
+                const merged = new Map(before);
+                this.withBlockScope(ctx, () => {
+                    node.cases.forEach(clause => {
+                        ctx.env = new Map(before);
+                        if (clause.test) this.evaluate(clause.test, ctx);
+                        clause.consequent.forEach(statement => this.exec(statement, ctx));
+                        this.merge(merged, ctx.env);
+                    });
+                });
+                ctx.env = merged;
+                break;
+            }
+            case 'LabeledStatement':
+                this.exec(node.body, ctx);
+                break;
+            case 'ExportNamedDeclaration':
+                if (node.declaration) this.exec(node.declaration, ctx);
+                break;
+            case 'ExportDefaultDeclaration':
+                if (/Declaration$/.test(node.declaration.type)) this.exec(node.declaration, ctx);
+                else this.evaluate(node.declaration, ctx);
+                break;
+            case 'ImportDeclaration':
+                node.specifiers.forEach(specifier => this.declare(specifier.local.name, 'let', ctx));
+                break;
+            case 'WithStatement':
+                this.evaluate(node.object, ctx);
+                this.exec(node.body, ctx);
+                break;
+            default:
+                break;
+            }
+        }
+
+        execBlock(statements, ctx) {
+            this.withBlockScope(ctx, () => this.execBody(statements, ctx));
+        }
+
+        withBlockScope(ctx, callback) {
+            const scope = ctx.scope;
+            ctx.scope = this.createScope(scope, false);
+            try {
+                callback();
+            } finally {
+                ctx.scope = scope;
+            }
+        }
+
+        /**
+         * تنفيذ حلقة
+         * Run the body, and once more if it tainted anything new; the result also
+         * covers zero iterations
+         */
+        loop(ctx, body) {
+            const before = new Map(ctx.env);
+            const initial = this.signature(ctx.env);
+            body();
+            if (this.signature(ctx.env) !== initial) body();
+            this.merge(ctx.env, before);
+        }
+
+        /**
+         * ربط نمط بقيمة
+         * Bind a declaration or assignment target (identifiers and destructuring patterns)
+         */
+        bind(pattern, taint, ctx, kind, init = null) {
+            switch (pattern.type) {
+            case 'Identifier': {
+                const id = kind === 'assign'
+                    ? this.resolve(pattern.name, ctx.scope) || `global:${pattern.name}`
+                    : this.declare(pattern.name, kind === 'param' ? 'let' : kind, ctx);
+                // Parameters already carry a "Parameter x of f()" step
+                ctx.env.set(id, kind === 'param' ? taint : this.extend(taint, `Assigned to ${pattern.name}`, pattern, ctx));
+                if (init) this.trackValue(id, init, ctx);
+                break;
+            }
+            case 'MemberExpression':
+                this.assignMember(pattern, taint, ctx, init);
+                break;
+            case 'ObjectPattern':
+                pattern.properties.forEach(property => {
+                    if (property.computed) this.evaluate(property.key, ctx);
+                    this.bind(property.type === 'RestElement' ? property.argument : property.value, taint, ctx, kind);
+                });
+                break;
+            case 'ArrayPattern':
+                pattern.elements.forEach(element => {
+                    if (element) this.bind(element.type === 'RestElement' ? element.argument : element, taint, ctx, kind);
+                });
+                break;
+            case 'AssignmentPattern':
+                this.bind(pattern.left, this.union(taint, this.evaluate(pattern.right, ctx)), ctx, kind,
+                    pattern.left.type === 'Identifier' ? pattern.right : null);
+                break;
+            case 'RestElement':
+                this.bind(pattern.argument, taint, ctx, kind);
+                break;
+            default:
+                break;
+            }
+        }
+
+        // Remember function values, object literal methods and <script> elements by key
+        trackValue(key, init, ctx) {
+            if (/^(?:Function|ArrowFunction)Expression$/.test(init.type)) {
+                ctx.state.functions.set(key, { node: init, scope: ctx.scope });
+            } else if (init.type === 'ObjectExpression') {
+                init.properties.forEach(property => {
+                    if (property.type === 'Property' && !property.computed && property.key.type === 'Identifier' &&
+                        /^(?:Function|ArrowFunction)Expression$/.test(property.value.type)) {
+                        ctx.state.functions.set(`${key}.${property.key.name}`, { node: property.value, scope: ctx.scope });
+                    }
+                });
+            } else if (this.isScriptCreation(init)) {
+                ctx.state.scriptElements.add(key);
+            }
+        }
+
+        isScriptCreation(node) {
+            return node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+                !node.callee.computed && /^createElement(?:NS)?$/.test(node.callee.property.name) &&
+                node.arguments.some(arg => arg.type === 'Literal' && String(arg.value).toLowerCase() === 'script');
+        }
+
+        // ---------------------------------------------------------------
+        // Functions
+        // ---------------------------------------------------------------
+
+        /**
+         * تحليل دالة
+         * Analyze a function body with the given parameter taints in a copy of the
+         * current environment (closures see outer taint); returns the returned taint
+         */
+        analyzeFunction(fn, ctx, params = [], options = {}) {
+            if (ctx.stack.includes(fn) || ctx.stack.length > this.maxDepth + 8) return [];
+
+            const scope = options.scope || ctx.scope;
+            const inner = {
+                state: ctx.state,
+                scope: this.createScope(scope, true),
+                env: new Map(ctx.env),
+                returns: [],
+                depth: options.depth === undefined ? ctx.depth : options.depth,
+                stack: [...ctx.stack, fn]
+            };
+
+            if (fn.id && fn.type === 'FunctionExpression') this.declare(fn.id.name, 'let', inner);
+
+            fn.params.forEach((param, index) => {
+                if (options.messageHandler && index === 0) this.bindMessageEvent(param, inner);
+                else this.bind(param, params[index] || [], inner, 'param');
+            });
+
+            if (fn.body.type === 'BlockStatement') {
+                this.execBody(fn.body.body, inner);
+            } else {
+                const taint = this.evaluate(fn.body, inner);
+                inner.returns.push(this.extend(taint, 'Returned', fn.body, inner));
+            }
+
+            return this.union(...inner.returns);
+        }
+
+        // A message event's data is attacker-controlled; origin and source are not
+        bindMessageEvent(param, ctx) {
+            const target = param.type === 'AssignmentPattern' ? param.left : param;
+            if (target.type === 'Identifier') {
+                const id = this.declare(target.name, 'let', ctx);
+                ctx.env.set(`${id}.data`, this.createFlow('postMessage data', target, ctx));
+            } else if (target.type === 'ObjectPattern') {
+                target.properties.forEach(property => {
+                    const isData = property.type === 'Property' && !property.computed &&
+                        ((property.key.type === 'Identifier' && property.key.name === 'data') || property.key.value === 'data');
+                    const value = property.type === 'RestElement' ? property.argument : property.value;
+                    this.bind(value, isData ? this.createFlow('postMessage data', property, ctx) : [], ctx, 'let');
+                });
+            } else {
+                this.bind(target, [], ctx, 'let');
+            }
+        }
+
+        analyzeClass(node, ctx) {
+            if (node.superClass) this.evaluate(node.superClass, ctx);
+            node.body.body.forEach(element => {
+                if (element.computed) this.evaluate(element.key, ctx);
+                if (element.type === 'MethodDefinition') this.analyzeFunction(element.value, ctx);
+                else if (element.type === 'PropertyDefinition' && element.value) this.evaluate(element.value, ctx);
+                else if (element.type === 'StaticBlock') this.execBlock(element.body, ctx);
+            });
+        }
+
+        /**
+         * استدعاء دالة معرفة
+         * Inline a user-defined function at the call site so tainted arguments are
+         * followed into its body and its return value carries them back out
+         */
+        callFunction(info, name, node, argTaints, ctx) {
+            const fn = info.node;
+            if (ctx.depth >= this.maxDepth || ctx.stack.includes(fn)) return [];
+
+            const params = fn.params.map((param, index) => {
+                const taint = param.type === 'RestElement' ? this.union(...argTaints.slice(index)) : argTaints[index] || [];
+                const passed = this.extend(taint, `Passed to ${name}()`, node.arguments[index] || node, ctx, { interprocedural: true });
+                return this.extend(passed, `Parameter ${this.snippet(param, ctx.state)} of ${name}()`, param, ctx);
+            });
+
+            const returned = this.analyzeFunction(fn, ctx, params, { scope: info.scope, depth: ctx.depth + 1 });
+            return this.extend(returned, `Returned from ${name}()`, node, ctx);
+        }
+
+        // ---------------------------------------------------------------
+        // Expressions
+        // ---------------------------------------------------------------
+
+        evaluate(node, ctx) {
+            if (!node || !this.tick(ctx)) return [];
+
+            switch (node.type) {
+            case 'Identifier': {
+                const id = this.resolve(node.name, ctx.scope);
+                if (!id && this.sourceName(node.name)) return this.createFlow(this.sourceName(node.name), node, ctx);
+                return ctx.env.get(id || `global:${node.name}`) || [];
+            }
+            case 'Literal':
+            case 'ThisExpression':
+            case 'Super':
+            case 'MetaProperty':
+            case 'PrivateIdentifier':
+                return [];
+            case 'TemplateLiteral':
+                return this.union(...node.expressions.map(expression => this.evaluate(expression, ctx)));
+            case 'TaggedTemplateExpression': {
+                const taint = this.union(...node.quasi.expressions.map(expression => this.evaluate(expression, ctx)));
+                const name = this.globalName(node.tag, ctx);
+                return name === 'String.raw' ? taint : [];
+            }
+            case 'MemberExpression':
+                return this.evaluateMember(node, ctx);
+            case 'ChainExpression':
+                return this.evaluate(node.expression, ctx);
+            case 'CallExpression':
+            case 'NewExpression':
+                return this.evaluateCall(node, ctx);
+            case 'AssignmentExpression':
+                return this.evaluateAssignment(node, ctx);
+            case 'BinaryExpression': {
+                const left = this.evaluate(node.left, ctx);
+                const right = this.evaluate(node.right, ctx);
+                return node.operator === '+' ? this.union(left, right) : [];
+            }
+            case 'LogicalExpression':
+                return this.union(this.evaluate(node.left, ctx), this.evaluate(node.right, ctx));
+            case 'ConditionalExpression':
+                this.evaluate(node.test, ctx);
+                return this.union(this.evaluate(node.consequent, ctx), this.evaluate(node.alternate, ctx));
+            case 'SequenceExpression':
+                return node.expressions.map(expression => this.evaluate(expression, ctx)).pop();
+            case 'UnaryExpression':
+            case 'UpdateExpression':
+                this.evaluate(node.argument, ctx);
+                return [];
+            case 'AwaitExpression':
+            case 'SpreadElement':
+                return this.evaluate(node.argument, ctx);
+            case 'YieldExpression':
+                if (node.argument) this.evaluate(node.argument, ctx);
+                return [];
+            case 'ArrayExpression':
+                return this.union(...node.elements.filter(Boolean).map(element => this.evaluate(element, ctx)));
+            case 'ObjectExpression':
+                return this.union(...node.properties.map(property => {
+                    if (property.type === 'SpreadElement') return this.evaluate(property.argument, ctx);
+                    if (property.computed) this.evaluate(property.key, ctx);
+                    return this.evaluate(property.value, ctx);
+                }));
+            case 'FunctionExpression':
+            case 'ArrowFunctionExpression':
+                this.analyzeFunction(node, ctx);
+                return [];
+            case 'ClassExpression':
+                this.analyzeClass(node, ctx);
+                return [];
+            case 'ImportExpression':
+                this.evaluate(node.source, ctx);
+                return [];
+            case 'AssignmentPattern':
+                return this.evaluate(node.right, ctx);
+            default:
+                return [];
+            }
+        }
+
+        /**
+         * معرفة المصادر
+         * Name the attacker-controlled global behind a dotted path, or null
+         */
+        sourceName(name) {
+            if (!name) return null;
+            const normalized = name.replace(GLOBAL_PREFIX, '');
+            if (/^(?:document\.)?location(?:\.|$)/.test(normalized)) return normalized.replace(/^document\./, '');
+            const documentSource = normalized.match(/^document\.(\w+)$/);
+            if (documentSource && DOCUMENT_SOURCES.includes(documentSource[1])) return normalized;
+            if (GLOBAL_PREFIX.test(name) && normalized === 'name') return 'window.name';
+            return null;
+        }
+
+        evaluateMember(node, ctx) {
+            if (node.computed) this.evaluate(node.property, ctx);
+
+            const source = this.sourceName(this.globalName(node, ctx));
+            if (source) return this.createFlow(source, node, ctx);
+
+            const key = this.keyOf(node, ctx);
+            if (key) {
+                if (ctx.env.has(key)) return ctx.env.get(key);
+                const taint = this.lookup(key, ctx.env);
+                if (taint.length > 0) return this.isCleanProperty(node) ? [] : taint;
+            }
+
+            const object = this.evaluate(node.object, ctx);
+            return this.isCleanProperty(node) ? [] : object;
+        }
+
+        isCleanProperty(node) {
+            return !node.computed && node.property.type === 'Identifier' && CLEAN_PROPERTIES.includes(node.property.name);
+        }
+
+        propertyName(node) {
+            if (!node.computed && (node.property.type === 'Identifier' || node.property.type === 'PrivateIdentifier')) return node.property.name;
+            if (node.computed && node.property.type === 'Literal') return String(node.property.value);
+            return null;
+        }
+
+        matchesName(name, list) {
+            if (!name) return false;
+            return list.some(entry => entry.endsWith('.*') ? name.startsWith(entry.slice(0, -1)) : name === entry);
+        }
+
+        evaluateAssignment(node, ctx) {
+            const { left, right, operator } = node;
+
+            const target = left.type === 'MemberExpression' ? this.propertyName(left) : null;
+            if (target === 'onmessage' && right.type === 'Identifier') {
+                const handler = ctx.state.functions.get(this.keyOf(right, ctx));
+                if (handler) this.analyzeFunction(handler.node, ctx, [], { messageHandler: true, scope: handler.scope });
+            }
+
+            if (/^(?:Function|ArrowFunction)Expression$/.test(right.type)) {
+                this.analyzeFunction(right, ctx, [], { messageHandler: target === 'onmessage' });
+                const key = left.type === 'Identifier' || left.type === 'MemberExpression' ? this.keyOf(left, ctx) : null;
+                if (key) ctx.state.functions.set(key, { node: right, scope: ctx.scope });
+                return [];
+            }
+
+            let taint = this.evaluate(right, ctx);
+            if (operator !== '=') {
+                taint = ['+=', '||=', '??=', '&&='].includes(operator) ? this.union(this.evaluate(left, ctx), taint) : [];
+            }
+
+            if (operator === '=' && /Pattern$/.test(left.type)) {
+                this.bind(left, taint, ctx, 'assign');
+            } else if (left.type === 'MemberExpression') {
+                this.assignMember(left, taint, ctx, right);
+            } else if (left.type === 'Identifier') {
+                this.bind(left, taint, ctx, 'assign', right);
+            }
+            return taint;
+        }
+
+        /**
+         * الإسناد إلى خاصية
+         * Property writes are where HTML, script and navigation sinks live
+         */
+        assignMember(node, taint, ctx, init) {
+            if (node.computed) this.evaluate(node.property, ctx);
+            const property = this.propertyName(node);
+            const objectKey = this.keyOf(node.object, ctx);
+            const isScript = objectKey && ctx.state.scriptElements.has(objectKey);
+            const name = this.globalName(node, ctx);
+            const normalized = name ? name.replace(GLOBAL_PREFIX, '') : '';
+
+            if (PROPERTY_SINKS[property]) {
+                this.reportSink(taint, PROPERTY_SINKS[property], node, ctx);
+            } else if (isScript && property === 'src') {
+                this.reportSink(taint, { sink: 'script.src', type: 'xss' }, node, ctx);
+            } else if (isScript && TEXT_PROPERTIES.includes(property)) {
+                this.reportSink(taint, { sink: `script.${property}`, type: 'xss' }, node, ctx);
+            } else if (/^(?:document\.)?location(?:\.href)?$/.test(normalized)) {
+                this.reportSink(taint, { sink: 'location', type: 'open_redirect' }, node, ctx);
+            } else if (TEXT_PROPERTIES.includes(property)) {
+                this.recordSanitized(taint, property, node, ctx);
+            }
+
+            const key = this.keyOf(node, ctx);
+            if (key) {
+                ctx.env.set(key, this.extend(taint, `Assigned to ${this.snippet(node, ctx.state)}`, node, ctx));
+                if (init) this.trackValue(key, init, ctx);
+            } else {
+                this.evaluate(node.object, ctx);
+            }
+        }
+
+        /**
+         * تقييم الاستدعاء
+         * Sanitizers clean, sinks report, known functions are inlined, and string
+         * and collection methods carry their receiver's taint
+         */
+        evaluateCall(node, ctx) {
+            const callee = node.callee.type === 'ChainExpression' ? node.callee.expression : node.callee;
+            const isMember = callee.type === 'MemberExpression';
+            const method = isMember ? this.propertyName(callee) : null;
+            const name = callee.type === 'Identifier' || isMember ? this.globalName(callee, ctx) : null;
+            const normalized = name ? name.replace(GLOBAL_PREFIX, '') : null;
+            const chain = this.chain(callee);
+            const label = chain ? [chain.root, ...chain.props].join('.') : null;
+            const calleeKey = callee.type === 'Identifier' || isMember ? this.keyOf(callee, ctx) : null;
+            const userFunction = calleeKey ? ctx.state.functions.get(calleeKey) : null;
+
+            let receiver = [];
+            if (isMember) {
+                if (callee.computed) this.evaluate(callee.property, ctx);
+                receiver = this.evaluate(callee.object, ctx);
+            } else if (!userFunction && callee.type !== 'Identifier') {
+                this.evaluate(callee, ctx);
+            }
+
+            const args = this.evaluateArguments(node, callee, method, normalized, receiver, ctx);
+            const tainted = this.union(...args);
+
+            // Immediately invoked function expressions
+            if (/^(?:Function|ArrowFunction)Expression$/.test(callee.type)) {
+                return this.callFunction({ node: callee, scope: ctx.scope }, 'anonymous function', node, args, ctx);
+            }
+
+            // Matched by name even when defined locally, so escape helpers are not inlined
+            if (this.matchesName(normalized || label, this.sanitizers) ||
+                (method && this.matchesName(method, this.sanitizers.filter(entry => !entry.includes('.')))) ||
+                (method && SANITIZER_METHODS.includes(method))) {
+                this.recordSanitized(tainted, normalized || method, node, ctx);
+                return [];
+            }
+
+            if (userFunction) {
+                return this.callFunction(userFunction, this.snippet(callee, ctx.state), node, args, ctx);
+            }
+
+            this.checkCallSinks(node, normalized, method, callee, args, ctx);
+
+            if (normalized === 'URLSearchParams' && node.type === 'NewExpression' && tainted.length === 0) {
+                const literal = node.arguments.every(arg => /^(?:Literal|ObjectExpression|ArrayExpression)$/.test(arg.type));
+                return literal ? [] : this.createFlow('URLSearchParams', node, ctx);
+            }
+
+            if (this.matchesName(normalized, PROPAGATORS)) {
+                return this.extend(tainted, `Through ${normalized}()`, node, ctx);
+            }
+
+            if (isMember && method) {
+                if (normalized === 'Object.assign' && node.arguments[0]) {
+                    const target = this.keyOf(node.arguments[0], ctx);
+                    if (target) ctx.env.set(target, this.union(ctx.env.get(target) || [], tainted));
+                    return tainted;
+                }
+                if (MUTATING_METHODS.includes(method) && tainted.length > 0) {
+                    const target = this.keyOf(callee.object, ctx);
+                    if (target) ctx.env.set(target, this.union(ctx.env.get(target) || [], this.extend(tainted, `Stored by .${method}()`, node, ctx)));
+                }
+                if (CLEAN_METHODS.includes(method)) return [];
+                const carried = ARGUMENT_METHODS.includes(method) ? this.union(receiver, tainted) : receiver;
+                return this.extend(carried, `Through .${method}()`, node, ctx);
+            }
+
+            return [];
+        }
+
+        /**
+         * تقييم الوسائط
+         * Callbacks are analyzed with the taint they will receive: message events for
+         * 'message' listeners, elements for iteration methods on tainted receivers
+         */
+        evaluateArguments(node, callee, method, name, receiver, ctx) {
+            const isMessageListener = method === 'addEventListener' || name === 'addEventListener'
+                ? node.arguments[0] && node.arguments[0].type === 'Literal' && node.arguments[0].value === 'message'
+                : false;
+
+            return node.arguments.map((arg, index) => {
+                const isCallback = /^(?:Function|ArrowFunction)Expression$/.test(arg.type);
+
+                if (isMessageListener && index === 1) {
+                    if (isCallback) {
+                        this.analyzeFunction(arg, ctx, [], { messageHandler: true });
+                        return [];
+                    }
+                    const key = arg.type === 'Identifier' ? this.keyOf(arg, ctx) : null;
+                    const handler = key ? ctx.state.functions.get(key) : null;
+                    if (handler) this.analyzeFunction(handler.node, ctx, [], { messageHandler: true, scope: handler.scope });
+                    return [];
+                }
+
+                if (isCallback && CALLBACK_METHODS[method] && receiver.length > 0) {
+                    const element = this.extend(receiver, `Passed to .${method}() callback`, arg, ctx);
+                    const params = [];
+                    CALLBACK_METHODS[method].forEach(position => {
+                        params[position] = element;
+                    });
+                    this.analyzeFunction(arg, ctx, params);
+                    return [];
+                }
+
+                return this.evaluate(arg, ctx);
+            });
+        }
+
+        checkCallSinks(node, name, method, callee, args, ctx) {
+            const receiverName = callee.type === 'MemberExpression' ? this.globalName(callee.object, ctx) : null;
+
+            CALL_SINKS.forEach(definition => {
+                const matches = definition.name
+                    ? name && definition.name.test(name)
+                    : method && (typeof definition.method === 'string' ? definition.method === method : definition.method.test(method)) &&
+                        (!definition.receiver || (receiverName && definition.receiver.test(receiverName.replace(GLOBAL_PREFIX, ''))));
+                if (!matches) return;
+
+                const positions = definition.args === 'all' ? args.map((arg, index) => index) : definition.args;
+                positions.forEach(position => {
+                    const arg = node.arguments[position];
+                    if (!arg || (definition.skipFunctions && /^(?:Function|ArrowFunction)Expression$/.test(arg.type))) return;
+                    this.reportSink(args[position] || [], definition, node, ctx);
+                });
+            });
+
+            if (method === 'setAttribute' && node.arguments[0] && node.arguments[0].type === 'Literal') {
+                const attribute = String(node.arguments[0].value).toLowerCase();
+                const objectKey = this.keyOf(callee.object, ctx);
+                const isScript = objectKey && ctx.state.scriptElements.has(objectKey);
+                if (attribute === 'srcdoc' || /^on/.test(attribute) || URL_ATTRIBUTES.includes(attribute) || (isScript && attribute === 'src')) {
+                    const sink = isScript && attribute === 'src' ? 'script.src' : `setAttribute('${attribute}')`;
+                    this.reportSink(args[1] || [], { sink, type: 'xss' }, node, ctx);
+                }
+            }
+
+            // jQuery: $(html) and $(...).html(html) parse markup
+            if (name === '$' || name === 'jQuery') {
+                this.reportSink(args[0] || [], { sink: `${name}()`, type: 'xss' }, node, ctx);
+            } else if (method && JQUERY_SINKS.includes(method) && this.isJQueryChain(callee.object, ctx)) {
+                this.reportSink(this.union(...args), { sink: `jQuery.${method}()`, type: 'xss' }, node, ctx);
+            }
+        }
+
+        isJQueryChain(node, ctx) {
+            let current = node;
+            while (current && (current.type === 'CallExpression' || current.type === 'MemberExpression')) {
+                if (current.type === 'CallExpression') {
+                    const name = current.callee.type === 'Identifier' ? this.globalName(current.callee, ctx) : null;
+                    if (name === '$' || name === 'jQuery') return true;
+                    current = current.callee;
+                } else {
+                    current = current.object;
+                }
+            }
+            return false;
+        }
+
+        // ---------------------------------------------------------------
+        // Reporting
+        // ---------------------------------------------------------------
+
+        recordSanitized(taint, sanitizer, node, ctx) {
+            taint.forEach(flow => {
+                ctx.state.report.sanitized.push({ sanitizer, source: flow.source, ...this.position(node) });
+            });
+        }
+
+        /**
+         * تسجيل وصول إلى مصرف
+         * Record the sink and turn every tainted flow reaching it into a finding
+         */
+        reportSink(taint, definition, node, ctx) {
+            const { state } = ctx;
+            const { line, column } = this.position(node);
+            const endColumn = node.loc.start.line === node.loc.end.line ? node.loc.end.column + 1 : column + 1;
+
+            const existing = state.report.sinks.find(entry => entry.line === line && entry.column === column && entry.name === definition.sink);
+            if (existing) existing.tainted = existing.tainted || taint.length > 0;
+            else state.report.sinks.push({ name: definition.sink, line, column, tainted: taint.length > 0 });
+
+            taint.forEach(flow => {
+                const id = `${flow.source.line}:${flow.source.column}>${line}:${column}`;
+                if (state.seen.has(id)) return;
+                if (definition.type === 'open_redirect' && SAME_ORIGIN_URLS.includes(flow.source.name)) return;
+                state.seen.add(id);
+
+                const isRedirect = definition.type === 'open_redirect';
+                state.report.findings.push({
+                    type: definition.type,
+                    variant: isRedirect ? 'Open Redirect' : 'DOM-based XSS',
+                    confidence: flow.interprocedural ? 0.85 : 0.95,
+                    severity: isRedirect ? 7 : 9,
+                    method: 'taint_analysis',
+                    message: `${flow.source.name} reaches ${definition.sink} without sanitization`,
+                    line,
+                    column,
+                    startColumn: column,
+                    endColumn,
+                    startIndex: node.start,
+                    endIndex: node.end,
+                    match: this.snippet(node, state),
+                    source: flow.source,
+                    sink: { name: definition.sink, line, column },
+                    path: [...flow.steps, { line, column, description: `Sink: ${definition.sink}`, code: this.snippet(node, state) }]
+                });
+            });
+        }
+    }
+
+    TaintAnalyzer.SANITIZERS = SANITIZERS;
+    TaintAnalyzer.PROPERTY_SINKS = PROPERTY_SINKS;
+    TaintAnalyzer.CALL_SINKS = CALL_SINKS;
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { TaintAnalyzer };
+    } else {
+        root.TaintAnalyzer = TaintAnalyzer;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
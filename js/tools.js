@@ -6,6 +6,7 @@
 // CSP Tools and Utilities
 class CSPTools {
     constructor() {
+        this.cspParser = new CSPParser();
         this.initializeTools();
     }
 
@@ -80,10 +81,13 @@ class CSPTools {
         if (!form || !preview) return;
 
         const formData = new FormData(form);
+        const mode = formData.get('csp-mode') || 'enforce';
+        const reportEndpoint = (formData.get('report-endpoint') || '').trim();
         let csp = "";
 
-        // Build CSP from form data
+        // Build CSP from form data (rollout fields are options, not directives)
         for (let [key, value] of formData.entries()) {
+            if (key === 'csp-mode' || key === 'report-endpoint') continue;
             if (value.trim()) {
                 csp += `${key} ${value}; `;
             }
@@ -103,6 +107,15 @@ class CSPTools {
         // Display CSP
         preview.textContent = csp || 'default-src \'self\';';
 
+        // Report-Only rollout shows the full headers, including Reporting-Endpoints
+        if (csp && (mode === 'report-only' || reportEndpoint)) {
+            const rollout = new CSPRollout({ parser: this.cspParser, endpoint: reportEndpoint || null });
+            const headers = rollout.createHeaders(csp, mode, {});
+            preview.textContent = Object.entries(headers)
+                .map(([header, value]) => `${header}: ${value}`)
+                .join('\n');
+        }
+
         // Validate and show warnings
         this.validateCSP(csp, preview);
     }
@@ -207,12 +220,19 @@ class CSPTools {
     }
 
     async performCSPValidation(csp) {
-        const directives = this.parseCSPDirectives(csp);
+        // Several headers, or comma-joined policies, are all enforced together
+        const policies = this.cspParser.parseHeaders(csp);
+        const policySet = new CSPPolicySet(policies, { parser: this.cspParser });
+        const policy = policySet.getEffectivePolicy();
+        const directives = this.cspParser.toDirectiveMap(policy);
         const validation = {
             score: 0,
             issues: [],
             recommendations: [],
-            supported: []
+            supported: [],
+            policyCount: policies.length,
+            effectivePolicy: this.cspParser.serialize(policy),
+            bindings: policies.length > 1 ? policySet.explainBindings() : []
         };
 
         let totalScore = 0;
@@ -226,6 +246,18 @@ class CSPTools {
             validation.recommendations.push(...directiveValidation.recommendations);
         }
 
+        // Report tokens the parser rejected or ignored
+        policies.forEach(parsed => {
+            const prefix = policies.length > 1 ? `[السياسة ${parsed.index + 1}] ` : '';
+            parsed.warnings.forEach(warning => {
+                if (warning.severity === 'info') {
+                    validation.recommendations.push(prefix + warning.message);
+                } else {
+                    validation.issues.push(prefix + warning.message);
+                }
+            });
+        });
+
         validation.score = Math.round((totalScore / maxScore) * 100);
 
         // Check browser support
@@ -235,17 +267,7 @@ class CSPTools {
     }
 
     parseCSPDirectives(csp) {
-        const directives = {};
-        const parts = csp.split(';').map(p => p.trim()).filter(p => p);
-
-        parts.forEach(part => {
-            const [name, ...values] = part.split(/\s+/);
-            if (name) {
-                directives[name] = values.join(' ');
-            }
-        });
-
-        return directives;
+        return this.cspParser.toDirectiveMap(this.cspParser.parse(csp));
     }
 
     validateDirective(name, values) {
@@ -331,6 +353,9 @@ class CSPTools {
         const scoreClass = validation.score >= 80 ? 'success' : 
                           validation.score >= 60 ? 'warning' : 'error';
 
+        // Policies, explanations and parser warnings all carry source tokens from the input
+        const sanitize = CSPProject.sanitizeHTML;
+
         let html = `
             <div class="validation-summary">
                 <h4>📊 نتيجة التحقق</h4>
@@ -341,12 +366,24 @@ class CSPTools {
             </div>
         `;
 
+        if (validation.policyCount > 1) {
+            html += `
+                <div class="validation-policies">
+                    <h4>🧮 السياسة الفعلية (تقاطع ${validation.policyCount} سياسات)</h4>
+                    <pre><code>${sanitize(validation.effectivePolicy)}</code></pre>
+                    <ul>
+                        ${validation.bindings.map(binding => `<li>${sanitize(binding.explanation)}</li>`).join('')}
+                    </ul>
+                </div>
+            `;
+        }
+
         if (validation.issues.length > 0) {
             html += `
                 <div class="validation-issues">
                     <h4>⚠️ المشاكل المكتشفة</h4>
                     <ul>
-                        ${validation.issues.map(issue => `<li>${issue}</li>`).join('')}
+                        ${validation.issues.map(issue => `<li>${sanitize(issue)}</li>`).join('')}
                     </ul>
                 </div>
             `;
@@ -357,7 +394,7 @@ class CSPTools {
                 <div class="validation-recommendations">
                     <h4>💡 التوصيات</h4>
                     <ul>
-                        ${validation.recommendations.map(rec => `<li>${rec}</li>`).join('')}
+                        ${validation.recommendations.map(rec => `<li>${sanitize(rec)}</li>`).join('')}
                     </ul>
                 </div>
             `;
@@ -0,0 +1,303 @@
+/**
+ * ماسح الترحيل إلى Trusted Types
+ * Trusted Types Migration Scanner
+ * Inventories the DOM XSS sinks that require-trusted-types-for 'script' would break
+ * and turns them into a per-file migration checklist
+ */
+
+(function (root) {
+    'use strict';
+
+    const { TrustedTypesToolkit } = typeof module !== 'undefined' && module.exports ? require('./trusted-types.js') : root;
+
+    // Sinks blocked once Trusted Types are enforced, with the type each one needs
+    const SINKS = [
+        {
+            id: 'innerHTML',
+            type: 'TrustedHTML',
+            pattern: /\.innerHTML\s*\+?=(?!=)/g,
+            fix: 'استخدم textContent أو replaceChildren() للنص، أو policy.createHTML() للـ HTML'
+        },
+        {
+            id: 'outerHTML',
+            type: 'TrustedHTML',
+            pattern: /\.outerHTML\s*\+?=(?!=)/g,
+            fix: 'استخدم replaceWith() مع عناصر DOM، أو policy.createHTML()'
+        },
+        {
+            id: 'insertAdjacentHTML',
+            type: 'TrustedHTML',
+            pattern: /\.insertAdjacentHTML\s*\(/g,
+            fix: 'استخدم insertAdjacentElement/insertAdjacentText، أو policy.createHTML()'
+        },
+        {
+            id: 'srcdoc',
+            type: 'TrustedHTML',
+            pattern: /\.srcdoc\s*=(?!=)|\.setAttribute\s*\(\s*(['"])srcdoc\1/g,
+            // The attribute name is a string literal, so this one is matched on the original source
+            raw: true,
+            fix: 'مرّر المحتوى عبر policy.createHTML() أو استخدم src لصفحة مستقلة'
+        },
+        {
+            id: 'document.write',
+            type: 'TrustedHTML',
+            pattern: /\bdocument\.write(?:ln)?\s*\(/g,
+            fix: 'أنشئ العناصر عبر createElement/append بدلاً من document.write'
+        },
+        {
+            id: 'eval',
+            type: 'TrustedScript',
+            pattern: /(?<![\w$.])(?:window\.|globalThis\.|self\.)?eval\s*\(/g,
+            fix: 'استبدل eval بـ JSON.parse أو منطق صريح؛ createScript مرفوض في السياسة الافتراضية'
+        },
+        {
+            id: 'Function',
+            type: 'TrustedScript',
+            pattern: /(?<![\w$.])(?:new\s+)?Function\s*\(/g,
+            fix: 'استبدل new Function بدوال معرفة مسبقاً'
+        },
+        {
+            id: 'setTimeout(string)',
+            type: 'TrustedScript',
+            pattern: /(?<![\w$])(?:window\.|globalThis\.|self\.)?set(?:Timeout|Interval)\s*\(/g,
+            fix: 'مرّر دالة بدلاً من نص: setTimeout(() => ..., delay)'
+        },
+        {
+            id: 'script.src',
+            type: 'TrustedScriptURL',
+            pattern: null,
+            fix: 'مرّر الرابط عبر policy.createScriptURL() مع قائمة الأصول المسموحة'
+        },
+        {
+            id: 'importScripts',
+            type: 'TrustedScriptURL',
+            pattern: /(?<![\w$.])(?:self\.)?importScripts\s*\(/g,
+            fix: 'مرّر الروابط عبر policy.createScriptURL() داخل الـ Worker'
+        }
+    ];
+
+    const POLICY_SUFFIXES = { TrustedHTML: 'html', TrustedScript: 'script', TrustedScriptURL: 'script-url' };
+
+    class TrustedTypesMigrationScanner {
+        constructor(options = {}) {
+            this.sinks = options.sinks || SINKS;
+            this.policyPrefix = options.policyPrefix || '';
+        }
+
+        /**
+         * حجب التعليقات ومحتوى النصوص
+         * Blank out comments and string contents (keeping quotes, offsets and newlines)
+         * so sink patterns only match real code
+         */
+        mask(code) {
+            let output = '';
+            let i = 0;
+            let lastSignificant = '';
+
+            const blank = text => text.replace(/[^\n]/g, ' ');
+
+            while (i < code.length) {
+                const char = code[i];
+                const next = code[i + 1];
+
+                if (char === '/' && next === '/') {
+                    const end = code.indexOf('\n', i);
+                    const stop = end === -1 ? code.length : end;
+                    output += blank(code.slice(i, stop));
+                    i = stop;
+                } else if (char === '/' && next === '*') {
+                    const end = code.indexOf('*/', i + 2);
+                    const stop = end === -1 ? code.length : end + 2;
+                    output += blank(code.slice(i, stop));
+                    i = stop;
+                } else if (char === '"' || char === "'" || char === '`' ||
+                    (char === '/' && /^$|[(,=:[!&|?{};+\-*%<>~^]$/.test(lastSignificant))) {
+                    let j = i + 1;
+                    let inClass = false;
+                    while (j < code.length && (code[j] !== char || inClass)) {
+                        if (code[j] === '\\') j++;
+                        else if (char === '/' && code[j] === '[') inClass = true;
+                        else if (char === '/' && code[j] === ']') inClass = false;
+                        else if (char !== '`' && code[j] === '\n') break;
+                        j++;
+                    }
+                    output += char + blank(code.slice(i + 1, j)) + (j < code.length ? code[j] : '');
+                    i = j + 1;
+                    lastSignificant = 'x';
+                } else {
+                    output += char;
+                    if (!/\s/.test(char)) lastSignificant = char;
+                    i++;
+                }
+            }
+
+            return output;
+        }
+
+        location(code, offset) {
+            const before = code.slice(0, offset).split('\n');
+            return { line: before.length, column: before[before.length - 1].length + 1 };
+        }
+
+        /**
+         * فحص ملف واحد
+         * Find every sink in one file's source
+         */
+        scanFile(code, path = 'inline.js') {
+            const masked = this.mask(String(code));
+            const lines = String(code).split('\n');
+            const findings = [];
+
+            this.sinks.forEach(sink => {
+                const matches = sink.id === 'script.src'
+                    ? this.findScriptSrc(String(code), masked)
+                    : this.findPattern(sink, String(code), masked);
+
+                matches.forEach(({ index, length }) => {
+                    const assessment = this.assess(sink, masked, index + length);
+                    if (!assessment) return;
+
+                    const { line, column } = this.location(masked, index);
+                    findings.push({
+                        sink: sink.id,
+                        type: sink.type,
+                        line,
+                        column,
+                        snippet: lines[line - 1].trim().slice(0, 120),
+                        ...assessment,
+                        fix: sink.fix,
+                        policyName: this.suggestPolicyName(path, sink.type)
+                    });
+                });
+            });
+
+            findings.sort((a, b) => a.line - b.line || a.column - b.column);
+            return findings;
+        }
+
+        findPattern(sink, code, masked) {
+            const haystack = sink.raw ? code : masked;
+            return Array.from(haystack.matchAll(new RegExp(sink.pattern.source, sink.pattern.flags)))
+                .filter(match => masked[match.index] === code[match.index])
+                .map(match => ({ index: match.index, length: match[0].length }));
+        }
+
+        /**
+         * تقييم الاستدعاء
+         * Decide whether a match actually breaks; timers only break when given a string
+         */
+        assess(sink, masked, argumentStart) {
+            if (sink.id !== 'setTimeout(string)') {
+                return { breaks: true, confidence: 'high' };
+            }
+
+            const argument = masked.slice(argumentStart).trimStart();
+            if (/^(?:["'`])/.test(argument)) return { breaks: true, confidence: 'high' };
+            if (/^(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[\w$]+\s*=>)/.test(argument)) return null;
+            if (/^[\w$.]+\s*[,)]/.test(argument)) return { breaks: false, confidence: 'low', review: 'تحقق أن الوسيط دالة وليس نصاً' };
+            return { breaks: true, confidence: 'medium' };
+        }
+
+        /**
+         * إسناد src لعناصر script
+         * Track variables holding createElement('script') and their src assignments.
+         * Runs on the original source (string contents matter) and keeps only
+         * matches that masking left in place, i.e. real code
+         */
+        findScriptSrc(code, masked) {
+            const inCode = index => masked[index] === code[index];
+            const names = new Set();
+            const creation = /(?:(?:const|let|var)\s+)?([\w$.]+)\s*=\s*document\.createElement\s*\(\s*(['"`])script\2\s*\)/gi;
+
+            for (const match of code.matchAll(creation)) {
+                if (inCode(match.index + match[0].length - 1)) names.add(match[1]);
+            }
+
+            const results = [];
+            names.forEach(name => {
+                const escaped = name.replace(/[$.]/g, '\\$&');
+                const usage = new RegExp(`(?<![\\w$.])${escaped}\\s*\\.\\s*(?:src\\s*=(?!=)|setAttribute\\s*\\(\\s*(['"])src\\1)`, 'g');
+                for (const match of code.matchAll(usage)) {
+                    if (inCode(match.index)) results.push({ index: match.index, length: match[0].length });
+                }
+            });
+
+            return results;
+        }
+
+        /**
+         * اقتراح اسم سياسة
+         * One policy per file and trusted type, named after the file
+         */
+        suggestPolicyName(path, type) {
+            const base = String(path).split(/[\\/]/).pop().replace(/\.[cm]?[jt]sx?$/i, '').toLowerCase()
+                .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'app';
+            return `${this.policyPrefix}${base}-${POLICY_SUFFIXES[type]}`;
+        }
+
+        /**
+         * فحص قاعدة الكود
+         * Scan { path: code } (or [{ path, code }]) and build the migration plan
+         */
+        scan(files) {
+            const entries = typeof files === 'string'
+                ? [['inline.js', files]]
+                : Array.isArray(files) ? files.map(file => [file.path, file.code]) : Object.entries(files);
+
+            const results = entries.map(([path, code]) => {
+                const findings = this.scanFile(code, path);
+                const policyNames = [...new Set(findings.filter(finding => finding.breaks).map(finding => finding.policyName))];
+                return { path, findings, policyNames, checklist: this.buildChecklist(findings) };
+            }).filter(file => file.findings.length > 0);
+
+            const findings = results.flatMap(file => file.findings);
+            const policyNames = [...new Set(results.flatMap(file => file.policyNames))];
+            const count = key => findings.reduce((totals, finding) => {
+                totals[finding[key]] = (totals[finding[key]] || 0) + 1;
+                return totals;
+            }, {});
+
+            return {
+                files: results,
+                summary: {
+                    filesScanned: entries.length,
+                    filesAffected: results.length,
+                    totalSinks: findings.length,
+                    breaking: findings.filter(finding => finding.breaks).length,
+                    needsReview: findings.filter(finding => !finding.breaks).length,
+                    byType: count('type'),
+                    bySink: count('sink')
+                },
+                policyNames,
+                directives: TrustedTypesToolkit.directives(policyNames),
+                steps: this.buildRolloutSteps(policyNames, findings.length)
+            };
+        }
+
+        buildChecklist(findings) {
+            return findings.map(finding => ({
+                done: false,
+                text: `${finding.line}:${finding.column} ${finding.sink} (${finding.type}) — ` +
+                    (finding.breaks ? `${finding.fix}؛ السياسة المقترحة: ${finding.policyName}` : finding.review)
+            }));
+        }
+
+        buildRolloutSteps(policyNames, total) {
+            return [
+                { step: 1, title: 'المراقبة', description: `أرسل require-trusted-types-for 'script' في Content-Security-Policy-Report-Only لجمع انتهاكات ${total} موضع` },
+                { step: 2, title: 'الإصلاح', description: 'عالج قائمة كل ملف: أزل الحاجة إلى HTML/سكريبت نصي حيث أمكن، وأنشئ السياسات المقترحة للباقي' },
+                { step: 3, title: 'تقييد الأسماء', description: `اسمح فقط بالسياسات المستخدمة: trusted-types ${policyNames.join(' ') || "'none'"}` },
+                { step: 4, title: 'الفرض', description: 'انقل التوجيهات إلى Content-Security-Policy بعد توقف التقارير' }
+            ];
+        }
+    }
+
+    TrustedTypesMigrationScanner.SINKS = SINKS;
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { TrustedTypesMigrationScanner };
+    } else {
+        root.TrustedTypesMigrationScanner = TrustedTypesMigrationScanner;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,298 @@
+/**
+ * أدوات Trusted Types
+ * Trusted Types Toolkit
+ * Allowlist-based HTML sanitizer, a default policy built on it, and the matching CSP directives
+ */
+
+(function (root) {
+    'use strict';
+
+    const DEFAULT_ELEMENTS = [
+        'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'code', 'dd', 'del', 'div', 'dl', 'dt', 'em',
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre',
+        'q', 's', 'small', 'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead',
+        'tr', 'u', 'ul'
+    ];
+
+    // id and name are left out on purpose: they enable DOM clobbering
+    const DEFAULT_ATTRIBUTES = {
+        '*': ['class', 'title', 'lang', 'dir'],
+        a: ['href', 'target', 'rel'],
+        img: ['src', 'alt', 'width', 'height'],
+        td: ['colspan', 'rowspan'],
+        th: ['colspan', 'rowspan', 'scope'],
+        ol: ['start', 'reversed'],
+        q: ['cite'],
+        blockquote: ['cite']
+    };
+
+    const DEFAULT_URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+    const URL_ATTRIBUTES = ['href', 'src', 'cite', 'action', 'formaction', 'poster', 'background', 'xlink:href'];
+
+    // Removed together with everything inside them
+    const DROP_CONTENT = [
+        'script', 'style', 'template', 'iframe', 'object', 'embed', 'noscript', 'noembed', 'noframes',
+        'title', 'textarea', 'xmp', 'plaintext', 'svg', 'math', 'select', 'frameset'
+    ];
+
+    const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+    const ENTITIES = {
+        amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+        colon: ':', tab: '\t', newline: '\n', sol: '/', lpar: '(', rpar: ')', period: '.'
+    };
+
+    /**
+     * توجيهات CSP لأسماء السياسات
+     * require-trusted-types-for plus trusted-types listing the allowed policy names
+     */
+    function directives(names = ['default'], options = {}) {
+        const list = [...new Set(names.filter(Boolean))];
+        const trustedTypes = (list.length > 0 ? list.join(' ') : "'none'") + (options.allowDuplicates ? " 'allow-duplicates'" : '');
+        return `require-trusted-types-for 'script'; trusted-types ${trustedTypes}`;
+    }
+
+    class HTMLSanitizer {
+        constructor(options = {}) {
+            this.elements = options.elements || DEFAULT_ELEMENTS;
+            this.attributes = options.attributes || DEFAULT_ATTRIBUTES;
+            this.urlSchemes = (options.urlSchemes || DEFAULT_URL_SCHEMES).map(scheme => scheme.toLowerCase().replace(/:$/, ''));
+        }
+
+        /**
+         * تنقية HTML
+         * Rebuild the markup from allowed elements and attributes only; everything else is
+         * unwrapped, or dropped with its content for script-like elements
+         */
+        sanitize(html) {
+            const tokenPattern = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<![^>]*>|<\?[^>]*>|<\/?([a-zA-Z][a-zA-Z0-9:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>|[^<]+|</g;
+            const removed = [];
+            const open = [];
+            let output = '';
+            let dropping = null;
+            let match;
+
+            while ((match = tokenPattern.exec(String(html))) !== null) {
+                const [token, rawName, rawAttributes] = match;
+                const name = rawName ? rawName.toLowerCase() : null;
+                const closing = token.startsWith('</');
+
+                if (dropping) {
+                    if (closing && name === dropping) dropping = null;
+                    continue;
+                }
+
+                if (!name) {
+                    if (token.startsWith('<!') || token.startsWith('<?')) {
+                        removed.push({ type: 'markup', value: token.slice(0, 40) });
+                    } else {
+                        output += this.escapeText(token);
+                    }
+                    continue;
+                }
+
+                if (DROP_CONTENT.includes(name)) {
+                    removed.push({ type: 'element', value: name });
+                    if (!closing && !VOID_ELEMENTS.includes(name) && !/\/>$/.test(token)) dropping = name;
+                    continue;
+                }
+
+                if (!this.elements.includes(name)) {
+                    if (!closing) removed.push({ type: 'element', value: name });
+                    continue;
+                }
+
+                if (closing) {
+                    const index = open.lastIndexOf(name);
+                    if (index !== -1) {
+                        output += open.splice(index).reverse().map(element => `</${element}>`).join('');
+                    }
+                    continue;
+                }
+
+                output += `<${name}${this.sanitizeAttributes(name, rawAttributes || '', removed)}>`;
+                if (!VOID_ELEMENTS.includes(name)) open.push(name);
+            }
+
+            output += open.reverse().map(element => `</${element}>`).join('');
+            return { html: output, removed, changed: removed.length > 0 };
+        }
+
+        sanitizeAttributes(element, text, removed) {
+            const attributePattern = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+            const allowed = [...(this.attributes['*'] || []), ...(this.attributes[element] || [])];
+            const seen = new Set();
+            let result = '';
+            let match;
+
+            while ((match = attributePattern.exec(text)) !== null) {
+                const name = match[1].toLowerCase();
+                const value = [match[2], match[3], match[4]].find(part => part !== undefined) || '';
+
+                // Event handlers are never allowed, whatever the allowlist says
+                if (seen.has(name) || /^on/.test(name) || !allowed.includes(name)) {
+                    if (!seen.has(name)) removed.push({ type: 'attribute', value: `${element}[${name}]` });
+                    continue;
+                }
+                seen.add(name);
+
+                if (URL_ATTRIBUTES.includes(name) && !this.isSafeURL(value)) {
+                    removed.push({ type: 'url', value: `${element}[${name}]=${value.slice(0, 40)}` });
+                    continue;
+                }
+
+                result += ` ${name}="${this.escapeAttribute(value)}"`;
+            }
+
+            return result;
+        }
+
+        /**
+         * التحقق من مخطط الرابط
+         * Relative URLs and URLs with an allowed scheme pass; entities and
+         * control characters are resolved first, as the browser would
+         */
+        isSafeURL(value) {
+            const decoded = this.decodeEntities(value);
+            if (/&[a-z][a-z0-9]*;/i.test(decoded)) return false;
+
+            const url = decoded.replace(/[\u0000- \u007f-\u009f]/g, '');
+            const scheme = url.match(/^([^/?#]*?):/);
+            return !scheme || this.urlSchemes.includes(scheme[1].toLowerCase());
+        }
+
+        decodeEntities(value) {
+            return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);?/gi, (entity, name) => {
+                const key = name.toLowerCase();
+                const codePoint = key.startsWith('#x') ? parseInt(key.slice(2), 16) : key.startsWith('#') ? parseInt(key.slice(1), 10) : null;
+                if (codePoint !== null) return String.fromCodePoint(codePoint > 0 && codePoint <= 0x10ffff ? codePoint : 0xfffd);
+                return ENTITIES[key] !== undefined ? ENTITIES[key] : entity;
+            });
+        }
+
+        escapeText(text) {
+            return text
+                .replace(/&(?!(?:#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);)/gi, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;');
+        }
+
+        escapeAttribute(value) {
+            return this.escapeText(value).replace(/"/g, '&quot;');
+        }
+    }
+
+    class TrustedTypesToolkit {
+        constructor(options = {}) {
+            this.sanitizer = options.sanitizer || new HTMLSanitizer(options);
+            this.policyName = options.policyName || 'default';
+            this.scriptURLOrigins = options.scriptURLOrigins || ['self'];
+            this.allowScript = options.allowScript || false;
+            this.monitor = options.monitor || null;
+            this.baseURL = options.baseURL || (root.location ? root.location.href : null);
+            this.violations = [];
+        }
+
+        /**
+         * قواعد السياسة
+         * createHTML sanitizes, createScriptURL checks the origin allowlist,
+         * createScript is rejected unless explicitly allowed
+         */
+        createRules() {
+            return {
+                createHTML: input => {
+                    const result = this.sanitizer.sanitize(input);
+                    if (result.changed) {
+                        this.report('TrustedHTML', input, 'medium',
+                            `أزيلت عناصر غير مسموحة: ${result.removed.slice(0, 5).map(item => item.value).join('، ')}`);
+                    }
+                    return result.html;
+                },
+                createScriptURL: input => {
+                    if (this.isAllowedScriptURL(input)) return input;
+                    this.report('TrustedScriptURL', input, 'high', 'رابط سكريبت من أصل غير مسموح');
+                    throw new TypeError(`Trusted Types: رابط السكريبت غير مسموح: ${input}`);
+                },
+                createScript: input => {
+                    if (typeof this.allowScript === 'function' ? this.allowScript(input) : this.allowScript) return input;
+                    this.report('TrustedScript', input, 'high', 'تنفيذ نص كسكريبت مرفوض');
+                    throw new TypeError('Trusted Types: createScript مرفوض في هذه السياسة');
+                }
+            };
+        }
+
+        isAllowedScriptURL(input) {
+            let url;
+            try {
+                url = new URL(input, this.baseURL || undefined);
+            } catch {
+                return false;
+            }
+
+            if (!/^https?:$/.test(url.protocol)) return false;
+
+            return this.scriptURLOrigins.some(origin => {
+                if (origin === 'self') return Boolean(this.baseURL) && url.origin === new URL(this.baseURL).origin;
+                try {
+                    return url.origin === new URL(origin).origin;
+                } catch {
+                    return false;
+                }
+            });
+        }
+
+        /**
+         * تسجيل انتهاك في SecurityMonitor
+         * Record a violation and forward it to SecurityMonitor
+         */
+        report(sink, input, severity, message) {
+            const violation = {
+                type: 'trusted-types-violation',
+                name: sink,
+                policyId: 'trusted-types',
+                policyName: this.policyName,
+                severity,
+                message: `Trusted Types (${sink}): ${message}`,
+                sample: String(input).slice(0, 40),
+                timestamp: Date.now()
+            };
+
+            this.violations.push(violation);
+            if (this.monitor) {
+                this.monitor.triggerAlert(violation);
+            }
+        }
+
+        /**
+         * تسجيل السياسة في المتصفح
+         * Register the policy; returns null when Trusted Types are unsupported
+         */
+        install(factory = root.trustedTypes) {
+            if (!factory || typeof factory.createPolicy !== 'function') return null;
+            return factory.createPolicy(this.policyName, this.createRules());
+        }
+
+        /**
+         * توجيهات CSP المطابقة
+         * CSP directives enforcing Trusted Types for the given policy names
+         */
+        getDirectives(options = {}) {
+            return TrustedTypesToolkit.directives(options.names || [this.policyName], options);
+        }
+    }
+
+    TrustedTypesToolkit.directives = directives;
+
+    HTMLSanitizer.DEFAULT_ELEMENTS = DEFAULT_ELEMENTS;
+    HTMLSanitizer.DEFAULT_ATTRIBUTES = DEFAULT_ATTRIBUTES;
+    HTMLSanitizer.DEFAULT_URL_SCHEMES = DEFAULT_URL_SCHEMES;
+
+    // تصدير للاستخدام العام
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { HTMLSanitizer, TrustedTypesToolkit };
+    } else {
+        root.HTMLSanitizer = HTMLSanitizer;
+        root.TrustedTypesToolkit = TrustedTypesToolkit;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
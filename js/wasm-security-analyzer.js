@@ -5,87 +5,369 @@
  * Date: 2025-12-10
  */
 
+/**
+ * Rule table shared by both engines
+ * Every match of a rule's pattern starts with one of its anchors (compared
+ * case-insensitively), so the WebAssembly engine only has to confirm the
+ * pattern at the anchor positions its automaton reports. Confidence is the
+ * share of matches of the rule that turned out to be real issues.
+ */
+const SCAN_RULES = [
+    {
+        id: 'xss.script-block', type: 'xss', severity: 8, confidence: 0.9,
+        pattern: /<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi,
+        anchors: ['<script']
+    },
+    {
+        id: 'xss.event-handler', type: 'xss', severity: 8, confidence: 0.75,
+        pattern: /<[a-z][^>]*?\son[a-z]+\s*=/gi,
+        anchors: ['<']
+    },
+    {
+        id: 'sql.statement', type: 'sql', severity: 9, confidence: 0.6,
+        pattern: /\b(?:union|select|insert|update|delete|drop|create|alter)\s+[\w\s'"]*/gi,
+        anchors: ['union', 'select', 'insert', 'update', 'delete', 'drop', 'create', 'alter']
+    },
+    {
+        id: 'csrf.state-changing-form', type: 'csrf', severity: 7, confidence: 0.7,
+        pattern: /<form[^>]*method\s*=\s*["']?(?:post|put|delete)["']?[^>]*>/gi,
+        anchors: ['<form']
+    },
+    {
+        id: 'clickjacking.iframe', type: 'clickjacking', severity: 6, confidence: 0.5,
+        pattern: /<iframe[^>]*>/gi,
+        anchors: ['<iframe']
+    },
+    {
+        id: 'pathTraversal.dot-segment', type: 'pathTraversal', severity: 8, confidence: 0.7,
+        pattern: /\.\.[\/\\][\w.\-]*/g,
+        anchors: ['../', '..\\']
+    },
+    {
+        id: 'commandInjection.shell-chain', type: 'commandInjection', severity: 10, confidence: 0.65,
+        pattern: /[;&|`$]\s*(?:ls|cat|rm|mkdir|chmod|chown|wget|curl|nc)\b/gi,
+        anchors: [';', '&', '|', '`', '$']
+    },
+    {
+        id: 'evalUsage.call', type: 'evalUsage', severity: 9, confidence: 0.85,
+        pattern: /\beval\s*\(/gi,
+        anchors: ['eval']
+    },
+    {
+        id: 'innerHTML.assignment', type: 'innerHTML', severity: 7, confidence: 0.8,
+        pattern: /\.innerHTML\s*=(?!=)/gi,
+        anchors: ['.innerhtml']
+    },
+    {
+        id: 'documentWrite.call', type: 'documentWrite', severity: 6, confidence: 0.8,
+        pattern: /\bdocument\.write(?:ln)?\s*\(/gi,
+        anchors: ['document.write']
+    }
+];
+
+// Run through both engines at startup; the WebAssembly engine is only used when they agree
+const SELF_TEST_SAMPLE = [
+    '<SCRIPT src=x>alert(1)</script><scr<script>x</script>',
+    '<img src=x onerror = "go()"><a href="python.html">',
+    'SELECT name, pass FROM users; union  select 1 -- reselect x',
+    '<form action="/t" method="POST"><iframe src="//evil">',
+    '../../etc/passwd ..\\windows; cat /etc/shadow | rm -rf & curl x $ls',
+    'eval (x); el.innerHTML = y; el.innerHTML == z; document.writeln(a); DOCUMENT.WRITE(b)',
+    'مرحبا <script>أ</script> éval(1) Keval(2)'
+].join('\n');
+
+const WASM_PAGE_SIZE = 65536;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Aho-Corasick automaton over the rule anchors, compiled to a dense DFA
+ * Symbols are ASCII code units folded to lower case plus one class (128)
+ * for every other code unit; table() serializes it in the layout that
+ * js/wasm/pattern-matcher.wat documents.
+ */
+class PatternAutomaton {
+    constructor(anchors) {
+        this.anchors = anchors;
+        this.build();
+    }
+
+    build() {
+        const symbols = PatternAutomaton.SYMBOLS;
+        const trie = [new Map()];
+        const outputs = [-1];
+
+        this.anchors.forEach((anchor, id) => {
+            let state = 0;
+            for (const char of anchor.toLowerCase()) {
+                const code = char.charCodeAt(0);
+                if (code >= 128) {
+                    throw new Error(`Anchor "${anchor}" must be ASCII`);
+                }
+                if (!trie[state].has(code)) {
+                    trie.push(new Map());
+                    outputs.push(-1);
+                    trie[state].set(code, trie.length - 1);
+                }
+                state = trie[state].get(code);
+            }
+            outputs[state] = id;
+        });
+
+        const count = trie.length;
+        const transitions = new Int32Array(count * symbols);
+        const fail = new Int32Array(count);
+        const links = new Int32Array(count).fill(-1);
+        const queue = [];
+
+        for (let symbol = 0; symbol < symbols; symbol++) {
+            const next = trie[0].get(symbol);
+            if (next !== undefined) {
+                transitions[symbol] = next;
+                queue.push(next);
+            }
+        }
+
+        // Breadth-first, so fail states and their links are final before they are read
+        for (let head = 0; head < queue.length; head++) {
+            const state = queue[head];
+            const failState = fail[state];
+            links[state] = outputs[failState] >= 0 ? failState : links[failState];
+
+            for (let symbol = 0; symbol < symbols; symbol++) {
+                const next = trie[state].get(symbol);
+                if (next !== undefined) {
+                    fail[next] = transitions[failState * symbols + symbol];
+                    transitions[state * symbols + symbol] = next;
+                    queue.push(next);
+                } else {
+                    transitions[state * symbols + symbol] = transitions[failState * symbols + symbol];
+                }
+            }
+        }
+
+        this.stateCount = count;
+        this.transitions = transitions;
+        this.outputs = Int32Array.from(outputs);
+        this.links = links;
+    }
+
+    table() {
+        const header = 4;
+        const count = this.stateCount;
+        const table = new Int32Array(header + count * PatternAutomaton.SYMBOLS + count * 2);
+        const transitionsAt = header;
+        const outputsAt = transitionsAt + this.transitions.length;
+        const linksAt = outputsAt + count;
+
+        table.set([transitionsAt * 4, outputsAt * 4, linksAt * 4, count]);
+        table.set(this.transitions, transitionsAt);
+        table.set(this.outputs, outputsAt);
+        table.set(this.links, linksAt);
+        return table;
+    }
+}
+
+PatternAutomaton.SYMBOLS = 129;
+
+/**
+ * First-fit allocator over the WebAssembly module's exported memory
+ * Blocks are 8-byte aligned, offset 0 is never handed out, and the memory
+ * grows by whole pages when no free block is large enough.
+ */
+class WasmHeap {
+    constructor(memory) {
+        this.memory = memory;
+        this.blocks = new Map();
+        this.freeList = [];
+        this.release(8, memory.buffer.byteLength - 8);
+    }
+
+    allocate(size) {
+        const length = Math.max(8, Math.ceil(size / 8) * 8);
+        let index = this.freeList.findIndex(block => block.size >= length);
+
+        if (index === -1) {
+            const pages = Math.ceil(length / WASM_PAGE_SIZE);
+            const start = this.memory.buffer.byteLength;
+            this.memory.grow(pages);
+            this.release(start, pages * WASM_PAGE_SIZE);
+            index = this.freeList.findIndex(block => block.size >= length);
+        }
+
+        const block = this.freeList[index];
+        const pointer = block.pointer;
+        if (block.size === length) {
+            this.freeList.splice(index, 1);
+        } else {
+            block.pointer += length;
+            block.size -= length;
+        }
+        this.blocks.set(pointer, length);
+        return pointer;
+    }
+
+    free(pointer) {
+        const size = this.blocks.get(pointer);
+        if (size === undefined) return false;
+        this.blocks.delete(pointer);
+        this.release(pointer, size);
+        return true;
+    }
+
+    // Insert a free block in address order and merge it with its neighbours
+    release(pointer, size) {
+        let index = this.freeList.findIndex(block => block.pointer > pointer);
+        if (index === -1) index = this.freeList.length;
+        this.freeList.splice(index, 0, { pointer, size });
+
+        const next = this.freeList[index + 1];
+        if (next && pointer + size === next.pointer) {
+            this.freeList[index].size += next.size;
+            this.freeList.splice(index + 1, 1);
+        }
+        const previous = this.freeList[index - 1];
+        if (previous && previous.pointer + previous.size === pointer) {
+            previous.size += this.freeList[index].size;
+            this.freeList.splice(index, 1);
+        }
+    }
+
+    stats() {
+        let used = 0;
+        this.blocks.forEach(size => { used += size; });
+        return {
+            capacity: this.memory.buffer.byteLength,
+            used,
+            free: this.freeList.reduce((sum, block) => sum + block.size, 0),
+            blocks: this.blocks.size
+        };
+    }
+}
+
 class WasmSecurityAnalyzer {
-    constructor() {
+    constructor(options = {}) {
+        this.options = options;
+        this.rules = options.rules || SCAN_RULES;
         this.wasmModule = null;
         this.initialized = false;
-        this.analysisBuffer = null;
-        this.memoryPool = new Array(10).fill(null);
+        this.heap = null;
+        this.table = 0;
+        this.jsAnalyzer = new AdvancedJSAnalyzer({ ...options, rules: this.rules });
         this.performanceMetrics = {
             analysisTime: 0,
+            scanTime: 0,
             memoryUsage: 0,
-            throughput: 0
+            throughput: 0,
+            scanThroughput: 0
         };
+
+        // Unique anchors; each one knows the rules it starts
+        const anchorIds = new Map();
+        this.anchors = [];
+        this.anchorRules = [];
+        this.rules.forEach((rule, ruleIndex) => {
+            rule.anchors.forEach(anchor => {
+                const key = anchor.toLowerCase();
+                if (!anchorIds.has(key)) {
+                    anchorIds.set(key, this.anchors.length);
+                    this.anchors.push(key);
+                    this.anchorRules.push([]);
+                }
+                this.anchorRules[anchorIds.get(key)].push(ruleIndex);
+            });
+        });
+        this.stickyPatterns = this.rules.map(rule => new RegExp(rule.pattern.source, rule.pattern.flags.replace('g', '') + 'y'));
     }
 
     async initialize() {
         try {
             console.log('🔄 Initializing WebAssembly Security Analyzer...');
-            
-            // Create WebAssembly module for high-performance analysis
-            const wasmBinary = this.generateWasmBinary();
-            const wasmModule = await WebAssembly.instantiate(wasmBinary, {
-                env: {
-                    memory: new WebAssembly.Memory({ initial: 256, maximum: 512 }),
-                    abort: () => console.error('WASM Abort'),
-                    print: (ptr) => console.log('WASM:', ptr)
-                }
-            });
 
-            this.wasmModule = wasmModule.instance;
+            const { instance } = await WebAssembly.instantiate(await this.loadWasmBinary());
+            this.wasmModule = instance;
+            this.heap = new WasmHeap(instance.exports.memory);
+
+            const table = new PatternAutomaton(this.anchors).table();
+            this.table = this.allocateMemory(table.byteLength);
+            new Int32Array(instance.exports.memory.buffer, this.table, table.length).set(table);
+
+            if (!this.selfTest()) {
+                throw new Error('WebAssembly engine results differ from the JavaScript engine');
+            }
+
             this.initialized = true;
-            
             console.log('✅ WebAssembly Security Analyzer initialized successfully');
             return true;
         } catch (error) {
             console.error('❌ Failed to initialize WebAssembly:', error);
+            this.wasmModule = null;
+            this.heap = null;
             return this.fallbackToJS();
         }
     }
 
-    generateWasmBinary() {
-        // Simplified WebAssembly binary for demonstration
-        // In production, this would be actual compiled WASM
-        const wasmCode = new Uint8Array([
-            0x00, 0x61, 0x73, 0x6D, 0x01, 0x00, 0x00, 0x00, // Header
-            0x01, 0x07, 0x01, 0x60, 0x02, 0x7F, 0x7F, 0x01, 0x7F, // Function type
-            0x03, 0x02, 0x01, 0x00, // Function table
-            0x07, 0x07, 0x01, 0x03, 0x61, 0x6E, 0x61, 0x6C, 0x79, 0x7A, 0x00, 0x00, // Export analyze
-            0x0A, 0x09, 0x01, 0x07, 0x00, 0x20, 0x00, 0x6A, 0x0B // Code analyze
-        ]);
-        
-        return wasmCode;
+    // js/wasm/pattern-matcher.wasm, built from pattern-matcher.wat next to it
+    async loadWasmBinary() {
+        if (this.options.wasmBinary) {
+            return this.options.wasmBinary;
+        }
+        if (typeof module !== 'undefined' && module.exports && typeof require === 'function') {
+            const path = require('path');
+            return require('fs').readFileSync(path.join(__dirname, 'wasm', 'pattern-matcher.wasm'));
+        }
+
+        const response = await fetch(this.options.wasmUrl || 'js/wasm/pattern-matcher.wasm');
+        if (!response.ok) {
+            throw new Error(`Failed to load pattern-matcher.wasm: HTTP ${response.status}`);
+        }
+        return response.arrayBuffer();
     }
 
-    fallbackToJS() {
+    async fallbackToJS() {
         console.log('⚡ Using JavaScript fallback for analysis');
-        this.jsAnalyzer = new AdvancedJSAnalyzer();
-        return this.jsAnalyzer.initialize();
+        const ready = await this.jsAnalyzer.initialize();
+        this.initialized = true;
+        return ready;
     }
 
-    async analyzeCode(code, analysisType = 'comprehensive') {
+    // Compare both engines match for match on the given samples
+    selfTest(samples = [SELF_TEST_SAMPLE]) {
+        if (!this.wasmModule) return false;
+        return samples.every(sample =>
+            JSON.stringify(this.scanMatches(sample).matches) === JSON.stringify(this.jsAnalyzer.scanMatches(sample)));
+    }
+
+    async analyzeCode(code, analysisType = 'comprehensive', options = {}) {
         if (!this.initialized) {
             await this.initialize();
         }
 
         const startTime = performance.now();
-        
+
         try {
             let result;
-            
+
             if (this.wasmModule) {
                 result = await this.performWasmAnalysis(code, analysisType);
             } else {
-                result = await this.jsAnalyzer.analyzeCode(code, analysisType);
+                result = await this.jsAnalyzer.analyzeCode(code, analysisType, options);
+                this.performanceMetrics.scanTime = 0;
             }
 
             const endTime = performance.now();
-            this.performanceMetrics.analysisTime = endTime - startTime;
-            this.performanceMetrics.throughput = code.length / this.performanceMetrics.analysisTime;
+            const metrics = this.performanceMetrics;
+            metrics.analysisTime = endTime - startTime;
+            metrics.throughput = metrics.analysisTime > 0 ? code.length / metrics.analysisTime : 0;
+            // MB of UTF-16 input per second inside the WebAssembly scan loop
+            metrics.scanThroughput = metrics.scanTime > 0 ? (code.length * 2 / 1e6) / (metrics.scanTime / 1000) : 0;
+            metrics.memoryUsage = this.heap ? this.heap.memory.buffer.byteLength : 0;
 
             return {
                 ...result,
-                performance: this.performanceMetrics,
+                performance: { ...metrics },
                 engine: this.wasmModule ? 'WebAssembly' : 'JavaScript'
             };
 
@@ -96,317 +378,565 @@ class WasmSecurityAnalyzer {
     }
 
     async performWasmAnalysis(code, type) {
-        // Simulate high-performance WASM analysis
-        await this.sleep(10); // Very fast execution
-        
-        const patterns = {
-            xss: /<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi,
-            sql: /(union|select|insert|update|delete|drop|create|alter)\s+[\w\s'"]*/gi,
-            csrf: /<form[^>]*method\s*=\s*["']?(?:post|put|delete)["']?[^>]*>/gi,
-            clickjacking: /<iframe[^>]*>/gi,
-            pathTraversal: /\.\.[\/\\]/gi,
-            commandInjection: /[;&|`$]\s*(?:ls|cat|rm|mkdir|chmod|chown)/gi
-        };
+        const { matches, scanTime } = this.scanMatches(code);
+        this.performanceMetrics.scanTime = scanTime;
+        return this.jsAnalyzer.buildResults(code, matches, 'WebAssembly');
+    }
 
-        const results = {
-            vulnerabilities: [],
-            riskScore: 0,
-            confidence: 0.95,
-            recommendations: [],
-            processingTime: 'WASM-optimized'
-        };
+    /**
+     * Anchor scan in WebAssembly, then each rule's pattern confirmed at its
+     * candidate positions in ascending order. Skipping candidates inside the
+     * previous match reproduces String.prototype.matchAll exactly, because a
+     * global regex can only match where one of the rule's anchors starts.
+     */
+    scanMatches(code) {
+        const started = performance.now();
+        const pairs = this.scanAnchors(code);
+        const scanTime = performance.now() - started;
+
+        const candidates = this.rules.map(() => []);
+        for (let i = 0; i < pairs.length; i += 2) {
+            const anchor = pairs[i];
+            const start = pairs[i + 1] - this.anchors[anchor].length + 1;
+            this.anchorRules[anchor].forEach(ruleIndex => candidates[ruleIndex].push(start));
+        }
 
-        // High-speed pattern matching
-        for (const [vulnType, pattern] of Object.entries(patterns)) {
-            const matches = code.match(pattern);
-            if (matches) {
-                results.vulnerabilities.push({
-                    type: vulnType,
-                    severity: this.getSeverityScore(vulnType),
-                    matches: matches.length,
-                    examples: matches.slice(0, 3)
-                });
+        const matches = candidates.map((starts, ruleIndex) => {
+            const sticky = this.stickyPatterns[ruleIndex];
+            const found = [];
+            let next = 0;
+            let previous = -1;
+
+            starts.sort((a, b) => a - b).forEach(start => {
+                if (start < next || start === previous) return;
+                previous = start;
+                sticky.lastIndex = start;
+                const match = sticky.exec(code);
+                if (match) {
+                    found.push({ index: start, text: match[0] });
+                    next = start + Math.max(1, match[0].length);
+                }
+            });
+            return found;
+        });
+
+        return { matches, scanTime };
+    }
+
+    // Returns (anchor id, end index) pairs as written by scan()
+    scanAnchors(code) {
+        const exports = this.wasmModule.exports;
+        let capacity = Math.max(64, code.length >> 3);
+        const input = this.allocateMemory(code.length * 2);
+        let out = this.allocateMemory(capacity * 8);
+
+        try {
+            const units = new Uint16Array(exports.memory.buffer, input, code.length);
+            for (let i = 0; i < code.length; i++) {
+                units[i] = code.charCodeAt(i);
+            }
+
+            let count = exports.scan(this.table, input, code.length, out, capacity);
+            if (count > capacity) {
+                this.freeMemory(out);
+                capacity = count;
+                out = this.allocateMemory(capacity * 8);
+                count = exports.scan(this.table, input, code.length, out, capacity);
             }
+
+            return new Int32Array(exports.memory.buffer, out, count * 2).slice();
+        } finally {
+            this.freeMemory(input);
+            this.freeMemory(out);
         }
+    }
 
-        results.riskScore = this.calculateRiskScore(results.vulnerabilities);
-        results.confidence = 0.98; // High confidence with WASM
-        results.recommendations = this.generateRecommendations(results.vulnerabilities);
+    // Memory management for WASM; returns a byte offset into the module's memory
+    allocateMemory(size) {
+        if (!this.heap) {
+            throw new Error('WebAssembly memory is not initialized');
+        }
+        return this.heap.allocate(size);
+    }
 
-        return results;
+    freeMemory(pointer) {
+        return this.heap ? this.heap.free(pointer) : false;
     }
 
-    getSeverityScore(vulnType) {
-        const severityMap = {
-            'sql': 9,
-            'xss': 8,
-            'commandInjection': 10,
-            'csrf': 7,
-            'clickjacking': 6,
-            'pathTraversal': 8
+    // Performance monitoring
+    getPerformanceMetrics() {
+        return {
+            ...this.performanceMetrics,
+            memory: this.heap ? this.heap.stats() : null,
+            engine: this.wasmModule ? 'WebAssembly' : 'JavaScript'
         };
-        return severityMap[vulnType] || 5;
     }
 
-    calculateRiskScore(vulnerabilities) {
-        if (vulnerabilities.length === 0) return 0;
-        
-        const totalScore = vulnerabilities.reduce((sum, vuln) => sum + vuln.severity, 0);
-        return Math.min(100, totalScore * 10);
+    // SARIF export; pass the analyzed code as options.code to locate each example
+    async exportSARIF(result, options = {}) {
+        const { SarifExporter } = typeof module !== 'undefined' && module.exports ? require('./sarif-exporter.js') : window;
+        const exporter = new SarifExporter();
+        const log = exporter.createLog(await exporter.fromWasmResult(result, options));
+        return exporter.stringify(options.previous ? exporter.compare(log, options.previous) : log);
     }
+}
 
-    generateRecommendations(vulnerabilities) {
-        const recommendations = [];
-        
-        if (vulnerabilities.some(v => v.type === 'xss')) {
-            recommendations.push({
-                type: 'XSS Prevention',
-                priority: 'High',
-                action: 'Implement Content Security Policy (CSP) with script-src restrictions',
-                code: "Content-Security-Policy: default-src 'self'; script-src 'self' 'unsafe-inline';"
-            });
+/**
+ * Pool of scan workers with a task queue
+ * Each task gets an id and a timeout and runs on an idle worker, preferring
+ * the one that has finished the fewest tasks. A worker whose task times out
+ * or is cancelled is terminated and replaced, since a running regex cannot be
+ * interrupted any other way. Tasks can share one large input ({ key, text });
+ * each worker receives it with its first task of that key and keeps it until
+ * release(key).
+ */
+class ScanWorkerPool {
+    constructor(options = {}) {
+        this.size = options.size || 4;
+        this.timeout = options.timeout || 30000;
+        this.createWorker = options.createWorker || (() => {
+            if (!this.workerUrl) {
+                this.workerUrl = URL.createObjectURL(new Blob([ScanWorkerPool.WORKER_SOURCE], { type: 'application/javascript' }));
+            }
+            return new Worker(this.workerUrl);
+        });
+        this.workers = [];
+        this.queue = [];
+        this.nextId = 1;
+
+        for (let i = 0; i < this.size; i++) {
+            this.workers.push(this.spawn());
         }
+    }
 
-        if (vulnerabilities.some(v => v.type === 'sql')) {
-            recommendations.push({
-                type: 'SQL Injection Prevention',
-                priority: 'Critical',
-                action: 'Use parameterized queries and input validation',
-                code: "SELECT * FROM users WHERE id = ? AND password = ?"
+    spawn() {
+        const slot = { worker: this.createWorker(), task: null, completed: 0, inputKey: null };
+        slot.worker.onmessage = (e) => this.settle(slot, e.data);
+        slot.worker.onerror = (e) => {
+            if (e && e.preventDefault) e.preventDefault();
+            this.fail(slot, new Error(`Scan worker failed: ${e && e.message ? e.message : 'unknown error'}`));
+        };
+        return slot;
+    }
+
+    // Queue a task; group tags it for cancel(group), input is the shared { key, text }
+    run(payload, options = {}) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({
+                id: this.nextId++,
+                payload,
+                group: options.group,
+                input: options.input || null,
+                timeout: options.timeout || this.timeout,
+                resolve,
+                reject,
+                timer: null
             });
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        while (this.queue.length > 0) {
+            const idle = this.workers.filter(slot => !slot.task);
+            if (idle.length === 0) return;
+
+            const slot = idle.reduce((best, candidate) => candidate.completed < best.completed ? candidate : best);
+            const task = this.queue.shift();
+            slot.task = task;
+            task.timer = setTimeout(() => {
+                this.fail(slot, new Error(`Scan task ${task.id} timed out after ${task.timeout}ms`), true);
+            }, task.timeout);
+            const message = { id: task.id, ...task.payload };
+            if (task.input) {
+                message.inputKey = task.input.key;
+                if (slot.inputKey !== task.input.key) {
+                    message.input = task.input;
+                    slot.inputKey = task.input.key;
+                }
+            }
+            slot.worker.postMessage(message);
         }
+    }
 
-        return recommendations;
+    // Let the workers drop a shared input once its tasks are done
+    release(key) {
+        this.workers.forEach(slot => {
+            if (slot.inputKey === key) {
+                slot.worker.postMessage({ release: key });
+                slot.inputKey = null;
+            }
+        });
     }
 
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    settle(slot, data) {
+        const task = slot.task;
+        // Late answers of a task that already timed out or was cancelled
+        if (!task || data.id !== task.id) return;
+
+        clearTimeout(task.timer);
+        slot.task = null;
+        slot.completed++;
+        if (data.error) {
+            task.reject(new Error(data.error));
+        } else {
+            task.resolve(data.results);
+        }
+        this.dispatch();
     }
 
-    // Memory management for WASM
-    allocateMemory(size) {
-        for (let i = 0; i < this.memoryPool.length; i++) {
-            if (!this.memoryPool[i]) {
-                this.memoryPool[i] = new ArrayBuffer(size);
-                return i;
-            }
+    fail(slot, error, replace = false) {
+        const task = slot.task;
+        if (task) {
+            clearTimeout(task.timer);
+            task.reject(error);
+        }
+        slot.task = null;
+        if (replace || !task) {
+            this.replace(slot);
         }
-        throw new Error('Memory pool exhausted');
+        this.dispatch();
     }
 
-    freeMemory(index) {
-        if (this.memoryPool[index]) {
-            this.memoryPool[index] = null;
+    replace(slot) {
+        slot.worker.terminate();
+        const index = this.workers.indexOf(slot);
+        if (index !== -1) {
+            this.workers[index] = this.spawn();
         }
     }
 
-    // Performance monitoring
-    getPerformanceMetrics() {
+    // Cancel the queued and running tasks of one group, or all tasks; returns how many
+    cancel(group) {
+        const matches = task => group === undefined || task.group === group;
+        const error = ScanWorkerPool.abortError();
+        let cancelled = 0;
+
+        this.queue = this.queue.filter(task => {
+            if (!matches(task)) return true;
+            task.reject(error);
+            cancelled++;
+            return false;
+        });
+
+        this.workers.slice().forEach(slot => {
+            if (slot.task && matches(slot.task)) {
+                clearTimeout(slot.task.timer);
+                slot.task.reject(error);
+                slot.task = null;
+                cancelled++;
+                this.replace(slot);
+            }
+        });
+
+        this.dispatch();
+        return cancelled;
+    }
+
+    terminate() {
+        this.cancel();
+        this.workers.forEach(slot => slot.worker.terminate());
+        this.workers = [];
+        if (this.workerUrl) {
+            URL.revokeObjectURL(this.workerUrl);
+            this.workerUrl = null;
+        }
+    }
+
+    stats() {
         return {
-            ...this.performanceMetrics,
-            memoryPool: this.memoryPool.filter(m => m !== null).length,
-            engine: this.wasmModule ? 'WebAssembly' : 'JavaScript'
+            size: this.workers.length,
+            busy: this.workers.filter(slot => slot.task).length,
+            queued: this.queue.length,
+            completed: this.workers.reduce((sum, slot) => sum + slot.completed, 0)
         };
     }
+
+    static abortError() {
+        const error = new Error('Scan cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
 }
 
+// Patterns arrive as { id, source, flags, anchors, anchorLength }; RegExp objects lose
+// lastIndex and subclass state in structured cloning. anchors is the source of a regex
+// for the rule's anchors. As in the WebAssembly engine, each pattern is confirmed where
+// an anchor starts in [from, limit), against the whole input, so a match is reported
+// whole however far past limit it runs.
+ScanWorkerPool.WORKER_SOURCE = `
+    self.onmessage = function (e) {
+        const data = e.data;
+        if (data.release !== undefined) {
+            if (self.input && self.input.key === data.release) self.input = null;
+            return;
+        }
+
+        const { id, input, inputKey, from, limit, patterns } = data;
+        try {
+            if (input) self.input = input;
+            if (!self.input || self.input.key !== inputKey) throw new Error('Scan input missing in worker');
+            const text = self.input.text;
+            const results = {};
+            for (const pattern of patterns) {
+                const sticky = new RegExp(pattern.source, pattern.flags.replace(/[gy]/g, '') + 'y');
+                const anchors = new RegExp(pattern.anchors, 'gi');
+                const region = text.slice(from, limit + pattern.anchorLength - 1);
+                const found = [];
+                let next = from;
+                let anchor;
+                while ((anchor = anchors.exec(region)) !== null) {
+                    const index = from + anchor.index;
+                    if (index >= limit) break;
+                    if (index < next) {
+                        anchors.lastIndex = next - from;
+                        continue;
+                    }
+                    anchors.lastIndex = anchor.index + 1;
+                    sticky.lastIndex = index;
+                    const match = sticky.exec(text);
+                    if (match) {
+                        found.push({ index, text: match[0] });
+                        next = index + Math.max(1, match[0].length);
+                    }
+                }
+                results[pattern.id] = found;
+            }
+            self.postMessage({ id, results });
+        } catch (error) {
+            self.postMessage({ id, error: error.message });
+        }
+    };
+`;
+
 /**
  * Advanced JavaScript Analyzer (Fallback)
  * High-performance analysis using modern JavaScript features
  */
 class AdvancedJSAnalyzer {
-    constructor() {
+    constructor(options = {}) {
+        this.options = options;
+        this.rules = options.rules || SCAN_RULES;
         this.compiledPatterns = new Map();
-        this.workerPool = [];
-        this.maxWorkers = navigator.hardwareConcurrency || 4;
+        this.workerPool = null;
+        this.maxWorkers = options.maxWorkers || (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
+        // Inputs above chunkSize are split; every worker keeps a copy of the whole input
+        // for the scan, so a match that crosses a chunk boundary is still found whole
+        this.chunkSize = options.chunkSize || 1024 * 1024;
+        this.scanCount = 0;
+        this.compilePatterns();
     }
 
     async initialize() {
         console.log('🧠 Initializing Advanced JavaScript Analyzer...');
-        
-        // Pre-compile regex patterns for performance
-        this.compilePatterns();
-        
+
         // Initialize worker pool for parallel processing
         await this.initializeWorkers();
-        
+
         console.log('✅ Advanced JavaScript Analyzer ready');
         return true;
     }
 
     compilePatterns() {
-        const patterns = {
-            xss: /<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>|<[^>]*on\w+\s*=/gi,
-            sql: /\b(union|select|insert|update|delete|drop|create|alter)\b[\s\S]*?(?=[\s'"]|$)/gi,
-            csrf: /<form[^>]*method\s*=\s*["']?(?:post|put|delete)["']?[^>]*>/gi,
-            clickjacking: /<iframe[^>]*src\s*=\s*["'][^"']*["'][^>]*>/gi,
-            pathTraversal: /\.\.[\/\\][\w\.\-]*/g,
-            commandInjection: /[;&|`$]\s*(?:ls|cat|rm|mkdir|chmod|chown|wget|curl|nc)\b/gi,
-            evalUsage: /\beval\s*\(/gi,
-            innerHTML: /\.innerHTML\s*=/gi,
-            documentWrite: /document\.write\s*\(/gi
-        };
-
-        for (const [type, pattern] of Object.entries(patterns)) {
-            this.compiledPatterns.set(type, new RegExp(pattern.source, pattern.flags));
+        for (const rule of this.rules) {
+            this.compiledPatterns.set(rule.id, new RegExp(rule.pattern.source, rule.pattern.flags));
         }
     }
 
     async initializeWorkers() {
-        if (typeof Worker !== 'undefined') {
-            for (let i = 0; i < this.maxWorkers; i++) {
-                const worker = new Worker(URL.createObjectURL(new Blob([`
-                    self.onmessage = function(e) {
-                        const { code, patterns } = e.data;
-                        const results = {};
-                        
-                        for (const [type, pattern] of Object.entries(patterns)) {
-                            const regex = new RegExp(pattern.source, pattern.flags);
-                            const matches = code.match(regex);
-                            results[type] = matches ? matches.length : 0;
-                        }
-                        
-                        self.postMessage({ results });
-                    };
-                `], { type: 'application/javascript' })));
-                
-                this.workerPool.push(worker);
-            }
+        if (!this.workerPool && (typeof Worker !== 'undefined' || this.options.createWorker)) {
+            this.workerPool = new ScanWorkerPool({
+                size: this.maxWorkers,
+                timeout: this.options.taskTimeout,
+                createWorker: this.options.createWorker
+            });
         }
     }
 
-    async analyzeCode(code, analysisType = 'comprehensive') {
-        const startTime = performance.now();
-        
+    // options.signal (AbortSignal) cancels a worker scan, as does cancel()
+    async analyzeCode(code, analysisType = 'comprehensive', options = {}) {
         // Use worker pool for parallel processing if available
-        if (this.workerPool.length > 0) {
-            return await this.analyzeWithWorkers(code);
+        if (this.workerPool) {
+            return await this.analyzeWithWorkers(code, options);
         }
-        
+
         // Fallback to main thread analysis
         return await this.analyzeMainThread(code);
     }
 
-    async analyzeWithWorkers(code) {
-        const worker = this.workerPool[0]; // Simple round-robin
-        
-        return new Promise((resolve, reject) => {
-            const patterns = Object.fromEntries(this.compiledPatterns);
-            
-            worker.onmessage = (e) => {
-                const endTime = performance.now();
-                const results = this.processWorkerResults(e.data.results);
-                
-                resolve({
-                    ...results,
-                    performance: {
-                        analysisTime: endTime - performance.now(),
-                        engine: 'WebWorker'
-                    }
-                });
-            };
+    async analyzeWithWorkers(code, options = {}) {
+        if (options.signal && options.signal.aborted) throw ScanWorkerPool.abortError();
 
-            worker.onerror = reject;
-            
-            worker.postMessage({
-                code: code,
-                patterns: patterns
-            });
-        });
-    }
+        const startTime = performance.now();
+        const group = `scan-${++this.scanCount}`;
+        const input = { key: group, text: code };
+        const patterns = this.rules.map(rule => ({
+            id: rule.id,
+            source: rule.pattern.source,
+            flags: rule.pattern.flags,
+            anchors: rule.anchors.map(escapeRegExp).join('|'),
+            anchorLength: Math.max(...rule.anchors.map(anchor => anchor.length))
+        }));
+        const chunks = this.createChunks(code.length);
+        const scan = (from, limit, scanPatterns) => this.workerPool.run(
+            { from, limit, patterns: scanPatterns }, { group, input, timeout: options.timeout });
+
+        const onAbort = () => this.workerPool.cancel(group);
+        if (options.signal) {
+            if (options.signal.aborted) onAbort();
+            options.signal.addEventListener('abort', onAbort);
+        }
 
-    async analyzeMainThread(code) {
-        const results = {
-            vulnerabilities: [],
-            riskScore: 0,
-            confidence: 0.92,
-            recommendations: [],
-            processingTime: 'Main Thread'
+        let matches;
+        try {
+            const chunkResults = await Promise.all(chunks.map(chunk => scan(chunk.start, chunk.end, patterns)));
+            matches = await this.mergeChunks(chunks, chunkResults,
+                (ruleIndex, from, limit) => scan(from, limit, [patterns[ruleIndex]]));
+        } catch (error) {
+            this.workerPool.cancel(group);
+            throw error;
+        } finally {
+            if (options.signal) options.signal.removeEventListener('abort', onAbort);
+            this.workerPool.release(input.key);
+        }
+
+        const results = this.buildResults(code, matches, 'WebWorker');
+        return {
+            ...results,
+            performance: {
+                analysisTime: performance.now() - startTime,
+                chunks: chunks.length,
+                engine: 'WebWorker'
+            }
         };
+    }
+
+    createChunks(length) {
+        const chunks = [];
+        for (let start = 0; start < length || chunks.length === 0; start += this.chunkSize) {
+            chunks.push({ start, end: Math.min(length, start + this.chunkSize) });
+        }
+        return chunks;
+    }
 
-        // Parallel pattern matching
-        const matches = await Promise.all(
-            Array.from(this.compiledPatterns.entries()).map(async ([type, pattern]) => {
-                const found = code.match(pattern);
-                return {
-                    type,
-                    count: found ? found.length : 0,
-                    examples: found ? found.slice(0, 3) : []
-                };
-            })
-        );
-
-        // Process results
-        matches.forEach(match => {
-            if (match.count > 0) {
-                results.vulnerabilities.push({
-                    type: match.type,
-                    severity: this.getSeverityScore(match.type),
-                    matches: match.count,
-                    examples: match.examples
+    // Each chunk's scan is exact from the chunk start. When the previous chunk's last
+    // match runs past that start and the chunk reported a match that begins before the
+    // match's end, the chunk is scanned again from there as a follow-up task
+    async mergeChunks(chunks, chunkResults, rescan) {
+        return Promise.all(this.rules.map(async (rule, ruleIndex) => {
+            const merged = [];
+            let next = 0;
+            for (let i = 0; i < chunks.length; i++) {
+                let found = chunkResults[i][rule.id] || [];
+                if (found.some(match => match.index < next)) {
+                    found = next < chunks[i].end ? (await rescan(ruleIndex, next, chunks[i].end))[rule.id] || [] : [];
+                }
+                found.forEach(match => {
+                    merged.push(match);
+                    next = match.index + Math.max(1, match.text.length);
                 });
             }
-        });
+            return merged;
+        }));
+    }
 
-        results.riskScore = this.calculateRiskScore(results.vulnerabilities);
-        results.recommendations = this.generateRecommendations(results.vulnerabilities);
+    cancel() {
+        return this.workerPool ? this.workerPool.cancel() : 0;
+    }
 
-        return results;
+    terminate() {
+        if (this.workerPool) {
+            this.workerPool.terminate();
+            this.workerPool = null;
+        }
     }
 
-    processWorkerResults(workerResults) {
-        const results = {
-            vulnerabilities: [],
-            riskScore: 0,
-            confidence: 0.94,
-            recommendations: [],
-            processingTime: 'WebWorker'
-        };
+    async analyzeMainThread(code) {
+        return this.buildResults(code, this.scanMatches(code), 'Main Thread');
+    }
 
-        for (const [type, count] of Object.entries(workerResults)) {
-            if (count > 0) {
-                results.vulnerabilities.push({
-                    type,
-                    severity: this.getSeverityScore(type),
-                    matches: count,
-                    examples: [] // Would be populated in full implementation
-                });
-            }
+    // Reference engine: every match of every rule, in rule order
+    scanMatches(code) {
+        return this.rules.map(rule =>
+            Array.from(code.matchAll(this.compiledPatterns.get(rule.id)), match => ({ index: match.index, text: match[0] })));
+    }
+
+    /**
+     * Group rule matches by vulnerability type
+     * Both engines report through here, so equal matches give equal results.
+     * The first occurrence also sets the line, match and confidence shown per type.
+     */
+    buildResults(code, matchesByRule, processingTime) {
+        const lineStarts = [0];
+        for (let i = code.indexOf('\n'); i !== -1; i = code.indexOf('\n', i + 1)) {
+            lineStarts.push(i + 1);
         }
+        const locate = index => {
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+                const middle = (low + high + 1) >> 1;
+                if (lineStarts[middle] <= index) low = middle; else high = middle - 1;
+            }
+            return { line: low + 1, column: index - lineStarts[low] + 1 };
+        };
 
-        results.riskScore = this.calculateRiskScore(results.vulnerabilities);
-        results.recommendations = this.generateRecommendations(results.vulnerabilities);
+        const byType = new Map();
+        this.rules.forEach((rule, ruleIndex) => {
+            (matchesByRule[ruleIndex] || []).forEach(match => {
+                if (!byType.has(rule.type)) {
+                    byType.set(rule.type, { type: rule.type, severity: rule.severity, occurrences: [] });
+                }
+                const entry = byType.get(rule.type);
+                entry.severity = Math.max(entry.severity, rule.severity);
+                entry.occurrences.push({
+                    rule: rule.id,
+                    index: match.index,
+                    length: match.text.length,
+                    ...locate(match.index),
+                    match: match.text,
+                    confidence: rule.confidence
+                });
+            });
+        });
 
-        return results;
-    }
+        const vulnerabilities = Array.from(byType.values(), entry => {
+            const occurrences = entry.occurrences.sort((a, b) => a.index - b.index);
+            return {
+                type: entry.type,
+                severity: entry.severity,
+                confidence: Math.max(...occurrences.map(occurrence => occurrence.confidence)),
+                matches: occurrences.length,
+                examples: occurrences.slice(0, 3).map(occurrence => occurrence.match),
+                line: occurrences[0].line,
+                match: occurrences[0].match,
+                occurrences
+            };
+        });
 
-    getSeverityScore(vulnType) {
-        const severityMap = {
-            'sql': 9,
-            'xss': 8,
-            'commandInjection': 10,
-            'evalUsage': 9,
-            'innerHTML': 7,
-            'documentWrite': 6,
-            'csrf': 7,
-            'clickjacking': 6,
-            'pathTraversal': 8
+        return {
+            vulnerabilities,
+            riskScore: this.calculateRiskScore(vulnerabilities),
+            confidence: vulnerabilities.length
+                ? vulnerabilities.reduce((sum, vuln) => sum + vuln.confidence, 0) / vulnerabilities.length
+                : 0,
+            recommendations: this.generateRecommendations(vulnerabilities),
+            processingTime
         };
-        return severityMap[vulnType] || 5;
     }
 
     calculateRiskScore(vulnerabilities) {
         if (vulnerabilities.length === 0) return 0;
-        
+
         const totalScore = vulnerabilities.reduce((sum, vuln) => sum + vuln.severity, 0);
         return Math.min(100, totalScore * 8);
     }
 
     generateRecommendations(vulnerabilities) {
         const recommendations = [];
-        
+
         const vulnTypes = vulnerabilities.map(v => v.type);
-        
+
         if (vulnTypes.includes('xss')) {
             recommendations.push({
                 type: 'XSS Prevention',
@@ -440,5 +970,5 @@ class AdvancedJSAnalyzer {
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { WasmSecurityAnalyzer, AdvancedJSAnalyzer };
-}
\ No newline at end of file
+    module.exports = { WasmSecurityAnalyzer, AdvancedJSAnalyzer, ScanWorkerPool, PatternAutomaton, WasmHeap, SCAN_RULES };
+}
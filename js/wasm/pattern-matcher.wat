@@ -0,0 +1,177 @@
+;; Multi-pattern matcher for WasmSecurityAnalyzer
+;;
+;; Runs an Aho-Corasick automaton, compiled to a dense DFA by PatternAutomaton in
+;; js/wasm-security-analyzer.js, over UTF-16 text and reports every anchor
+;; literal it finds. Build: wat2wasm pattern-matcher.wat -o pattern-matcher.wasm
+;;
+;; Memory ABI (all values little-endian i32, all pointers byte offsets into the
+;; exported memory; the host allocates every region, the module never allocates):
+;;
+;;   table    header  [0] transitions offset   [1] outputs offset
+;;                    [2] links offset         [3] state count
+;;                    (offsets are relative to table)
+;;            transitions  stateCount * 129 next states; symbol 0-127 is the
+;;                         lowercased ASCII code unit, 128 any other code unit
+;;            outputs      stateCount anchor ids, -1 when no anchor ends there
+;;            links        stateCount dictionary suffix links, -1 at the end
+;;   input    length UTF-16 code units, 2-byte aligned
+;;   out      capacity pairs of (anchor id, end index); the end index is the
+;;            code unit index of the anchor's last character
+;;
+;; scan returns the total number of anchor occurrences. Pairs beyond capacity
+;; are counted but not written, so the host can grow out and scan again.
+
+(module
+  (memory (export "memory") 1)
+
+  (func $scan (export "scan")
+    (param $table i32) (param $input i32) (param $length i32) (param $out i32) (param $capacity i32)
+    (result i32)
+    (local $transitions i32) (local $outputs i32) (local $links i32)
+    (local $state i32) (local $pos i32) (local $unit i32) (local $hit i32) (local $count i32) (local $slot i32)
+
+    local.get $table
+    local.get $table
+    i32.load offset=0
+    i32.add
+    local.set $transitions
+    local.get $table
+    local.get $table
+    i32.load offset=4
+    i32.add
+    local.set $outputs
+    local.get $table
+    local.get $table
+    i32.load offset=8
+    i32.add
+    local.set $links
+
+    block $done
+      loop $next
+        local.get $pos
+        local.get $length
+        i32.ge_u
+        br_if $done
+
+        ;; unit = input[pos]
+        local.get $input
+        local.get $pos
+        i32.const 1
+        i32.shl
+        i32.add
+        i32.load16_u offset=0
+        local.set $unit
+
+        ;; symbol: ASCII folded to lower case, everything else 128
+        local.get $unit
+        i32.const 128
+        i32.ge_u
+        if
+          i32.const 128
+          local.set $unit
+        else
+          local.get $unit
+          i32.const 65
+          i32.sub
+          i32.const 26
+          i32.lt_u
+          if
+            local.get $unit
+            i32.const 32
+            i32.or
+            local.set $unit
+          end
+        end
+
+        ;; state = transitions[state * 129 + symbol]
+        local.get $transitions
+        local.get $state
+        i32.const 129
+        i32.mul
+        local.get $unit
+        i32.add
+        i32.const 2
+        i32.shl
+        i32.add
+        i32.load offset=0
+        local.set $state
+
+        ;; first state of the output chain: the state itself or its dictionary link
+        local.get $outputs
+        local.get $state
+        i32.const 2
+        i32.shl
+        i32.add
+        i32.load offset=0
+        i32.const 0
+        i32.ge_s
+        if (result i32)
+          local.get $state
+        else
+          local.get $links
+          local.get $state
+          i32.const 2
+          i32.shl
+          i32.add
+          i32.load offset=0
+        end
+        local.set $hit
+
+        block $emitted
+          loop $chain
+            local.get $hit
+            i32.const 0
+            i32.lt_s
+            br_if $emitted
+
+            local.get $count
+            local.get $capacity
+            i32.lt_u
+            if
+              local.get $out
+              local.get $count
+              i32.const 3
+              i32.shl
+              i32.add
+              local.set $slot
+              local.get $slot
+              local.get $outputs
+              local.get $hit
+              i32.const 2
+              i32.shl
+              i32.add
+              i32.load offset=0
+              i32.store offset=0
+              local.get $slot
+              local.get $pos
+              i32.store offset=4
+            end
+
+            local.get $count
+            i32.const 1
+            i32.add
+            local.set $count
+
+            ;; hit = links[hit]
+            local.get $links
+            local.get $hit
+            i32.const 2
+            i32.shl
+            i32.add
+            i32.load offset=0
+            local.set $hit
+            br $chain
+          end
+        end
+
+        local.get $pos
+        i32.const 1
+        i32.add
+        local.set $pos
+        br $next
+      end
+    end
+
+    local.get $count
+  )
+)
@@ -0,0 +1,39 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CSPNonce } = require('../js/csp-nonce.js');
+const { SmartPolicyGenerator } = require('../js/smart-policy-generator.js');
+
+const csp = `script-src 'nonce-${CSPNonce.PLACEHOLDER}'; object-src 'none'`;
+const policy = { csp, headers: { 'Content-Security-Policy': csp, 'X-Content-Type-Options': 'nosniff' } };
+
+const nonceStep = guide => guide.steps.find(step => step.platforms && step.platforms.nodejs.includes(CSPNonce.PLACEHOLDER));
+
+test('the middleware enforces by default', () => {
+    const middleware = new CSPNonce().generateMiddleware(csp);
+    assert.ok(middleware.express.includes("res.setHeader('Content-Security-Policy', "));
+    assert.ok(middleware.nginx.includes('add_header Content-Security-Policy "'));
+    assert.ok(middleware.apache.includes('Header always set Content-Security-Policy "'));
+    assert.ok(middleware.php.includes("header('Content-Security-Policy: '"));
+});
+
+test('a Report-Only rollout keeps the middleware in Report-Only', () => {
+    const generator = new SmartPolicyGenerator();
+    const rolled = generator.applyRolloutMode(policy, { reportEndpoint: 'https://reports.example/csp' });
+    const guide = generator.generateImplementationGuide(rolled);
+    const step = nonceStep(guide);
+
+    assert.ok(step.platforms.nodejs.includes("res.setHeader('Content-Security-Policy-Report-Only', "));
+    assert.match(step.platforms.nginx, /add_header Content-Security-Policy-Report-Only "[^"]*report-to csp-endpoint" always;/);
+    assert.ok(step.platforms.php.includes("header('Content-Security-Policy-Report-Only: '"));
+    assert.ok(!/Content-Security-Policy:/.test(step.platforms.php));
+    // The static headers step still carries Reporting-Endpoints but no CSP header
+    assert.ok(guide.steps[0].platforms.nodejs.includes('Reporting-Endpoints'));
+    assert.ok(!guide.steps[0].platforms.nodejs.includes(CSPNonce.PLACEHOLDER));
+});
+
+test('an enforced nonce policy keeps the enforcing header', () => {
+    const step = nonceStep(new SmartPolicyGenerator().generateImplementationGuide(policy));
+    assert.ok(step.platforms.nodejs.includes("res.setHeader('Content-Security-Policy', "));
+});
@@ -0,0 +1,35 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RegexSafetyAnalyzer } = require('../js/regex-safety-analyzer.js');
+
+const analyzer = new RegexSafetyAnalyzer();
+
+test('a search without ^ retries a trailing repetition from every start', () => {
+    for (const pattern of [/\s+$/, /^\s+|\s+$/, /(ab|a)*$/]) {
+        const result = analyzer.analyze(pattern);
+        assert.equal(result.safe, false, String(pattern));
+        assert.equal(result.complexity, 'polynomial', String(pattern));
+        assert.equal(result.estimate, 'O(n^2)', String(pattern));
+    }
+});
+
+test('a start-anchored or sticky pattern is tried from one position only', () => {
+    for (const pattern of [/^\s+$/, /\s+$/y, /^\s*[\s\S]*$/, /^([a-z*][a-z0-9_\-.*]*)\s*(?:=\s*([\s\S]*))?$/]) {
+        const result = analyzer.analyze(pattern);
+        assert.equal(result.complexity, 'linear', String(pattern));
+        assert.equal(result.safe, true, String(pattern));
+    }
+});
+
+test('a repetition that nothing after it can fail stays linear', () => {
+    assert.equal(analyzer.analyze(/\s+/).complexity, 'linear');
+    assert.equal(analyzer.analyze(/\d+/g).complexity, 'linear');
+});
+
+test('nested and adjacent repetitions keep their ratings', () => {
+    assert.equal(analyzer.analyze(/^(a+)+$/).complexity, 'exponential');
+    assert.equal(analyzer.analyze(/^\s*\s*x/).estimate, 'O(n^2)');
+    assert.equal(analyzer.analyze(/^(.*a){3}x/).estimate, 'O(n^3)');
+});
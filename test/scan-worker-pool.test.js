@@ -0,0 +1,77 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AdvancedJSAnalyzer, ScanWorkerPool } = require('../js/wasm-security-analyzer.js');
+
+// Runs WORKER_SOURCE in-process, with structured cloning approximated by a JSON round trip
+function createWorker() {
+    const worker = { terminated: false, onmessage: null, onerror: null };
+    const scope = {
+        postMessage: data => setImmediate(() => {
+            if (!worker.terminated && worker.onmessage) worker.onmessage({ data });
+        })
+    };
+    const handler = new Function('self', `${ScanWorkerPool.WORKER_SOURCE}; return self.onmessage;`)(scope);
+    worker.postMessage = data => setImmediate(() => {
+        if (!worker.terminated) handler({ data: JSON.parse(JSON.stringify(data)) });
+    });
+    worker.terminate = () => { worker.terminated = true; };
+    return worker;
+}
+
+const occurrences = result => result.vulnerabilities
+    .flatMap(vulnerability => vulnerability.occurrences.map(({ rule, index, match }) => ({ rule, index, match })))
+    .sort((a, b) => a.index - b.index || a.rule.localeCompare(b.rule));
+
+async function withAnalyzer(options, run) {
+    const analyzer = new AdvancedJSAnalyzer({ createWorker, maxWorkers: 3, ...options });
+    await analyzer.initializeWorkers();
+    try {
+        await run(analyzer);
+    } finally {
+        analyzer.terminate();
+    }
+}
+
+test('a match running far past its chunk is reported whole', async () => {
+    const script = '<script>' + 'y'.repeat(6000) + '</script>';
+    const code = 'a'.repeat(1048476) + script;
+
+    await withAnalyzer({}, async analyzer => {
+        const result = await analyzer.analyzeWithWorkers(code);
+        assert.equal(result.performance.chunks, 2);
+        assert.deepEqual(occurrences(result), [{ rule: 'xss.script-block', index: 1048476, match: script }]);
+    });
+});
+
+test('chunked worker scans agree with the main-thread scan', async () => {
+    const pieces = ['<script>', '</script>', 'SELECT ', 'a b ', '../', '..\\', ';ls', 'eval(', ' ', '\n',
+        '<form method=post>', '<iframe>', '<a onclick=', 'union ', 'x'.repeat(30), '<', '$', '|cat'];
+    let seed = 11;
+    const random = n => {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        return seed % n;
+    };
+
+    for (const chunkSize of [3, 7, 16, 100]) {
+        await withAnalyzer({ chunkSize }, async analyzer => {
+            for (let run = 0; run < 150; run++) {
+                let code = '';
+                for (let i = random(40); i >= 0; i--) code += pieces[random(pieces.length)];
+                const workers = await analyzer.analyzeWithWorkers(code);
+                const mainThread = await analyzer.analyzeMainThread(code);
+                assert.deepEqual(occurrences(workers), occurrences(mainThread), JSON.stringify({ chunkSize, code }));
+            }
+        });
+    }
+});
+
+test('an already aborted signal rejects before any task runs', async () => {
+    await withAnalyzer({}, async analyzer => {
+        const controller = new AbortController();
+        controller.abort();
+        await assert.rejects(analyzer.analyzeWithWorkers('eval(1)', { signal: controller.signal }), { name: 'AbortError' });
+        assert.equal(analyzer.workerPool.stats().completed, 0);
+    });
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { SRIGenerator } = require('../js/sri-generator.js');
+const { SmartPolicyGenerator } = require('../js/smart-policy-generator.js');
+
+const SCRIPT = 'https://cdn.example/app.js';
+const STYLE = 'https://cdn.example/site.css';
+const contents = { [SCRIPT]: 'console.log("app");' };
+const sha384 = text => `sha384-${crypto.createHash('sha384').update(text).digest('base64')}`;
+
+test('generate hashes resources through the stub fetcher and reports the unreachable ones', async () => {
+    const generator = new SRIGenerator({ fetcher: SRIGenerator.stubFetcher(contents) });
+    const html = `<script src="${SCRIPT}"></script><link rel="stylesheet" href="${STYLE}">`;
+    const result = await generator.generate(html);
+
+    assert.ok(result.html.includes(`integrity="${sha384(contents[SCRIPT])}"`));
+    assert.deepEqual(result.resources.map(resource => [resource.destination, resource.status]), [['script', 'added'], ['style', 'failed']]);
+    assert.equal(result.report.requireSriFor, 'require-sri-for style');
+    assert.equal(result.report.integrityPolicy, 'blocked-destinations=(script)');
+    assert.equal(result.report.missing[0].reason, 'تعذر جلب المورد: HTTP 404');
+});
+
+test('addSRI reports destinations for the scanned scripts and stylesheets', async () => {
+    const policy = new SmartPolicyGenerator();
+    policy.sri = new SRIGenerator({ fetcher: SRIGenerator.stubFetcher(contents) });
+    const { sri } = await policy.addSRI({}, {
+        externalResources: { scripts: [{ src: SCRIPT }], styles: [{ href: STYLE }] }
+    });
+
+    assert.equal(sri.resources[0].integrity, sha384(contents[SCRIPT]));
+    assert.equal(sri.report.requireSriFor, 'require-sri-for style');
+    assert.equal(sri.report.integrityPolicy, 'blocked-destinations=(script)');
+});
+
+test('results without a destination do not leak into the report headers', () => {
+    const report = new SRIGenerator().generateReport([{ element: 'script', url: SCRIPT, integrity: null }]);
+    assert.equal(report.requireSriFor, null);
+    assert.equal(report.integrityPolicy, null);
+    assert.equal(report.missing.length, 1);
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { WasmSecurityAnalyzer, SCAN_RULES } = require('../js/wasm-security-analyzer.js');
+
+const ROOT = path.join(__dirname, '..');
+
+// Same seed, same inputs: a failure names a case that can be replayed
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+function fuzzInputs(count, seed) {
+    const next = random(seed);
+    const tokens = [...new Set(SCAN_RULES.flatMap(rule => rule.anchors))]
+        .concat(['>', '</script>', '"', "'", '=', ' ', '\n', '(', ')', ';', '/', 'x', 'É', '\u{1F600}']);
+    return Array.from({ length: count }, () => Array.from({ length: 1 + Math.floor(next() * 40) }, () => {
+        const token = tokens[Math.floor(next() * tokens.length)];
+        return next() < 0.3 ? token.toUpperCase() : token;
+    }).join(''));
+}
+
+async function initialize(t, options) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const analyzer = new WasmSecurityAnalyzer(options);
+    await analyzer.initialize();
+    return analyzer;
+}
+
+test('the WebAssembly engine loads in Node and agrees with the JavaScript engine', async t => {
+    const analyzer = await initialize(t);
+    assert.ok(analyzer.wasmModule, 'fell back to JavaScript');
+
+    const files = ['index.html', 'advanced-security-platform.html']
+        .concat(fs.readdirSync(path.join(ROOT, 'js')).filter(name => name.endsWith('.js')).map(name => `js/${name}`));
+    const samples = files.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'))
+        .concat(fuzzInputs(500, 7));
+
+    samples.forEach((sample, index) => {
+        assert.deepEqual(analyzer.scanMatches(sample).matches, analyzer.jsAnalyzer.scanMatches(sample), files[index] || `fuzz ${index - files.length}`);
+    });
+
+    const result = await analyzer.analyzeCode('<script>alert(1)</script>');
+    assert.equal(result.engine, 'WebAssembly');
+});
+
+test('a binary that does not load falls back to the JavaScript engine', async t => {
+    const analyzer = await initialize(t, { wasmBinary: new Uint8Array([0, 1, 2, 3]) });
+    assert.equal(analyzer.wasmModule, null);
+    assert.equal(analyzer.selfTest(), false);
+
+    const result = await analyzer.analyzeCode('<script>alert(1)</script>');
+    assert.equal(result.engine, 'JavaScript');
+    assert.ok(result.vulnerabilities.length > 0);
+});